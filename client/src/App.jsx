@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import Navigation from './components/Navigation'
 import Header from './components/Header'
@@ -7,31 +7,91 @@ import BuildPromptGenerator from './components/BuildPromptGenerator'
 import PitchResult from './components/PitchResult'
 import LoadingScreen from './components/LoadingScreen'
 import ErrorMessage from './components/ErrorMessage'
-import { generatePitch } from './services/api'
+import AuthModal from './components/AuthModal'
+import MarkdownImport from './components/MarkdownImport'
+import PitchHistory from './components/PitchHistory'
+import { streamPitch, getCurrentUser, logout } from './services/api'
+
+// What a streamed pitch grows from; a provider may send the elevator pitch or a slide before the name
+const EMPTY_PITCH = { name: '', elevator: '', slides: [] }
 
 function App() {
   const [pitchData, setPitchData] = useState(null)
   const [originalIdea, setOriginalIdea] = useState('')
   const [loading, setLoading] = useState(false)
+  const [isStreaming, setIsStreaming] = useState(false)
   const [error, setError] = useState(null)
+  const [user, setUser] = useState(null)
+  const [isAuthOpen, setIsAuthOpen] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    getCurrentUser().then(setUser)
+  }, [])
+
+  const handleSignOut = () => {
+    logout()
+    setUser(null)
+    setShowHistory(false)
+  }
 
-  const handleGeneratePitch = async (idea) => {
+  const handleGeneratePitch = async (idea, options) => {
     setLoading(true)
     setError(null)
     setPitchData(null)
     setOriginalIdea(idea) // Store the original idea
     
     try {
-      const result = await generatePitch(idea)
+      setIsStreaming(true)
+      const result = await streamPitch(idea, {
+        ...options,
+        // Swap the loading screen for the deck as soon as the name arrives
+        onName: (name) => {
+          setPitchData((prev) => ({ ...(prev ?? EMPTY_PITCH), name }))
+          setLoading(false)
+        },
+        onElevator: (elevator) => {
+          setPitchData((prev) => ({ ...(prev ?? EMPTY_PITCH), elevator }))
+        },
+        onSlide: (slide, index) => {
+          setPitchData((prev) => {
+            const current = prev ?? EMPTY_PITCH
+            const slides = [...current.slides]
+            slides[index] = slide
+            return { ...current, slides }
+          })
+        }
+      })
       setPitchData(result.data)
     } catch (err) {
+      setPitchData(null)
       setError(err.message)
       console.error('Error generating pitch:', err)
     } finally {
+      setIsStreaming(false)
       setLoading(false)
     }
   }
 
+  const handleImportPitch = (pitch) => {
+    setOriginalIdea(pitch.idea)
+    setPitchData(pitch)
+  }
+
+  const handleOpenHistory = () => {
+    setPitchData(null)
+    setOriginalIdea('')
+    setError(null)
+    setShowHistory(true)
+  }
+
+  const handleOpenSavedPitch = (pitch) => {
+    setOriginalIdea(pitch.idea)
+    setPitchData(pitch)
+    setShowHistory(false)
+  }
+
   const handleReset = () => {
     setPitchData(null)
     setOriginalIdea('')
@@ -44,7 +104,17 @@ function App() {
 
   return (
     <div className="min-h-screen bg-gradient-dark overflow-x-hidden">
-      <Navigation />
+      <Navigation
+        user={user}
+        onSignIn={() => setIsAuthOpen(true)}
+        onSignOut={handleSignOut}
+        onOpenHistory={loading || isStreaming ? undefined : handleOpenHistory}
+      />
+      <AuthModal
+        isOpen={isAuthOpen}
+        onClose={() => setIsAuthOpen(false)}
+        onAuthenticated={setUser}
+      />
       
       <AnimatePresence mode="wait">
         {loading && (
@@ -73,7 +143,19 @@ function App() {
           </motion.div>
         )}
         
-        {!pitchData && !loading && !error && (
+        {showHistory && !pitchData && !loading && !error && (
+          <motion.div
+            key="history"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <PitchHistory onOpen={handleOpenSavedPitch} onClose={() => setShowHistory(false)} />
+          </motion.div>
+        )}
+
+        {!showHistory && !pitchData && !loading && !error && (
           <motion.div
             key="home"
             initial={{ opacity: 0 }}
@@ -85,6 +167,7 @@ function App() {
             <div className="max-w-7xl mx-auto px-4 py-16 space-y-16">
               {/* Main Pitch Generator */}
               <IdeaForm onSubmit={handleGeneratePitch} />
+              <MarkdownImport onImport={handleImportPitch} />
               
               {/* Quick Build Prompt Generator Section */}
               <div id="quick-build-prompt" className="relative">
@@ -126,6 +209,9 @@ function App() {
             <PitchResult 
               pitchData={pitchData} 
               originalIdea={originalIdea}
+              isStreaming={isStreaming}
+              onPitchUpdate={setPitchData}
+              onOpenPitch={handleOpenSavedPitch}
               onReset={handleReset}
             />
           </motion.div>
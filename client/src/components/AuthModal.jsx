@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { X, LogIn, UserPlus, Loader2 } from 'lucide-react'
+import { login, register } from '../services/api'
+
+const AuthModal = ({ isOpen, onClose, onAuthenticated }) => {
+  const [mode, setMode] = useState('login')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [name, setName] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const isRegister = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const user = isRegister
+        ? await register({ email, password, name })
+        : await login({ email, password })
+      setPassword('')
+      onAuthenticated(user)
+      onClose()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const toggleMode = () => {
+    setMode(isRegister ? 'login' : 'register')
+    setError(null)
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm px-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={onClose}
+        >
+          <motion.div
+            className="glass-card-strong w-full max-w-md p-8 relative"
+            initial={{ scale: 0.95, y: 20 }}
+            animate={{ scale: 1, y: 0 }}
+            exit={{ scale: 0.95, y: 20 }}
+            onClick={(e) => e.stopPropagation()}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="auth-modal-title"
+          >
+            <button
+              onClick={onClose}
+              className="absolute top-4 right-4 text-neutral-400 hover:text-white transition-colors"
+              aria-label="Close"
+            >
+              <X className="h-5 w-5" />
+            </button>
+
+            <h2 id="auth-modal-title" className="text-2xl font-bold text-white mb-2">
+              {isRegister ? 'Create your account' : 'Welcome back'}
+            </h2>
+            <p className="text-neutral-400 mb-6">
+              {isRegister
+                ? 'Sign up to keep your pitches private and find them again later.'
+                : 'Sign in to see your saved pitches.'}
+            </p>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {isRegister && (
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Name (optional)"
+                  className="input-field w-full"
+                  maxLength={100}
+                />
+              )}
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email"
+                className="input-field w-full"
+                autoComplete="email"
+                required
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                className="input-field w-full"
+                autoComplete={isRegister ? 'new-password' : 'current-password'}
+                minLength={isRegister ? 8 : undefined}
+                required
+              />
+
+              {error && (
+                <p className="text-sm text-red-400" role="alert">{error}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary w-full flex items-center justify-center space-x-2 disabled:opacity-50"
+              >
+                {isSubmitting ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : isRegister ? (
+                  <UserPlus className="h-4 w-4" />
+                ) : (
+                  <LogIn className="h-4 w-4" />
+                )}
+                <span>{isRegister ? 'Create Account' : 'Sign In'}</span>
+              </button>
+            </form>
+
+            <p className="mt-6 text-center text-sm text-neutral-400">
+              {isRegister ? 'Already have an account?' : 'New to PitchPerfect?'}{' '}
+              <button onClick={toggleMode} className="text-primary-400 hover:text-primary-300 font-medium">
+                {isRegister ? 'Sign in' : 'Create one'}
+              </button>
+            </p>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default AuthModal
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Briefcase, ChevronDown, Upload, Trash2, Save } from 'lucide-react'
+import { FONT_PAIRINGS, LOGO_TYPES, LOGO_MAX_SIZE, resolveBrandColors } from '../services/themes'
+
+const toKit = (brand) => ({
+  ...resolveBrandColors(brand),
+  fontPairing: brand?.fontPairing || null,
+  logo: brand?.logo || null
+})
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(new Error('Could not read the logo file'))
+  reader.readAsDataURL(file)
+})
+
+const BrandKitEditor = ({ brand, onSave, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [kit, setKit] = useState(() => toKit(brand))
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setKit(toKit(brand))
+  }, [brand?.primaryColor, brand?.secondaryColor, brand?.fontPairing, brand?.logo])
+
+  const saved = toKit(brand)
+  const changes = Object.fromEntries(Object.entries(kit).filter(([key, value]) => value !== saved[key]))
+  const hasChanges = Object.keys(changes).length > 0
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!LOGO_TYPES.includes(file.type)) {
+      setError('Logos must be PNG, JPEG or WebP images')
+      return
+    }
+    if (file.size > LOGO_MAX_SIZE) {
+      setError('Logos must be smaller than 1MB')
+      return
+    }
+
+    try {
+      const logo = await readAsDataUrl(file)
+      setKit((prev) => ({ ...prev, logo }))
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleSave = () => {
+    // New colors only show up in the brand theme, so switch to it
+    const colorsChanged = changes.primaryColor !== undefined || changes.secondaryColor !== undefined
+    onSave(colorsChanged ? { brand: changes, theme: 'brand' } : { brand: changes })
+  }
+
+  return (
+    <div className="mb-8 rounded-xl border border-white/10 bg-white/5">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-neutral-300"
+        aria-expanded={isOpen}
+      >
+        <span className="flex items-center space-x-2">
+          <Briefcase className="h-4 w-4" />
+          <span className="text-sm font-medium">Brand kit</span>
+        </span>
+        <ChevronDown className={`h-4 w-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      <AnimatePresence initial={false}>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 grid gap-4 md:grid-cols-3">
+              <div>
+                <p className="text-xs uppercase tracking-wider text-neutral-500 mb-2">Logo</p>
+                <div className="flex items-center space-x-3">
+                  {kit.logo ? (
+                    <img src={kit.logo} alt="Brand logo" className="h-12 w-auto max-w-[8rem] object-contain rounded bg-white/10 p-1" />
+                  ) : (
+                    <div className="h-12 w-12 rounded bg-white/10" />
+                  )}
+                  <label className="btn-ghost px-3 py-2 text-sm flex items-center space-x-2 cursor-pointer">
+                    <Upload className="h-4 w-4" />
+                    <span>Upload</span>
+                    <input
+                      type="file"
+                      accept={LOGO_TYPES.join(',')}
+                      onChange={handleLogoChange}
+                      className="hidden"
+                      disabled={disabled}
+                    />
+                  </label>
+                  {kit.logo && (
+                    <button
+                      onClick={() => setKit((prev) => ({ ...prev, logo: null }))}
+                      className="text-neutral-400 hover:text-red-400"
+                      aria-label="Remove logo"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-xs uppercase tracking-wider text-neutral-500 mb-2">Colors</p>
+                <div className="flex items-center gap-4">
+                  {[['primaryColor', 'Primary'], ['secondaryColor', 'Secondary']].map(([key, label]) => (
+                    <label key={key} className="flex items-center space-x-2 text-sm text-neutral-300">
+                      <input
+                        type="color"
+                        value={kit[key]}
+                        onChange={(e) => setKit((prev) => ({ ...prev, [key]: e.target.value }))}
+                        className="h-8 w-12 rounded cursor-pointer bg-transparent"
+                        disabled={disabled}
+                      />
+                      <span>{label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-xs uppercase tracking-wider text-neutral-500 mb-2">Fonts</p>
+                <select
+                  value={kit.fontPairing || ''}
+                  onChange={(e) => setKit((prev) => ({ ...prev, fontPairing: e.target.value || null }))}
+                  className="input-field w-full py-2"
+                  disabled={disabled}
+                >
+                  <option value="">Theme default</option>
+                  {Object.entries(FONT_PAIRINGS).map(([key, pairing]) => (
+                    <option key={key} value={key}>{pairing.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {(error || hasChanges) && (
+              <div className="px-4 pb-4 flex items-center justify-between">
+                <p className="text-sm text-red-400">{error}</p>
+                {hasChanges && (
+                  <button
+                    onClick={handleSave}
+                    disabled={disabled}
+                    className="btn-primary px-4 py-2 text-sm flex items-center space-x-2"
+                  >
+                    <Save className="h-4 w-4" />
+                    <span>Apply brand kit</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default BrandKitEditor
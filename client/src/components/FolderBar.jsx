@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import { Folder, FolderPlus, Inbox, Pencil, Star, Trash2 } from 'lucide-react'
+import { createFolder, renameFolder, deleteFolder } from '../services/api'
+
+// The folder filter value for pitches that are in no folder, as the server expects it
+export const UNFILED_FOLDER = 'none'
+
+const FOLDER_NAME_MAX_LENGTH = 60
+
+const chipClass = (isActive) => `flex items-center gap-2 px-3 py-1.5 rounded-full text-sm border transition-colors duration-300 ${
+  isActive ? 'border-primary-500/60 bg-primary-500/20 text-white' : 'border-white/10 text-neutral-300 hover:border-white/30'
+}`
+
+/**
+ * Folder and star filters of the history list, with creating, renaming and deleting folders
+ */
+const FolderBar = ({ folders, unfiledCount, folder, starred, onSelect, onFoldersChange }) => {
+  // { mode: 'create' | 'rename', name } while the inline folder form is open
+  const [form, setForm] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const selectedFolder = folders.find((item) => item._id === folder)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    setError('')
+    try {
+      if (form.mode === 'create') {
+        const result = await createFolder(form.name)
+        onSelect({ folder: result.data._id, starred: false })
+      } else {
+        await renameFolder(selectedFolder._id, form.name)
+      }
+      setForm(null)
+      onFoldersChange()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the folder "${selectedFolder.name}"? Its pitches are kept.`)) return
+
+    setError('')
+    try {
+      await deleteFolder(selectedFolder._id)
+      onSelect({ folder: '', starred: false })
+      onFoldersChange()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onSelect({ folder: '', starred: false })} className={chipClass(!folder && !starred)}>
+          All pitches
+        </button>
+        <button onClick={() => onSelect({ folder: '', starred: true })} className={chipClass(starred)}>
+          <Star className="h-4 w-4" />
+          Starred
+        </button>
+        {folders.map((item) => (
+          <button key={item._id} onClick={() => onSelect({ folder: item._id, starred: false })} className={chipClass(folder === item._id)}>
+            <Folder className="h-4 w-4" />
+            {item.name}
+            <span className="text-xs text-neutral-500">{item.pitchCount}</span>
+          </button>
+        ))}
+        {folders.length > 0 && (
+          <button onClick={() => onSelect({ folder: UNFILED_FOLDER, starred: false })} className={chipClass(folder === UNFILED_FOLDER)}>
+            <Inbox className="h-4 w-4" />
+            Unfiled
+            <span className="text-xs text-neutral-500">{unfiledCount}</span>
+          </button>
+        )}
+        <button
+          onClick={() => setForm({ mode: 'create', name: '' })}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm text-neutral-400 hover:text-primary-400 transition-colors duration-300"
+        >
+          <FolderPlus className="h-4 w-4" />
+          New folder
+        </button>
+      </div>
+
+      {selectedFolder && !form && (
+        <div className="flex items-center gap-4 text-sm">
+          <button
+            onClick={() => setForm({ mode: 'rename', name: selectedFolder.name })}
+            className="flex items-center gap-1 text-neutral-400 hover:text-primary-400 transition-colors duration-300"
+          >
+            <Pencil className="h-3 w-3" />
+            Rename folder
+          </button>
+          <button onClick={handleDelete} className="flex items-center gap-1 text-neutral-400 hover:text-red-400 transition-colors duration-300">
+            <Trash2 className="h-3 w-3" />
+            Delete folder
+          </button>
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Folder name, e.g. Winter cohort"
+            maxLength={FOLDER_NAME_MAX_LENGTH}
+            aria-label="Folder name"
+            className="input-field py-2 md:w-72"
+            autoFocus
+          />
+          <button type="submit" disabled={isSaving || !form.name.trim()} className="btn-primary py-2">
+            {isSaving ? 'Saving...' : form.mode === 'create' ? 'Create folder' : 'Rename'}
+          </button>
+          <button type="button" onClick={() => setForm(null)} className="text-sm text-neutral-400 hover:text-white">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default FolderBar
@@ -1,12 +1,43 @@
 import React, { useState } from 'react'
 import { motion } from 'framer-motion'
-import { Send, Lightbulb, Sparkles, Rocket, ArrowRight, Zap, TrendingUp, Users, Target } from 'lucide-react'
+import { Send, Lightbulb, Sparkles, Rocket, ArrowRight, Zap, TrendingUp, Users, Target, Layers, Mic, Tag } from 'lucide-react'
 import CodePromptGenerator from './CodePromptGenerator'
+import { SLIDE_TYPES, SLIDE_TYPE_LABELS, SLIDE_PLANS, SLIDE_PLAN_LIMITS } from '../services/slides'
+import { SCRIPT_DURATIONS } from '../services/script'
+
+const DECK_OPTIONS = [
+  { id: 'short', label: 'Short', description: '3 slides' },
+  { id: 'standard', label: 'Standard', description: '4 slides' },
+  { id: 'yc', label: 'YC-style', description: '10 slides' },
+  { id: 'custom', label: 'Custom', description: 'Pick slides' }
+]
+
+const NAME_CANDIDATE_OPTIONS = [
+  { count: null, label: 'Just one' },
+  { count: 5, label: '5 names' },
+  { count: 8, label: '8 names' },
+  { count: 10, label: '10 names' }
+]
+
+// Slide types a custom deck can include, in deck order
+const PLANNABLE_TYPES = SLIDE_TYPES.filter((type) => type !== 'custom')
 
 const IdeaForm = ({ onSubmit }) => {
   const [idea, setIdea] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [focusedField, setFocusedField] = useState(null)
+  const [deckOption, setDeckOption] = useState('standard')
+  const [customTypes, setCustomTypes] = useState(SLIDE_PLANS.standard)
+  const [scriptDuration, setScriptDuration] = useState(null)
+  const [nameCandidates, setNameCandidates] = useState(null)
+
+  const customPlan = PLANNABLE_TYPES.filter((type) => customTypes.includes(type))
+  const isCustomPlanValid = customPlan.length >= SLIDE_PLAN_LIMITS.min && customPlan.length <= SLIDE_PLAN_LIMITS.max
+  const slidePlan = deckOption === 'custom' ? customPlan : deckOption
+
+  const toggleCustomType = (type) => {
+    setCustomTypes((prev) => prev.includes(type) ? prev.filter((item) => item !== type) : [...prev, type])
+  }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -20,9 +51,17 @@ const IdeaForm = ({ onSubmit }) => {
       return
     }
 
+    if (deckOption === 'custom' && !isCustomPlanValid) {
+      return
+    }
+
     setIsSubmitting(true)
     try {
-      await onSubmit(idea)
+      await onSubmit(idea, {
+        slidePlan,
+        scriptDuration: scriptDuration || undefined,
+        nameCandidates: nameCandidates || undefined
+      })
     } finally {
       setIsSubmitting(false)
     }
@@ -152,10 +191,129 @@ const IdeaForm = ({ onSubmit }) => {
               </div>
             </motion.div>
 
+            <motion.div variants={itemVariants} className="space-y-4">
+              <div className="flex items-center space-x-2 text-neutral-300 font-medium">
+                <Layers className="h-5 w-5 text-primary-400" />
+                <span>Deck length</span>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3" role="radiogroup" aria-label="Deck length">
+                {DECK_OPTIONS.map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={deckOption === option.id}
+                    onClick={() => setDeckOption(option.id)}
+                    disabled={isSubmitting}
+                    className={`p-4 rounded-xl border text-left transition-all duration-300 ${
+                      deckOption === option.id
+                        ? 'border-primary-500/60 bg-primary-500/10 text-white'
+                        : 'border-white/10 bg-white/5 text-neutral-300 hover:border-white/20'
+                    }`}
+                  >
+                    <div className="font-semibold">{option.label}</div>
+                    <div className="text-sm text-neutral-400">{option.description}</div>
+                  </button>
+                ))}
+              </div>
+
+              {deckOption === 'custom' ? (
+                <div className="space-y-3">
+                  <div className="flex flex-wrap gap-2">
+                    {PLANNABLE_TYPES.map((type) => (
+                      <button
+                        key={type}
+                        type="button"
+                        onClick={() => toggleCustomType(type)}
+                        aria-pressed={customTypes.includes(type)}
+                        disabled={isSubmitting}
+                        className={`px-3 py-1.5 rounded-full text-sm font-medium border transition-all duration-300 ${
+                          customTypes.includes(type)
+                            ? 'border-primary-500/60 bg-primary-500/20 text-primary-300'
+                            : 'border-white/10 text-neutral-400 hover:text-neutral-200'
+                        }`}
+                      >
+                        {SLIDE_TYPE_LABELS[type]}
+                      </button>
+                    ))}
+                  </div>
+                  <p className={`text-sm ${isCustomPlanValid ? 'text-neutral-400' : 'text-accent-400'}`}>
+                    {customPlan.length} slides selected · choose between {SLIDE_PLAN_LIMITS.min} and {SLIDE_PLAN_LIMITS.max}
+                  </p>
+                </div>
+              ) : (
+                <p className="text-sm text-neutral-400">
+                  {SLIDE_PLANS[deckOption].map((type) => SLIDE_TYPE_LABELS[type]).join(' → ')}
+                </p>
+              )}
+            </motion.div>
+
+            <motion.div variants={itemVariants} className="space-y-4">
+              <div className="flex items-center space-x-2 text-neutral-300 font-medium">
+                <Mic className="h-5 w-5 text-primary-400" />
+                <span>Speaker script</span>
+              </div>
+              <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Speaker script">
+                {[{ seconds: null, label: 'None' }, ...SCRIPT_DURATIONS].map((option) => (
+                  <button
+                    key={option.label}
+                    type="button"
+                    role="radio"
+                    aria-checked={scriptDuration === option.seconds}
+                    onClick={() => setScriptDuration(option.seconds)}
+                    disabled={isSubmitting}
+                    className={`px-4 py-2 rounded-full text-sm font-medium border transition-all duration-300 ${
+                      scriptDuration === option.seconds
+                        ? 'border-primary-500/60 bg-primary-500/20 text-primary-300'
+                        : 'border-white/10 text-neutral-400 hover:text-neutral-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-neutral-400">
+                {scriptDuration
+                  ? 'Adds talking points to every slide and a spoken script timed to the slot'
+                  : 'Write talking points and a timed script now, or later from the finished deck'}
+              </p>
+            </motion.div>
+
+            <motion.div variants={itemVariants} className="space-y-4">
+              <div className="flex items-center space-x-2 text-neutral-300 font-medium">
+                <Tag className="h-5 w-5 text-primary-400" />
+                <span>Name ideas</span>
+              </div>
+              <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Name ideas">
+                {NAME_CANDIDATE_OPTIONS.map((option) => (
+                  <button
+                    key={option.label}
+                    type="button"
+                    role="radio"
+                    aria-checked={nameCandidates === option.count}
+                    onClick={() => setNameCandidates(option.count)}
+                    disabled={isSubmitting}
+                    className={`px-4 py-2 rounded-full text-sm font-medium border transition-all duration-300 ${
+                      nameCandidates === option.count
+                        ? 'border-primary-500/60 bg-primary-500/20 text-primary-300'
+                        : 'border-white/10 text-neutral-400 hover:text-neutral-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-neutral-400">
+                {nameCandidates
+                  ? 'Suggests alternative names with a rationale, checked for length, pronounceability, brand clashes and domains'
+                  : 'One company name, chosen for you'}
+              </p>
+            </motion.div>
+
             <motion.div variants={itemVariants}>
               <motion.button
                 type="submit"
-                disabled={!idea.trim() || idea.trim().length < 10 || isSubmitting}
+                disabled={!idea.trim() || idea.trim().length < 10 || isSubmitting || (deckOption === 'custom' && !isCustomPlanValid)}
                 className="w-full btn-primary text-xl py-6 px-8 flex items-center justify-center space-x-4 disabled:opacity-50 disabled:cursor-not-allowed animate-pulse-glow"
                 whileHover={{ scale: 1.02, y: -2 }}
                 whileTap={{ scale: 0.98 }}
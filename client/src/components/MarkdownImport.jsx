@@ -0,0 +1,57 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { FileUp } from 'lucide-react'
+import { importPitchMarkdown } from '../services/api'
+
+const MARKDOWN_MAX_SIZE = 200 * 1024
+
+const MarkdownImport = ({ onImport }) => {
+  const [isImporting, setIsImporting] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (file.size > MARKDOWN_MAX_SIZE) {
+      setError('Markdown files must be smaller than 200KB')
+      return
+    }
+
+    setIsImporting(true)
+    setError('')
+    try {
+      const result = await importPitchMarkdown(await file.text())
+      onImport(result.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <motion.div
+      className="flex flex-col items-center space-y-2 -mt-8"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+    >
+      <label className={`btn-ghost flex items-center space-x-2 cursor-pointer ${isImporting ? 'opacity-50 pointer-events-none' : ''}`}>
+        <FileUp className="h-5 w-5" />
+        <span>{isImporting ? 'Importing deck...' : 'Import a Markdown deck'}</span>
+        <input
+          type="file"
+          accept=".md,.markdown,text/markdown,text/plain"
+          onChange={handleFileChange}
+          className="hidden"
+          disabled={isImporting}
+        />
+      </label>
+      <p className="text-sm text-neutral-500">Exported from PitchPerfect, Marp or reveal-md</p>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </motion.div>
+  )
+}
+
+export default MarkdownImport
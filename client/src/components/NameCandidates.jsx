@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Tag, Globe, Check, AlertTriangle } from 'lucide-react'
+import { checkNames, renameSavedPitch } from '../services/api'
+import { renamePitch } from '../services/names'
+
+const PRONOUNCEABILITY_LABELS = { easy: 'Easy to say', ok: 'Sayable', hard: 'Hard to say' }
+const BRAND_MATCH_LABELS = { exact: 'Same as', contains: 'Contains', similar: 'Close to' }
+
+const DOMAIN_STYLES = {
+  available: 'border-emerald-500/40 text-emerald-300',
+  taken: 'border-white/10 text-neutral-500 line-through',
+  unknown: 'border-white/10 text-neutral-400'
+}
+
+const Badge = ({ ok, title, children }) => (
+  <span
+    title={title}
+    className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${
+      ok ? 'border-emerald-500/40 text-emerald-300' : 'border-amber-500/40 text-amber-300'
+    }`}
+  >
+    {ok ? <Check className="h-3 w-3" /> : <AlertTriangle className="h-3 w-3" />}
+    {children}
+  </span>
+)
+
+/**
+ * Name candidates suggested with the pitch, with offline checks and domain
+ * availability, and a button to switch the whole pitch over to one of them
+ */
+const NameCandidates = ({ pitchData, disabled = false, onPitchUpdate }) => {
+  const candidates = pitchData.nameCandidates || []
+  const [checks, setChecks] = useState({})
+  const [isChecking, setIsChecking] = useState(false)
+  const [pickingName, setPickingName] = useState(null)
+  const [error, setError] = useState('')
+
+  const candidateKey = candidates.map((candidate) => candidate.name).join('\n')
+
+  useEffect(() => {
+    if (!candidateKey) return undefined
+
+    let isCurrent = true
+    setIsChecking(true)
+    checkNames(candidateKey.split('\n'))
+      .then((result) => {
+        if (isCurrent) {
+          setChecks(Object.fromEntries(result.data.map((check) => [check.name, check])))
+        }
+      })
+      .catch((err) => {
+        if (isCurrent) setError(`Could not check names: ${err.message}`)
+      })
+      .finally(() => {
+        if (isCurrent) setIsChecking(false)
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [candidateKey])
+
+  const handlePick = async (name) => {
+    setPickingName(name)
+    setError('')
+    try {
+      if (pitchData._id) {
+        const result = await renameSavedPitch(pitchData._id, name)
+        const { name: savedName, elevator, slides, script } = result.data.pitch
+        onPitchUpdate?.({ ...pitchData, name: savedName, elevator, slides, script })
+      } else {
+        // Unsaved pitches (no database) are renamed in memory only
+        onPitchUpdate?.(renamePitch(pitchData, name))
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPickingName(null)
+    }
+  }
+
+  return (
+    <div className="glass-card p-6 md:p-8 border border-white/10">
+      <div className="flex items-center space-x-3 mb-6">
+        <Tag className="h-7 w-7 text-accent-400" />
+        <div>
+          <h3 className="text-2xl font-display font-bold text-white">Name Ideas</h3>
+          <p className="text-sm text-neutral-400">
+            {isChecking ? 'Checking names and domains...' : 'Pick a name and every slide that mentions the current one is rewritten'}
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      <ul className="space-y-4">
+        {candidates.map((candidate) => {
+          const check = checks[candidate.name]
+          const isCurrent = candidate.name.toLowerCase() === pitchData.name.toLowerCase()
+
+          return (
+            <li
+              key={candidate.name}
+              className={`p-4 rounded-xl border ${isCurrent ? 'border-primary-500/40 bg-primary-500/10' : 'border-white/10 bg-white/5'}`}
+            >
+              <div className="flex flex-col md:flex-row md:items-start justify-between gap-3">
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <span className="text-lg font-semibold text-white">{candidate.name}</span>
+                    {isCurrent && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-primary-500/20 text-primary-300">Current</span>
+                    )}
+                  </div>
+                  {candidate.rationale && <p className="text-sm text-neutral-300">{candidate.rationale}</p>}
+
+                  {check && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Badge ok={check.length.ok}>{check.length.message}</Badge>
+                      <Badge ok={check.pronounceability.level !== 'hard'} title={check.pronounceability.issues.join(', ')}>
+                        {PRONOUNCEABILITY_LABELS[check.pronounceability.level]}
+                      </Badge>
+                      {check.brands.length > 0 ? (
+                        check.brands.map(({ brand, match }) => (
+                          <Badge key={brand} ok={false}>{BRAND_MATCH_LABELS[match]} {brand}</Badge>
+                        ))
+                      ) : (
+                        <Badge ok>No brand clash</Badge>
+                      )}
+                      {check.domains.length > 0 && <Globe className="h-4 w-4 text-neutral-500 ml-1" />}
+                      {check.domains.map(({ domain, status }) => (
+                        <span
+                          key={domain}
+                          title={status}
+                          className={`px-2 py-0.5 rounded-full text-xs border font-mono ${DOMAIN_STYLES[status] || DOMAIN_STYLES.unknown}`}
+                        >
+                          {domain}{status === 'unknown' ? '?' : ''}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {!isCurrent && (
+                  <motion.button
+                    onClick={() => handlePick(candidate.name)}
+                    disabled={disabled || pickingName !== null}
+                    className="btn-ghost px-4 py-2 text-sm shrink-0"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    {pickingName === candidate.name ? 'Renaming...' : 'Use this name'}
+                  </motion.button>
+                )}
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+
+      <p className="mt-6 text-xs text-neutral-500">
+        Brand checks compare against a short list of well-known names. Run a proper trademark search before you commit to a name.
+      </p>
+    </div>
+  )
+}
+
+export default NameCandidates
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { Sparkles, Menu, X, Rocket, Star, Zap } from 'lucide-react'
+import { Sparkles, Menu, X, Rocket, Star, Zap, LogOut, User, History } from 'lucide-react'
 
-const Navigation = () => {
+const Navigation = ({ user, onSignIn, onSignOut, onOpenHistory }) => {
   const [isScrolled, setIsScrolled] = useState(false)
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
 
@@ -61,13 +61,42 @@ const Navigation = () => {
               )
             })}
             
-            <motion.button
-              className="btn-primary"
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-            >
-              Get Started
-            </motion.button>
+            {user ? (
+              <div className="flex items-center space-x-4">
+                {onOpenHistory && (
+                  <motion.button
+                    onClick={onOpenHistory}
+                    className="flex items-center space-x-2 text-neutral-300 hover:text-primary-400 transition-colors duration-300"
+                    whileHover={{ y: -2 }}
+                  >
+                    <History className="h-4 w-4" />
+                    <span className="font-medium">My Pitches</span>
+                  </motion.button>
+                )}
+                <span className="flex items-center space-x-2 text-neutral-300">
+                  <User className="h-4 w-4" />
+                  <span className="font-medium">{user.name || user.email}</span>
+                </span>
+                <motion.button
+                  onClick={onSignOut}
+                  className="btn-ghost flex items-center space-x-2"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <LogOut className="h-4 w-4" />
+                  <span>Sign Out</span>
+                </motion.button>
+              </div>
+            ) : (
+              <motion.button
+                onClick={onSignIn}
+                className="btn-primary"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Sign In
+              </motion.button>
+            )}
           </div>
 
           <div className="md:hidden">
@@ -103,9 +132,30 @@ const Navigation = () => {
                   </a>
                 )
               })}
-              <button className="btn-primary w-full mt-4">
-                Get Started
-              </button>
+              {user && onOpenHistory && (
+                <button
+                  onClick={() => { setIsMobileMenuOpen(false); onOpenHistory() }}
+                  className="flex items-center space-x-3 text-neutral-300 hover:text-primary-400 transition-colors duration-300 py-2"
+                >
+                  <History className="h-4 w-4" />
+                  <span className="font-medium">My Pitches</span>
+                </button>
+              )}
+              {user ? (
+                <button
+                  onClick={() => { setIsMobileMenuOpen(false); onSignOut() }}
+                  className="btn-ghost w-full mt-4"
+                >
+                  Sign Out ({user.name || user.email})
+                </button>
+              ) : (
+                <button
+                  onClick={() => { setIsMobileMenuOpen(false); onSignIn() }}
+                  className="btn-primary w-full mt-4"
+                >
+                  Sign In
+                </button>
+              )}
             </div>
           </motion.div>
         )}
@@ -0,0 +1,124 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Gauge, Wand2, Lightbulb } from 'lucide-react'
+import { critiquePitch } from '../services/api'
+import { CRITIQUE_CRITERIA, MAX_SCORE, getScoreColor } from '../services/critique'
+
+/**
+ * Investor critique of a saved pitch: a score per criterion and suggestions per slide
+ */
+const PitchCritique = ({ pitchData, disabled = false, onPitchUpdate }) => {
+  const { critique, slides } = pitchData
+  const [isScoring, setIsScoring] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleCritique = async () => {
+    setIsScoring(true)
+    setError('')
+    try {
+      const result = await critiquePitch(pitchData._id)
+      onPitchUpdate?.({ ...pitchData, critique: result.data.critique })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsScoring(false)
+    }
+  }
+
+  const slidesWithSuggestions = (critique?.suggestions || [])
+    .map((suggestions, index) => ({ index, suggestions }))
+    .filter(({ suggestions }) => suggestions.length > 0)
+
+  return (
+    <div className="glass-card p-6 md:p-8 border border-white/10">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <div className="flex items-center space-x-3">
+          <Gauge className="h-7 w-7 text-accent-400" />
+          <div>
+            <h3 className="text-2xl font-display font-bold text-white">Investor Critique</h3>
+            <p className="text-sm text-neutral-400">
+              {critique
+                ? critique.source === 'ai' ? 'Scored by the AI as a seed investor' : 'Scored offline with the rubric: word counts, numbers and jargon'
+                : 'How an investor would score this deck, with fixes for every slide'}
+            </p>
+          </div>
+        </div>
+
+        {pitchData._id && (
+          <motion.button
+            onClick={handleCritique}
+            disabled={isScoring || disabled}
+            className="btn-ghost px-4 py-2 flex items-center justify-center space-x-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <Wand2 className={`h-4 w-4 ${isScoring ? 'animate-spin' : ''}`} />
+            <span>{isScoring ? 'Scoring...' : critique ? 'Score Again' : 'Score Pitch'}</span>
+          </motion.button>
+        )}
+      </div>
+
+      {!pitchData._id && !critique && <p className="text-sm text-neutral-500">Save the pitch to get a critique.</p>}
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {critique && (
+        <div className="space-y-8">
+          <div className="flex flex-col md:flex-row gap-8">
+            <div className="flex flex-col items-center justify-center md:w-40 shrink-0">
+              <span className={`text-6xl font-display font-black ${getScoreColor(critique.overall).text}`}>
+                {critique.overall}
+              </span>
+              <span className="text-sm text-neutral-400">out of {MAX_SCORE}</span>
+            </div>
+
+            <div className="flex-1 space-y-3">
+              {CRITIQUE_CRITERIA.map(({ id, label }) => {
+                const score = critique.scores[id]
+                return (
+                  <div key={id} className="flex items-center gap-3">
+                    <span className="w-40 text-sm text-neutral-300">{label}</span>
+                    <div
+                      className="flex-1 h-2 rounded-full bg-white/10 overflow-hidden"
+                      role="meter"
+                      aria-label={label}
+                      aria-valuenow={score}
+                      aria-valuemin={0}
+                      aria-valuemax={MAX_SCORE}
+                    >
+                      <div className={`h-full rounded-full ${getScoreColor(score).bar}`} style={{ width: `${(score / MAX_SCORE) * 100}%` }} />
+                    </div>
+                    <span className={`w-8 text-right text-sm font-semibold tabular-nums ${getScoreColor(score).text}`}>{score}</span>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+
+          {critique.summary && <p className="text-neutral-200 leading-relaxed">{critique.summary}</p>}
+
+          {slidesWithSuggestions.length > 0 && (
+            <ol className="space-y-4">
+              {slidesWithSuggestions.map(({ index, suggestions }) => (
+                <li key={index}>
+                  <span className="text-xs uppercase tracking-wide text-neutral-500">
+                    Slide {index + 1}{slides[index]?.title ? ` · ${slides[index].title}` : ''}
+                  </span>
+                  <ul className="mt-1 space-y-1">
+                    {suggestions.map((suggestion) => (
+                      <li key={suggestion} className="flex items-start gap-2 text-sm text-neutral-300">
+                        <Lightbulb className="h-4 w-4 mt-0.5 text-accent-400 shrink-0" />
+                        <span>{suggestion}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PitchCritique
@@ -0,0 +1,434 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { ArrowLeft, ChevronLeft, ChevronRight, FolderOpen, History, Search, Star, Tag, Trash2 } from 'lucide-react'
+import { getPitchHistory, getPitchById, deletePitch, getFolders, getPitchTags, organizePitch } from '../services/api'
+import { SlideFrame } from './PresenterMode'
+import FolderBar from './FolderBar'
+
+const PAGE_SIZE = 12
+
+// '' leaves the order to the server: best match first while searching, newest first otherwise
+const SORT_OPTIONS = [
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'updated', label: 'Recently edited' },
+  { value: 'name', label: 'Name A-Z' }
+]
+
+// Wait for a pause in typing before searching, so every keystroke is not a request
+const SEARCH_DELAY = 300
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+
+/**
+ * Tags of a pitch, edited as one comma-separated line
+ */
+const TagEditor = ({ tags, disabled, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false)
+  const [value, setValue] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const saved = await onSave(value.split(',').map((tag) => tag.trim()).filter(Boolean))
+    if (saved) setIsEditing(false)
+  }
+
+  if (isEditing) {
+    return (
+      <form onSubmit={handleSubmit} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder="fintech, demo day"
+          aria-label="Tags, separated by commas"
+          className="input-field py-1 text-sm"
+          autoFocus
+        />
+        <button type="submit" disabled={disabled} className="text-sm text-primary-400 hover:text-primary-300">Save</button>
+        <button type="button" onClick={() => setIsEditing(false)} className="text-sm text-neutral-400 hover:text-white">Cancel</button>
+      </form>
+    )
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {tags.map((tag) => (
+        <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-white/10 text-neutral-300">#{tag}</span>
+      ))}
+      <button
+        onClick={() => {
+          setValue(tags.join(', '))
+          setIsEditing(true)
+        }}
+        disabled={disabled}
+        className="flex items-center gap-1 px-2 py-0.5 text-xs text-neutral-500 hover:text-primary-400 transition-colors duration-300"
+      >
+        <Tag className="h-3 w-3" />
+        {tags.length > 0 ? 'Edit tags' : 'Add tags'}
+      </button>
+    </div>
+  )
+}
+
+/**
+ * The signed-in user's saved pitches, searchable and a page at a time, each
+ * with a thumbnail of its first slide and a button to open it again
+ */
+const PitchHistory = ({ onOpen, onClose }) => {
+  const [pitches, setPitches] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [page, setPage] = useState(1)
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [sort, setSort] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [folder, setFolder] = useState('')
+  const [starred, setStarred] = useState(false)
+  const [tags, setTags] = useState([])
+  const [folders, setFolders] = useState([])
+  const [unfiledCount, setUnfiledCount] = useState(0)
+  const [tagCounts, setTagCounts] = useState([])
+  const [organizingId, setOrganizingId] = useState(null)
+  // Bumped whenever folders or tags change, to reload them with their counts
+  const [organizeKey, setOrganizeKey] = useState(0)
+  const [isLoading, setIsLoading] = useState(true)
+  const [openingId, setOpeningId] = useState(null)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQuery(search.trim())
+      // Newest first is the default again once the search is cleared
+      if (!search.trim()) setSort((prev) => (prev === 'newest' ? '' : prev))
+      setPage(1)
+    }, SEARCH_DELAY)
+    return () => clearTimeout(timeout)
+  }, [search])
+
+  useEffect(() => {
+    let cancelled = false
+
+    setIsLoading(true)
+    setError('')
+    getPitchHistory(page, PAGE_SIZE, { q: query, sort, from, to, folder, starred, tags })
+      .then((result) => {
+        if (cancelled) return
+        setPitches(result.data)
+        setPagination(result.pagination || null)
+        // Without a database the server answers with an empty list and says why
+        setMessage(result.pagination ? '' : result.message || '')
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false))
+
+    return () => {
+      cancelled = true
+    }
+  }, [page, query, sort, from, to, folder, starred, tags, reloadKey])
+
+  useEffect(() => {
+    let cancelled = false
+
+    Promise.all([getFolders(), getPitchTags()])
+      .then(([folderResult, tagResult]) => {
+        if (cancelled) return
+        setFolders(folderResult.data)
+        setUnfiledCount(folderResult.unfiledCount || 0)
+        setTagCounts(tagResult.data)
+      })
+      .catch((err) => !cancelled && setError(err.message))
+
+    return () => {
+      cancelled = true
+    }
+  }, [organizeKey])
+
+  const handleOpen = async (id) => {
+    setOpeningId(id)
+    setError('')
+    try {
+      const result = await getPitchById(id)
+      onOpen(result.data)
+    } catch (err) {
+      setError(err.message)
+      setOpeningId(null)
+    }
+  }
+
+  const handleDelete = async (pitch) => {
+    if (!window.confirm(`Delete "${pitch.name}" permanently?`)) return
+
+    setError('')
+    try {
+      await deletePitch(pitch._id)
+      // Step back when the last pitch on a page is deleted
+      if (pitches.length === 1 && page > 1) {
+        setPage(page - 1)
+      } else {
+        setReloadKey((key) => key + 1)
+      }
+      setOrganizeKey((key) => key + 1)
+    } catch (err) {
+      setError(`Failed to delete pitch: ${err.message}`)
+    }
+  }
+
+  /**
+   * Save tags, folder or star of a pitch; it stays on the page even when it no longer matches the filters
+   * @returns {Promise<boolean>} Whether the change was saved
+   */
+  const handleOrganize = async (pitch, changes) => {
+    setOrganizingId(pitch._id)
+    setError('')
+    try {
+      const result = await organizePitch(pitch._id, changes)
+      setPitches((prev) => prev.map((item) => (item._id === pitch._id ? { ...item, ...result.data } : item)))
+      setOrganizeKey((key) => key + 1)
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setOrganizingId(null)
+    }
+  }
+
+  const handleSelectFolder = (selection) => {
+    setFolder(selection.folder)
+    setStarred(selection.starred)
+    setPage(1)
+  }
+
+  const handleToggleTag = (tag) => {
+    setTags((prev) => (prev.includes(tag) ? prev.filter((item) => item !== tag) : [...prev, tag]))
+    setPage(1)
+  }
+
+  // Changing a filter starts again from the first page
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value)
+    setPage(1)
+  }
+
+  const hasFilters = Boolean(query || sort || from || to || folder || starred || tags.length)
+
+  const handleClearFilters = () => {
+    setSearch('')
+    setQuery('')
+    setSort('')
+    setFrom('')
+    setTo('')
+    setFolder('')
+    setStarred(false)
+    setTags([])
+    setPage(1)
+  }
+
+  const pageCount = pagination?.pages || 1
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 pt-32 pb-16">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-6 mb-10">
+        <div className="flex items-center space-x-3">
+          <History className="h-8 w-8 text-primary-400" />
+          <div>
+            <h2 className="text-3xl md:text-4xl font-display font-bold text-white">My Pitches</h2>
+            <p className="text-neutral-400">
+              {pagination ? `${pagination.total} saved ${pagination.total === 1 ? 'pitch' : 'pitches'}` : 'Pitches you generated while signed in'}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <div className="relative flex-1 md:w-80">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-neutral-500" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search names, ideas and slides"
+              aria-label="Search pitches"
+              className="input-field pl-10"
+            />
+          </div>
+          <motion.button
+            onClick={onClose}
+            className="btn-ghost flex items-center space-x-2 shrink-0"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <ArrowLeft className="h-4 w-4" />
+            <span>Back</span>
+          </motion.button>
+        </div>
+      </div>
+
+      <FolderBar
+        folders={folders}
+        unfiledCount={unfiledCount}
+        folder={folder}
+        starred={starred}
+        onSelect={handleSelectFolder}
+        onFoldersChange={() => setOrganizeKey((key) => key + 1)}
+      />
+
+      {tagCounts.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6" aria-label="Filter by tag">
+          {tagCounts.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => handleToggleTag(tag)}
+              aria-pressed={tags.includes(tag)}
+              className={`px-2 py-0.5 rounded-full text-xs border transition-colors duration-300 ${
+                tags.includes(tag) ? 'border-accent-500/60 bg-accent-500/20 text-white' : 'border-white/10 text-neutral-400 hover:border-white/30'
+              }`}
+            >
+              #{tag} <span className="text-neutral-500">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-end gap-4 mb-8">
+        <label className="flex flex-col gap-1 text-xs text-neutral-400">
+          Sort
+          <select value={sort} onChange={updateFilter(setSort)} className="input-field py-2">
+            <option value="">{query ? 'Best match' : 'Newest first'}</option>
+            {query && <option value="newest">Newest first</option>}
+            {SORT_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-neutral-400">
+          Created from
+          <input type="date" value={from} max={to || undefined} onChange={updateFilter(setFrom)} className="input-field py-2" />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-neutral-400">
+          to
+          <input type="date" value={to} min={from || undefined} onChange={updateFilter(setTo)} className="input-field py-2" />
+        </label>
+        {hasFilters && (
+          <button onClick={handleClearFilters} className="text-sm text-neutral-400 hover:text-primary-400 transition-colors duration-300 py-2">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-6">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-neutral-400 text-center py-16">Loading pitches...</p>
+      ) : pitches.length === 0 ? (
+        <p className="text-neutral-400 text-center py-16">
+          {message || (hasFilters ? 'No pitches match these filters.' : 'No saved pitches yet. Generate one and it will show up here.')}
+        </p>
+      ) : (
+        <ul className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+          {pitches.map((pitch) => (
+            <li key={pitch._id} className="glass-card border border-white/10 overflow-hidden flex flex-col">
+              <div className="relative">
+                {pitch.slides?.[0] ? (
+                  <SlideFrame slide={pitch.slides[0]} deckOptions={{ theme: pitch.theme, brand: pitch.brand }} scale={0.25} />
+                ) : (
+                  <div className="aspect-video bg-neutral-900 flex items-center justify-center text-neutral-500 text-sm">No slides</div>
+                )}
+                <button
+                  onClick={() => handleOrganize(pitch, { starred: !pitch.starred })}
+                  disabled={organizingId === pitch._id}
+                  className="absolute top-2 right-2 p-2 rounded-full bg-black/50 hover:bg-black/70 transition-colors duration-300"
+                  aria-label={pitch.starred ? `Unstar ${pitch.name}` : `Star ${pitch.name}`}
+                  aria-pressed={Boolean(pitch.starred)}
+                >
+                  <Star className={`h-4 w-4 ${pitch.starred ? 'text-amber-400 fill-amber-400' : 'text-white'}`} />
+                </button>
+              </div>
+
+              <div className="p-5 flex flex-col flex-1">
+                <h3 className="text-lg font-semibold text-white">{pitch.name}</h3>
+                <p className="text-xs text-neutral-500 mb-2">{formatDate(pitch.createdAt)}</p>
+                <p className="text-sm text-neutral-300 line-clamp-2 flex-1">{pitch.elevator || pitch.idea}</p>
+
+                <div className="mt-3 space-y-2">
+                  <TagEditor
+                    tags={pitch.tags || []}
+                    disabled={organizingId === pitch._id}
+                    onSave={(newTags) => handleOrganize(pitch, { tags: newTags })}
+                  />
+                  {folders.length > 0 && (
+                    <select
+                      value={pitch.folder || ''}
+                      onChange={(e) => handleOrganize(pitch, { folder: e.target.value || null })}
+                      disabled={organizingId === pitch._id}
+                      aria-label={`Folder of ${pitch.name}`}
+                      className="input-field py-1 text-sm"
+                    >
+                      <option value="">No folder</option>
+                      {folders.map((item) => (
+                        <option key={item._id} value={item._id}>{item.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2 mt-4">
+                  <motion.button
+                    onClick={() => handleOpen(pitch._id)}
+                    disabled={openingId !== null}
+                    className="btn-primary flex-1 py-2 flex items-center justify-center space-x-2"
+                    whileHover={{ scale: 1.03 }}
+                    whileTap={{ scale: 0.97 }}
+                  >
+                    <FolderOpen className="h-4 w-4" />
+                    <span>{openingId === pitch._id ? 'Opening...' : 'Open'}</span>
+                  </motion.button>
+                  <button
+                    onClick={() => handleDelete(pitch)}
+                    disabled={openingId !== null}
+                    className="p-2 rounded-lg text-neutral-400 hover:text-red-400 hover:bg-red-500/10 transition-colors duration-300"
+                    aria-label={`Delete ${pitch.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-10">
+          <motion.button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || isLoading}
+            className="w-12 h-12 bg-white/5 hover:bg-white/10 rounded-xl flex items-center justify-center transition-all duration-300 disabled:opacity-40"
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            aria-label="Previous page"
+          >
+            <ChevronLeft className="h-6 w-6 text-white" />
+          </motion.button>
+          <div className="text-white font-medium px-4 py-2 bg-white/5 rounded-lg">
+            Page {page} of {pageCount}
+          </div>
+          <motion.button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount || isLoading}
+            className="w-12 h-12 bg-white/5 hover:bg-white/10 rounded-xl flex items-center justify-center transition-all duration-300 disabled:opacity-40"
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            aria-label="Next page"
+          >
+            <ChevronRight className="h-6 w-6 text-white" />
+          </motion.button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PitchHistory
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { GitBranch, Shuffle, X } from 'lucide-react'
+import { remixPitch, getPitchLineage, getPitchById } from '../services/api'
+
+const REMIX_SUGGESTIONS = [
+  'The same idea but for B2B',
+  'Pivot to healthcare',
+  'Target Gen Z consumers',
+  'Turn it into a marketplace'
+]
+
+const REMIX_INSTRUCTION_MAX_LENGTH = 500
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+
+const LineageNode = ({ node, currentId, openingId, onOpen }) => {
+  const isCurrent = node._id === currentId
+
+  return (
+    <li>
+      <button
+        onClick={() => !isCurrent && onOpen(node._id)}
+        disabled={isCurrent || openingId !== null}
+        className={`w-full text-left rounded-lg px-3 py-2 text-sm transition-colors duration-300 ${
+          isCurrent ? 'bg-primary-500/20 border border-primary-500/40' : 'bg-black/20 border border-transparent hover:border-white/20'
+        }`}
+      >
+        <span className="flex items-center justify-between gap-3">
+          <span className="font-medium text-white truncate">{node.name}</span>
+          <span className="text-xs text-neutral-500 whitespace-nowrap">
+            {openingId === node._id ? 'Opening...' : isCurrent ? 'Open now' : formatDate(node.createdAt)}
+          </span>
+        </span>
+        {node.remixInstruction && (
+          <span className="flex items-center space-x-1 text-xs text-primary-300">
+            <Shuffle className="h-3 w-3" />
+            <span className="truncate">{node.remixInstruction}</span>
+          </span>
+        )}
+        <span className="block text-xs text-neutral-400 truncate">{node.elevator}</span>
+      </button>
+      {node.children.length > 0 && (
+        <ul className="ml-4 mt-2 space-y-2 border-l border-white/10 pl-4">
+          {node.children.map((child) => (
+            <LineageNode key={child._id} node={child} currentId={currentId} openingId={openingId} onOpen={onOpen} />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Remix a saved pitch with an instruction and browse the family tree of remixes it belongs to
+ */
+const PitchLineage = ({ pitchData, disabled = false, onOpenPitch, onClose }) => {
+  const [instruction, setInstruction] = useState('')
+  const [tree, setTree] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isRemixing, setIsRemixing] = useState(false)
+  const [openingId, setOpeningId] = useState(null)
+  const [error, setError] = useState('')
+
+  const pitchId = pitchData._id
+
+  useEffect(() => {
+    let cancelled = false
+
+    setIsLoading(true)
+    getPitchLineage(pitchId)
+      .then((result) => !cancelled && setTree(result.data))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false))
+
+    return () => {
+      cancelled = true
+    }
+  }, [pitchId])
+
+  const handleRemix = async (e) => {
+    e.preventDefault()
+    setIsRemixing(true)
+    setError('')
+    try {
+      const result = await remixPitch(pitchId, instruction.trim())
+      setInstruction('')
+      onOpenPitch(result.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsRemixing(false)
+    }
+  }
+
+  const handleOpen = async (id) => {
+    setOpeningId(id)
+    setError('')
+    try {
+      const result = await getPitchById(id)
+      onOpenPitch(result.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setOpeningId(null)
+    }
+  }
+
+  const hasRemixes = tree.length > 1 || tree.some((node) => node.children.length > 0)
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-8 rounded-xl border border-white/10 bg-white/5 p-4"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <span className="flex items-center space-x-2 text-neutral-300">
+          <GitBranch className="h-4 w-4" />
+          <span className="text-sm font-medium">Remix this pitch</span>
+        </span>
+        <button onClick={onClose} className="text-neutral-400 hover:text-white" aria-label="Close remixing">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <form onSubmit={handleRemix} className="flex flex-col md:flex-row gap-3 mb-3">
+        <input
+          type="text"
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="What should change? e.g. pivot to healthcare"
+          maxLength={REMIX_INSTRUCTION_MAX_LENGTH}
+          aria-label="Remix instruction"
+          className="input-field py-2 flex-1"
+        />
+        <button
+          type="submit"
+          disabled={disabled || isRemixing || !instruction.trim()}
+          className="btn-primary px-4 py-2 text-sm whitespace-nowrap"
+        >
+          {isRemixing ? 'Remixing...' : 'Remix'}
+        </button>
+      </form>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {REMIX_SUGGESTIONS.map((suggestion) => (
+          <button
+            key={suggestion}
+            onClick={() => setInstruction(suggestion)}
+            disabled={isRemixing}
+            className="px-3 py-1 rounded-full border border-white/10 text-xs text-neutral-300 hover:border-white/30 transition-colors duration-300"
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-neutral-500 mb-4">
+        A remix is saved as a new pitch; this one stays as it is.
+      </p>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-neutral-500">Loading remixes...</p>
+      ) : !hasRemixes ? (
+        <p className="text-sm text-neutral-500">No remixes yet. Remixes of this pitch, and remixes of those, show up here as a tree.</p>
+      ) : (
+        <ul className="space-y-2 max-h-[32rem] overflow-y-auto pr-1">
+          {tree.map((node) => (
+            <LineageNode key={node._id} node={node} currentId={pitchId} openingId={openingId} onOpen={handleOpen} />
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  )
+}
+
+export default PitchLineage
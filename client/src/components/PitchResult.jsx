@@ -17,25 +17,71 @@ import {
   Maximize2,
   Share2,
   Copy,
-  Check
+  Check,
+  RefreshCw,
+  Pencil,
+  Save,
+  X,
+  Trash2,
+  FileCode,
+  FileText,
+  Wand2,
+  History,
+  GitBranch
 } from 'lucide-react'
-import { generatePDF, downloadSlidesAsImages } from '../services/pdf'
+import { generatePDF, downloadServerPDF, downloadServerPPTX, downloadServerMarkdown, downloadHtmlDeck, downloadSlidesAsImages } from '../services/pdf'
+import { regenerateSlide, updatePitch, deletePitch, generateElevatorVariants } from '../services/api'
+import { renderSlideHtml, isLegacySlide } from '../services/slides'
+import { ELEVATOR_VARIANTS, TWEET_MAX_LENGTH } from '../services/elevator'
+import { estimateSpeakingTime, formatClock } from '../services/script'
 import CodePromptGenerator from './CodePromptGenerator'
+import ThemePicker from './ThemePicker'
+import BrandKitEditor from './BrandKitEditor'
+import SharePanel from './SharePanel'
+import RevisionPanel from './RevisionPanel'
+import PitchLineage from './PitchLineage'
+import PresenterMode from './PresenterMode'
+import PitchScript from './PitchScript'
+import NameCandidates from './NameCandidates'
+import PitchCritique from './PitchCritique'
 
-const PitchResult = ({ pitchData, originalIdea, onReset }) => {
+const PitchResult = ({ pitchData, originalIdea, isStreaming = false, onPitchUpdate, onOpenPitch, onReset }) => {
   const [currentSlide, setCurrentSlide] = useState(0)
   const [isDownloading, setIsDownloading] = useState(false)
   const [showSlidePreview, setShowSlidePreview] = useState(false)
   const [downloadType, setDownloadType] = useState('')
   const [copied, setCopied] = useState(false)
+  const [slideInstruction, setSlideInstruction] = useState('')
+  const [regeneratingSlide, setRegeneratingSlide] = useState(null)
+  const [regenerateError, setRegenerateError] = useState('')
+  const [isEditing, setIsEditing] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const [editError, setEditError] = useState('')
+  const [isSavingTheme, setIsSavingTheme] = useState(false)
+  const [themeError, setThemeError] = useState('')
+  const [showSharePanel, setShowSharePanel] = useState(false)
+  const [showRevisionPanel, setShowRevisionPanel] = useState(false)
+  const [showLineagePanel, setShowLineagePanel] = useState(false)
+  const [isPresenting, setIsPresenting] = useState(false)
+  const [elevatorView, setElevatorView] = useState('original')
+  const [isWritingVariants, setIsWritingVariants] = useState(false)
+  const [variantsError, setVariantsError] = useState('')
 
-  const { name, elevator, slides } = pitchData
+  const { name, elevator, slides } = isEditing ? draft : pitchData
+  const deckOptions = { theme: pitchData.theme, brand: pitchData.brand }
+  const { elevatorVariants } = pitchData
+  // Variants are read-only; editing always shows the original elevator pitch
+  const shownVariant = !isEditing && elevatorVariants && elevatorView !== 'original' ? elevatorView : null
+  const elevatorText = shownVariant ? elevatorVariants[shownVariant] : elevator
 
   const handlePrevSlide = () => {
+    if (slides.length === 0) return
     setCurrentSlide((prev) => prev === 0 ? slides.length - 1 : prev - 1)
   }
 
   const handleNextSlide = () => {
+    if (slides.length === 0) return
     setCurrentSlide((prev) => prev === slides.length - 1 ? 0 : prev + 1)
   }
 
@@ -43,7 +89,16 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
     setIsDownloading(true)
     setDownloadType('pdf')
     try {
-      await generatePDF(slides, name)
+      // Saved pitches get the server's vector PDF; unsaved edits and offline use fall back to the browser
+      if (pitchData._id && !isEditing && navigator.onLine) {
+        try {
+          await downloadServerPDF(pitchData._id, name)
+          return
+        } catch (error) {
+          console.warn('⚠️ Server PDF export failed, rendering in the browser instead:', error)
+        }
+      }
+      await generatePDF(slides, name, deckOptions)
     } catch (error) {
       alert(`Failed to generate PDF: ${error.message}`)
     } finally {
@@ -56,7 +111,7 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
     setIsDownloading(true)
     setDownloadType('images')
     try {
-      await downloadSlidesAsImages(slides, name)
+      await downloadSlidesAsImages(slides, name, deckOptions)
     } catch (error) {
       alert(`Failed to generate images: ${error.message}`)
     } finally {
@@ -65,9 +120,207 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
     }
   }
 
+  const handleDownloadPPTX = async () => {
+    setIsDownloading(true)
+    setDownloadType('pptx')
+    try {
+      await downloadServerPPTX(pitchData._id, name)
+    } catch (error) {
+      alert(`Failed to export PowerPoint: ${error.message}`)
+    } finally {
+      setIsDownloading(false)
+      setDownloadType('')
+    }
+  }
+
+  const handleDownloadMarkdown = async () => {
+    setIsDownloading(true)
+    setDownloadType('markdown')
+    try {
+      await downloadServerMarkdown(pitchData._id, name)
+    } catch (error) {
+      alert(`Failed to export Markdown: ${error.message}`)
+    } finally {
+      setIsDownloading(false)
+      setDownloadType('')
+    }
+  }
+
+  const handleDownloadHTML = async () => {
+    try {
+      await downloadHtmlDeck(slides, name, deckOptions)
+    } catch (error) {
+      alert(`Failed to export HTML deck: ${error.message}`)
+    }
+  }
+
+  const handleRegenerateSlide = async () => {
+    const index = currentSlide
+    setRegeneratingSlide(index)
+    setRegenerateError('')
+    try {
+      const result = await regenerateSlide(pitchData._id, index, slideInstruction)
+      const updatedSlides = [...slides]
+      updatedSlides[index] = result.data.slide
+      onPitchUpdate?.({ ...pitchData, slides: updatedSlides })
+      setSlideInstruction('')
+    } catch (error) {
+      setRegenerateError(error.message)
+    } finally {
+      setRegeneratingSlide(null)
+    }
+  }
+
+  const handleStartEditing = () => {
+    setDraft({ name: pitchData.name, elevator: pitchData.elevator, slides: [...pitchData.slides] })
+    setEditError('')
+    setIsEditing(true)
+  }
+
+  const handleCancelEditing = () => {
+    setIsEditing(false)
+    setDraft(null)
+    setEditError('')
+  }
+
+  const handleSlideFieldChange = (field, value) => {
+    setDraft((prev) => {
+      const updatedSlides = [...prev.slides]
+      updatedSlides[currentSlide] = { ...updatedSlides[currentSlide], [field]: value }
+      return { ...prev, slides: updatedSlides }
+    })
+  }
+
+  // Metrics are edited as "value | label" lines; a line without a pipe has no label yet
+  const metricsToText = (metrics = []) => metrics
+    .map(({ value, label }) => (label === undefined ? value : `${value}|${label}`))
+    .join('\n')
+
+  const textToMetrics = (text) => text.split('\n').map((line) => {
+    const [value, ...label] = line.split('|')
+    return { value, label: label.length > 0 ? label.join('|') : undefined }
+  })
+
+  const cleanSlide = (slide) => ({
+    ...slide,
+    title: slide.title.trim(),
+    subtitle: (slide.subtitle || '').trim(),
+    bullets: (slide.bullets || []).map((bullet) => bullet.trim()).filter(Boolean),
+    metrics: (slide.metrics || [])
+      .map(({ value, label }) => ({ value: (value || '').trim(), label: (label || '').trim() }))
+      .filter(({ value, label }) => value && label)
+  })
+
+  const handleSaveEdits = async () => {
+    if (!draft.name.trim() || !draft.elevator.trim()) {
+      setEditError('Name and elevator pitch cannot be empty')
+      return
+    }
+
+    const updates = {}
+    if (draft.name !== pitchData.name) updates.name = draft.name
+    if (draft.elevator !== pitchData.elevator) updates.elevator = draft.elevator
+    const changedSlides = {}
+    draft.slides.forEach((slide, index) => {
+      if (slide !== pitchData.slides[index]) changedSlides[index] = cleanSlide(slide)
+    })
+    if (Object.values(changedSlides).some((slide) => !slide.title)) {
+      setEditError('Every slide needs a title')
+      return
+    }
+    if (Object.keys(changedSlides).length > 0) updates.slides = changedSlides
+
+    if (Object.keys(updates).length === 0) {
+      handleCancelEditing()
+      return
+    }
+
+    setIsSaving(true)
+    setEditError('')
+    try {
+      if (pitchData._id) {
+        const result = await updatePitch(pitchData._id, updates)
+        const { name: savedName, elevator: savedElevator, slides: savedSlides } = result.data
+        onPitchUpdate?.({ ...pitchData, name: savedName, elevator: savedElevator, slides: savedSlides })
+      } else {
+        // Unsaved pitches (no database) are edited in memory only
+        const slides = draft.slides.map((slide, index) => changedSlides[index] || slide)
+        onPitchUpdate?.({ ...pitchData, ...draft, slides })
+      }
+      setIsEditing(false)
+      setDraft(null)
+    } catch (error) {
+      setEditError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Themes and brand kits only change how slides render, so they never go back to the AI
+  const handleDeckStyleChange = async (changes) => {
+    const previous = { theme: pitchData.theme, brand: pitchData.brand }
+    const next = { ...changes }
+    if (changes.brand) next.brand = { ...pitchData.brand, ...changes.brand }
+
+    setThemeError('')
+    onPitchUpdate?.({ ...pitchData, ...next })
+
+    if (!pitchData._id) return
+
+    setIsSavingTheme(true)
+    try {
+      const result = await updatePitch(pitchData._id, changes)
+      onPitchUpdate?.({ ...pitchData, theme: result.data.theme, brand: result.data.brand })
+    } catch (error) {
+      setThemeError(error.message)
+      onPitchUpdate?.({ ...pitchData, ...previous })
+    } finally {
+      setIsSavingTheme(false)
+    }
+  }
+
+  // A restored version may have fewer slides than the one on screen
+  const handleRevisionRestore = (restored) => {
+    setCurrentSlide(0)
+    onPitchUpdate?.({ ...pitchData, ...restored })
+  }
+
+  // Remixes and their relatives are other pitches; start them from the first slide
+  const handleOpenRelatedPitch = (pitch) => {
+    setCurrentSlide(0)
+    setElevatorView('original')
+    setShowRevisionPanel(false)
+    onOpenPitch(pitch)
+  }
+
+  const handleDeletePitch = async () => {
+    if (!window.confirm(`Delete "${pitchData.name}" permanently?`)) return
+
+    try {
+      await deletePitch(pitchData._id)
+      onReset()
+    } catch (error) {
+      alert(`Failed to delete pitch: ${error.message}`)
+    }
+  }
+
+  const handleWriteVariants = async () => {
+    setIsWritingVariants(true)
+    setVariantsError('')
+    try {
+      const result = await generateElevatorVariants(pitchData._id)
+      onPitchUpdate?.({ ...pitchData, elevatorVariants: result.data.variants })
+      if (elevatorView === 'original') setElevatorView(ELEVATOR_VARIANTS[0].id)
+    } catch (err) {
+      setVariantsError(err.message)
+    } finally {
+      setIsWritingVariants(false)
+    }
+  }
+
   const handleCopyElevatorPitch = async () => {
     try {
-      await navigator.clipboard.writeText(elevator)
+      await navigator.clipboard.writeText(elevatorText)
       setCopied(true)
       setTimeout(() => setCopied(false), 2000)
     } catch (error) {
@@ -161,9 +414,20 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                 >
                   <Crown className="h-12 w-12 text-accent-400 mr-4 glow" />
                 </motion.div>
-                <h1 className="text-5xl md:text-7xl font-display font-black gradient-text">
-                  {name}
-                </h1>
+                {isEditing ? (
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    maxLength={100}
+                    aria-label="Company name"
+                    className="text-4xl md:text-6xl font-display font-black text-center bg-white/5 border border-white/10 rounded-2xl px-4 py-2 text-white focus:outline-none focus:border-primary-500/50"
+                  />
+                ) : (
+                  <h1 className="text-5xl md:text-7xl font-display font-black gradient-text">
+                    {name}
+                  </h1>
+                )}
                 <motion.div
                   animate={{ scale: [1, 1.2, 1] }}
                   transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
@@ -204,7 +468,46 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                   )}
                 </motion.button>
               </div>
-              
+
+              {!isEditing && !isStreaming && elevator && (elevatorVariants || pitchData._id) && (
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                  {elevatorVariants && (
+                    <div className="flex flex-wrap gap-2" role="tablist" aria-label="Elevator pitch audience">
+                      {[{ id: 'original', label: 'Original' }, ...ELEVATOR_VARIANTS].map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          role="tab"
+                          aria-selected={(shownVariant || 'original') === option.id}
+                          onClick={() => setElevatorView(option.id)}
+                          className={`px-4 py-2 rounded-full text-sm font-medium border transition-all duration-300 ${
+                            (shownVariant || 'original') === option.id
+                              ? 'border-primary-500/60 bg-primary-500/20 text-primary-300'
+                              : 'border-white/10 text-neutral-400 hover:text-neutral-200'
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {pitchData._id && (
+                    <motion.button
+                      onClick={handleWriteVariants}
+                      disabled={isWritingVariants}
+                      className="btn-ghost px-4 py-2 text-sm flex items-center space-x-2"
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      <Wand2 className={`h-4 w-4 ${isWritingVariants ? 'animate-spin' : ''}`} />
+                      <span>
+                        {isWritingVariants ? 'Writing variants...' : elevatorVariants ? 'Rewrite Variants' : 'Variants for Investors, Customers & More'}
+                      </span>
+                    </motion.button>
+                  )}
+                </div>
+              )}
+
               <motion.div
                 className="relative p-8 bg-gradient-to-br from-white/5 to-white/10 rounded-2xl border border-white/10"
                 whileHover={{ y: -4 }}
@@ -213,17 +516,51 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                 <div className="absolute top-4 left-4">
                   <Sparkles className="h-6 w-6 text-accent-400 opacity-50" />
                 </div>
-                <p className="text-lg md:text-xl text-neutral-200 leading-relaxed font-medium italic">
-                  "{elevator}"
-                </p>
+                {isEditing ? (
+                  <textarea
+                    value={elevator}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, elevator: e.target.value }))}
+                    maxLength={1000}
+                    rows={3}
+                    aria-label="Elevator pitch"
+                    className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-3 text-lg text-neutral-200 focus:outline-none focus:border-primary-500/50 resize-none"
+                  />
+                ) : elevator ? (
+                  <p className="text-lg md:text-xl text-neutral-200 leading-relaxed font-medium italic">
+                    "{elevatorText}"
+                  </p>
+                ) : (
+                  <p className="text-lg md:text-xl text-neutral-400 leading-relaxed font-medium italic animate-pulse">
+                    Crafting your elevator pitch...
+                  </p>
+                )}
                 <div className="absolute bottom-4 right-4">
                   <Sparkles className="h-6 w-6 text-primary-400 opacity-50" />
                 </div>
               </motion.div>
+
+              {shownVariant === 'tweet' && (
+                <p className="mt-3 text-sm text-neutral-400 text-right">
+                  {elevatorText.length}/{TWEET_MAX_LENGTH} characters
+                </p>
+              )}
+              {shownVariant === 'spoken' && (
+                <p className="mt-3 text-sm text-neutral-400 text-right">
+                  About {formatClock(estimateSpeakingTime(elevatorText))} spoken
+                </p>
+              )}
+              {variantsError && <p className="mt-3 text-sm text-red-400">{variantsError}</p>}
             </motion.div>
           </div>
         </motion.div>
 
+        {/* Name Candidates */}
+        {!isStreaming && pitchData.nameCandidates?.length > 1 && (
+          <motion.div variants={itemVariants}>
+            <NameCandidates pitchData={pitchData} disabled={isEditing} onPitchUpdate={onPitchUpdate} />
+          </motion.div>
+        )}
+
         {/* Pitch Deck Section */}
         <motion.div
           variants={itemVariants}
@@ -243,12 +580,48 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                     Pitch Deck
                   </h2>
                   <p className="text-neutral-400">
-                    Slide {currentSlide + 1} of {slides.length}
+                    {slides.length > 0 ? `Slide ${currentSlide + 1} of ${slides.length}` : 'Designing your slides'}
+                    {isStreaming && ' · generating...'}
                   </p>
                 </div>
               </div>
               
               <div className="flex items-center space-x-3">
+                {isEditing ? (
+                  <>
+                    <motion.button
+                      onClick={handleSaveEdits}
+                      disabled={isSaving}
+                      className="btn-primary px-4 py-2 flex items-center space-x-2"
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      <Save className="h-4 w-4" />
+                      <span>{isSaving ? 'Saving...' : 'Save'}</span>
+                    </motion.button>
+                    <motion.button
+                      onClick={handleCancelEditing}
+                      disabled={isSaving}
+                      className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                    >
+                      <X className="h-4 w-4" />
+                      <span>Cancel</span>
+                    </motion.button>
+                  </>
+                ) : (
+                  <motion.button
+                    onClick={handleStartEditing}
+                    disabled={isStreaming}
+                    className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <Pencil className="h-4 w-4" />
+                    <span>Edit</span>
+                  </motion.button>
+                )}
                 <motion.button
                   onClick={() => setShowSlidePreview(true)}
                   className="btn-ghost px-4 py-2 flex items-center space-x-2"
@@ -259,6 +632,19 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                   <span>Fullscreen</span>
                 </motion.button>
                 <motion.button
+                  onClick={() => setIsPresenting(true)}
+                  disabled={isStreaming || isEditing || slides.length === 0}
+                  className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <Presentation className="h-4 w-4" />
+                  <span>Present</span>
+                </motion.button>
+                <motion.button
+                  onClick={() => setShowSharePanel((prev) => !prev)}
+                  disabled={!pitchData._id || isStreaming}
+                  title={pitchData._id ? 'Create a read-only link to this pitch' : 'Save the pitch to share it'}
                   className="btn-ghost px-4 py-2 flex items-center space-x-2"
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
@@ -266,9 +652,77 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                   <Share2 className="h-4 w-4" />
                   <span>Share</span>
                 </motion.button>
+                <motion.button
+                  onClick={() => setShowRevisionPanel((prev) => !prev)}
+                  disabled={!pitchData._id || isStreaming}
+                  title={pitchData._id ? 'Compare and restore earlier versions' : 'Save the pitch to keep its revisions'}
+                  className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <History className="h-4 w-4" />
+                  <span>History</span>
+                </motion.button>
+                {onOpenPitch && (
+                  <motion.button
+                    onClick={() => setShowLineagePanel((prev) => !prev)}
+                    disabled={!pitchData._id || isStreaming}
+                    title={pitchData._id ? 'Make a new pitch from this one' : 'Save the pitch to remix it'}
+                    className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <GitBranch className="h-4 w-4" />
+                    <span>Remix</span>
+                  </motion.button>
+                )}
               </div>
             </div>
 
+            <AnimatePresence>
+              {showSharePanel && pitchData._id && (
+                <SharePanel pitchId={pitchData._id} onClose={() => setShowSharePanel(false)} />
+              )}
+            </AnimatePresence>
+
+            <AnimatePresence>
+              {showRevisionPanel && pitchData._id && (
+                <RevisionPanel
+                  pitchData={pitchData}
+                  disabled={isEditing || isStreaming}
+                  onRestore={handleRevisionRestore}
+                  onClose={() => setShowRevisionPanel(false)}
+                />
+              )}
+            </AnimatePresence>
+
+            <AnimatePresence>
+              {showLineagePanel && pitchData._id && (
+                <PitchLineage
+                  pitchData={pitchData}
+                  disabled={isEditing || isStreaming}
+                  onOpenPitch={handleOpenRelatedPitch}
+                  onClose={() => setShowLineagePanel(false)}
+                />
+              )}
+            </AnimatePresence>
+
+            {/* Deck Theme */}
+            <ThemePicker
+              theme={pitchData.theme}
+              brand={pitchData.brand}
+              onChange={handleDeckStyleChange}
+              disabled={isStreaming || isSavingTheme}
+            />
+            <BrandKitEditor
+              brand={pitchData.brand}
+              onSave={handleDeckStyleChange}
+              disabled={isStreaming || isSavingTheme}
+            />
+            {themeError && (
+              <p className="-mt-6 mb-6 text-sm text-red-400">{themeError}</p>
+            )}
+
             {/* Slide Navigation */}
             <div className="flex items-center space-x-6 mb-8">
               <motion.button
@@ -322,16 +776,27 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                   transition={{ duration: 0.4, ease: "easeInOut" }}
                   className="absolute inset-0"
                 >
-                  <div 
-                    dangerouslySetInnerHTML={{ __html: slides[currentSlide] }}
-                    className="w-full h-full slide-content"
-                    style={{ 
-                      transform: 'scale(0.5)',
-                      transformOrigin: 'top left',
-                      width: '200%',
-                      height: '200%'
-                    }}
-                  />
+                  {slides[currentSlide] ? (
+                    <div 
+                      dangerouslySetInnerHTML={{ __html: renderSlideHtml(slides[currentSlide], deckOptions) }}
+                      className="w-full h-full slide-content"
+                      style={{ 
+                        transform: 'scale(0.5)',
+                        transformOrigin: 'top left',
+                        width: '200%',
+                        height: '200%'
+                      }}
+                    />
+                  ) : (
+                    <div className="w-full h-full flex flex-col items-center justify-center space-y-4 text-neutral-400">
+                      <motion.div
+                        className="w-10 h-10 border-2 border-primary-400 border-t-transparent rounded-full"
+                        animate={{ rotate: 360 }}
+                        transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                      />
+                      <span>Designing slide {currentSlide + 1}...</span>
+                    </div>
+                  )}
                 </motion.div>
               </AnimatePresence>
               
@@ -345,17 +810,117 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
                 <Eye className="h-5 w-5 text-white" />
               </motion.button>
             </motion.div>
+
+            {isEditing && slides[currentSlide] && (
+              isLegacySlide(slides[currentSlide]) ? (
+                <p className="mt-4 text-sm text-neutral-400">
+                  This slide was created before slides became editable. Regenerate it to edit its content.
+                </p>
+              ) : (
+                <div className="mt-6 grid gap-4 md:grid-cols-[6rem_1fr]">
+                  <input
+                    type="text"
+                    value={slides[currentSlide].icon || ''}
+                    onChange={(e) => handleSlideFieldChange('icon', e.target.value)}
+                    className="input-field text-center text-2xl"
+                    maxLength={16}
+                    aria-label="Slide icon"
+                  />
+                  <input
+                    type="text"
+                    value={slides[currentSlide].title || ''}
+                    onChange={(e) => handleSlideFieldChange('title', e.target.value)}
+                    className="input-field font-bold"
+                    maxLength={120}
+                    placeholder="Title"
+                    aria-label="Slide title"
+                  />
+                  <textarea
+                    value={slides[currentSlide].subtitle || ''}
+                    onChange={(e) => handleSlideFieldChange('subtitle', e.target.value)}
+                    className="input-field md:col-span-2 resize-none"
+                    rows={2}
+                    maxLength={400}
+                    placeholder="Supporting sentence"
+                    aria-label="Slide subtitle"
+                  />
+                  <textarea
+                    value={(slides[currentSlide].bullets || []).join('\n')}
+                    onChange={(e) => handleSlideFieldChange('bullets', e.target.value.split('\n'))}
+                    className="input-field md:col-span-2 resize-none"
+                    rows={3}
+                    placeholder="Bullet points, one per line"
+                    aria-label="Slide bullet points"
+                  />
+                  <textarea
+                    value={metricsToText(slides[currentSlide].metrics)}
+                    onChange={(e) => handleSlideFieldChange('metrics', textToMetrics(e.target.value))}
+                    className="input-field md:col-span-2 resize-none"
+                    rows={2}
+                    placeholder="Key numbers, one per line: $4.2B | Market size"
+                    aria-label="Slide metrics"
+                  />
+                </div>
+              )
+            )}
+            {editError && (
+              <p className="mt-2 text-sm text-red-400">{editError}</p>
+            )}
+
+            {/* Per-slide regeneration */}
+            {pitchData._id && !isStreaming && !isEditing && slides[currentSlide] && (
+              <div className="mt-6 space-y-2">
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={slideInstruction}
+                    onChange={(e) => setSlideInstruction(e.target.value)}
+                    maxLength={500}
+                    placeholder={`Optional instruction for slide ${currentSlide + 1}, e.g. "make it more data-driven"`}
+                    className="flex-1 px-4 py-3 bg-white/5 border border-white/10 rounded-xl text-white placeholder-neutral-500 focus:outline-none focus:border-primary-500/50"
+                    disabled={regeneratingSlide !== null}
+                  />
+                  <motion.button
+                    onClick={handleRegenerateSlide}
+                    disabled={regeneratingSlide !== null}
+                    className="btn-ghost px-4 py-3 flex items-center justify-center space-x-2"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    <RefreshCw className={`h-4 w-4 ${regeneratingSlide === currentSlide ? 'animate-spin' : ''}`} />
+                    <span>{regeneratingSlide === currentSlide ? 'Regenerating...' : 'Regenerate Slide'}</span>
+                  </motion.button>
+                </div>
+                {regenerateError && (
+                  <p className="text-sm text-red-400">{regenerateError}</p>
+                )}
+              </div>
+            )}
           </div>
         </motion.div>
 
+        {/* Pitch Critique */}
+        {!isStreaming && slides.length > 0 && (
+          <motion.div variants={itemVariants}>
+            <PitchCritique pitchData={pitchData} disabled={isEditing} onPitchUpdate={onPitchUpdate} />
+          </motion.div>
+        )}
+
+        {/* Pitch Script */}
+        {!isStreaming && slides.length > 0 && (
+          <motion.div variants={itemVariants}>
+            <PitchScript pitchData={pitchData} disabled={isEditing} onPitchUpdate={onPitchUpdate} />
+          </motion.div>
+        )}
+
         {/* Action Buttons */}
         <motion.div
           variants={itemVariants}
-          className="flex flex-col md:flex-row gap-6 justify-center items-center"
+          className="flex flex-col md:flex-row md:flex-wrap gap-6 justify-center items-center"
         >
           <motion.button
             onClick={handleDownloadPDF}
-            disabled={isDownloading}
+            disabled={isDownloading || isStreaming || isEditing}
             className="btn-primary text-lg py-4 px-8 flex items-center space-x-3 animate-pulse-glow min-w-[200px]"
             whileHover={{ scale: 1.05, y: -2 }}
             whileTap={{ scale: 0.95 }}
@@ -380,7 +945,7 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
 
           <motion.button
             onClick={handleDownloadImages}
-            disabled={isDownloading}
+            disabled={isDownloading || isStreaming || isEditing}
             className="btn-secondary text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px]"
             whileHover={{ scale: 1.05, y: -2 }}
             whileTap={{ scale: 0.95 }}
@@ -402,6 +967,56 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
             )}
           </motion.button>
 
+          <motion.button
+            onClick={handleDownloadHTML}
+            disabled={isDownloading || isStreaming || isEditing}
+            className="btn-secondary text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px]"
+            whileHover={{ scale: 1.05, y: -2 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <FileCode className="h-5 w-5" />
+            <span>Download as HTML deck</span>
+          </motion.button>
+
+          {pitchData._id && (
+            <motion.button
+              onClick={handleDownloadPPTX}
+              disabled={isDownloading || isStreaming || isEditing}
+              className="btn-secondary text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px]"
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {isDownloading && downloadType === 'pptx' ? (
+                <>
+                  <motion.div
+                    className="w-5 h-5 border-2 border-white border-t-transparent rounded-full"
+                    animate={{ rotate: 360 }}
+                    transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                  />
+                  <span>Exporting PowerPoint...</span>
+                </>
+              ) : (
+                <>
+                  <Presentation className="h-5 w-5" />
+                  <span>Download PowerPoint</span>
+                </>
+              )}
+            </motion.button>
+          )}
+
+          {pitchData._id && (
+            <motion.button
+              onClick={handleDownloadMarkdown}
+              disabled={isDownloading || isStreaming || isEditing}
+              className="btn-ghost text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px]"
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <FileText className="h-5 w-5" />
+              <span>{isDownloading && downloadType === 'markdown' ? 'Exporting Markdown...' : 'Download Markdown'}</span>
+            </motion.button>
+          )}
+
           <motion.button
             onClick={onReset}
             className="btn-ghost text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px]"
@@ -411,9 +1026,34 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
             <RotateCcw className="h-5 w-5" />
             <span>Create New Pitch</span>
           </motion.button>
+
+          {pitchData._id && !isStreaming && (
+            <motion.button
+              onClick={handleDeletePitch}
+              disabled={isEditing}
+              className="btn-ghost text-lg py-4 px-8 flex items-center space-x-3 min-w-[200px] text-red-400"
+              whileHover={{ scale: 1.05, y: -2 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <Trash2 className="h-5 w-5" />
+              <span>Delete Pitch</span>
+            </motion.button>
+          )}
         </motion.div>
       </div>
 
+      {isPresenting && (
+        <PresenterMode
+          slides={pitchData.slides}
+          name={pitchData.name}
+          deckOptions={deckOptions}
+          pitchId={pitchData._id}
+          initialSlide={currentSlide}
+          onNotesGenerated={(notedSlides) => onPitchUpdate?.({ ...pitchData, slides: notedSlides })}
+          onClose={() => setIsPresenting(false)}
+        />
+      )}
+
       {/* Fullscreen Slide Preview Modal */}
       <AnimatePresence>
         {showSlidePreview && (
@@ -433,7 +1073,7 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
               onClick={(e) => e.stopPropagation()}
             >
               <div 
-                dangerouslySetInnerHTML={{ __html: slides[currentSlide] }}
+                dangerouslySetInnerHTML={{ __html: renderSlideHtml(slides[currentSlide], deckOptions) }}
                 className="w-full h-full slide-content"
               />
               
@@ -477,7 +1117,7 @@ const PitchResult = ({ pitchData, originalIdea, onReset }) => {
       </AnimatePresence>
       
       {/* Enhanced AI Code Generator */}
-      <CodePromptGenerator idea={originalIdea} pitchData={pitchData} />
+      {!isStreaming && <CodePromptGenerator idea={originalIdea} pitchData={pitchData} />}
     </motion.div>
   )
 }
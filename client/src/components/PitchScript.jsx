@@ -0,0 +1,161 @@
+import React, { useState } from 'react'
+import { createPortal } from 'react-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Mic, Copy, Check, ScrollText, Wand2 } from 'lucide-react'
+import { generatePitchScript } from '../services/api'
+import { SCRIPT_DURATIONS, DEFAULT_SCRIPT_DURATION, countWords, estimateSpeakingTime, formatClock, scriptToText } from '../services/script'
+import Teleprompter from './Teleprompter'
+
+const durationLabel = (seconds) => SCRIPT_DURATIONS.find((option) => option.seconds === seconds)?.label || `${seconds} seconds`
+
+/**
+ * Spoken script of a pitch: write it for a time slot, read it, copy it or run it as a teleprompter
+ */
+const PitchScript = ({ pitchData, disabled = false, onPitchUpdate }) => {
+  const { script, slides } = pitchData
+  const [duration, setDuration] = useState(script?.duration || DEFAULT_SCRIPT_DURATION)
+  const [isWriting, setIsWriting] = useState(false)
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+  const [showTeleprompter, setShowTeleprompter] = useState(false)
+
+  const text = scriptToText(script)
+  const spokenSeconds = estimateSpeakingTime(text)
+  const isOverTime = script && spokenSeconds > script.duration * 1.1
+
+  const handleWriteScript = async () => {
+    setIsWriting(true)
+    setError('')
+    try {
+      const result = await generatePitchScript(pitchData._id, duration)
+      const { slides: notedSlides, script: savedScript } = result.data.pitch
+      onPitchUpdate?.({ ...pitchData, slides: notedSlides, script: savedScript })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsWriting(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Failed to copy script:', err)
+    }
+  }
+
+  return (
+    <div className="glass-card p-6 md:p-8 border border-white/10">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <div className="flex items-center space-x-3">
+          <Mic className="h-7 w-7 text-secondary-400" />
+          <div>
+            <h3 className="text-2xl font-display font-bold text-white">Pitch Script</h3>
+            {script ? (
+              <p className={`text-sm ${isOverTime ? 'text-amber-300' : 'text-neutral-400'}`}>
+                {durationLabel(script.duration)} slot · {countWords(text)} words · about {formatClock(spokenSeconds)} spoken
+              </p>
+            ) : (
+              <p className="text-sm text-neutral-400">Talking points for every slide and the words to say, timed to your slot</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {script && (
+            <>
+              <motion.button
+                onClick={() => setShowTeleprompter(true)}
+                className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                <ScrollText className="h-4 w-4" />
+                <span>Teleprompter</span>
+              </motion.button>
+              <motion.button
+                onClick={handleCopy}
+                className="btn-ghost px-4 py-2 flex items-center space-x-2"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                {copied ? <Check className="h-4 w-4 text-emerald-400" /> : <Copy className="h-4 w-4" />}
+                <span>{copied ? 'Copied!' : 'Copy'}</span>
+              </motion.button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {pitchData._id ? (
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-6">
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Script length">
+            {SCRIPT_DURATIONS.map((option) => (
+              <button
+                key={option.seconds}
+                type="button"
+                role="radio"
+                aria-checked={duration === option.seconds}
+                onClick={() => setDuration(option.seconds)}
+                disabled={isWriting || disabled}
+                className={`px-4 py-2 rounded-full text-sm font-medium border transition-all duration-300 ${
+                  duration === option.seconds
+                    ? 'border-primary-500/60 bg-primary-500/20 text-primary-300'
+                    : 'border-white/10 text-neutral-400 hover:text-neutral-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <motion.button
+            onClick={handleWriteScript}
+            disabled={isWriting || disabled}
+            className="btn-ghost px-4 py-2 flex items-center justify-center space-x-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <Wand2 className={`h-4 w-4 ${isWriting ? 'animate-spin' : ''}`} />
+            <span>{isWriting ? 'Writing script...' : script ? 'Rewrite Script' : 'Write Script'}</span>
+          </motion.button>
+        </div>
+      ) : (
+        !script && <p className="text-sm text-neutral-500 mb-6">Save the pitch to write a script for it.</p>
+      )}
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {script && (
+        <ol className="space-y-5">
+          {script.sections.map((section, index) => section && (
+            <li key={index}>
+              <span className="text-xs uppercase tracking-wide text-neutral-500">
+                Slide {index + 1}{slides[index]?.title ? ` · ${slides[index].title}` : ''}
+              </span>
+              <p className="mt-1 text-neutral-200 leading-relaxed">{section}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* The card's backdrop blur would otherwise contain the fixed overlay */}
+      {createPortal(
+        <AnimatePresence>
+          {showTeleprompter && script && (
+            <Teleprompter
+              script={script}
+              slides={slides}
+              onClose={() => setShowTeleprompter(false)}
+            />
+          )}
+        </AnimatePresence>,
+        document.body
+      )}
+    </div>
+  )
+}
+
+export default PitchScript
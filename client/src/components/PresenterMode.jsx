@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { createPortal } from 'react-dom'
+import { ChevronLeft, ChevronRight, MonitorUp, Play, Pause, RotateCcw, Wand2, X } from 'lucide-react'
+import { renderSlideHtml } from '../services/slides'
+import { generateSpeakerNotes } from '../services/api'
+import { formatClock } from '../services/script'
+
+// Countdown lengths of the usual pitch formats, in minutes
+export const PITCH_FORMATS = [2, 5, 10]
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter', 'n']
+const PREV_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace', 'p']
+// Presentation clickers send Page Up/Down for the arrows and "." or "b" for the blank-screen button
+const BLACKOUT_KEYS = ['.', 'b', 'B']
+
+/**
+ * Render a slide at a fraction of its natural size, like the thumbnails in PitchResult and PitchHistory
+ */
+export const SlideFrame = ({ slide, deckOptions, scale = 1, className = '' }) => (
+  <div className={`relative aspect-video overflow-hidden bg-neutral-900 ${className}`}>
+    {slide ? (
+      <div
+        dangerouslySetInnerHTML={{ __html: renderSlideHtml(slide, deckOptions) }}
+        className="slide-content absolute top-0 left-0"
+        style={{
+          transform: `scale(${scale})`,
+          transformOrigin: 'top left',
+          width: `${100 / scale}%`,
+          height: `${100 / scale}%`
+        }}
+      />
+    ) : (
+      <div className="w-full h-full flex items-center justify-center text-neutral-500 text-sm">End of deck</div>
+    )}
+  </div>
+)
+
+/**
+ * Countdown that keeps running while the presenter window re-renders
+ * @param {number} minutes - Length of the pitch
+ * @returns {Object} { remaining, isRunning, start, pause, reset }
+ */
+const useCountdown = (minutes) => {
+  const [elapsedBefore, setElapsedBefore] = useState(0)
+  const [startedAt, setStartedAt] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (startedAt === null) return undefined
+    const interval = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(interval)
+  }, [startedAt])
+
+  const elapsed = elapsedBefore + (startedAt === null ? 0 : (now - startedAt) / 1000)
+
+  return {
+    remaining: minutes * 60 - elapsed,
+    isRunning: startedAt !== null,
+    start: () => {
+      setNow(Date.now())
+      setStartedAt(Date.now())
+    },
+    pause: () => {
+      setElapsedBefore(elapsed)
+      setStartedAt(null)
+    },
+    reset: () => {
+      setElapsedBefore(0)
+      setStartedAt(null)
+    }
+  }
+}
+
+/**
+ * Open a second browser window that shares this page's styles and render into it through a portal
+ * @returns {Object} { container, presenterWindow, open, close, error }
+ */
+const usePresenterWindow = () => {
+  const [container, setContainer] = useState(null)
+  const [error, setError] = useState('')
+  const windowRef = useRef(null)
+
+  const close = useCallback(() => {
+    windowRef.current?.close()
+    windowRef.current = null
+    setContainer(null)
+  }, [])
+
+  const open = useCallback(() => {
+    if (windowRef.current && !windowRef.current.closed) {
+      windowRef.current.focus()
+      return
+    }
+
+    const presenterWindow = window.open('', 'pitchperfect-presenter', 'width=1200,height=760')
+    if (!presenterWindow) {
+      setError('The presenter view was blocked; allow pop-ups for this site and try again')
+      return
+    }
+
+    setError('')
+    presenterWindow.document.title = 'Presenter view - PitchPerfect'
+    presenterWindow.document.body.innerHTML = ''
+    presenterWindow.document.body.className = 'bg-neutral-950 text-neutral-50'
+    // Vite injects <style> tags in development and <link> tags in production; copy both
+    document.querySelectorAll('link[rel="stylesheet"], style').forEach((node) => {
+      const copy = node.cloneNode(true)
+      if (node.href) copy.href = node.href
+      presenterWindow.document.head.appendChild(copy)
+    })
+
+    const root = presenterWindow.document.createElement('div')
+    presenterWindow.document.body.appendChild(root)
+    presenterWindow.addEventListener('pagehide', () => {
+      windowRef.current = null
+      setContainer(null)
+    })
+
+    windowRef.current = presenterWindow
+    setContainer(root)
+  }, [])
+
+  useEffect(() => () => windowRef.current?.close(), [])
+
+  return { container, presenterWindow: windowRef.current, open, close, error }
+}
+
+const PresenterMode = ({ slides, name, deckOptions, pitchId, initialSlide = 0, onNotesGenerated, onClose }) => {
+  const [currentSlide, setCurrentSlide] = useState(Math.min(initialSlide, slides.length - 1))
+  const [isBlackedOut, setIsBlackedOut] = useState(false)
+  const [minutes, setMinutes] = useState(PITCH_FORMATS[0])
+  const [isGeneratingNotes, setIsGeneratingNotes] = useState(false)
+  const [notesError, setNotesError] = useState('')
+  const audienceRef = useRef(null)
+  const timer = useCountdown(minutes)
+  const { container, presenterWindow, open: openPresenterWindow, close: closePresenterWindow, error: windowError } = usePresenterWindow()
+
+  const goTo = useCallback((index) => {
+    setIsBlackedOut(false)
+    setCurrentSlide(Math.max(0, Math.min(slides.length - 1, index)))
+  }, [slides.length])
+
+  const handleExit = useCallback(() => {
+    closePresenterWindow()
+    if (document.fullscreenElement) document.exitFullscreen?.()
+    onClose()
+  }, [closePresenterWindow, onClose])
+
+  // The audience view fills the screen; browsers only allow this right after the click that opened it
+  useEffect(() => {
+    audienceRef.current?.requestFullscreen?.().catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return
+      // Space and Enter on a focused control press it rather than advancing twice
+      if (e.target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter')) return
+
+      if (NEXT_KEYS.includes(e.key)) goTo(currentSlide + 1)
+      else if (PREV_KEYS.includes(e.key)) goTo(currentSlide - 1)
+      else if (e.key === 'Home') goTo(0)
+      else if (e.key === 'End') goTo(slides.length - 1)
+      else if (BLACKOUT_KEYS.includes(e.key)) setIsBlackedOut((prev) => !prev)
+      else if (e.key === 'Escape' && !document.fullscreenElement) handleExit()
+      else return
+      e.preventDefault()
+    }
+
+    // Both windows drive the same deck, whichever one has focus
+    const targets = [window, presenterWindow].filter(Boolean)
+    targets.forEach((target) => target.addEventListener('keydown', handleKeyDown))
+    return () => targets.forEach((target) => target.removeEventListener('keydown', handleKeyDown))
+  }, [currentSlide, slides.length, goTo, handleExit, presenterWindow])
+
+  const handleGenerateNotes = async () => {
+    setIsGeneratingNotes(true)
+    setNotesError('')
+    try {
+      const result = await generateSpeakerNotes(pitchId)
+      onNotesGenerated?.(result.data.pitch.slides)
+    } catch (error) {
+      setNotesError(error.message)
+    } finally {
+      setIsGeneratingNotes(false)
+    }
+  }
+
+  const slide = slides[currentSlide]
+  const hasNotes = slides.some((item) => item?.notes)
+  // Where the speaker should be by now if the time were split evenly across slides
+  const targetSlide = Math.min(slides.length, Math.floor(((minutes * 60 - timer.remaining) / (minutes * 60)) * slides.length) + 1)
+
+  const timerControls = (
+    <div className="flex items-center gap-2">
+      <select
+        value={minutes}
+        onChange={(e) => {
+          setMinutes(Number(e.target.value))
+          timer.reset()
+        }}
+        className="bg-white/10 text-white text-sm rounded-lg px-2 py-1.5 focus:outline-none"
+        aria-label="Pitch length"
+      >
+        {PITCH_FORMATS.map((format) => (
+          <option key={format} value={format} className="bg-neutral-900">{format}-minute pitch</option>
+        ))}
+      </select>
+      <span className={`font-mono text-lg tabular-nums ${timer.remaining < 0 ? 'text-red-400' : timer.remaining < 30 ? 'text-amber-300' : 'text-white'}`}>
+        {formatClock(timer.remaining)}
+      </span>
+      <button
+        onClick={timer.isRunning ? timer.pause : timer.start}
+        className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white"
+        aria-label={timer.isRunning ? 'Pause timer' : 'Start timer'}
+      >
+        {timer.isRunning ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+      </button>
+      <button onClick={timer.reset} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" aria-label="Reset timer">
+        <RotateCcw className="h-4 w-4" />
+      </button>
+    </div>
+  )
+
+  const presenterConsole = (
+    <div className="min-h-screen flex flex-col gap-4 p-6 font-body">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-bold font-display">{name}</h1>
+          <p className="text-sm text-neutral-400">
+            Slide {currentSlide + 1} of {slides.length}
+            {timer.isRunning && targetSlide !== currentSlide + 1 && (
+              <span className="ml-2 text-neutral-500">(on pace for slide {targetSlide})</span>
+            )}
+          </p>
+        </div>
+        {timerControls}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 flex-1">
+        <div className="lg:col-span-2 space-y-2">
+          <span className="text-xs uppercase tracking-wide text-neutral-500">Current</span>
+          <SlideFrame slide={slide} deckOptions={deckOptions} scale={0.5} className="rounded-xl border border-white/10" />
+        </div>
+        <div className="space-y-2">
+          <span className="text-xs uppercase tracking-wide text-neutral-500">Next</span>
+          <SlideFrame slide={slides[currentSlide + 1]} deckOptions={deckOptions} scale={0.25} className="rounded-xl border border-white/10 opacity-80" />
+          <div className="flex items-center gap-2 pt-2">
+            <button onClick={() => goTo(currentSlide - 1)} className="btn-ghost px-4 py-2 flex-1 flex items-center justify-center" aria-label="Previous slide">
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <button onClick={() => goTo(currentSlide + 1)} className="btn-ghost px-4 py-2 flex-1 flex items-center justify-center" aria-label="Next slide">
+              <ChevronRight className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="rounded-xl bg-white/5 border border-white/10 p-4 min-h-[8rem]">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs uppercase tracking-wide text-neutral-500">Speaker notes</span>
+          {pitchId && (
+            <button
+              onClick={handleGenerateNotes}
+              disabled={isGeneratingNotes}
+              className="flex items-center space-x-1 text-xs text-primary-300 hover:text-primary-200 disabled:opacity-50"
+            >
+              <Wand2 className="h-3.5 w-3.5" />
+              <span>{isGeneratingNotes ? 'Writing notes...' : hasNotes ? 'Rewrite notes with AI' : 'Write notes with AI'}</span>
+            </button>
+          )}
+        </div>
+        {notesError && <p className="text-sm text-red-400 mb-2">{notesError}</p>}
+        <p className="text-lg leading-relaxed whitespace-pre-line text-neutral-100">
+          {slide?.notes || (pitchId ? 'No notes for this slide yet.' : 'Save the pitch to write speaker notes.')}
+        </p>
+      </div>
+    </div>
+  )
+
+  return (
+    <div ref={audienceRef} className="fixed inset-0 z-50 bg-black flex items-center justify-center group">
+      <div className="w-full max-h-full aspect-video" style={{ maxWidth: 'calc(100vh * 16 / 9)' }}>
+        {isBlackedOut ? (
+          <div className="w-full h-full bg-black" />
+        ) : (
+          <div
+            dangerouslySetInnerHTML={{ __html: renderSlideHtml(slide, deckOptions) }}
+            className="w-full h-full slide-content"
+          />
+        )}
+      </div>
+
+      {/* Controls stay out of the audience's way until the mouse moves over them */}
+      <div className="absolute bottom-4 left-1/2 -translate-x-1/2 flex flex-wrap items-center justify-center gap-3 px-3 py-2 rounded-xl bg-black/70 backdrop-blur-sm opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-300">
+        <button onClick={() => goTo(currentSlide - 1)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" aria-label="Previous slide">
+          <ChevronLeft className="h-5 w-5" />
+        </button>
+        <span className="text-white font-medium tabular-nums">{currentSlide + 1} / {slides.length}</span>
+        <button onClick={() => goTo(currentSlide + 1)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" aria-label="Next slide">
+          <ChevronRight className="h-5 w-5" />
+        </button>
+        {timerControls}
+        <button onClick={openPresenterWindow} className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm">
+          <MonitorUp className="h-4 w-4" />
+          <span>{container ? 'Focus presenter view' : 'Open presenter view'}</span>
+        </button>
+        <button onClick={handleExit} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" aria-label="Exit presenter mode">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+      {windowError && (
+        <p className="absolute top-4 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg bg-red-500/20 text-sm text-red-300">{windowError}</p>
+      )}
+
+      {container && createPortal(presenterConsole, container)}
+    </div>
+  )
+}
+
+export default PresenterMode
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { History, RotateCcw, X } from 'lucide-react'
+import { getRevisions, getRevision, restoreRevision } from '../services/api'
+import { diffPitches } from '../services/diff'
+
+// The compare selects use this for the pitch as it is now
+const CURRENT = 'current'
+
+const REVISION_LABELS = {
+  original: 'Original',
+  edit: 'Edited',
+  theme: 'Theme changed',
+  regenerate: 'Slide regenerated',
+  notes: 'Speaker notes written',
+  script: 'Script written',
+  rename: 'Renamed',
+  restore: 'Restored'
+}
+
+const ROW_STYLES = {
+  same: { before: 'text-neutral-400', after: 'text-neutral-400' },
+  changed: { before: 'bg-red-500/10 text-red-200', after: 'bg-emerald-500/10 text-emerald-200' },
+  removed: { before: 'bg-red-500/10 text-red-200', after: '' },
+  added: { before: '', after: 'bg-emerald-500/10 text-emerald-200' }
+}
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+})
+
+const revisionLabel = (revision) => `#${revision.number} · ${REVISION_LABELS[revision.reason] || revision.reason} · ${formatDateTime(revision.createdAt)}`
+
+/**
+ * Revision history of a saved pitch: compare any two versions side by side and restore one
+ */
+const RevisionPanel = ({ pitchData, disabled = false, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState([])
+  const [snapshots, setSnapshots] = useState({})
+  const [from, setFrom] = useState(null)
+  const [to, setTo] = useState(CURRENT)
+  const [showUnchanged, setShowUnchanged] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [restoringNumber, setRestoringNumber] = useState(null)
+  const [error, setError] = useState('')
+
+  const pitchId = pitchData._id
+
+  // Reload after every change to the pitch, since each one may have stored a revision
+  useEffect(() => {
+    let cancelled = false
+
+    getRevisions(pitchId)
+      .then((result) => {
+        if (cancelled) return
+        setRevisions(result.data)
+        // By default show what the latest change did
+        setFrom((prev) => prev ?? (result.data[1] || result.data[0])?.number ?? null)
+      })
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false))
+
+    return () => {
+      cancelled = true
+    }
+  }, [pitchId, pitchData])
+
+  useEffect(() => {
+    const missing = [from, to].filter((number) => number !== null && number !== CURRENT && !snapshots[number])
+    if (missing.length === 0) return
+
+    let cancelled = false
+    Promise.all(missing.map((number) => getRevision(pitchId, number)))
+      .then((results) => {
+        if (cancelled) return
+        setSnapshots((prev) => ({
+          ...prev,
+          ...Object.fromEntries(results.map((result) => [result.data.number, result.data.snapshot]))
+        }))
+      })
+      .catch((err) => !cancelled && setError(err.message))
+
+    return () => {
+      cancelled = true
+    }
+  }, [pitchId, from, to, snapshots])
+
+  const resolve = (number) => (number === CURRENT ? pitchData : snapshots[number])
+  const before = resolve(from)
+  const after = resolve(to)
+
+  const sections = useMemo(
+    () => (before && after ? diffPitches(before, after) : []),
+    [before, after]
+  )
+  const visibleSections = showUnchanged ? sections : sections.filter((section) => section.changed)
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision #${revision.number}? The current version stays in the history, so you can come back to it.`)) {
+      return
+    }
+
+    setRestoringNumber(revision.number)
+    setError('')
+    try {
+      const result = await restoreRevision(pitchId, revision.number)
+      onRestore(result.data)
+      setFrom(revision.number)
+      setTo(CURRENT)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRestoringNumber(null)
+    }
+  }
+
+  const parseSelection = (value) => (value === CURRENT ? CURRENT : Number(value))
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-8 rounded-xl border border-white/10 bg-white/5 p-4"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <span className="flex items-center space-x-2 text-neutral-300">
+          <History className="h-4 w-4" />
+          <span className="text-sm font-medium">Revision history</span>
+        </span>
+        <button onClick={onClose} className="text-neutral-400 hover:text-white" aria-label="Close revision history">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-neutral-500">Loading revisions...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-neutral-500">No revisions yet. Every edit, regenerated slide or theme change is kept here from now on.</p>
+      ) : (
+        <div className="grid gap-4 lg:grid-cols-[18rem_1fr]">
+          <ul className="space-y-2 max-h-[32rem] overflow-y-auto pr-1">
+            {revisions.map((revision) => (
+              <li
+                key={revision.number}
+                className={`rounded-lg p-3 text-sm ${from === revision.number ? 'bg-primary-500/20 border border-primary-500/40' : 'bg-black/20 border border-transparent'}`}
+              >
+                <button onClick={() => setFrom(revision.number)} className="w-full text-left">
+                  <span className="block text-white">
+                    #{revision.number} · {REVISION_LABELS[revision.reason] || revision.reason}
+                  </span>
+                  {revision.summary && <span className="block text-neutral-400 truncate" title={revision.summary}>{revision.summary}</span>}
+                  <span className="block text-xs text-neutral-500">
+                    {formatDateTime(revision.createdAt)} · {revision.slideCount} slides
+                  </span>
+                </button>
+                <button
+                  onClick={() => handleRestore(revision)}
+                  disabled={disabled || restoringNumber !== null}
+                  className="mt-2 flex items-center space-x-1 text-xs text-neutral-400 hover:text-primary-400 disabled:opacity-50 disabled:hover:text-neutral-400"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  <span>{restoringNumber === revision.number ? 'Restoring...' : 'Restore this version'}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="min-w-0">
+            <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+              <select
+                value={from ?? ''}
+                onChange={(e) => setFrom(parseSelection(e.target.value))}
+                aria-label="Older version"
+                className="input-field py-2 flex-1"
+              >
+                {revisions.map((revision) => (
+                  <option key={revision.number} value={revision.number}>{revisionLabel(revision)}</option>
+                ))}
+              </select>
+              <span className="text-sm text-neutral-500 text-center">compared with</span>
+              <select
+                value={to}
+                onChange={(e) => setTo(parseSelection(e.target.value))}
+                aria-label="Newer version"
+                className="input-field py-2 flex-1"
+              >
+                <option value={CURRENT}>Current version</option>
+                {revisions.map((revision) => (
+                  <option key={revision.number} value={revision.number}>{revisionLabel(revision)}</option>
+                ))}
+              </select>
+            </div>
+
+            <label className="flex items-center space-x-2 mb-4 text-sm text-neutral-400">
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+              <span>Show unchanged parts</span>
+            </label>
+
+            {!before || !after ? (
+              <p className="text-sm text-neutral-500">Loading versions...</p>
+            ) : visibleSections.length === 0 ? (
+              <p className="text-sm text-neutral-500">These versions have the same content.</p>
+            ) : (
+              <div className="space-y-4 max-h-[32rem] overflow-y-auto pr-1">
+                {visibleSections.map((section) => (
+                  <div key={section.key} className="rounded-lg bg-black/20 p-3">
+                    <h4 className="mb-2 text-xs font-semibold uppercase tracking-wide text-neutral-400">
+                      {section.label}
+                      {!section.changed && <span className="ml-2 normal-case font-normal text-neutral-600">unchanged</span>}
+                    </h4>
+                    <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm">
+                      {section.rows.map((row, index) => (
+                        <React.Fragment key={index}>
+                          <div className={`rounded px-2 py-0.5 break-words ${ROW_STYLES[row.status].before}`}>{row.before ?? ''}</div>
+                          <div className={`rounded px-2 py-0.5 break-words ${ROW_STYLES[row.status].after}`}>{row.after ?? ''}</div>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default RevisionPanel
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { Link2, Copy, Check, Lock, Eye, X } from 'lucide-react'
+import { getShareLinks, createShareLink, revokeShareLink } from '../services/api'
+
+const EXPIRY_OPTIONS = [
+  { days: 0, label: 'Never expires' },
+  { days: 1, label: 'Expires in 1 day' },
+  { days: 7, label: 'Expires in 7 days' },
+  { days: 30, label: 'Expires in 30 days' }
+]
+
+const STATUS_STYLES = {
+  active: 'bg-emerald-500/20 text-emerald-300',
+  expired: 'bg-amber-500/20 text-amber-300',
+  revoked: 'bg-red-500/20 text-red-300'
+}
+
+export const getShareUrl = (link) => `${window.location.origin}${link.path}`
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+
+const SharePanel = ({ pitchId, onClose }) => {
+  const [links, setLinks] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isCreating, setIsCreating] = useState(false)
+  const [expiryDays, setExpiryDays] = useState(0)
+  const [password, setPassword] = useState('')
+  const [copiedId, setCopiedId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    setIsLoading(true)
+    getShareLinks(pitchId)
+      .then((result) => !cancelled && setLinks(result.data))
+      .catch((err) => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setIsLoading(false))
+
+    return () => {
+      cancelled = true
+    }
+  }, [pitchId])
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(link))
+      setCopiedId(link._id)
+      setTimeout(() => setCopiedId(null), 2000)
+    } catch (err) {
+      setError('Could not copy the link; select it and copy it manually')
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setIsCreating(true)
+    setError('')
+    try {
+      const expiresAt = expiryDays ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString() : undefined
+      const result = await createShareLink(pitchId, { expiresAt, password })
+      setLinks((prev) => [result.data, ...prev])
+      setPassword('')
+      handleCopy(result.data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer be able to open the pitch.')) {
+      return
+    }
+
+    setError('')
+    try {
+      const result = await revokeShareLink(pitchId, link._id)
+      setLinks((prev) => prev.map((item) => (item._id === link._id ? result.data : item)))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-8 rounded-xl border border-white/10 bg-white/5 p-4"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <span className="flex items-center space-x-2 text-neutral-300">
+          <Link2 className="h-4 w-4" />
+          <span className="text-sm font-medium">Share links</span>
+        </span>
+        <button onClick={onClose} className="text-neutral-400 hover:text-white" aria-label="Close sharing">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <form onSubmit={handleCreate} className="flex flex-col md:flex-row gap-3 mb-4">
+        <select
+          value={expiryDays}
+          onChange={(e) => setExpiryDays(Number(e.target.value))}
+          className="input-field py-2 md:w-56"
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Optional password"
+          minLength={8}
+          autoComplete="new-password"
+          className="input-field py-2 flex-1"
+        />
+        <button type="submit" disabled={isCreating} className="btn-primary px-4 py-2 text-sm whitespace-nowrap">
+          {isCreating ? 'Creating...' : 'Create link'}
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-400 mb-3">{error}</p>}
+
+      {isLoading ? (
+        <p className="text-sm text-neutral-500">Loading links...</p>
+      ) : links.length === 0 ? (
+        <p className="text-sm text-neutral-500">No share links yet. Anyone with a link can view the deck but not edit it.</p>
+      ) : (
+        <ul className="space-y-2">
+          {links.map((link) => (
+            <li key={link._id} className="flex flex-col md:flex-row md:items-center gap-2 rounded-lg bg-black/20 p-3">
+              <input
+                readOnly
+                value={getShareUrl(link)}
+                onFocus={(e) => e.target.select()}
+                className={`flex-1 bg-transparent text-sm font-mono truncate focus:outline-none ${link.status === 'active' ? 'text-white' : 'text-neutral-500 line-through'}`}
+              />
+              <div className="flex items-center gap-3 text-xs text-neutral-400">
+                <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[link.status]}`}>{link.status}</span>
+                {link.hasPassword && <Lock className="h-3.5 w-3.5" aria-label="Password protected" />}
+                <span className="flex items-center space-x-1" title="Views">
+                  <Eye className="h-3.5 w-3.5" />
+                  <span>{link.views}</span>
+                </span>
+                <span>{link.expiresAt ? `Until ${formatDate(link.expiresAt)}` : 'No expiry'}</span>
+                {link.status === 'active' && (
+                  <>
+                    <button onClick={() => handleCopy(link)} className="text-neutral-300 hover:text-white" aria-label="Copy link">
+                      {copiedId === link._id ? <Check className="h-4 w-4 text-emerald-400" /> : <Copy className="h-4 w-4" />}
+                    </button>
+                    <button onClick={() => handleRevoke(link)} className="text-red-400 hover:text-red-300">
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </motion.div>
+  )
+}
+
+export default SharePanel
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { ChevronLeft, ChevronRight, Lock, Sparkles } from 'lucide-react'
+import { getSharedPitch } from '../services/api'
+import { renderSlideHtml } from '../services/slides'
+
+/**
+ * Public, read-only view of a pitch opened through a share link (/p/:token)
+ * Works signed out; password-protected links ask for the password first.
+ */
+const SharedPitchViewer = ({ token }) => {
+  const [pitch, setPitch] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [passwordRequired, setPasswordRequired] = useState(false)
+  const [password, setPassword] = useState('')
+  const [currentSlide, setCurrentSlide] = useState(0)
+
+  const loadPitch = useCallback(async (sharePassword) => {
+    setIsLoading(true)
+    setError('')
+    try {
+      const result = await getSharedPitch(token, sharePassword)
+      setPitch(result.data)
+      setPasswordRequired(false)
+      document.title = `${result.data.name} - PitchPerfect`
+    } catch (err) {
+      if (err.status === 403) {
+        setPasswordRequired(true)
+        // The first request is made without a password, so only a retry is a wrong guess
+        setError(sharePassword ? err.message : '')
+      } else {
+        setError(err.message)
+      }
+    } finally {
+      setIsLoading(false)
+    }
+  }, [token])
+
+  useEffect(() => {
+    loadPitch()
+  }, [loadPitch])
+
+  const slideCount = pitch?.slides.length || 0
+
+  const handlePrevSlide = useCallback(() => {
+    setCurrentSlide((prev) => Math.max(0, prev - 1))
+  }, [])
+
+  const handleNextSlide = useCallback(() => {
+    setCurrentSlide((prev) => Math.min(slideCount - 1, prev + 1))
+  }, [slideCount])
+
+  useEffect(() => {
+    if (!pitch) {
+      return undefined
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') {
+        handleNextSlide()
+      } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+        handlePrevSlide()
+      } else {
+        return
+      }
+      e.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [pitch, handleNextSlide, handlePrevSlide])
+
+  const handleSubmitPassword = (e) => {
+    e.preventDefault()
+    if (password) {
+      loadPitch(password)
+    }
+  }
+
+  const renderContent = () => {
+    if (isLoading && !passwordRequired) {
+      return <p className="text-neutral-400">Loading pitch...</p>
+    }
+
+    if (passwordRequired) {
+      return (
+        <form onSubmit={handleSubmitPassword} className="glass-card p-8 w-full max-w-md space-y-4">
+          <div className="flex items-center space-x-3 text-white">
+            <Lock className="h-5 w-5 text-primary-400" />
+            <h1 className="text-xl font-semibold">This pitch is password protected</h1>
+          </div>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoFocus
+            autoComplete="current-password"
+            className="input-field"
+          />
+          {error && <p className="text-sm text-red-400">{error}</p>}
+          <button type="submit" disabled={isLoading || !password} className="btn-primary w-full py-3">
+            {isLoading ? 'Checking...' : 'View pitch'}
+          </button>
+        </form>
+      )
+    }
+
+    if (error || !pitch) {
+      return (
+        <div className="glass-card p-8 max-w-md text-center">
+          <h1 className="text-xl font-semibold text-white mb-2">Pitch unavailable</h1>
+          <p className="text-neutral-400">{error || 'This share link does not exist.'}</p>
+        </div>
+      )
+    }
+
+    const deckOptions = { theme: pitch.theme, brand: pitch.brand }
+
+    return (
+      <div className="w-full max-w-6xl">
+        <div className="mb-6">
+          <h1 className="text-3xl md:text-4xl font-bold text-white font-display">{pitch.name}</h1>
+          {pitch.elevator && <p className="mt-2 text-lg text-neutral-300">{pitch.elevator}</p>}
+        </div>
+
+        {slideCount > 0 ? (
+          <>
+            <div className="relative bg-gradient-to-br from-neutral-900 to-neutral-800 rounded-2xl overflow-hidden aspect-video shadow-2xl border border-white/5">
+              <AnimatePresence mode="wait">
+                <motion.div
+                  key={currentSlide}
+                  initial={{ opacity: 0, x: 50 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: -50 }}
+                  transition={{ duration: 0.4, ease: "easeInOut" }}
+                  className="absolute inset-0"
+                >
+                  <div
+                    dangerouslySetInnerHTML={{ __html: renderSlideHtml(pitch.slides[currentSlide], deckOptions) }}
+                    className="w-full h-full slide-content"
+                  />
+                </motion.div>
+              </AnimatePresence>
+            </div>
+
+            <div className="flex items-center justify-center space-x-4 mt-6">
+              <motion.button
+                onClick={handlePrevSlide}
+                disabled={currentSlide === 0}
+                className="w-12 h-12 bg-white/5 hover:bg-white/10 rounded-xl flex items-center justify-center transition-all duration-300 disabled:opacity-40"
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                aria-label="Previous slide"
+              >
+                <ChevronLeft className="h-6 w-6 text-white" />
+              </motion.button>
+              <div className="text-white font-medium px-4 py-2 bg-white/5 rounded-lg">
+                {currentSlide + 1} / {slideCount}
+              </div>
+              <motion.button
+                onClick={handleNextSlide}
+                disabled={currentSlide === slideCount - 1}
+                className="w-12 h-12 bg-white/5 hover:bg-white/10 rounded-xl flex items-center justify-center transition-all duration-300 disabled:opacity-40"
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                aria-label="Next slide"
+              >
+                <ChevronRight className="h-6 w-6 text-white" />
+              </motion.button>
+            </div>
+          </>
+        ) : (
+          <p className="text-neutral-400">This pitch has no slides yet.</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen gradient-hero flex flex-col">
+      <header className="px-6 py-4">
+        <a href="/" className="inline-flex items-center space-x-2 text-white">
+          <Sparkles className="h-5 w-5 text-primary-400" />
+          <span className="font-display font-bold">PitchPerfect</span>
+        </a>
+      </header>
+      <main className="flex-1 flex items-center justify-center px-6 pb-12">
+        {renderContent()}
+      </main>
+    </div>
+  )
+}
+
+export default SharedPitchViewer
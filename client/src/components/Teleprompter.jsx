@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { motion } from 'framer-motion'
+import { Play, Pause, RotateCcw, FlipHorizontal, Minus, Plus, X } from 'lucide-react'
+import { formatClock } from '../services/script'
+
+const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2]
+const FONT_SIZES = ['text-3xl', 'text-4xl', 'text-5xl', 'text-6xl']
+
+/**
+ * Full-screen teleprompter that scrolls the pitch script so it ends when the time slot does
+ * Space plays and pauses, the up and down arrows change the speed, M mirrors the
+ * text for beam-splitter glass, Home restarts and Escape closes.
+ */
+const Teleprompter = ({ script, slides, onClose }) => {
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [speedIndex, setSpeedIndex] = useState(SPEEDS.indexOf(1))
+  const [fontIndex, setFontIndex] = useState(1)
+  const [isMirrored, setIsMirrored] = useState(false)
+  const [elapsed, setElapsed] = useState(0)
+  const scrollRef = useRef(null)
+  const speed = SPEEDS[speedIndex]
+
+  // At 1x the script scrolls from first to last line over the target duration
+  useEffect(() => {
+    if (!isPlaying) return undefined
+
+    let frame
+    let last = performance.now()
+    let position = scrollRef.current.scrollTop
+
+    const step = (now) => {
+      const container = scrollRef.current
+      const seconds = (now - last) / 1000
+      last = now
+
+      const distance = container.scrollHeight - container.clientHeight
+      position += (distance / script.duration) * speed * seconds
+      container.scrollTop = position
+      setElapsed((prev) => prev + seconds)
+
+      if (position >= distance) {
+        setIsPlaying(false)
+        return
+      }
+      frame = requestAnimationFrame(step)
+    }
+
+    frame = requestAnimationFrame(step)
+    return () => cancelAnimationFrame(frame)
+  }, [isPlaying, speed, script.duration])
+
+  const handleRestart = () => {
+    setIsPlaying(false)
+    setElapsed(0)
+    scrollRef.current.scrollTop = 0
+  }
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Space on a focused control presses it instead
+      if (e.target.tagName === 'BUTTON' && e.key === ' ') return
+
+      if (e.key === ' ') setIsPlaying((prev) => !prev)
+      else if (e.key === 'ArrowUp') setSpeedIndex((prev) => Math.min(SPEEDS.length - 1, prev + 1))
+      else if (e.key === 'ArrowDown') setSpeedIndex((prev) => Math.max(0, prev - 1))
+      else if (e.key === 'm' || e.key === 'M') setIsMirrored((prev) => !prev)
+      else if (e.key === 'Home') handleRestart()
+      else if (e.key === 'Escape') onClose()
+      else return
+      e.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black text-white"
+    >
+      <div
+        ref={scrollRef}
+        className="h-full overflow-y-auto px-8 md:px-24"
+        style={{ transform: isMirrored ? 'scaleX(-1)' : undefined }}
+      >
+        {/* Padding lets the first and last lines reach the reading line */}
+        <div className={`max-w-4xl mx-auto py-[40vh] space-y-12 font-body leading-snug ${FONT_SIZES[fontIndex]}`}>
+          {script.sections.map((section, index) => section && (
+            <section key={index}>
+              <span className="block mb-3 text-base uppercase tracking-widest text-primary-400">
+                Slide {index + 1}{slides[index]?.title ? ` · ${slides[index].title}` : ''}
+              </span>
+              <p>{section}</p>
+            </section>
+          ))}
+        </div>
+      </div>
+
+      {/* Reading line */}
+      <div className="pointer-events-none absolute inset-x-0 top-[40vh] h-px bg-primary-400/60" />
+
+      <div className="absolute top-4 left-1/2 -translate-x-1/2 flex flex-wrap items-center justify-center gap-2 px-3 py-2 rounded-xl bg-neutral-900/90 backdrop-blur-sm">
+        <button
+          onClick={() => setIsPlaying((prev) => !prev)}
+          className="p-2 rounded-lg bg-white/10 hover:bg-white/20"
+          aria-label={isPlaying ? 'Pause' : 'Play'}
+        >
+          {isPlaying ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
+        </button>
+        <button onClick={handleRestart} className="p-2 rounded-lg bg-white/10 hover:bg-white/20" aria-label="Restart">
+          <RotateCcw className="h-5 w-5" />
+        </button>
+        <span className="px-2 font-mono tabular-nums">
+          {formatClock(elapsed)} / {formatClock(script.duration)}
+        </span>
+        <button
+          onClick={() => setSpeedIndex((prev) => Math.max(0, prev - 1))}
+          className="p-2 rounded-lg bg-white/10 hover:bg-white/20"
+          aria-label="Slower"
+        >
+          <Minus className="h-4 w-4" />
+        </button>
+        <span className="w-12 text-center text-sm tabular-nums">{speed}x</span>
+        <button
+          onClick={() => setSpeedIndex((prev) => Math.min(SPEEDS.length - 1, prev + 1))}
+          className="p-2 rounded-lg bg-white/10 hover:bg-white/20"
+          aria-label="Faster"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => setFontIndex((prev) => (prev + 1) % FONT_SIZES.length)}
+          className="px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm font-semibold"
+          aria-label="Change text size"
+        >
+          Aa
+        </button>
+        <button
+          onClick={() => setIsMirrored((prev) => !prev)}
+          className={`p-2 rounded-lg hover:bg-white/20 ${isMirrored ? 'bg-primary-500/40' : 'bg-white/10'}`}
+          aria-label="Mirror text"
+          aria-pressed={isMirrored}
+        >
+          <FlipHorizontal className="h-5 w-5" />
+        </button>
+        <button onClick={onClose} className="p-2 rounded-lg bg-white/10 hover:bg-white/20" aria-label="Close teleprompter">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+    </motion.div>
+  )
+}
+
+export default Teleprompter
@@ -0,0 +1,52 @@
+import React from 'react'
+import { motion } from 'framer-motion'
+import { Palette, Check } from 'lucide-react'
+import { DECK_THEMES, DEFAULT_DECK_THEME, resolveBrandColors } from '../services/themes'
+
+const ThemePicker = ({ theme, brand, onChange, disabled = false }) => {
+  const activeTheme = DECK_THEMES[theme] ? theme : DEFAULT_DECK_THEME
+  const { primaryColor, secondaryColor } = resolveBrandColors(brand)
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center space-x-2 mb-3 text-neutral-300">
+        <Palette className="h-4 w-4" />
+        <span className="text-sm font-medium">Deck theme</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {Object.entries(DECK_THEMES).map(([key, option]) => {
+          const isActive = key === activeTheme
+          const swatchStyle = key === 'brand'
+            ? { background: `linear-gradient(135deg, ${primaryColor}, ${secondaryColor})` }
+            : undefined
+
+          return (
+            <motion.button
+              key={key}
+              onClick={() => !isActive && onChange({ theme: key })}
+              disabled={disabled}
+              className={`text-left p-3 rounded-xl border transition-all duration-300 disabled:opacity-50 ${
+                isActive
+                  ? 'border-primary-500/60 bg-primary-500/10'
+                  : 'border-white/10 bg-white/5 hover:bg-white/10'
+              }`}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              title={option.description}
+              aria-pressed={isActive}
+            >
+              <div className={`h-10 rounded-lg mb-2 ${option.swatch || ''}`} style={swatchStyle} />
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-white">{option.label}</span>
+                {isActive && <Check className="h-4 w-4 text-primary-400" />}
+              </div>
+            </motion.button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default ThemePicker
@@ -1,10 +1,14 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SharedPitchViewer from './components/SharedPitchViewer.jsx'
 import './index.css'
 
+// Share links (/p/:token) open a read-only viewer instead of the editor
+const shareMatch = window.location.pathname.match(/^\/p\/([A-Za-z0-9_-]+)\/?$/)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareMatch ? <SharedPitchViewer token={shareMatch[1]} /> : <App />}
   </React.StrictMode>,
 )
@@ -1,7 +1,39 @@
 import axios from 'axios'
 
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api'
+const TOKEN_STORAGE_KEY = 'pitchperfect_token'
+
+/**
+ * Read the signed-in user's token from local storage
+ * @returns {string|null} JWT, or null when signed out
+ */
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY)
+  } catch (error) {
+    return null
+  }
+}
+
+const setAuthToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token)
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY)
+    }
+  } catch (error) {
+    console.warn('⚠️ Unable to persist session:', error)
+  }
+}
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || '/api',
+  baseURL: API_BASE_URL,
   timeout: 60000,
   headers: {
     'Content-Type': 'application/json',
@@ -11,6 +43,7 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     console.log(`🚀 Making ${config.method.toUpperCase()} request to ${config.url}`)
+    Object.assign(config.headers, authHeaders())
     return config
   },
   (error) => {
@@ -40,9 +73,14 @@ api.interceptors.response.use(
       } else if (status >= 500) {
         throw new Error('Server error. Please try again later.')
       } else if (status === 401) {
-        throw new Error('Authentication failed. Please check your API key.')
+        // A rejected token is stale; drop it so the next request goes out signed out
+        if (getAuthToken() && error.config?.headers?.Authorization) {
+          setAuthToken(null)
+        }
+        throw new Error(error.response.data?.message || 'Please sign in to continue.')
       } else {
-        throw new Error(message)
+        // Keep the status so callers can tell a missing share password from a missing pitch
+        throw Object.assign(new Error(message), { status })
       }
     } else if (error.request) {
       throw new Error('Unable to connect to the server. Please check your internet connection.')
@@ -52,7 +90,16 @@ api.interceptors.response.use(
   }
 )
 
-export const generatePitch = async (idea) => {
+/**
+ * Generate a pitch in one request
+ * @param {string} idea - The startup idea description
+ * @param {Object} [options] - Generation options
+ * @param {string|string[]} [options.slidePlan] - Preset name (standard, short, yc) or slide types in order
+ * @param {number} [options.scriptDuration] - Also write talking points and a script of this many seconds
+ * @param {number} [options.nameCandidates] - Also suggest this many company names (5-10)
+ * @returns {Promise<Object>} Response ({ success, data }) with the pitch
+ */
+export const generatePitch = async (idea, { slidePlan, scriptDuration, nameCandidates } = {}) => {
   if (!idea || typeof idea !== 'string') {
     throw new Error('Please provide a valid startup idea')
   }
@@ -61,10 +108,132 @@ export const generatePitch = async (idea) => {
     throw new Error('Please provide a more detailed description of your startup idea')
   }
 
-  const response = await api.post('/generate', { idea: idea.trim() })
+  const response = await api.post('/generate', { idea: idea.trim(), slidePlan, scriptDuration, nameCandidates })
   return response.data
 }
 
+/**
+ * Parse one Server-Sent Events block into its event name and JSON payload
+ * @param {string} block - Raw event block without the trailing blank line
+ * @returns {Object|null} Parsed event, or null for comments and keep-alives
+ */
+const parseServerSentEvent = (block) => {
+  let event = 'message'
+  const dataLines = []
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim())
+    }
+  })
+
+  if (dataLines.length === 0) {
+    return null
+  }
+
+  return { event, data: JSON.parse(dataLines.join('\n')) }
+}
+
+/**
+ * Generate a pitch while receiving its parts as soon as the model produces them
+ * @param {string} idea - The startup idea description
+ * @param {Object} [options] - Generation options and callbacks for streamed parts
+ * @param {string|string[]} [options.slidePlan] - Preset name (standard, short, yc) or slide types in order
+ * @param {number} [options.scriptDuration] - Also write talking points and a script of this many seconds
+ * @param {number} [options.nameCandidates] - Also suggest this many company names (5-10)
+ * @param {Function} [options.onName] - Receives the company name
+ * @param {Function} [options.onElevator] - Receives the elevator pitch
+ * @param {Function} [options.onSlide] - Receives (slide, index) for each finished slide
+ * @returns {Promise<Object>} Final response ({ success, data }) once the stream ends
+ */
+export const streamPitch = async (idea, { slidePlan, scriptDuration, nameCandidates, onName, onElevator, onSlide } = {}) => {
+  if (!idea || typeof idea !== 'string') {
+    throw new Error('Please provide a valid startup idea')
+  }
+
+  if (idea.trim().length < 10) {
+    throw new Error('Please provide a more detailed description of your startup idea')
+  }
+
+  console.log('🌊 Streaming pitch generation...')
+
+  let response
+  try {
+    response = await fetch(`${API_BASE_URL}/generate/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...authHeaders()
+      },
+      body: JSON.stringify({ idea: idea.trim(), slidePlan, scriptDuration, nameCandidates })
+    })
+  } catch (error) {
+    throw new Error('Unable to connect to the server. Please check your internet connection.')
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}))
+
+    if (response.status === 429) {
+      throw new Error('Too many requests. Please wait a moment before trying again.')
+    } else if (response.status >= 500) {
+      throw new Error('Server error. Please try again later.')
+    }
+    throw new Error(body.message || body.error || 'An error occurred')
+  }
+
+  // Browsers without streaming fetch bodies fall back to the blocking endpoint
+  if (!response.body) {
+    return generatePitch(idea, { slidePlan, scriptDuration, nameCandidates })
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let result = null
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) {
+      break
+    }
+
+    buffer += decoder.decode(value, { stream: true })
+    const blocks = buffer.split('\n\n')
+    buffer = blocks.pop()
+
+    for (const block of blocks) {
+      const message = parseServerSentEvent(block)
+      if (!message) {
+        continue
+      }
+
+      const { event, data } = message
+      if (event === 'name') {
+        onName?.(data.name)
+      } else if (event === 'elevator') {
+        onElevator?.(data.elevator)
+      } else if (event === 'slide') {
+        onSlide?.(data.slide, data.index)
+      } else if (event === 'error') {
+        throw new Error(data.message || 'Failed to generate pitch')
+      } else if (event === 'done') {
+        result = data
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('The pitch stream ended unexpectedly. Please try again.')
+  }
+
+  console.log('✅ Pitch stream completed')
+  return result
+}
+
 /**
  * Generate enhanced AI code prompt for a startup idea with optional pitch data
  * @param {string} idea - The startup idea description
@@ -131,18 +300,407 @@ export const generateBuildPrompt = async (idea) => {
   return response.data
 }
 
-export const getPitchHistory = async (page = 1, limit = 10) => {
+/**
+ * Rewrite one slide of a saved pitch, keeping the other slides unchanged
+ * @param {string} pitchId - Saved pitch id
+ * @param {number} index - Zero-based slide index
+ * @param {string} [instruction] - Optional guidance such as "make it more data-driven"
+ * @returns {Promise<Object>} Response with the new slide and the updated pitch
+ */
+export const regenerateSlide = async (pitchId, index, instruction = '') => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can regenerate individual slides')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/slides/${index}/regenerate`, {
+    instruction: instruction.trim() || undefined
+  })
+  return response.data
+}
+
+/**
+ * Write AI speaker notes for every slide of a saved pitch
+ * @param {string} pitchId - Saved pitch ID
+ * @returns {Promise<Object>} `{ data: { notes, pitch } }`
+ */
+export const generateSpeakerNotes = async (pitchId) => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can have speaker notes')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/notes`)
+  return response.data
+}
+
+/**
+ * Write talking points (as speaker notes) and a timed spoken script for a saved pitch
+ * @param {string} pitchId - Saved pitch ID
+ * @param {number} duration - Target length in seconds: 60, 180 or 300
+ * @returns {Promise<Object>} `{ data: { script, wordCount, pitch } }`
+ */
+export const generatePitchScript = async (pitchId, duration) => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can have a script')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/script`, { duration })
+  return response.data
+}
+
+/**
+ * Retell the elevator pitch of a saved pitch for investors, customers, recruiters, a tweet and a 30-second talk
+ * @param {string} pitchId - Saved pitch ID
+ * @returns {Promise<Object>} `{ data: { variants, pitch } }`
+ */
+export const generateElevatorVariants = async (pitchId) => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can have elevator pitch variants')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/elevator`)
+  return response.data
+}
+
+/**
+ * Score a saved pitch like an investor would, with suggestions per slide
+ * Works without an AI provider: the server then scores the deck with its offline rubric.
+ * @param {string} pitchId - Saved pitch ID
+ * @returns {Promise<Object>} `{ data: { critique, pitch } }`
+ */
+export const critiquePitch = async (pitchId) => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can be critiqued')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/critique`)
+  return response.data
+}
+
+/**
+ * Switch a saved pitch to another company name, rewriting the slides that mention the old one
+ * @param {string} pitchId - Saved pitch ID
+ * @param {string} name - New company name
+ * @returns {Promise<Object>} `{ data: { pitch } }`
+ */
+export const renameSavedPitch = async (pitchId, name) => {
+  if (!pitchId) {
+    throw new Error('Only saved pitches can be renamed on the server')
+  }
+
+  const response = await api.post(`/pitches/${pitchId}/name`, { name })
+  return response.data
+}
+
+/**
+ * Check company names for length, pronounceability, brand collisions and domain availability
+ * @param {string[]} names - Up to 10 company names
+ * @returns {Promise<Object>} `{ data: [{ name, length, pronounceability, brands, domains }] }`
+ */
+export const checkNames = async (names) => {
+  const response = await api.post('/names/check', { names })
+  return response.data
+}
+
+/**
+ * List the signed-in user's saved pitches
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Pitches per page
+ * @param {Object} [filters] - Filters and sort
+ * @param {string} [filters.q] - Full-text search over the name, idea, elevator pitch and slide text
+ * @param {string} [filters.from] - Created on or after this date (YYYY-MM-DD)
+ * @param {string} [filters.to] - Created on or before this date (YYYY-MM-DD)
+ * @param {string[]} [filters.tags] - Only pitches with all of these tags
+ * @param {string} [filters.folder] - Folder id, or 'none' for pitches in no folder
+ * @param {boolean} [filters.starred] - Only starred pitches
+ * @param {string} [filters.sort] - newest, oldest, updated, name or relevance
+ * @param {string} [filters.cursor] - `pagination.nextCursor` of the previous page, used instead of `page`
+ * @returns {Promise<Object>} `{ data: [{ _id, name, elevator, idea, createdAt, updatedAt, theme, brand, tags, slides }], pagination }`, with only the first slide
+ */
+export const getPitchHistory = async (page = 1, limit = 10, { q, from, to, tags, folder, starred, sort, cursor } = {}) => {
   const response = await api.get('/history', {
-    params: { page, limit }
+    params: {
+      page,
+      limit,
+      q: q || undefined,
+      from: from || undefined,
+      to: to || undefined,
+      tags: tags?.length ? tags.join(',') : undefined,
+      folder: folder || undefined,
+      starred: starred ? 'true' : undefined,
+      sort: sort || undefined,
+      cursor: cursor || undefined
+    }
   })
   return response.data
 }
 
+/**
+ * The tags on the signed-in user's pitches, most used first
+ * @returns {Promise<Object>} `{ data: [{ tag, count }] }`
+ */
+export const getPitchTags = async () => {
+  const response = await api.get('/history/tags')
+  return response.data
+}
+
+/**
+ * Tag, file or star a saved pitch without editing it
+ * @param {string} id - Saved pitch id
+ * @param {Object} changes - Any of tags (replaces all tags), folder (id or null) and starred
+ * @returns {Promise<Object>} `{ data: { _id, tags, folder, starred } }`
+ */
+export const organizePitch = async (id, changes) => {
+  const response = await api.patch(`/history/${id}/organize`, changes)
+  return response.data
+}
+
+/**
+ * The signed-in user's folders by name
+ * @returns {Promise<Object>} `{ data: [{ _id, name, pitchCount }], unfiledCount }`
+ */
+export const getFolders = async () => {
+  const response = await api.get('/folders')
+  return response.data
+}
+
+export const createFolder = async (name) => {
+  const response = await api.post('/folders', { name })
+  return response.data
+}
+
+export const renameFolder = async (id, name) => {
+  const response = await api.patch(`/folders/${id}`, { name })
+  return response.data
+}
+
+/**
+ * Delete a folder; its pitches are kept and move out of it
+ * @param {string} id - Folder id
+ * @returns {Promise<Object>} Response with the deleted folder id
+ */
+export const deleteFolder = async (id) => {
+  const response = await api.delete(`/folders/${id}`)
+  return response.data
+}
+
 export const getPitchById = async (id) => {
   const response = await api.get(`/history/${id}`)
   return response.data
 }
 
+/**
+ * Edit a saved pitch
+ * @param {string} id - Saved pitch id
+ * @param {Object} updates - Any of name, elevator, and slides (array or object keyed by slide index)
+ * @returns {Promise<Object>} Response with the updated pitch
+ */
+export const updatePitch = async (id, updates) => {
+  const response = await api.patch(`/history/${id}`, updates)
+  return response.data
+}
+
+/**
+ * Generate a new pitch from a saved one, e.g. "the same idea but for B2B"
+ * @param {string} id - Saved pitch id
+ * @param {string} instruction - What to change
+ * @param {Object} [options] - Remix options
+ * @param {string} [options.provider] - LLM provider name
+ * @param {string|string[]} [options.slidePlan] - Slide plan; defaults to the slide types of the original
+ * @returns {Promise<Object>} Response with the new pitch, linked to the original
+ */
+export const remixPitch = async (id, instruction, { provider, slidePlan } = {}) => {
+  const response = await api.post(`/history/${id}/remix`, { instruction, provider, slidePlan })
+  return response.data
+}
+
+/**
+ * Get the family tree of remixes a saved pitch belongs to
+ * @param {string} id - Saved pitch id
+ * @returns {Promise<Object>} Response with the root nodes; each node has children
+ */
+export const getPitchLineage = async (id) => {
+  const response = await api.get(`/history/${id}/lineage`)
+  return response.data
+}
+
+/**
+ * Permanently delete a saved pitch
+ * @param {string} id - Saved pitch id
+ * @returns {Promise<Object>} Response with the deleted pitch id
+ */
+export const deletePitch = async (id) => {
+  const response = await api.delete(`/history/${id}`)
+  return response.data
+}
+
+/**
+ * Download the server-rendered vector PDF of a saved pitch
+ * @param {string} id - Saved pitch id
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.notes=true] - Include speaker notes pages
+ * @returns {Promise<Blob>} The PDF file
+ */
+export const exportPitchPdf = async (id, { notes = true } = {}) => {
+  const response = await api.get(`/history/${id}/export.pdf`, {
+    params: notes ? undefined : { notes: false },
+    responseType: 'blob'
+  })
+  return response.data
+}
+
+/**
+ * Download a saved pitch as an editable PowerPoint deck
+ * @param {string} id - Saved pitch id
+ * @returns {Promise<Blob>} The PPTX file
+ */
+export const exportPitchPptx = async (id) => {
+  const response = await api.get(`/history/${id}/export.pptx`, { responseType: 'blob' })
+  return response.data
+}
+
+/**
+ * Download a saved pitch as Marp / Reveal.js compatible Markdown
+ * @param {string} id - Saved pitch id
+ * @returns {Promise<Blob>} The Markdown file
+ */
+export const exportPitchMarkdown = async (id) => {
+  const response = await api.get(`/history/${id}/export.md`, { responseType: 'blob' })
+  return response.data
+}
+
+/**
+ * Save a pitch from a Markdown deck exported by PitchPerfect
+ * @param {string} markdown - Markdown document
+ * @returns {Promise<Object>} Response with the saved pitch
+ */
+export const importPitchMarkdown = async (markdown) => {
+  const response = await api.post('/history/import', { markdown })
+  return response.data
+}
+
+/**
+ * List the share links you created for a pitch
+ * @param {string} pitchId - Saved pitch id
+ * @returns {Promise<Object>} Response with the links, newest first
+ */
+export const getShareLinks = async (pitchId) => {
+  const response = await api.get(`/history/${pitchId}/share`)
+  return response.data
+}
+
+/**
+ * Create a read-only share link for a pitch
+ * @param {string} pitchId - Saved pitch id
+ * @param {Object} [options] - Link options
+ * @param {string} [options.expiresAt] - ISO date after which the link stops working
+ * @param {string} [options.password] - Password viewers must enter
+ * @returns {Promise<Object>} Response with the new link
+ */
+export const createShareLink = async (pitchId, { expiresAt, password } = {}) => {
+  const response = await api.post(`/history/${pitchId}/share`, { expiresAt, password: password || undefined })
+  return response.data
+}
+
+/**
+ * Revoke a share link so it no longer opens
+ * @param {string} pitchId - Saved pitch id
+ * @param {string} linkId - Share link id
+ * @returns {Promise<Object>} Response with the revoked link
+ */
+export const revokeShareLink = async (pitchId, linkId) => {
+  const response = await api.delete(`/history/${pitchId}/share/${linkId}`)
+  return response.data
+}
+
+/**
+ * List the revisions of a saved pitch
+ * @param {string} pitchId - Saved pitch id
+ * @returns {Promise<Object>} Response with the revisions, newest first, without their content
+ */
+export const getRevisions = async (pitchId) => {
+  const response = await api.get(`/history/${pitchId}/revisions`)
+  return response.data
+}
+
+/**
+ * Get one revision of a saved pitch with its content
+ * @param {string} pitchId - Saved pitch id
+ * @param {number} number - Revision number
+ * @returns {Promise<Object>} Response with the revision and its snapshot ({ name, elevator, slides, theme, brand })
+ */
+export const getRevision = async (pitchId, number) => {
+  const response = await api.get(`/history/${pitchId}/revisions/${number}`)
+  return response.data
+}
+
+/**
+ * Bring a saved pitch back to one of its revisions
+ * @param {string} pitchId - Saved pitch id
+ * @param {number} number - Revision number
+ * @returns {Promise<Object>} Response with the restored pitch
+ */
+export const restoreRevision = async (pitchId, number) => {
+  const response = await api.post(`/history/${pitchId}/revisions/${number}/restore`)
+  return response.data
+}
+
+/**
+ * Open a shared pitch; no account needed
+ * Rejects with status 403 when the link needs a password or the password is wrong.
+ * @param {string} token - Share token from the /p/:token URL
+ * @param {string} [password] - Password of a protected link
+ * @returns {Promise<Object>} Response with the read-only pitch
+ */
+export const getSharedPitch = async (token, password) => {
+  const response = await api.get(`/share/${encodeURIComponent(token)}`, {
+    headers: password ? { 'X-Share-Password': password } : undefined
+  })
+  return response.data
+}
+
+/**
+ * Create an account and sign in
+ * @param {Object} credentials - email, password and optional display name
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const register = async ({ email, password, name }) => {
+  const response = await api.post('/auth/register', { email, password, name })
+  setAuthToken(response.data.data.token)
+  return response.data.data.user
+}
+
+/**
+ * Sign in with email and password
+ * @param {Object} credentials - email and password
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const login = async ({ email, password }) => {
+  const response = await api.post('/auth/login', { email, password })
+  setAuthToken(response.data.data.token)
+  return response.data.data.user
+}
+
+export const logout = () => {
+  setAuthToken(null)
+}
+
+/**
+ * Load the signed-in user from the stored token
+ * @returns {Promise<Object|null>} The user, or null when signed out or the session expired
+ */
+export const getCurrentUser = async () => {
+  if (!getAuthToken()) {
+    return null
+  }
+
+  try {
+    const response = await api.get('/auth/me')
+    return response.data.data
+  } catch (error) {
+    return null
+  }
+}
+
 export const checkHealth = async () => {
   const response = await api.get('/health')
   return response.data
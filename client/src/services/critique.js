@@ -0,0 +1,25 @@
+/**
+ * Investor critique criteria for the browser
+ * server/utils/critique.js scores the same criteria from 0 to 10; keep the two in sync.
+ */
+
+export const CRITIQUE_CRITERIA = [
+  { id: 'clarity', label: 'Clarity' },
+  { id: 'problemSeverity', label: 'Problem severity' },
+  { id: 'marketEvidence', label: 'Market evidence' },
+  { id: 'differentiation', label: 'Differentiation' },
+  { id: 'ask', label: 'Ask' }
+]
+
+export const MAX_SCORE = 10
+
+/**
+ * Tailwind color classes for a score
+ * @param {number} score - Score from 0 to 10
+ * @returns {Object} { bar, text } classes
+ */
+export const getScoreColor = (score) => {
+  if (score >= 7) return { bar: 'bg-emerald-400', text: 'text-emerald-300' }
+  if (score >= 4) return { bar: 'bg-amber-400', text: 'text-amber-300' }
+  return { bar: 'bg-red-400', text: 'text-red-300' }
+}
@@ -0,0 +1,84 @@
+import { getBrandFonts } from './themes'
+
+/**
+ * Fonts embedded in standalone HTML decks
+ * The app loads its fonts from Google Fonts, which an exported deck cannot rely
+ * on offline, so the deck carries the files of the families it renders as
+ * base64 @font-face rules. Only Latin files in the weights the slide renderer
+ * uses (light, regular, medium, bold, black) are bundled.
+ */
+
+const FONT_FILES = import.meta.glob(
+  '/node_modules/@fontsource/{inter,poppins,playfair-display,source-sans-3,space-grotesk,ibm-plex-sans,montserrat,open-sans}/files/*-latin-{300,400,500,700,900}-normal.woff2',
+  { as: 'url', eager: true }
+)
+
+// @fontsource package of each family
+const FONT_PACKAGES = {
+  Inter: 'inter',
+  Poppins: 'poppins',
+  'Playfair Display': 'playfair-display',
+  'Source Sans 3': 'source-sans-3',
+  'Space Grotesk': 'space-grotesk',
+  'IBM Plex Sans': 'ibm-plex-sans',
+  Montserrat: 'montserrat',
+  'Open Sans': 'open-sans'
+}
+
+// Without a brand kit font pairing, slides use the app's Poppins headings and Inter body text
+const DEFAULT_FAMILIES = ['Poppins', 'Inter']
+
+const firstFamily = (fontFamily) => fontFamily.match(/'([^']+)'/)?.[1]
+
+/**
+ * The font families a deck renders with
+ * @param {Object} [brand] - Brand settings stored on the pitch
+ * @returns {string[]} Family names; Inter is always included for the player controls
+ */
+export const getDeckFontFamilies = (brand) => {
+  const fonts = getBrandFonts(brand)
+  const families = fonts ? [firstFamily(fonts.heading), firstFamily(fonts.body)] : DEFAULT_FAMILIES
+  return [...new Set([...families, 'Inter'])].filter((family) => FONT_PACKAGES[family])
+}
+
+/**
+ * Font files bundled for a family
+ * @param {string} family - Family name, e.g. `Space Grotesk`
+ * @returns {Array<Object>} { weight, url } for each bundled weight
+ */
+export const getFontFiles = (family) => {
+  const prefix = `/@fontsource/${FONT_PACKAGES[family]}/files/${FONT_PACKAGES[family]}-latin-`
+  return Object.entries(FONT_FILES)
+    .filter(([path]) => path.includes(prefix))
+    .map(([path, url]) => ({ weight: Number(path.match(/-(\d+)-normal\.woff2$/)[1]), url }))
+}
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  // Chunked so large files do not exceed the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+/**
+ * Build @font-face rules with the font files inlined
+ * @param {string[]} families - Family names, see getDeckFontFamilies
+ * @returns {Promise<string>} CSS
+ */
+export const buildFontFaceCss = async (families) => {
+  const files = families.flatMap((family) => getFontFiles(family).map((file) => ({ family, ...file })))
+
+  const rules = await Promise.all(files.map(async ({ family, weight, url }) => {
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`Could not load the ${family} font (${response.status})`)
+    }
+    const data = toBase64(await response.arrayBuffer())
+    return `@font-face { font-family: '${family}'; font-style: normal; font-weight: ${weight}; font-display: swap; src: url(data:font/woff2;base64,${data}) format('woff2'); }`
+  }))
+
+  return rules.join('\n')
+}
@@ -0,0 +1,116 @@
+/**
+ * Side-by-side comparison of two versions of a pitch
+ * Each part of a pitch (name, elevator pitch, theme, every slide) is turned
+ * into lines of text and the lines are compared with a longest common
+ * subsequence, the way a code review shows a changed file.
+ */
+
+import { SLIDE_TYPE_LABELS, isLegacySlide } from './slides'
+import { DECK_THEMES } from './themes'
+
+const stripHtml = (html) => String(html)
+  .replace(/<(br|\/p|\/div|\/h\d|\/li)[^>]*>/gi, '\n')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+
+/**
+ * Turn a slide into the lines it is compared by
+ * @param {Object|string} slide - Slide object, or a legacy HTML string
+ * @returns {string[]} Lines of text; the visible text for legacy HTML slides
+ */
+export const slideToLines = (slide) => {
+  if (!slide) return []
+
+  if (isLegacySlide(slide)) {
+    return stripHtml(typeof slide === 'string' ? slide : slide.html)
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+  }
+
+  return [
+    `${SLIDE_TYPE_LABELS[slide.type] || 'Custom'} slide`,
+    slide.title,
+    slide.subtitle,
+    ...(slide.bullets || []).map((bullet) => `• ${bullet}`),
+    ...(slide.metrics || []).map((metric) => `${metric.value} ${metric.label}`),
+    slide.notes && `Notes: ${slide.notes}`
+  ].filter(Boolean)
+}
+
+/**
+ * Compare two lists of lines
+ * Runs of removed lines next to runs of added lines are paired up as changed rows.
+ * @param {string[]} before - Lines of the older version
+ * @param {string[]} after - Lines of the newer version
+ * @returns {Object[]} Rows of { status: 'same' | 'changed' | 'removed' | 'added', before, after }
+ */
+export const diffLines = (before, after) => {
+  // lengths[i][j] is the length of the longest common subsequence of before[i..] and after[j..]
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0))
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const rows = []
+  let removed = []
+  let added = []
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const status = k >= removed.length ? 'added' : k >= added.length ? 'removed' : 'changed'
+      rows.push({ status, before: removed[k] ?? null, after: added[k] ?? null })
+    }
+    removed = []
+    added = []
+  }
+
+  let i = 0
+  let j = 0
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      flush()
+      rows.push({ status: 'same', before: before[i], after: after[j] })
+      i++
+      j++
+    } else if (j >= after.length || (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      removed.push(before[i++])
+    } else {
+      added.push(after[j++])
+    }
+  }
+  flush()
+
+  return rows
+}
+
+/**
+ * Compare two versions of a pitch part by part
+ * @param {Object} before - Older version ({ name, elevator, slides, theme })
+ * @param {Object} after - Newer version
+ * @returns {Object[]} Sections of { key, label, rows, changed }; slides are matched by position
+ */
+export const diffPitches = (before, after) => {
+  const themeLabel = (theme) => (theme ? DECK_THEMES[theme]?.label || theme : 'Default theme')
+  const slideCount = Math.max(before.slides?.length || 0, after.slides?.length || 0)
+
+  const sections = [
+    { key: 'name', label: 'Company name', before: [before.name].filter(Boolean), after: [after.name].filter(Boolean) },
+    { key: 'elevator', label: 'Elevator pitch', before: [before.elevator].filter(Boolean), after: [after.elevator].filter(Boolean) },
+    { key: 'theme', label: 'Deck theme', before: [themeLabel(before.theme)], after: [themeLabel(after.theme)] },
+    ...Array.from({ length: slideCount }, (_, index) => ({
+      key: `slide-${index}`,
+      label: `Slide ${index + 1}`,
+      before: slideToLines(before.slides?.[index]),
+      after: slideToLines(after.slides?.[index])
+    }))
+  ]
+
+  return sections.map(({ key, label, before: beforeLines, after: afterLines }) => {
+    const rows = diffLines(beforeLines, afterLines)
+    return { key, label, rows, changed: rows.some((row) => row.status !== 'same') }
+  })
+}
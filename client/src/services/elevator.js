@@ -0,0 +1,17 @@
+/**
+ * Elevator pitch variants for the browser
+ * The same pitch retold for different audiences. server/utils/elevator.js
+ * uses the same variant types and limits; keep the two in sync.
+ */
+
+export const TWEET_MAX_LENGTH = 280
+
+export const SPOKEN_DURATION = 30
+
+export const ELEVATOR_VARIANTS = [
+  { id: 'investor', label: 'Investor' },
+  { id: 'customer', label: 'Customer' },
+  { id: 'recruiter', label: 'Recruiter' },
+  { id: 'tweet', label: 'Tweet' },
+  { id: 'spoken', label: '30-second spoken' }
+]
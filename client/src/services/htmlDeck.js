@@ -0,0 +1,116 @@
+import deckCss from '../deck.css?inline'
+import { renderSlideHtml, escapeHtml } from './slides'
+import { getDeckFontFamilies, buildFontFaceCss } from './deckFonts'
+
+/**
+ * Standalone HTML decks
+ * Bundles every slide into one self-contained HTML file with the compiled
+ * slide styles and fonts inlined, so it can be emailed, hosted on any static
+ * site or presented offline.
+ * Slides go through renderSlideHtml, exactly as in the viewer.
+ */
+
+// Slides are laid out on a fixed 16:9 stage that is scaled to fit the window
+const STAGE = { width: 1280, height: 720 }
+
+const PLAYER_CSS = `
+html, body { margin: 0; height: 100%; overflow: hidden; }
+.deck-stage { position: absolute; top: 50%; left: 50%; width: ${STAGE.width}px; height: ${STAGE.height}px; overflow: hidden; transform-origin: center; }
+.deck-slide { position: absolute; inset: 0; }
+.deck-slide[hidden] { display: none; }
+.deck-slide > section { min-height: 100%; height: 100%; }
+.deck-controls { position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); display: flex; align-items: center; gap: 8px; padding: 6px; border-radius: 12px; background: rgba(0, 0, 0, 0.55); color: #fff; font: 500 14px/1 Inter, system-ui, sans-serif; opacity: 0.15; transition: opacity 0.3s; z-index: 50; }
+.deck-controls:hover, .deck-controls:focus-within { opacity: 1; }
+.deck-controls button { border: 0; border-radius: 8px; padding: 8px 12px; background: rgba(255, 255, 255, 0.12); color: inherit; font: inherit; cursor: pointer; }
+.deck-controls button:hover { background: rgba(255, 255, 255, 0.25); }
+.deck-counter { min-width: 64px; text-align: center; }
+`
+
+// Arrow keys, Page Up/Down, Space, Home and End navigate; F toggles fullscreen
+const PLAYER_SCRIPT = `
+(function () {
+  var slides = document.querySelectorAll('.deck-slide');
+  var stage = document.querySelector('.deck-stage');
+  var counter = document.querySelector('.deck-counter');
+  var current = 0;
+
+  function show(index) {
+    current = Math.max(0, Math.min(slides.length - 1, index));
+    for (var i = 0; i < slides.length; i++) {
+      slides[i].hidden = i !== current;
+    }
+    counter.textContent = (current + 1) + ' / ' + slides.length;
+    history.replaceState(null, '', '#' + (current + 1));
+  }
+
+  function fit() {
+    var scale = Math.min(window.innerWidth / ${STAGE.width}, window.innerHeight / ${STAGE.height});
+    stage.style.transform = 'translate(-50%, -50%) scale(' + scale + ')';
+  }
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen();
+    }
+  }
+
+  document.addEventListener('keydown', function (event) {
+    if (event.metaKey || event.ctrlKey || event.altKey) return;
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' '].indexOf(event.key) !== -1) show(current + 1);
+    else if (['ArrowLeft', 'ArrowUp', 'PageUp'].indexOf(event.key) !== -1) show(current - 1);
+    else if (event.key === 'Home') show(0);
+    else if (event.key === 'End') show(slides.length - 1);
+    else if (event.key === 'f' || event.key === 'F') toggleFullscreen();
+    else return;
+    event.preventDefault();
+  });
+
+  document.querySelector('[data-action="prev"]').addEventListener('click', function () { show(current - 1); });
+  document.querySelector('[data-action="next"]').addEventListener('click', function () { show(current + 1); });
+  document.querySelector('[data-action="fullscreen"]').addEventListener('click', toggleFullscreen);
+  window.addEventListener('resize', fit);
+
+  fit();
+  show((parseInt(location.hash.slice(1), 10) || 1) - 1);
+})();
+`
+
+/**
+ * Build a self-contained HTML presentation of a deck
+ * @param {Array} slides - Slides to include
+ * @param {string} [title] - Document title, usually the company name
+ * @param {Object} [deckOptions] - `{ theme, brand }` of the pitch
+ * @returns {Promise<string>} Complete HTML document
+ */
+export const buildHtmlDeck = async (slides, title = 'Pitch Deck', deckOptions = {}) => {
+  const fontCss = await buildFontFaceCss(getDeckFontFamilies(deckOptions.brand))
+  const slideMarkup = slides
+    .map((slide, index) => `<div class="deck-slide slide-content" aria-label="Slide ${index + 1}"${index === 0 ? '' : ' hidden'}>${renderSlideHtml(slide, deckOptions)}</div>`)
+    .join('\n')
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="PitchPerfect">
+<title>${escapeHtml(title)}</title>
+<style>${fontCss}${deckCss}${PLAYER_CSS}</style>
+</head>
+<body>
+<main class="deck-stage">
+${slideMarkup}
+</main>
+<nav class="deck-controls" aria-label="Slide navigation">
+<button type="button" data-action="prev" aria-label="Previous slide">&larr;</button>
+<span class="deck-counter">1 / ${slides.length}</span>
+<button type="button" data-action="next" aria-label="Next slide">&rarr;</button>
+<button type="button" data-action="fullscreen" title="Fullscreen (F)">Fullscreen</button>
+</nav>
+<script>${PLAYER_SCRIPT}</script>
+</body>
+</html>
+`
+}
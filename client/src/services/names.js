@@ -0,0 +1,70 @@
+/**
+ * Company name helpers for the browser
+ * Renames pitches that are not saved, which the server cannot rewrite.
+ * server/utils/names.js applies the same rules to saved pitches; keep the two in sync.
+ */
+
+import { ELEVATOR_VARIANTS } from './elevator'
+
+const LETTER_OR_DIGIT = '\\p{L}\\p{N}'
+
+// Slide fields that hold free text
+const TEXT_FIELDS = ['title', 'subtitle', 'html', 'notes']
+
+/**
+ * Replace whole-word mentions of one name with another
+ * Mentions written in capitals, like slide titles, stay in capitals.
+ * @param {string} text - Text to rewrite
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ * @returns {string} Rewritten text
+ */
+export const replaceName = (text, from, to) => {
+  if (typeof text !== 'string' || !from) {
+    return text
+  }
+
+  const escaped = from.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')
+  const pattern = new RegExp(`(?<![${LETTER_OR_DIGIT}])${escaped}(?![${LETTER_OR_DIGIT}])`, 'giu')
+  const isCapitalized = (mention) => mention === mention.toUpperCase() && mention !== from && mention !== mention.toLowerCase()
+
+  return text.replace(pattern, (mention) => (isCapitalized(mention) ? to.toUpperCase() : to))
+}
+
+/**
+ * Rename a pitch, rewriting every slide, speaker note, script section and elevator pitch variant that mentions the old name
+ * @param {Object} pitch - Pitch with name, elevator, slides and optional script and elevatorVariants
+ * @param {string} newName - Name to switch to
+ * @returns {Object} The pitch with the new name applied
+ */
+export const renamePitch = (pitch, newName) => {
+  const to = newName.trim()
+  const rename = (text) => replaceName(text, pitch.name, to)
+
+  const slides = pitch.slides.map((slide) => {
+    const renamed = { ...slide }
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof slide[field] === 'string') {
+        renamed[field] = rename(slide[field])
+      }
+    })
+    if (Array.isArray(slide.bullets)) {
+      renamed.bullets = slide.bullets.map(rename)
+    }
+    if (Array.isArray(slide.metrics)) {
+      renamed.metrics = slide.metrics.map((metric) => ({ ...metric, value: rename(metric.value), label: rename(metric.label) }))
+    }
+    return renamed
+  })
+
+  return {
+    ...pitch,
+    name: to,
+    elevator: rename(pitch.elevator),
+    slides,
+    script: pitch.script ? { ...pitch.script, sections: pitch.script.sections.map(rename) } : pitch.script,
+    elevatorVariants: pitch.elevatorVariants
+      ? { ...pitch.elevatorVariants, ...Object.fromEntries(ELEVATOR_VARIANTS.map(({ id }) => [id, rename(pitch.elevatorVariants[id])])) }
+      : pitch.elevatorVariants
+  }
+}
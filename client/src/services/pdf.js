@@ -1,7 +1,102 @@
 import jsPDF from 'jspdf'
 import html2canvas from 'html2canvas'
+import { renderSlideHtml } from './slides'
+import { buildHtmlDeck } from './htmlDeck'
+import { exportPitchPdf, exportPitchPptx, exportPitchMarkdown } from './api'
+
+const toFilename = (companyName, suffix) => `${companyName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${suffix}`
+
+/**
+ * Wait until a rendered slide's fonts and images are ready to be captured
+ * @param {HTMLElement} element - Slide element attached to the document
+ */
+const waitForSlideAssets = async (element) => {
+  await document.fonts?.ready
+  await Promise.all([...element.querySelectorAll('img')].map((img) => img.decode().catch(() => {})))
+}
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = url
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Download the server-rendered vector PDF of a saved pitch
+ * Text in this PDF is selectable and the fonts are embedded, unlike the
+ * screenshot-based generatePDF below, which stays as the offline fallback.
+ * @param {string} pitchId - Saved pitch id
+ * @param {string} [companyName] - Used for the file name
+ * @returns {Promise<string>} The file name
+ */
+export const downloadServerPDF = async (pitchId, companyName = 'Pitch') => {
+  const filename = toFilename(companyName, 'pitch_deck.pdf')
+  saveBlob(await exportPitchPdf(pitchId), filename)
+
+  console.log('✅ PDF exported by the server:', filename)
+  return filename
+}
+
+/**
+ * Download a saved pitch as a PowerPoint deck with editable text and shapes
+ * @param {string} pitchId - Saved pitch id
+ * @param {string} [companyName] - Used for the file name
+ * @returns {Promise<string>} The file name
+ */
+export const downloadServerPPTX = async (pitchId, companyName = 'Pitch') => {
+  const filename = toFilename(companyName, 'pitch_deck.pptx')
+  saveBlob(await exportPitchPptx(pitchId), filename)
+
+  console.log('✅ PowerPoint exported by the server:', filename)
+  return filename
+}
+
+/**
+ * Download a saved pitch as Markdown for Marp, Reveal.js or version control
+ * @param {string} pitchId - Saved pitch id
+ * @param {string} [companyName] - Used for the file name
+ * @returns {Promise<string>} The file name
+ */
+export const downloadServerMarkdown = async (pitchId, companyName = 'Pitch') => {
+  const filename = toFilename(companyName, 'pitch_deck.md')
+  saveBlob(await exportPitchMarkdown(pitchId), filename)
+
+  console.log('✅ Markdown exported by the server:', filename)
+  return filename
+}
+
+/**
+ * Download the deck as a single HTML file that presents offline
+ * @param {Array} slides - Slides to export
+ * @param {string} [companyName] - Used for the file name and page title
+ * @param {Object} [deckOptions] - `{ theme, brand }` of the pitch
+ * @returns {Promise<string>} The file name
+ */
+export const downloadHtmlDeck = async (slides, companyName = 'Pitch', deckOptions = {}) => {
+  if (!slides || slides.length === 0) {
+    throw new Error('No slides provided for HTML export')
+  }
+
+  const filename = toFilename(companyName, 'pitch_deck.html')
+  const html = await buildHtmlDeck(slides, companyName, deckOptions)
+  saveBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename)
+
+  console.log('✅ HTML deck exported:', filename)
+  return filename
+}
 
-export const generatePDF = async (slides, companyName = 'Pitch') => {
+/**
+ * Build a PDF in the browser from screenshots of the rendered slides
+ * Works offline and for unsaved pitches; the text in it is not selectable.
+ * @param {Array} slides - Slides to export
+ * @param {string} [companyName] - Used for the file name
+ * @param {Object} [deckOptions] - `{ theme, brand }` of the pitch
+ * @returns {Promise<string>} The file name
+ */
+export const generatePDF = async (slides, companyName = 'Pitch', deckOptions = {}) => {
   if (!slides || slides.length === 0) {
     throw new Error('No slides provided for PDF generation')
   }
@@ -30,7 +125,7 @@ export const generatePDF = async (slides, companyName = 'Pitch') => {
       console.log(`📄 Processing slide ${i + 1}/${slides.length}`)
 
       const slideElement = document.createElement('div')
-      slideElement.innerHTML = slides[i]
+      slideElement.innerHTML = renderSlideHtml(slides[i], deckOptions)
       slideElement.style.width = '1920px'
       slideElement.style.height = '1080px'
       slideElement.style.transform = 'scale(0.5)'
@@ -38,7 +133,8 @@ export const generatePDF = async (slides, companyName = 'Pitch') => {
       
       container.appendChild(slideElement)
 
-      await new Promise(resolve => setTimeout(resolve, 500))
+      // Brand kit fonts and the logo must finish loading or html2canvas captures fallbacks
+      await waitForSlideAssets(slideElement)
 
       const canvas = await html2canvas(slideElement, {
         width: 1920,
@@ -62,7 +158,7 @@ export const generatePDF = async (slides, companyName = 'Pitch') => {
 
     document.body.removeChild(container)
 
-    const filename = `${companyName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_pitch_deck.pdf`
+    const filename = toFilename(companyName, 'pitch_deck.pdf')
 
     pdf.save(filename)
 
@@ -76,7 +172,7 @@ export const generatePDF = async (slides, companyName = 'Pitch') => {
   }
 }
 
-export const downloadSlidesAsImages = async (slides, companyName = 'Pitch') => {
+export const downloadSlidesAsImages = async (slides, companyName = 'Pitch', deckOptions = {}) => {
   if (!slides || slides.length === 0) {
     throw new Error('No slides provided for image generation')
   }
@@ -94,13 +190,14 @@ export const downloadSlidesAsImages = async (slides, companyName = 'Pitch') => {
       console.log(`🖼️ Processing slide image ${i + 1}/${slides.length}`)
 
       const slideElement = document.createElement('div')
-      slideElement.innerHTML = slides[i]
+      slideElement.innerHTML = renderSlideHtml(slides[i], deckOptions)
       slideElement.style.width = '1920px'
       slideElement.style.height = '1080px'
       
       container.appendChild(slideElement)
 
-      await new Promise(resolve => setTimeout(resolve, 500))
+      // Brand kit fonts and the logo must finish loading or html2canvas captures fallbacks
+      await waitForSlideAssets(slideElement)
 
       const canvas = await html2canvas(slideElement, {
         width: 1920,
@@ -112,7 +209,7 @@ export const downloadSlidesAsImages = async (slides, companyName = 'Pitch') => {
       })
 
       const link = document.createElement('a')
-      link.download = `${companyName.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_slide_${i + 1}.png`
+      link.download = toFilename(companyName, `slide_${i + 1}.png`)
       link.href = canvas.toDataURL('image/png')
       link.click()
 
@@ -0,0 +1,43 @@
+/**
+ * Pitch script helpers for the browser
+ * A script is the spoken version of a deck, one section per slide, written
+ * for a target length. server/utils/script.js uses the same lengths and
+ * speaking pace; keep the two in sync.
+ */
+
+export const SCRIPT_DURATIONS = [
+  { seconds: 60, label: '60 seconds' },
+  { seconds: 180, label: '3 minutes' },
+  { seconds: 300, label: '5 minutes' }
+]
+
+export const DEFAULT_SCRIPT_DURATION = 180
+
+export const WORDS_PER_MINUTE = 140
+
+export const countWords = (text) => (typeof text === 'string' ? text.split(/\s+/).filter(Boolean).length : 0)
+
+/**
+ * Estimate how long a text takes to say
+ * @param {string} text - Spoken text
+ * @returns {number} Seconds, rounded
+ */
+export const estimateSpeakingTime = (text) => Math.round((countWords(text) / WORDS_PER_MINUTE) * 60)
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Duration, negative for overtime
+ * @returns {string} Clock text such as 2:05 or -0:12
+ */
+export const formatClock = (seconds) => {
+  const total = Math.abs(Math.round(seconds))
+  const rest = String(total % 60).padStart(2, '0')
+  return `${seconds < 0 ? '-' : ''}${Math.floor(total / 60)}:${rest}`
+}
+
+/**
+ * Join a script's sections into the full spoken text
+ * @param {Object} script - Script with sections
+ * @returns {string} Script text, one paragraph per slide
+ */
+export const scriptToText = (script) => (script?.sections || []).filter(Boolean).join('\n\n')
@@ -0,0 +1,139 @@
+/**
+ * Slide rendering for the browser
+ * Pitches store slides as typed JSON ({ type, title, subtitle, bullets, icon,
+ * metrics, theme }). This turns them into the same Tailwind markup as
+ * server/utils/slides.js; keep the two in sync.
+ */
+
+import { getSlideStyle, getBrandFonts, isLogoDataUrl } from './themes'
+
+export { SLIDE_THEMES } from './themes'
+
+export const SLIDE_TYPES = [
+  'title',
+  'problem',
+  'solution',
+  'why-now',
+  'market',
+  'product',
+  'business-model',
+  'traction',
+  'competition',
+  'team',
+  'ask',
+  'cta',
+  'custom'
+]
+
+export const SLIDE_TYPE_LABELS = {
+  title: 'Title',
+  problem: 'Problem',
+  solution: 'Solution',
+  'why-now': 'Why Now',
+  market: 'Market Size',
+  product: 'Product',
+  'business-model': 'Business Model',
+  traction: 'Traction',
+  competition: 'Competition',
+  team: 'Team',
+  ask: 'The Ask',
+  cta: 'Call to Action',
+  custom: 'Custom'
+}
+
+// Presets the server accepts by name as `slidePlan`
+export const SLIDE_PLANS = {
+  standard: ['problem', 'solution', 'market', 'cta'],
+  short: ['problem', 'solution', 'cta'],
+  yc: ['problem', 'solution', 'why-now', 'market', 'product', 'business-model', 'traction', 'competition', 'team', 'ask']
+}
+
+export const SLIDE_PLAN_LIMITS = { min: 3, max: 12 }
+
+const DEFAULT_ICONS = {
+  title: '🌟',
+  problem: '🔥',
+  solution: '💡',
+  'why-now': '⚡',
+  market: '📈',
+  product: '🎯',
+  'business-model': '💰',
+  traction: '📊',
+  competition: '🏆',
+  team: '👥',
+  ask: '💎',
+  cta: '🚀',
+  custom: '✨'
+}
+
+export const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Check whether a slide predates the structured schema and only has HTML
+ * @param {Object|string} slide - Slide
+ * @returns {boolean} True for legacy HTML slides
+ */
+export const isLegacySlide = (slide) => typeof slide === 'string' || Boolean(slide?.html && !slide?.title)
+
+/**
+ * Render a slide as Tailwind-styled HTML
+ * Legacy HTML slides are returned as stored; the server sanitizes them before they reach the browser.
+ * @param {Object|string} slide - Slide object, or a legacy HTML string
+ * @param {Object} [options] - Deck options, usually `{ theme, brand }` from the pitch; the brand kit's logo and fonts apply to every theme
+ * @returns {string} Slide HTML
+ */
+export const renderSlideHtml = (slide, options = {}) => {
+  if (!slide) {
+    return ''
+  }
+
+  // Legacy slides carry their own markup, so deck themes don't apply to them
+  if (isLegacySlide(slide)) {
+    return typeof slide === 'string' ? slide : slide.html
+  }
+
+  const style = getSlideStyle(slide, options)
+  const fonts = getBrandFonts(options.brand)
+  const sectionCss = [style.sectionStyle, fonts && `font-family: ${fonts.body}`].filter(Boolean).join('; ')
+  const sectionStyle = sectionCss ? ` style="${escapeHtml(sectionCss)}"` : ''
+  const titleStyle = fonts ? ` style="${escapeHtml(`font-family: ${fonts.heading}`)}"` : ''
+  const overlay = style.overlay ? '<div class="absolute inset-0 bg-black/20"></div>' : ''
+  const logo = isLogoDataUrl(options.brand?.logo)
+    ? `<img src="${escapeHtml(options.brand.logo)}" alt="" class="absolute top-8 left-8 z-20 h-16 w-auto max-w-[12rem] object-contain">`
+    : ''
+  const icon = slide.icon || DEFAULT_ICONS[slide.type] || DEFAULT_ICONS.custom
+  const bullets = (slide.bullets || []).filter((bullet) => bullet && bullet.trim())
+  const metrics = (slide.metrics || []).filter((metric) => metric?.value && metric?.label)
+
+  const parts = [
+    `<div class="text-6xl mb-6">${escapeHtml(icon)}</div>`,
+    `<h1 class="text-7xl md:text-8xl font-black mb-8 ${style.title} leading-tight"${titleStyle}>${escapeHtml(slide.title || '')}</h1>`
+  ]
+
+  if (slide.subtitle) {
+    parts.push(`<p class="text-2xl md:text-3xl ${style.text} font-light leading-relaxed mb-8">${escapeHtml(slide.subtitle)}</p>`)
+  }
+
+  if (bullets.length > 0) {
+    const items = bullets
+      .map((bullet) => `<li class="flex items-start"><span class="mr-3">•</span><span>${escapeHtml(bullet)}</span></li>`)
+      .join('')
+    parts.push(`<ul class="inline-block text-left text-xl md:text-2xl ${style.text} space-y-3 mb-8">${items}</ul>`)
+  }
+
+  if (metrics.length > 0) {
+    const cards = metrics
+      .map(({ value, label }) => `<div class="${style.card} rounded-2xl px-8 py-6"><div class="text-4xl md:text-5xl font-black ${style.value}">${escapeHtml(value)}</div><div class="text-sm uppercase tracking-wider ${style.text}">${escapeHtml(label)}</div></div>`)
+      .join('')
+    parts.push(`<div class="flex flex-wrap justify-center gap-6 mb-8">${cards}</div>`)
+  }
+
+  parts.push(`<div class="w-24 h-1 ${style.rule} mx-auto rounded-full"></div>`)
+
+  return `<section class="min-h-screen ${style.section} p-12 flex flex-col justify-center items-center relative overflow-hidden"${sectionStyle}>${overlay}${logo}<div class="relative z-10 text-center max-w-6xl mx-auto">${parts.join('')}</div></section>`
+}
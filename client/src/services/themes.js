@@ -0,0 +1,186 @@
+/**
+ * Deck theme registry and brand kit helpers for the browser
+ * A deck theme decides how every slide is styled when it is rendered, so
+ * switching themes never calls the AI. A brand kit adds a logo and font
+ * pairing on top of any theme. server/utils/themes.js holds the same
+ * registry; keep the two in sync.
+ */
+
+// Per-slide palettes used by the dark gradient theme.
+// Every class is spelled out in full so Tailwind's content scan picks them up.
+export const SLIDE_THEMES = {
+  purple: {
+    background: 'from-slate-900 via-purple-900 to-slate-900',
+    title: 'from-white to-purple-200',
+    text: 'text-purple-100',
+    rule: 'from-purple-400 to-pink-400'
+  },
+  blue: {
+    background: 'from-blue-900 via-indigo-900 to-purple-900',
+    title: 'from-white to-blue-200',
+    text: 'text-blue-100',
+    rule: 'from-blue-400 to-indigo-400'
+  },
+  emerald: {
+    background: 'from-emerald-900 via-teal-900 to-cyan-900',
+    title: 'from-white to-emerald-200',
+    text: 'text-emerald-100',
+    rule: 'from-emerald-400 to-teal-400'
+  },
+  rose: {
+    background: 'from-rose-900 via-pink-900 to-purple-900',
+    title: 'from-white to-rose-200',
+    text: 'text-rose-100',
+    rule: 'from-rose-400 to-pink-400'
+  },
+  amber: {
+    background: 'from-amber-900 via-orange-900 to-red-900',
+    title: 'from-white to-amber-200',
+    text: 'text-amber-100',
+    rule: 'from-amber-400 to-orange-400'
+  },
+  slate: {
+    background: 'from-gray-900 via-slate-800 to-gray-900',
+    title: 'from-white to-slate-300',
+    text: 'text-slate-200',
+    rule: 'from-slate-400 to-gray-400'
+  }
+}
+
+export const DECK_THEMES = {
+  'dark-gradient': {
+    label: 'Dark Gradient',
+    description: 'Bold gradients with a different accent on every slide',
+    swatch: 'bg-gradient-to-br from-slate-900 via-purple-900 to-emerald-900'
+  },
+  'light-corporate': {
+    label: 'Light Corporate',
+    description: 'Clean white slides with navy headings',
+    swatch: 'bg-gradient-to-br from-white to-slate-200',
+    classes: {
+      section: 'bg-gradient-to-br from-white to-slate-100 text-slate-900',
+      title: 'text-slate-900',
+      text: 'text-slate-600',
+      rule: 'bg-blue-700',
+      card: 'bg-white shadow-lg border border-slate-200',
+      value: 'text-blue-800'
+    }
+  },
+  'minimal-mono': {
+    label: 'Minimal Monochrome',
+    description: 'Black on white, no color',
+    swatch: 'bg-white border-2 border-neutral-900',
+    classes: {
+      section: 'bg-white text-neutral-900',
+      title: 'text-neutral-900',
+      text: 'text-neutral-600',
+      rule: 'bg-neutral-900',
+      card: 'border-2 border-neutral-900',
+      value: 'text-neutral-900'
+    }
+  },
+  brand: {
+    label: 'Brand Colors',
+    description: 'A gradient of your primary and secondary colors'
+  }
+}
+
+export const DEFAULT_DECK_THEME = 'dark-gradient'
+
+export const DEFAULT_BRAND_COLORS = {
+  primaryColor: '#1e3a8a',
+  secondaryColor: '#7c3aed'
+}
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+// The families are loaded from Google Fonts in index.html
+export const FONT_PAIRINGS = {
+  modern: { label: 'Modern', heading: "'Poppins', sans-serif", body: "'Inter', sans-serif" },
+  classic: { label: 'Classic', heading: "'Playfair Display', serif", body: "'Source Sans 3', sans-serif" },
+  technical: { label: 'Technical', heading: "'Space Grotesk', sans-serif", body: "'IBM Plex Sans', sans-serif" },
+  friendly: { label: 'Friendly', heading: "'Montserrat', sans-serif", body: "'Open Sans', sans-serif" }
+}
+
+// SVG is left out because it can carry scripts; the server enforces the same rules
+export const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+export const LOGO_MAX_SIZE = 1024 * 1024
+
+const LOGO_DATA_URL_PATTERN = /^data:image\/(?:png|jpeg|webp);base64,[a-z0-9+/]+={0,2}$/i
+
+/**
+ * Check whether a value is a logo data URL the renderer can embed
+ * @param {string} value - Candidate data URL
+ * @returns {boolean} True for base64 PNG, JPEG and WebP data URLs
+ */
+export const isLogoDataUrl = (value) => typeof value === 'string' && LOGO_DATA_URL_PATTERN.test(value)
+
+/**
+ * Resolve the font families of a brand kit's font pairing
+ * @param {Object} [brand] - Brand settings stored on the pitch
+ * @returns {Object|null} { heading, body } CSS font-family values, or null to keep the theme's fonts
+ */
+export const getBrandFonts = (brand) => {
+  const pairing = FONT_PAIRINGS[brand?.fontPairing]
+  return pairing ? { heading: pairing.heading, body: pairing.body } : null
+}
+
+/**
+ * Fill in missing or malformed brand colors with the defaults
+ * @param {Object} [brand] - Brand settings stored on the pitch
+ * @returns {Object} { primaryColor, secondaryColor } as #rrggbb
+ */
+export const resolveBrandColors = (brand) => {
+  const pick = (key) => (HEX_COLOR_PATTERN.test(brand?.[key]) ? brand[key] : DEFAULT_BRAND_COLORS[key])
+  return { primaryColor: pick('primaryColor'), secondaryColor: pick('secondaryColor') }
+}
+
+const isLightColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((offset) => parseInt(hex.slice(offset, offset + 2), 16) / 255)
+  // Relative luminance approximation from ITU-R BT.709
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.6
+}
+
+/**
+ * Resolve the classes (and inline styles for brand colors) used to render a slide
+ * @param {Object} slide - Structured slide
+ * @param {Object} [options] - Deck options
+ * @param {string} [options.theme] - Deck theme name, defaults to dark gradient
+ * @param {Object} [options.brand] - Brand colors for the brand theme
+ * @returns {Object} Classes for section, title, text, rule, card and value, plus sectionStyle and overlay
+ */
+export const getSlideStyle = (slide, { theme, brand } = {}) => {
+  const deckTheme = DECK_THEMES[theme] ? theme : DEFAULT_DECK_THEME
+
+  if (deckTheme === 'brand') {
+    const { primaryColor, secondaryColor } = resolveBrandColors(brand)
+    const light = isLightColor(primaryColor) && isLightColor(secondaryColor)
+
+    return {
+      section: light ? 'text-slate-900' : 'text-white',
+      sectionStyle: `background: linear-gradient(135deg, ${primaryColor}, ${secondaryColor})`,
+      overlay: false,
+      title: light ? 'text-slate-900' : 'text-white',
+      text: light ? 'text-slate-700' : 'text-white/80',
+      rule: light ? 'bg-slate-900/60' : 'bg-white/70',
+      card: light ? 'bg-white/60' : 'bg-white/15',
+      value: light ? 'text-slate-900' : 'text-white'
+    }
+  }
+
+  if (deckTheme !== 'dark-gradient') {
+    return { ...DECK_THEMES[deckTheme].classes, sectionStyle: null, overlay: false }
+  }
+
+  const palette = SLIDE_THEMES[slide.theme] || SLIDE_THEMES.slate
+  return {
+    section: `bg-gradient-to-br ${palette.background} text-white`,
+    sectionStyle: null,
+    overlay: true,
+    title: `bg-gradient-to-r ${palette.title} bg-clip-text text-transparent`,
+    text: palette.text,
+    rule: `bg-gradient-to-r ${palette.rule}`,
+    card: 'bg-white/10',
+    value: 'text-white'
+  }
+}
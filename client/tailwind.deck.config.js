@@ -0,0 +1,11 @@
+import baseConfig from './tailwind.config.js'
+
+/** Tailwind build for exported HTML decks: only the classes the slide renderer emits */
+export default {
+  ...baseConfig,
+  content: [
+    './src/services/slides.js',
+    './src/services/themes.js',
+    './src/services/htmlDeck.js'
+  ]
+}
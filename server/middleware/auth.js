@@ -0,0 +1,49 @@
+const { verifyToken } = require('../services/auth');
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, if any
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Attach req.user when a valid token is sent; anonymous requests continue.
+ * An invalid or expired token is rejected so the client can ask the user to sign in again.
+ */
+function optionalAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: 'Invalid token',
+      message: 'Your session has expired. Please sign in again.'
+    });
+  }
+}
+
+/**
+ * Require a valid token
+ */
+function requireAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please sign in to continue.'
+    });
+  }
+
+  optionalAuth(req, res, next);
+}
+
+module.exports = { optionalAuth, requireAuth };
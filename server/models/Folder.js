@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { FOLDER_NAME_MAX_LENGTH } = require('../utils/history');
+
+// A user's collection of pitches, e.g. a cohort or a demo day; a pitch is in at most one folder
+const FolderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: FOLDER_NAME_MAX_LENGTH
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FolderSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Folder', FolderSchema);
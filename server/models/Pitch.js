@@ -1,4 +1,104 @@
 const mongoose = require('mongoose');
+const { SLIDE_TYPES, SLIDE_THEMES } = require('../utils/slides');
+const { DECK_THEMES, DEFAULT_DECK_THEME, HEX_COLOR_PATTERN, FONT_PAIRINGS } = require('../utils/themes');
+const { SCRIPT_DURATIONS } = require('../utils/script');
+const { TWEET_MAX_LENGTH } = require('../utils/elevator');
+const { TAG_MAX_LENGTH } = require('../utils/history');
+
+const MetricSchema = new mongoose.Schema({
+  value: { type: String, required: true, trim: true },
+  label: { type: String, required: true, trim: true }
+}, { _id: false });
+
+const SlideSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SLIDE_TYPES,
+    default: 'custom'
+  },
+  title: { type: String, trim: true },
+  subtitle: { type: String, trim: true },
+  bullets: [{ type: String, trim: true }],
+  icon: { type: String, trim: true },
+  metrics: [MetricSchema],
+  theme: {
+    type: String,
+    enum: Object.keys(SLIDE_THEMES)
+  },
+  // Sanitized markup of slides generated before the structured schema
+  html: { type: String },
+  // What the presenter says on this slide; shown in presenter mode, never on the slide
+  notes: { type: String, trim: true }
+}, { _id: false });
+
+const BrandSchema = new mongoose.Schema({
+  primaryColor: { type: String, match: HEX_COLOR_PATTERN },
+  secondaryColor: { type: String, match: HEX_COLOR_PATTERN },
+  fontPairing: {
+    type: String,
+    enum: [...Object.keys(FONT_PAIRINGS), null],
+    default: null
+  },
+  // Base64 data URL, validated by validateBrand before it is stored
+  logo: { type: String, default: null }
+}, { _id: false });
+
+const ScriptSchema = new mongoose.Schema({
+  // Target length in seconds
+  duration: {
+    type: Number,
+    enum: SCRIPT_DURATIONS,
+    required: true
+  },
+  // Spoken text for each slide, in slide order
+  sections: [{ type: String, trim: true }],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The elevator pitch retold for each audience, see utils/elevator.js
+const ElevatorVariantsSchema = new mongoose.Schema({
+  investor: { type: String, trim: true },
+  customer: { type: String, trim: true },
+  recruiter: { type: String, trim: true },
+  tweet: { type: String, trim: true, maxlength: TWEET_MAX_LENGTH },
+  spoken: { type: String, trim: true },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CritiqueSchema = new mongoose.Schema({
+  // 0-10 per criterion, see utils/critique.js
+  scores: {
+    clarity: { type: Number, min: 0, max: 10 },
+    problemSeverity: { type: Number, min: 0, max: 10 },
+    marketEvidence: { type: Number, min: 0, max: 10 },
+    differentiation: { type: Number, min: 0, max: 10 },
+    ask: { type: Number, min: 0, max: 10 }
+  },
+  overall: { type: Number, min: 0, max: 10 },
+  summary: { type: String, trim: true },
+  // One list of suggestions per slide, in slide order
+  suggestions: [[{ type: String, trim: true }]],
+  // Whether the model wrote the critique or the offline rubric scored the deck
+  source: {
+    type: String,
+    enum: ['ai', 'rubric']
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const NameCandidateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  rationale: { type: String, trim: true }
+}, { _id: false });
 
 const PitchSchema = new mongoose.Schema({
   idea: {
@@ -16,21 +116,111 @@ const PitchSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  slides: [{
+  elevatorVariants: {
+    type: ElevatorVariantsSchema,
+    default: null
+  },
+  slides: [SlideSchema],
+  // Alternative company names suggested with the pitch; the current name is one of them
+  nameCandidates: [NameCandidateSchema],
+  // Deck-wide look applied when slides are rendered; changing it never touches slide content
+  theme: {
     type: String,
-    required: true
+    enum: Object.keys(DECK_THEMES),
+    default: DEFAULT_DECK_THEME
+  },
+  brand: {
+    type: BrandSchema,
+    default: () => ({})
+  },
+  script: {
+    type: ScriptSchema,
+    default: null
+  },
+  critique: {
+    type: CritiqueSchema,
+    default: null
+  },
+  // Lowercase labels for grouping pitches, e.g. by cohort or industry; GET /api/history filters on them
+  tags: [{ type: String, trim: true, lowercase: true, maxlength: TAG_MAX_LENGTH }],
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  starred: {
+    type: Boolean,
+    default: false
+  },
+  // Remixes point at the pitch they were made from; ancestors holds its whole line, root first
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pitch',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pitch'
   }],
+  // Number of the latest revision, see services/revisions.js
+  revisionCount: {
+    type: Number,
+    default: 0
+  },
+  remixInstruction: {
+    type: String,
+    trim: true,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
   ipAddress: {
     type: String,
     default: 'unknown'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+// Pitches saved before slides were structured stored raw HTML strings
+PitchSchema.pre('init', function (raw) {
+  if (Array.isArray(raw.slides)) {
+    raw.slides = raw.slides.map(slide => (typeof slide === 'string' ? { type: 'custom', html: slide } : slide));
   }
 });
 
 PitchSchema.index({ createdAt: -1 });
 PitchSchema.index({ ipAddress: 1 });
+PitchSchema.index({ owner: 1, createdAt: -1 });
+PitchSchema.index({ owner: 1, updatedAt: -1 });
+PitchSchema.index({ owner: 1, name: 1 });
+PitchSchema.index({ owner: 1, tags: 1 });
+PitchSchema.index({ owner: 1, folder: 1, createdAt: -1 });
+PitchSchema.index({ owner: 1, starred: 1, createdAt: -1 });
+// Every pitch remixed from a root, however deep, for the lineage tree
+PitchSchema.index({ ancestors: 1 });
+// Full-text search of the history list (q on GET /api/history); a name match ranks above a slide match
+PitchSchema.index({
+  name: 'text',
+  elevator: 'text',
+  idea: 'text',
+  'slides.title': 'text',
+  'slides.subtitle': 'text',
+  'slides.bullets': 'text',
+  'slides.metrics.label': 'text',
+  'slides.html': 'text'
+}, {
+  name: 'pitch_text',
+  weights: { name: 10, elevator: 5, idea: 3 }
+});
 
 module.exports = mongoose.model('Pitch', PitchSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { REVISION_REASONS } = require('../utils/revisions');
+
+// The content of a pitch after one change, see utils/revisions.js; numbered from 1 per pitch
+const PitchRevisionSchema = new mongoose.Schema({
+  pitch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pitch',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(REVISION_REASONS),
+    required: true
+  },
+  summary: {
+    type: String,
+    trim: true
+  },
+  // Slides and brand are stored as they were normalized on the pitch, without a schema of their own
+  snapshot: {
+    name: String,
+    elevator: String,
+    slides: [mongoose.Schema.Types.Mixed],
+    theme: String,
+    brand: mongoose.Schema.Types.Mixed
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PitchRevisionSchema.index({ pitch: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('PitchRevision', PitchRevisionSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A read-only link to a pitch; the token is the only thing a viewer needs
+const ShareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  pitch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pitch',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // bcrypt hash of the optional viewer password
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ShareLinkSchema.index({ pitch: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const connectDB = require('../config/db');
+const { signToken } = require('../services/auth');
+const { requireAuth } = require('../middleware/auth');
+const { validateCredentials } = require('../utils/validators');
+
+let dbInitialized = false;
+const initDB = async () => {
+  if (!dbInitialized) {
+    await connectDB();
+    dbInitialized = true;
+  }
+};
+
+const databaseNotConfigured = (res) => res.status(503).json({
+  error: 'Database not configured',
+  message: 'Accounts require MONGODB_URI to be set on the server.'
+});
+
+const emailAlreadyRegistered = (res) => res.status(409).json({
+  error: 'Email already registered',
+  message: 'An account with this email already exists. Please sign in instead.'
+});
+
+// MongoDB duplicate key error, raised by the unique email index
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * POST /api/auth/register
+ * Create an account and return a token
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password (minimum 8 characters)
+ * @param {string} [name] - Display name
+ * @returns {Object} { token, user }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    const validationResult = validateCredentials({ email, password, name });
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    if (!process.env.MONGODB_URI) {
+      return databaseNotConfigured(res);
+    }
+
+    await initDB();
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return emailAlreadyRegistered(res);
+    }
+
+    const user = new User({ email: normalizedEmail, name: name ? name.trim() : '' });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log('👤 User registered:', user._id);
+    res.status(201).json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    // Another request registered the same email between the check above and the save
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return emailAlreadyRegistered(res);
+    }
+
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for a token
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Object} { token, user }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Email and password are required'
+      });
+    }
+
+    if (!process.env.MONGODB_URI) {
+      return databaseNotConfigured(res);
+    }
+
+    await initDB();
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    const passwordMatches = user ? await user.verifyPassword(password) : false;
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Incorrect email or password.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Return the signed-in user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return databaseNotConfigured(res);
+    }
+
+    await initDB();
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Your account no longer exists. Please sign in again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
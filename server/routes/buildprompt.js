@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { generateBuildPrompt } = require('../services/buildprompt-generator');
+const { validateProvider } = require('../utils/validators');
 
 router.post('/', async (req, res) => {
   try {
-    const { idea, pitchData } = req.body;
+    const { idea, pitchData, provider } = req.body;
 
     if (!idea || typeof idea !== 'string' || idea.trim().length < 10) {
       return res.status(400).json({
@@ -20,9 +21,17 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: providerValidation.error
+      });
+    }
+
     console.log('⚡ Generating optimized build prompt for:', idea.substring(0, 50) + '...');
     
-    const prompt = await generateBuildPrompt(idea.trim(), pitchData);
+    const prompt = await generateBuildPrompt(idea.trim(), pitchData, { provider });
 
     console.log('✅ Build prompt generated successfully');
 
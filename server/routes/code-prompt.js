@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { generateEnhancedCodePrompt } = require('../services/code-prompt-generator');
-const { validateCodePromptInput } = require('../utils/validators');
+const { validateCodePromptInput, validateProvider } = require('../utils/validators');
 
 /**
  * POST /api/code-prompt
@@ -9,11 +9,12 @@ const { validateCodePromptInput } = require('../utils/validators');
  * 
  * @param {string} idea - The startup idea description
  * @param {Object} pitchData - Optional pitch data including name, elevator pitch, and slides
+ * @param {string} [provider] - Optional LLM provider override
  * @returns {Object} Enhanced prompt data with tech stack and structure recommendations
  */
 router.post('/', async (req, res) => {
   try {
-    const { idea, pitchData } = req.body;
+    const { idea, pitchData, provider } = req.body;
 
     // Enhanced validation
     const validationResult = validateCodePromptInput({ idea, pitchData });
@@ -26,12 +27,23 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: providerValidation.error,
+        details: providerValidation.details
+      });
+    }
+
     console.log('🤖 Generating enhanced code prompt for:', idea.substring(0, 50) + '...');
 
     // Generate comprehensive prompt data
     const promptData = await generateEnhancedCodePrompt({
       idea: idea.trim(),
-      pitchData: pitchData || null
+      pitchData: pitchData || null,
+      provider
     });
 
     console.log('✅ Enhanced code prompt generated successfully');
@@ -0,0 +1,244 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Folder = require('../models/Folder');
+const Pitch = require('../models/Pitch');
+const connectDB = require('../config/db');
+const { validateFolderName } = require('../utils/validators');
+const { requireAuth } = require('../middleware/auth');
+
+let dbInitialized = false;
+const initDB = async () => {
+  if (!dbInitialized) {
+    await connectDB();
+    dbInitialized = true;
+  }
+};
+
+/**
+ * Load one of the signed-in user's folders
+ * @param {Object} req - Express request with req.user and req.params.id
+ * @param {Object} res - Express response, used to send the 404
+ * @returns {Promise<Object|null>} The folder document, or null once a response was sent
+ */
+async function findOwnFolder(req, res) {
+  const folder = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Folder.findOne({ _id: req.params.id, owner: req.user.id })
+    : null;
+
+  if (!folder) {
+    res.status(404).json({
+      error: 'Folder not found'
+    });
+    return null;
+  }
+
+  return folder;
+}
+
+/**
+ * Folder as returned by the API
+ * @param {Object} folder - Folder document or lean object
+ * @param {number} [pitchCount=0] - Number of pitches in the folder
+ * @returns {Object} { _id, name, createdAt, pitchCount }
+ */
+function serializeFolder(folder, pitchCount = 0) {
+  return {
+    _id: folder._id,
+    name: folder.name,
+    createdAt: folder.createdAt,
+    pitchCount
+  };
+}
+
+/**
+ * GET /api/folders
+ * List your folders by name, with the number of pitches in each
+ *
+ * @returns {Object} Folders and unfiledCount, the number of pitches in no folder
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.json({
+        success: true,
+        message: 'Database not configured',
+        data: [],
+        unfiledCount: 0
+      });
+    }
+
+    await initDB();
+
+    const folders = await Folder.find({ owner: req.user.id })
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await Pitch.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.user.id) } },
+      { $group: { _id: '$folder', count: { $sum: 1 } } }
+    ]);
+    const countByFolder = new Map(counts.map(({ _id, count }) => [_id ? String(_id) : null, count]));
+
+    res.json({
+      success: true,
+      data: folders.map(folder => serializeFolder(folder, countByFolder.get(String(folder._id)) || 0)),
+      unfiledCount: countByFolder.get(null) || 0
+    });
+
+  } catch (error) {
+    console.error('Error listing folders:', error);
+    res.status(500).json({
+      error: 'Failed to list folders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/folders
+ * Create a folder
+ *
+ * @param {string} name - Folder name, unique among your folders
+ * @returns {Object} The new folder
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const validationResult = validateFolderName(req.body.name);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    await initDB();
+
+    const name = req.body.name.trim();
+    if (await Folder.findOne({ owner: req.user.id, name })) {
+      return res.status(409).json({
+        error: 'Folder already exists',
+        message: `You already have a folder called "${name}"`
+      });
+    }
+
+    const folder = await Folder.create({ name, owner: req.user.id });
+
+    console.log('📁 Folder created:', folder._id);
+    res.status(201).json({
+      success: true,
+      data: serializeFolder(folder)
+    });
+
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    res.status(500).json({
+      error: 'Failed to create folder',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/folders/:id
+ * Rename a folder
+ *
+ * @param {string} name - New folder name
+ * @returns {Object} The renamed folder
+ */
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const validationResult = validateFolderName(req.body.name);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    await initDB();
+
+    const folder = await findOwnFolder(req, res);
+    if (!folder) {
+      return;
+    }
+
+    const name = req.body.name.trim();
+    const existing = await Folder.findOne({ owner: req.user.id, name });
+    if (existing && String(existing._id) !== String(folder._id)) {
+      return res.status(409).json({
+        error: 'Folder already exists',
+        message: `You already have a folder called "${name}"`
+      });
+    }
+
+    folder.name = name;
+    await folder.save();
+
+    console.log('✏️  Folder renamed:', folder._id);
+    res.json({
+      success: true,
+      data: serializeFolder(folder, await Pitch.countDocuments({ owner: req.user.id, folder: folder._id }))
+    });
+
+  } catch (error) {
+    console.error('Error renaming folder:', error);
+    res.status(500).json({
+      error: 'Failed to rename folder',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/folders/:id
+ * Delete a folder; its pitches are kept and move out of it
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    await initDB();
+
+    const folder = await findOwnFolder(req, res);
+    if (!folder) {
+      return;
+    }
+
+    await Pitch.updateMany({ owner: req.user.id, folder: folder._id }, { $set: { folder: null } });
+    await Folder.deleteOne({ _id: folder._id });
+
+    console.log('🗑️  Folder deleted:', folder._id);
+    res.json({
+      success: true,
+      data: { _id: folder._id }
+    });
+
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({
+      error: 'Failed to delete folder',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
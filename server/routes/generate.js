@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { generatePitch } = require('../services/deepseek');
+const { generatePitch, streamPitch, generatePitchScript } = require('../services/deepseek');
+const { getProvider } = require('../services/llm');
+const { validateProvider, validateSlidePlan, validateScriptDuration, validateNameCandidates } = require('../utils/validators');
+const { talkingPointsToNotes } = require('../utils/script');
+const { optionalAuth } = require('../middleware/auth');
 const Pitch = require('../models/Pitch');
 const connectDB = require('../config/db');
 
@@ -12,62 +16,197 @@ const initDB = async () => {
   }
 };
 
-router.post('/', async (req, res) => {
-  try {
-    const { idea } = req.body;
-
-    if (!idea || typeof idea !== 'string') {
-      return res.status(400).json({ 
+/**
+ * Validate the idea, provider, slide plan and options shared by the blocking and streaming endpoints
+ * @param {Object} params - Request parameters
+ * @param {string} params.idea - Startup idea
+ * @param {string} [params.provider] - Optional LLM provider override
+ * @param {string|string[]} [params.slidePlan] - Optional preset name or slide types
+ * @param {number} [params.scriptDuration] - Optional script length in seconds
+ * @param {number} [params.nameCandidates] - Optional number of company names to suggest
+ * @returns {Object|null} { status, body } describing the failure, or null when valid
+ */
+function checkGenerateRequest({ idea, provider, slidePlan, scriptDuration, nameCandidates }) {
+  if (!idea || typeof idea !== 'string') {
+    return {
+      status: 400,
+      body: { 
         error: 'Invalid request', 
         message: 'Please provide a valid startup idea description.' 
-      });
-    }
+      }
+    };
+  }
 
-    if (idea.trim().length < 10) {
-      return res.status(400).json({ 
+  if (idea.trim().length < 10) {
+    return {
+      status: 400,
+      body: { 
         error: 'Idea too short', 
         message: 'Please provide a more detailed description of your startup idea (at least 10 characters).' 
-      });
-    }
+      }
+    };
+  }
 
-    if (idea.length > 2000) {
-      return res.status(400).json({ 
+  if (idea.length > 2000) {
+    return {
+      status: 400,
+      body: { 
         error: 'Idea too long', 
         message: 'Please keep your startup idea description under 2000 characters.' 
-      });
-    }
+      }
+    };
+  }
 
-    if (!process.env.DEEPSEEK_API_KEY) {
-      return res.status(500).json({ 
+  const providerValidation = validateProvider(provider);
+  if (!providerValidation.isValid) {
+    return {
+      status: 400,
+      body: { 
+        error: 'Invalid provider', 
+        message: providerValidation.error 
+      }
+    };
+  }
+
+  const slidePlanValidation = validateSlidePlan(slidePlan);
+  if (!slidePlanValidation.isValid) {
+    return {
+      status: 400,
+      body: { 
+        error: 'Invalid slide plan', 
+        message: slidePlanValidation.error,
+        details: slidePlanValidation.details
+      }
+    };
+  }
+
+  const scriptValidation = validateScriptDuration(scriptDuration);
+  if (!scriptValidation.isValid) {
+    return {
+      status: 400,
+      body: { 
+        error: 'Invalid script length', 
+        message: scriptValidation.error 
+      }
+    };
+  }
+
+  const nameCandidatesValidation = validateNameCandidates(nameCandidates);
+  if (!nameCandidatesValidation.isValid) {
+    return {
+      status: 400,
+      body: { 
+        error: 'Invalid name candidates', 
+        message: nameCandidatesValidation.error 
+      }
+    };
+  }
+
+  const llmProvider = getProvider(provider);
+  if (!llmProvider.isConfigured()) {
+    return {
+      status: 500,
+      body: { 
         error: 'Configuration error', 
-        message: 'DeepSeek API key is not configured. Please check server configuration.' 
+        message: `${llmProvider.label} API key is not configured. Please check server configuration.` 
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read a slide plan from the query string, where slide types are comma separated
+ * @param {string} [value] - Query value such as `yc` or `problem,solution,ask`
+ * @returns {string|string[]|undefined} Preset name or slide types
+ */
+function parseSlidePlanQuery(value) {
+  if (typeof value !== 'string' || !value.includes(',')) {
+    return value;
+  }
+
+  return value.split(',').map(type => type.trim()).filter(Boolean);
+}
+
+/**
+ * Add talking points and a timed script to a generated pitch when one was requested
+ * The pitch is still useful without a script, so a failure here only logs a warning.
+ * @param {string} idea - Trimmed startup idea
+ * @param {Object} pitchData - Generated pitch
+ * @param {Object} options - { provider, scriptDuration, signal }, where an aborted signal stops the request to the model
+ * @returns {Promise<Object>} The pitch, with speaker notes and `script` when they were written
+ */
+async function addPitchScript(idea, pitchData, { provider, scriptDuration, signal }) {
+  if (!scriptDuration) {
+    return pitchData;
+  }
+
+  try {
+    console.log(`🎙️  Writing a ${scriptDuration}s script`);
+    const { talkingPoints, sections } = await generatePitchScript({ idea, pitch: pitchData, duration: scriptDuration, provider, signal });
+    return {
+      ...pitchData,
+      slides: pitchData.slides.map((slide, index) => ({ ...slide, notes: talkingPointsToNotes(talkingPoints[index]) })),
+      script: { duration: scriptDuration, sections, generatedAt: new Date() }
+    };
+  } catch (scriptError) {
+    console.warn('⚠️  Failed to write pitch script:', scriptError.message);
+    return pitchData;
+  }
+}
+
+/**
+ * Persist a generated pitch when a database is configured
+ * @param {Object} req - Express request, used for the client IP and owner
+ * @param {string} idea - Trimmed startup idea
+ * @param {Object} pitchData - Generated pitch
+ * @returns {Promise<Object>} The pitch, with `_id` set when it was saved
+ */
+async function savePitch(req, idea, pitchData) {
+  try {
+    await initDB();
+    if (process.env.MONGODB_URI) {
+      const newPitch = new Pitch({
+        idea,
+        name: pitchData.name,
+        elevator: pitchData.elevator,
+        slides: pitchData.slides,
+        nameCandidates: pitchData.nameCandidates || [],
+        script: pitchData.script || null,
+        ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+        owner: req.user ? req.user.id : null
       });
+      await newPitch.save();
+      console.log('💾 Pitch saved to database');
+      return { _id: newPitch._id, ...pitchData };
     }
+  } catch (dbError) {
+    console.warn('⚠️  Failed to save to database:', dbError.message);
+  }
 
-    console.log('🤖 Generating pitch for idea:', idea.substring(0, 50) + '...');
-    const pitchData = await generatePitch(idea.trim());
-
-    try {
-      await initDB();
-      if (process.env.MONGODB_URI) {
-        const newPitch = new Pitch({
-          idea: idea.trim(),
-          name: pitchData.name,
-          elevator: pitchData.elevator,
-          slides: pitchData.slides,
-          ipAddress: req.ip || req.connection.remoteAddress || 'unknown'
-        });
-        await newPitch.save();
-        console.log('💾 Pitch saved to database');
-      }
-    } catch (dbError) {
-      console.warn('⚠️  Failed to save to database:', dbError.message);
+  return pitchData;
+}
+
+router.post('/', optionalAuth, async (req, res) => {
+  try {
+    const { idea, provider, slidePlan, scriptDuration, nameCandidates } = req.body;
+
+    const failure = checkGenerateRequest({ idea, provider, slidePlan, scriptDuration, nameCandidates });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
     }
 
+    console.log('🤖 Generating pitch for idea:', idea.substring(0, 50) + '...');
+    const generated = await generatePitch(idea.trim(), { provider, slidePlan, nameCandidates });
+    const pitchData = await addPitchScript(idea.trim(), generated, { provider, scriptDuration });
+
+    const savedPitch = await savePitch(req, idea.trim(), pitchData);
+
     console.log('✅ Pitch generated successfully');
     res.json({
       success: true,
-      data: pitchData
+      data: savedPitch
     });
 
   } catch (error) {
@@ -79,4 +218,85 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET|POST /api/generate/stream
+ * Stream a pitch as Server-Sent Events. Emits `name`, `elevator` and one
+ * `slide` event per slide as soon as the model produces them, then `done`
+ * with the complete pitch, or `error` if generation fails mid-stream. When
+ * `scriptDuration` is set, the script is written after the last slide and
+ * arrives with `done`; so do the suggested names when `nameCandidates` is set.
+ * GET reads `idea`, `provider`, `slidePlan` (a preset name or comma
+ * separated slide types), `scriptDuration` and `nameCandidates` from the
+ * query string (for EventSource).
+ */
+const handleStream = async (req, res) => {
+  const { idea, provider } = req.method === 'GET' ? req.query : req.body;
+  const slidePlan = req.method === 'GET' ? parseSlidePlanQuery(req.query.slidePlan) : req.body.slidePlan;
+  let scriptDuration = req.method === 'GET' ? req.query.scriptDuration : req.body.scriptDuration;
+  let nameCandidates = req.method === 'GET' ? req.query.nameCandidates : req.body.nameCandidates;
+  if (req.method === 'GET' && scriptDuration !== undefined) {
+    scriptDuration = Number(scriptDuration);
+  }
+  if (req.method === 'GET' && nameCandidates !== undefined) {
+    nameCandidates = Number(nameCandidates);
+  }
+
+  const failure = checkGenerateRequest({ idea, provider, slidePlan, scriptDuration, nameCandidates });
+  if (failure) {
+    return res.status(failure.status).json(failure.body);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop paying for tokens nobody reads when the client goes away. This listens
+  // on the response: the request emits `close` as soon as its body has been read.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    console.log('🌊 Streaming pitch for idea:', idea.substring(0, 50) + '...');
+    const streamed = await streamPitch(idea.trim(), { provider, slidePlan, nameCandidates, onEvent: sendEvent, signal: controller.signal });
+    const pitchData = await addPitchScript(idea.trim(), streamed, { provider, scriptDuration, signal: controller.signal });
+
+    if (controller.signal.aborted) {
+      console.log('🛑 Client left, pitch not saved');
+      return;
+    }
+
+    const savedPitch = await savePitch(req, idea.trim(), pitchData);
+
+    console.log('✅ Pitch streamed successfully');
+    sendEvent('done', { success: true, data: savedPitch });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Client left, pitch streaming stopped');
+      return;
+    }
+
+    console.error('❌ Error streaming pitch:', error);
+    sendEvent('error', { 
+      error: 'Failed to generate pitch', 
+      message: error.message 
+    });
+  }
+
+  res.end();
+};
+
+router.get('/stream', optionalAuth, handleStream);
+router.post('/stream', optionalAuth, handleStream);
+
 module.exports = router;
@@ -1,7 +1,33 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Pitch = require('../models/Pitch');
+const ShareLink = require('../models/ShareLink');
+const Folder = require('../models/Folder');
+const PitchRevision = require('../models/PitchRevision');
 const connectDB = require('../config/db');
+const {
+  validatePitchUpdate,
+  validateMarkdownImport,
+  validateImportedPitch,
+  validateShareLink,
+  validateHistoryQuery,
+  validatePitchOrganization,
+  validateRemixRequest
+} = require('../utils/validators');
+const { optionalAuth, requireAuth } = require('../middleware/auth');
+const { canReadPitch, canEditPitch } = require('../services/auth');
+const { normalizeSlide } = require('../utils/slides');
+const { HISTORY_PAGE_LIMIT, buildHistoryQuery, encodeCursor, normalizeTag } = require('../utils/history');
+const { renderPitchPdf } = require('../services/pdf-export');
+const { PPTX_MIME_TYPE, renderPitchPptx } = require('../services/pptx-export');
+const { pitchToMarkdown, markdownToPitch } = require('../utils/markdown');
+const { generateShareToken, hashSharePassword, serializeShareLink } = require('../services/sharing');
+const { beginRevision, recordRevision, serializeRevision } = require('../services/revisions');
+const { describePitchUpdate } = require('../utils/revisions');
+const { generatePitch } = require('../services/deepseek');
+const { getProvider } = require('../services/llm');
+const { LINEAGE_LIMIT, getRemixSlidePlan, getRemixAncestors, buildLineageTree } = require('../utils/lineage');
 
 let dbInitialized = false;
 const initDB = async () => {
@@ -11,7 +37,21 @@ const initDB = async () => {
   }
 };
 
-router.get('/', async (req, res) => {
+/**
+ * GET /api/history
+ * List the signed-in user's pitches with the first slide of each for a thumbnail
+ *
+ * @param {string} [q] - Full-text search over the name, idea, elevator pitch and slide text
+ * @param {string} [from] - Created on or after this ISO date
+ * @param {string} [to] - Created on or before this ISO date; a bare date includes the whole day
+ * @param {string|string[]} [tags] - Only pitches with all of these tags, repeated or comma separated
+ * @param {string} [sort] - newest, oldest, updated, name or relevance; relevance by default with q, newest otherwise
+ * @param {number} [page] - Page number, from 1
+ * @param {number} [limit] - Pitches per page, at most 50
+ * @param {string} [cursor] - nextCursor of the previous page; replaces page and skips counting the total
+ * @returns {Object} Pitches and { page, limit, total, pages, nextCursor }, or { limit, nextCursor } for a cursor page
+ */
+router.get('/', requireAuth, async (req, res) => {
   try {
     if (!process.env.MONGODB_URI) {
       return res.json({
@@ -21,30 +61,58 @@ router.get('/', async (req, res) => {
       });
     }
 
+    const validationResult = validateHistoryQuery(req.query);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
     await initDB();
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(HISTORY_PAGE_LIMIT, Math.max(1, parseInt(req.query.limit) || 10));
+    const { filter, sort, sortKey, isCursorPage } = buildHistoryQuery(req.query, req.user.id);
 
-    const pitches = await Pitch.find()
-      .select('name elevator createdAt idea')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    // The brand logo is a data URL of up to 1 MB, too heavy for a list; opening a pitch loads it
+    let query = Pitch.find(filter)
+      .select('name elevator createdAt updatedAt idea theme brand.primaryColor brand.secondaryColor brand.fontPairing tags folder starred slides')
+      .slice('slides', 1);
+    if (sortKey === 'relevance') {
+      query = query.select({ score: { $meta: 'textScore' } });
+    }
+
+    // A cursor page reads one pitch more than it returns to learn whether another page follows
+    const pitches = await query
+      .sort(sort)
+      .skip(isCursorPage ? 0 : (page - 1) * limit)
+      .limit(isCursorPage ? limit + 1 : limit)
       .lean();
 
-    const total = await Pitch.countDocuments();
+    let hasNextPage;
+    let total = null;
+    if (isCursorPage) {
+      hasNextPage = pitches.length > limit;
+      pitches.splice(limit);
+    } else {
+      total = await Pitch.countDocuments(filter);
+      hasNextPage = (page - 1) * limit + pitches.length < total;
+    }
+    const nextCursor = hasNextPage && pitches.length > 0 ? encodeCursor(pitches[pitches.length - 1], sortKey) : null;
+
+    // The thumbnail is rendered by the client, so old HTML slides are converted here like in GET /:id
+    pitches.forEach(pitch => {
+      pitch.slides = (pitch.slides || []).map(normalizeSlide);
+    });
 
     res.json({
       success: true,
       data: pitches,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      pagination: isCursorPage
+        ? { limit, nextCursor }
+        : { page, limit, total, pages: Math.ceil(total / limit), nextCursor }
     });
 
   } catch (error) {
@@ -56,7 +124,46 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+/**
+ * GET /api/history/tags
+ * The tags on your pitches, most used first, for the history filters
+ *
+ * @returns {Object} [{ tag, count }]
+ */
+router.get('/tags', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.json({
+        success: true,
+        message: 'Database not configured',
+        data: []
+      });
+    }
+
+    await initDB();
+
+    const tags = await Pitch.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.user.id) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: tags.map(({ _id, count }) => ({ tag: _id, count }))
+    });
+
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ 
+      error: 'Failed to list tags',
+      message: error.message 
+    });
+  }
+});
+
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     if (!process.env.MONGODB_URI) {
       return res.status(404).json({
@@ -68,12 +175,15 @@ router.get('/:id', async (req, res) => {
 
     const pitch = await Pitch.findById(req.params.id).lean();
     
-    if (!pitch) {
+    if (!pitch || !canReadPitch(pitch, req.user)) {
       return res.status(404).json({
         error: 'Pitch not found'
       });
     }
 
+    // Lean reads skip the model's legacy conversion, so old HTML slides are normalized (and sanitized) here
+    pitch.slides = (pitch.slides || []).map(normalizeSlide);
+
     res.json({
       success: true,
       data: pitch
@@ -88,4 +198,933 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/history/:id/export.pdf
+ * Download a saved pitch as a vector PDF in its deck theme and brand kit
+ *
+ * @param {string} [notes] - "false" to leave out the speaker notes pages
+ * @param {string} [script] - "false" to leave out the pitch script pages
+ * @returns {Buffer} application/pdf attachment
+ */
+router.get('/:id/export.pdf', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const pdf = await renderPitchPdf(pitch, {
+      notes: req.query.notes !== 'false',
+      script: req.query.script !== 'false'
+    });
+    const filename = `${pitch.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_pitch_deck.pdf`;
+
+    console.log('📄 PDF exported:', pitch._id);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Error exporting pitch PDF:', error);
+    res.status(500).json({ 
+      error: 'Failed to export PDF',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id/export.pptx
+ * Download a saved pitch as a PowerPoint deck with editable text and shapes
+ *
+ * @returns {Buffer} PPTX attachment
+ */
+router.get('/:id/export.pptx', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const pptx = await renderPitchPptx(pitch);
+    const filename = `${pitch.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_pitch_deck.pptx`;
+
+    console.log('📊 PPTX exported:', pitch._id);
+    res.set({
+      'Content-Type': PPTX_MIME_TYPE,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pptx.length
+    });
+    res.send(pptx);
+
+  } catch (error) {
+    console.error('Error exporting pitch PPTX:', error);
+    res.status(500).json({ 
+      error: 'Failed to export PowerPoint',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id/export.md
+ * Download a saved pitch as Markdown that Marp and Reveal.js can present
+ *
+ * @returns {string} text/markdown attachment
+ */
+router.get('/:id/export.md', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const filename = `${pitch.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_pitch_deck.md`;
+
+    console.log('📝 Markdown exported:', pitch._id);
+    res.set({
+      'Content-Type': 'text/markdown; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(pitchToMarkdown(pitch));
+
+  } catch (error) {
+    console.error('Error exporting pitch Markdown:', error);
+    res.status(500).json({ 
+      error: 'Failed to export Markdown',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/history/import
+ * Save a pitch from a Markdown deck in the format written by export.md
+ *
+ * @param {string} markdown - Markdown document
+ * @returns {Object} The saved pitch
+ */
+router.post('/import', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const { markdown } = req.body;
+
+    const inputValidation = validateMarkdownImport(markdown);
+    if (!inputValidation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: inputValidation.error,
+        details: inputValidation.details
+      });
+    }
+
+    const imported = markdownToPitch(markdown);
+
+    const validationResult = validateImportedPitch(imported);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.create({
+      idea: imported.idea.trim(),
+      name: imported.name.trim(),
+      elevator: imported.elevator.trim(),
+      slides: imported.slides.map(normalizeSlide),
+      theme: imported.theme,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      owner: req.user ? req.user.id : null
+    });
+
+    console.log('📥 Pitch imported from Markdown:', pitch._id);
+    res.status(201).json({
+      success: true,
+      data: pitch.toObject()
+    });
+
+  } catch (error) {
+    console.error('Error importing pitch:', error);
+    res.status(500).json({ 
+      error: 'Failed to import pitch',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/history/:id/remix
+ * Generate a new pitch from an existing one, e.g. "the same idea but for B2B"
+ * or "pivot to healthcare". The original idea, name, elevator pitch and slides
+ * go back to the model with the instruction; the remix is saved as a new pitch
+ * linked to the one it came from, which stays as it is.
+ *
+ * @param {string} instruction - What to change
+ * @param {string} [provider] - LLM provider override
+ * @param {string|string[]} [slidePlan] - Slide plan; defaults to the slide types of the original
+ * @returns {Object} The new pitch
+ */
+router.post('/:id/remix', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const validationResult = validateRemixRequest(req.body);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    const llmProvider = getProvider(req.body.provider);
+    if (!llmProvider.isConfigured()) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: `${llmProvider.label} API key is not configured. Please check server configuration.`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const parent = await Pitch.findById(req.params.id).lean();
+
+    if (!parent || !canReadPitch(parent, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const instruction = req.body.instruction.trim();
+    const slides = (parent.slides || []).map(normalizeSlide);
+
+    console.log(`🔀 Remixing pitch ${parent._id}: ${instruction.substring(0, 50)}`);
+    const generated = await generatePitch(parent.idea, {
+      provider: req.body.provider,
+      slidePlan: req.body.slidePlan || getRemixSlidePlan(slides),
+      remix: {
+        pitch: { name: parent.name, elevator: parent.elevator, slides },
+        instruction
+      }
+    });
+
+    const pitch = await Pitch.create({
+      idea: parent.idea,
+      name: generated.name,
+      elevator: generated.elevator,
+      slides: generated.slides,
+      theme: parent.theme,
+      brand: parent.brand,
+      parent: parent._id,
+      ancestors: getRemixAncestors(parent),
+      remixInstruction: instruction,
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+      owner: req.user ? req.user.id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: pitch.toObject()
+    });
+
+  } catch (error) {
+    console.error('❌ Error remixing pitch:', error);
+    res.status(500).json({
+      error: 'Failed to remix pitch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id/lineage
+ * The family tree of a pitch: the pitch it was first remixed from and every
+ * remix made since, however deep. Pitches you cannot open are left out.
+ *
+ * @returns {Object} Root nodes of { _id, name, elevator, remixInstruction, createdAt, children }
+ */
+router.get('/:id/lineage', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).select('owner ancestors').lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const rootId = pitch.ancestors && pitch.ancestors.length > 0 ? pitch.ancestors[0] : pitch._id;
+    const family = await Pitch.find({ $or: [{ _id: rootId }, { ancestors: rootId }] })
+      .select('name elevator remixInstruction parent owner createdAt')
+      .sort({ createdAt: 1 })
+      .limit(LINEAGE_LIMIT)
+      .lean();
+
+    res.json({
+      success: true,
+      data: buildLineageTree(family.filter(member => canReadPitch(member, req.user)))
+    });
+
+  } catch (error) {
+    console.error('Error fetching pitch lineage:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pitch lineage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/history/:id
+ * Edit the name, elevator pitch, individual slides or deck theme of a saved pitch
+ *
+ * @param {string} [name] - New company name
+ * @param {string} [elevator] - New elevator pitch
+ * @param {Array|Object} [slides] - Full slides array, or an object keyed by slide index, of slide objects
+ * @param {string} [theme] - Deck theme name; re-skins the deck without regenerating it
+ * @param {Object} [brand] - Brand kit ({ primaryColor, secondaryColor, fontPairing, logo }); null fontPairing or logo removes it
+ * @returns {Object} The updated pitch
+ */
+router.patch('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    const validationResult = validatePitchUpdate(req.body, pitch.slides.length);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    const { name, elevator, slides, theme, brand } = req.body;
+    const before = beginRevision(pitch);
+
+    if (name !== undefined) {
+      pitch.name = name.trim();
+    }
+    if (elevator !== undefined) {
+      pitch.elevator = elevator.trim();
+    }
+    if (slides !== undefined) {
+      Object.entries(slides).forEach(([index, slide]) => {
+        pitch.slides.set(Number(index), normalizeSlide(slide));
+      });
+    }
+    if (theme !== undefined) {
+      pitch.theme = theme;
+    }
+    if (brand !== undefined) {
+      pitch.brand = { ...(pitch.brand ? pitch.brand.toObject() : {}), ...brand };
+    }
+    pitch.updatedAt = new Date();
+
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      ...describePitchUpdate(req.body),
+      author: req.user ? req.user.id : null
+    });
+
+    console.log('✏️  Pitch updated:', pitch._id);
+    res.json({
+      success: true,
+      data: pitch.toObject()
+    });
+
+  } catch (error) {
+    console.error('Error updating pitch:', error);
+    res.status(500).json({ 
+      error: 'Failed to update pitch',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * PATCH /api/history/:id/organize
+ * Tag, file or star one of your pitches. Unlike PATCH /api/history/:id this
+ * leaves the content and updatedAt alone, so organizing is not an edit.
+ *
+ * @param {string[]} [tags] - Replaces all tags of the pitch
+ * @param {string|null} [folder] - One of your folder ids, or null to take the pitch out of its folder
+ * @param {boolean} [starred] - Star or unstar the pitch
+ * @returns {Object} { _id, tags, folder, starred }
+ */
+router.patch('/:id/organize', requireAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const validationResult = validatePitchOrganization(req.body);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    // Only owned pitches are listed in the history, so only they can be organized
+    if (!pitch || !pitch.owner || String(pitch.owner) !== req.user.id) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const { tags, folder, starred } = req.body;
+
+    if (folder && !(await Folder.findOne({ _id: folder, owner: req.user.id }))) {
+      return res.status(404).json({
+        error: 'Folder not found'
+      });
+    }
+
+    if (tags !== undefined) {
+      pitch.tags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    }
+    if (folder !== undefined) {
+      pitch.folder = folder;
+    }
+    if (starred !== undefined) {
+      pitch.starred = starred;
+    }
+
+    await pitch.save();
+
+    console.log('🏷️  Pitch organized:', pitch._id);
+    res.json({
+      success: true,
+      data: {
+        _id: pitch._id,
+        tags: [...pitch.tags],
+        folder: pitch.folder,
+        starred: pitch.starred
+      }
+    });
+
+  } catch (error) {
+    console.error('Error organizing pitch:', error);
+    res.status(500).json({ 
+      error: 'Failed to organize pitch',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Load a pitch for share link management, which needs a signed-in user who can change it
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response, used to send the 404 or 403
+ * @returns {Promise<Object|null>} The pitch, or null once a response was sent
+ */
+async function findSharablePitch(req, res) {
+  if (!process.env.MONGODB_URI) {
+    res.status(404).json({
+      error: 'Database not configured'
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({
+      error: 'Pitch not found'
+    });
+    return null;
+  }
+
+  await initDB();
+
+  const pitch = await Pitch.findById(req.params.id).lean();
+
+  if (!pitch || !canReadPitch(pitch, req.user)) {
+    res.status(404).json({
+      error: 'Pitch not found'
+    });
+    return null;
+  }
+
+  if (!canEditPitch(pitch, req.user, req.ip)) {
+    res.status(403).json({
+      error: 'Not allowed',
+      message: 'Only the creator of this pitch can share it.'
+    });
+    return null;
+  }
+
+  return pitch;
+}
+
+/**
+ * GET /api/history/:id/share
+ * List the share links you created for a pitch, with their view counts
+ */
+router.get('/:id/share', requireAuth, async (req, res) => {
+  try {
+    const pitch = await findSharablePitch(req, res);
+    if (!pitch) {
+      return;
+    }
+
+    const links = await ShareLink.find({ pitch: pitch._id, owner: req.user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: links.map(serializeShareLink)
+    });
+
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    res.status(500).json({ 
+      error: 'Failed to list share links',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/history/:id/share
+ * Create a read-only link to a pitch, opened in the browser at /p/:token
+ *
+ * @param {string} [expiresAt] - ISO date after which the link stops working
+ * @param {string} [password] - Password viewers must enter
+ * @returns {Object} The new share link
+ */
+router.post('/:id/share', requireAuth, async (req, res) => {
+  try {
+    const validationResult = validateShareLink(req.body);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    const pitch = await findSharablePitch(req, res);
+    if (!pitch) {
+      return;
+    }
+
+    const { expiresAt, password } = req.body;
+    const link = await ShareLink.create({
+      token: generateShareToken(),
+      pitch: pitch._id,
+      owner: req.user.id,
+      passwordHash: password ? await hashSharePassword(password) : null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    console.log('🔗 Share link created for pitch:', pitch._id);
+    res.status(201).json({
+      success: true,
+      data: serializeShareLink(link)
+    });
+
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ 
+      error: 'Failed to create share link',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * DELETE /api/history/:id/share/:linkId
+ * Revoke a share link; it stays listed with its view count but no longer opens
+ */
+router.delete('/:id/share/:linkId', requireAuth, async (req, res) => {
+  try {
+    const pitch = await findSharablePitch(req, res);
+    if (!pitch) {
+      return;
+    }
+
+    const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? await ShareLink.findOne({ _id: req.params.linkId, pitch: pitch._id, owner: req.user.id })
+      : null;
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    console.log('🔒 Share link revoked:', link._id);
+    res.json({
+      success: true,
+      data: serializeShareLink(link)
+    });
+
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke share link',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Load a pitch and one of its revisions by number
+ * @param {Object} req - Express request with req.params.id and req.params.number
+ * @param {Object} res - Express response, used to send the 404
+ * @returns {Promise<Object|null>} { pitch, revision } with the pitch as a document, or null once a response was sent
+ */
+async function findPitchRevision(req, res) {
+  const number = Number(req.params.number);
+  const pitch = mongoose.Types.ObjectId.isValid(req.params.id) && Number.isInteger(number) && number > 0
+    ? await Pitch.findById(req.params.id)
+    : null;
+
+  if (!pitch || !canReadPitch(pitch, req.user)) {
+    res.status(404).json({
+      error: 'Pitch not found'
+    });
+    return null;
+  }
+
+  const revision = await PitchRevision.findOne({ pitch: pitch._id, number }).lean();
+
+  if (!revision) {
+    res.status(404).json({
+      error: 'Revision not found'
+    });
+    return null;
+  }
+
+  return { pitch, revision };
+}
+
+/**
+ * GET /api/history/:id/revisions
+ * List the revisions of a pitch, newest first, without their content
+ */
+router.get('/:id/revisions', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).select('owner').lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    const revisions = await PitchRevision.find({ pitch: pitch._id })
+      .sort({ number: -1 })
+      .select('number reason summary author createdAt snapshot.slides')
+      .lean();
+
+    res.json({
+      success: true,
+      data: revisions.map(revision => serializeRevision(revision))
+    });
+
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({
+      error: 'Failed to list revisions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/:id/revisions/:number
+ * Get one revision of a pitch with its content
+ */
+router.get('/:id/revisions/:number', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    await initDB();
+
+    const found = await findPitchRevision(req, res);
+    if (!found) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: serializeRevision(found.revision, { snapshot: true })
+    });
+
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revision',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/history/:id/revisions/:number/restore
+ * Bring the content of a pitch back to one of its revisions. The restore is
+ * itself stored as a new revision, so it can be undone the same way.
+ *
+ * @returns {Object} The restored pitch
+ */
+router.post('/:id/revisions/:number/restore', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    await initDB();
+
+    const found = await findPitchRevision(req, res);
+    if (!found) {
+      return;
+    }
+
+    const { pitch, revision } = found;
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    const { snapshot } = revision;
+    const before = beginRevision(pitch);
+
+    pitch.name = snapshot.name;
+    pitch.elevator = snapshot.elevator;
+    pitch.slides = (snapshot.slides || []).map(normalizeSlide);
+    pitch.theme = snapshot.theme;
+    pitch.brand = snapshot.brand || {};
+    pitch.updatedAt = new Date();
+
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      reason: 'restore',
+      summary: `Restored revision ${revision.number}`,
+      author: req.user ? req.user.id : null
+    });
+
+    console.log(`⏪ Pitch ${pitch._id} restored to revision ${revision.number}`);
+    res.json({
+      success: true,
+      data: pitch.toObject()
+    });
+
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/history/:id
+ * Permanently delete a saved pitch
+ */
+router.delete('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id).lean();
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    await Pitch.deleteOne({ _id: pitch._id });
+    await ShareLink.deleteMany({ pitch: pitch._id });
+    await PitchRevision.deleteMany({ pitch: pitch._id });
+
+    console.log('🗑️  Pitch deleted:', pitch._id);
+    res.json({
+      success: true,
+      data: { _id: pitch._id }
+    });
+
+  } catch (error) {
+    console.error('Error deleting pitch:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete pitch',
+      message: error.message 
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { checkNames } = require('../services/naming');
+const { validateNameList } = require('../utils/validators');
+
+/**
+ * POST /api/names/check
+ * Check company names for length, pronounceability, collisions with
+ * well-known brands and domain availability
+ *
+ * @param {string[]} names - Up to 10 company names
+ * @returns {Object} One check result per name, in request order
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const { names } = req.body;
+
+    const validationResult = validateNameList(names);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Invalid names',
+        message: validationResult.error,
+        details: validationResult.details
+      });
+    }
+
+    console.log(`🔎 Checking ${names.length} company names`);
+    const results = await checkNames(names.map(name => name.trim()));
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('❌ Error checking names:', error);
+    res.status(500).json({
+      error: 'Failed to check names',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,593 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { regenerateSlide, generateSpeakerNotes, generatePitchScript, generateElevatorVariants } = require('../services/deepseek');
+const { validateProvider, validateScriptDuration } = require('../utils/validators');
+const { DEFAULT_SCRIPT_DURATION, talkingPointsToNotes } = require('../utils/script');
+const { NAME_MAX_LENGTH, renamePitch } = require('../utils/names');
+const { normalizeSlide } = require('../utils/slides');
+const { optionalAuth } = require('../middleware/auth');
+const { canReadPitch, canEditPitch } = require('../services/auth');
+const { critiquePitch } = require('../services/critique');
+const { beginRevision, recordRevision } = require('../services/revisions');
+const Pitch = require('../models/Pitch');
+const connectDB = require('../config/db');
+
+let dbInitialized = false;
+const initDB = async () => {
+  if (!dbInitialized) {
+    await connectDB();
+    dbInitialized = true;
+  }
+};
+
+/**
+ * POST /api/pitches/:id/slides/:index/regenerate
+ * Rewrite one slide of a saved pitch, keeping the other slides unchanged
+ *
+ * @param {string} [instruction] - Optional guidance such as "make it more data-driven"
+ * @param {string} [provider] - Optional LLM provider override
+ * @returns {Object} The new slide and the updated pitch
+ */
+router.post('/:id/slides/:index/regenerate', optionalAuth, async (req, res) => {
+  try {
+    const { instruction, provider } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (instruction !== undefined && instruction !== null) {
+      if (typeof instruction !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid instruction',
+          message: 'Instruction must be a string.'
+        });
+      }
+
+      if (instruction.length > 500) {
+        return res.status(400).json({
+          error: 'Instruction too long',
+          message: 'Please keep the instruction under 500 characters.'
+        });
+      }
+    }
+
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: providerValidation.error
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= pitch.slides.length) {
+      return res.status(400).json({
+        error: 'Invalid slide index',
+        message: `Slide index must be between 0 and ${pitch.slides.length - 1}.`
+      });
+    }
+
+    console.log(`🔁 Regenerating slide ${index + 1} of pitch ${pitch._id}`);
+    const slide = await regenerateSlide({
+      idea: pitch.idea,
+      pitch: { name: pitch.name, elevator: pitch.elevator, slides: pitch.toObject().slides },
+      index,
+      instruction: instruction ? instruction.trim() : undefined,
+      provider
+    });
+
+    const before = beginRevision(pitch);
+    pitch.slides.set(index, slide);
+    pitch.updatedAt = new Date();
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      reason: 'regenerate',
+      summary: instruction && instruction.trim()
+        ? `Regenerated slide ${index + 1}: ${instruction.trim()}`
+        : `Regenerated slide ${index + 1}`,
+      author: req.user ? req.user.id : null
+    });
+
+    console.log('✅ Slide regenerated successfully');
+    res.json({
+      success: true,
+      data: {
+        index,
+        slide,
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error regenerating slide:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate slide',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pitches/:id/notes
+ * Write AI speaker notes for every slide of a saved pitch, replacing existing notes
+ *
+ * @param {string} [provider] - Optional LLM provider override
+ * @returns {Object} The notes, one per slide, and the updated pitch
+ */
+router.post('/:id/notes', optionalAuth, async (req, res) => {
+  try {
+    const { provider } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: providerValidation.error
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    if (pitch.slides.length === 0) {
+      return res.status(400).json({
+        error: 'No slides',
+        message: 'This pitch has no slides to write notes for.'
+      });
+    }
+
+    console.log(`🎤 Writing speaker notes for pitch ${pitch._id}`);
+    const notes = await generateSpeakerNotes({
+      idea: pitch.idea,
+      pitch: { name: pitch.name, elevator: pitch.elevator, slides: pitch.toObject().slides },
+      provider
+    });
+
+    const before = beginRevision(pitch);
+    notes.forEach((slideNotes, index) => {
+      pitch.slides[index].notes = slideNotes;
+    });
+    pitch.updatedAt = new Date();
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      reason: 'notes',
+      summary: 'Wrote speaker notes',
+      author: req.user ? req.user.id : null
+    });
+
+    console.log('✅ Speaker notes written successfully');
+    res.json({
+      success: true,
+      data: {
+        notes,
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error writing speaker notes:', error);
+    res.status(500).json({
+      error: 'Failed to generate speaker notes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pitches/:id/script
+ * Write talking points for every slide (stored as its speaker notes) and a
+ * spoken script timed to a target length
+ *
+ * @param {number} [duration] - Target length in seconds: 60, 180 or 300 (default 180)
+ * @param {string} [provider] - Optional LLM provider override
+ * @returns {Object} The script, its word count and the updated pitch
+ */
+router.post('/:id/script', optionalAuth, async (req, res) => {
+  try {
+    const { duration = DEFAULT_SCRIPT_DURATION, provider } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const durationValidation = validateScriptDuration(duration);
+    if (!durationValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid script length',
+        message: durationValidation.error
+      });
+    }
+
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: providerValidation.error
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    if (pitch.slides.length === 0) {
+      return res.status(400).json({
+        error: 'No slides',
+        message: 'This pitch has no slides to write a script for.'
+      });
+    }
+
+    console.log(`🎙️  Writing a ${duration}s script for pitch ${pitch._id}`);
+    const { talkingPoints, sections, wordCount } = await generatePitchScript({
+      idea: pitch.idea,
+      pitch: { name: pitch.name, elevator: pitch.elevator, slides: pitch.toObject().slides },
+      duration,
+      provider
+    });
+
+    const before = beginRevision(pitch);
+    talkingPoints.forEach((points, index) => {
+      pitch.slides[index].notes = talkingPointsToNotes(points);
+    });
+    pitch.script = { duration, sections, generatedAt: new Date() };
+    pitch.updatedAt = new Date();
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      reason: 'script',
+      summary: `Wrote a ${duration}-second script`,
+      author: req.user ? req.user.id : null
+    });
+
+    console.log('✅ Pitch script written successfully');
+    res.json({
+      success: true,
+      data: {
+        script: pitch.toObject().script,
+        wordCount,
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error writing pitch script:', error);
+    res.status(500).json({
+      error: 'Failed to generate pitch script',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pitches/:id/elevator
+ * Retell the elevator pitch of a saved pitch for investors, customers,
+ * recruiters, social media (280 characters max) and a 30-second talk,
+ * replacing earlier variants. The original elevator pitch is unchanged.
+ *
+ * @param {string} [provider] - Optional LLM provider override
+ * @returns {Object} The variants and the updated pitch
+ */
+router.post('/:id/elevator', optionalAuth, async (req, res) => {
+  try {
+    const { provider } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: providerValidation.error
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    console.log(`🗣️  Writing elevator pitch variants for pitch ${pitch._id}`);
+    const variants = await generateElevatorVariants({
+      idea: pitch.idea,
+      pitch: { name: pitch.name, elevator: pitch.elevator, slides: pitch.toObject().slides },
+      provider
+    });
+
+    pitch.elevatorVariants = { ...variants, generatedAt: new Date() };
+    pitch.updatedAt = new Date();
+    await pitch.save();
+
+    console.log('✅ Elevator pitch variants written successfully');
+    res.json({
+      success: true,
+      data: {
+        variants: pitch.toObject().elevatorVariants,
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error writing elevator pitch variants:', error);
+    res.status(500).json({
+      error: 'Failed to generate elevator pitch variants',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pitches/:id/critique
+ * Score a saved pitch like an investor would, on clarity, problem severity,
+ * market evidence, differentiation and the ask, with suggestions per slide.
+ * Without a configured provider the offline rubric scores the deck instead.
+ *
+ * @param {string} [provider] - Optional LLM provider override
+ * @returns {Object} The critique and the updated pitch
+ */
+router.post('/:id/critique', optionalAuth, async (req, res) => {
+  try {
+    const { provider } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    const providerValidation = validateProvider(provider);
+    if (!providerValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: providerValidation.error
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    if (pitch.slides.length === 0) {
+      return res.status(400).json({
+        error: 'No slides',
+        message: 'This pitch has no slides to critique.'
+      });
+    }
+
+    console.log(`🧐 Critiquing pitch ${pitch._id}`);
+    const critique = await critiquePitch({
+      idea: pitch.idea,
+      pitch: { name: pitch.name, elevator: pitch.elevator, slides: pitch.toObject().slides },
+      provider
+    });
+
+    pitch.critique = { ...critique, generatedAt: new Date() };
+    pitch.updatedAt = new Date();
+    await pitch.save();
+
+    console.log(`✅ Pitch critiqued with the ${critique.source === 'ai' ? 'model' : 'rubric'}`);
+    res.json({
+      success: true,
+      data: {
+        critique: pitch.toObject().critique,
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error critiquing pitch:', error);
+    res.status(500).json({
+      error: 'Failed to critique pitch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/pitches/:id/name
+ * Switch a saved pitch to another company name, usually one of its name
+ * candidates. Every mention of the old name in the elevator pitch and its
+ * variants, slides, speaker notes and script is rewritten.
+ *
+ * @param {string} name - New company name
+ * @returns {Object} The updated pitch
+ */
+router.post('/:id/name', optionalAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Invalid name',
+        message: 'Please provide the new company name.'
+      });
+    }
+
+    if (name.trim().length > NAME_MAX_LENGTH) {
+      return res.status(400).json({
+        error: 'Name too long',
+        message: `Please keep the company name under ${NAME_MAX_LENGTH} characters.`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    await initDB();
+
+    const pitch = await Pitch.findById(req.params.id);
+
+    if (!pitch || !canReadPitch(pitch, req.user)) {
+      return res.status(404).json({
+        error: 'Pitch not found'
+      });
+    }
+
+    if (!canEditPitch(pitch, req.user, req.ip)) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Only the creator of this pitch can change it.'
+      });
+    }
+
+    console.log(`🏷️  Renaming pitch ${pitch._id} to ${name.trim()}`);
+    const renamed = renamePitch(pitch.toObject(), name);
+    const before = beginRevision(pitch);
+
+    pitch.name = renamed.name;
+    pitch.elevator = renamed.elevator;
+    pitch.slides = renamed.slides.map(normalizeSlide);
+    if (renamed.script) {
+      pitch.script = renamed.script;
+    }
+    if (renamed.elevatorVariants) {
+      pitch.elevatorVariants = renamed.elevatorVariants;
+    }
+    pitch.updatedAt = new Date();
+    await pitch.save();
+    await recordRevision(pitch, before, {
+      reason: 'rename',
+      summary: `Renamed from ${before.snapshot.name} to ${pitch.name}`,
+      author: req.user ? req.user.id : null
+    });
+
+    console.log('✅ Pitch renamed successfully');
+    res.json({
+      success: true,
+      data: {
+        pitch: pitch.toObject()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error renaming pitch:', error);
+    res.status(500).json({
+      error: 'Failed to rename pitch',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
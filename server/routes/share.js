@@ -0,0 +1,119 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const Pitch = require('../models/Pitch');
+const ShareLink = require('../models/ShareLink');
+const connectDB = require('../config/db');
+const {
+  SHARE_TOKEN_PATTERN,
+  verifySharePassword,
+  getShareLinkStatus,
+  toSharedPitch
+} = require('../services/sharing');
+
+let dbInitialized = false;
+const initDB = async () => {
+  if (!dbInitialized) {
+    await connectDB();
+    dbInitialized = true;
+  }
+};
+
+// Wrong passwords are counted per link rather than per IP, so a password
+// cannot be guessed from many addresses; opening the link does not count
+const passwordAttemptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.params.token,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => !res.locals.incorrectSharePassword,
+  handler: (req, res) => res.status(429).json({
+    error: 'Too many attempts',
+    message: 'Too many incorrect passwords for this link. Please try again later.'
+  })
+});
+
+/**
+ * GET /api/share/:token
+ * Open a shared pitch read-only, without signing in
+ *
+ * @header {string} [X-Share-Password] - Password of a protected link
+ * @returns {Object} Name, elevator pitch, slides, theme and brand of the pitch
+ */
+router.get('/:token', passwordAttemptLimiter, async (req, res) => {
+  try {
+    if (!process.env.MONGODB_URI) {
+      return res.status(404).json({
+        error: 'Database not configured'
+      });
+    }
+
+    if (!SHARE_TOKEN_PATTERN.test(req.params.token)) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    await initDB();
+
+    const link = await ShareLink.findOne({ token: req.params.token }).lean();
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    const status = getShareLinkStatus(link);
+    if (status !== 'active') {
+      return res.status(410).json({
+        error: 'Share link unavailable',
+        message: status === 'expired' ? 'This share link has expired.' : 'This share link has been revoked.'
+      });
+    }
+
+    // 403 rather than 401, which the client treats as an expired session
+    const password = req.get('X-Share-Password');
+    if (link.passwordHash && !password) {
+      return res.status(403).json({
+        error: 'Password required',
+        message: 'This pitch is password protected.',
+        passwordRequired: true
+      });
+    }
+
+    if (!(await verifySharePassword(link, password))) {
+      res.locals.incorrectSharePassword = true;
+      return res.status(403).json({
+        error: 'Incorrect password',
+        message: 'That password is not correct.',
+        passwordRequired: true
+      });
+    }
+
+    const pitch = await Pitch.findById(link.pitch).lean();
+
+    if (!pitch) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: toSharedPitch(pitch)
+    });
+
+  } catch (error) {
+    console.error('Error opening share link:', error);
+    res.status(500).json({ 
+      error: 'Failed to open share link',
+      message: error.message 
+    });
+  }
+});
+
+module.exports = router;
@@ -15,15 +15,47 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 
-const limiter = rateLimit({
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  message: 'Too many requests from this IP, please try again later.'
+});
+app.use('/api/', apiLimiter);
+
+// Every request to these routes calls the AI, so they get a much lower limit
+// than browsing and editing saved pitches
+const generationLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
   message: 'Too many requests from this IP, please try again later.'
 });
-app.use('/api/', limiter);
+app.use(['/api/generate', '/api/code-prompt', '/api/buildprompt'], generationLimiter);
+app.post([
+  '/api/pitches/:id/slides/:index/regenerate',
+  '/api/pitches/:id/notes',
+  '/api/pitches/:id/script',
+  '/api/pitches/:id/elevator',
+  '/api/pitches/:id/critique',
+  '/api/history/:id/remix'
+], generationLimiter);
+
+// Signing in and signing up are limited to a few failed attempts, so passwords
+// cannot be guessed by brute force; successful requests do not count
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many sign-in attempts from this IP, please try again later.'
+});
+app.post(['/api/auth/login', '/api/auth/register'], authLimiter);
 
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/generate', require('./routes/generate'));
 app.use('/api/history', require('./routes/history'));
+app.use('/api/pitches', require('./routes/pitches'));
+app.use('/api/share', require('./routes/share'));
+app.use('/api/names', require('./routes/names'));
+app.use('/api/folders', require('./routes/folders'));
 app.use('/api/code-prompt', require('./routes/code-prompt')); // New AI Code Prompt Generator route
 app.use('/api/buildprompt', require('./routes/buildprompt')); // Optimized Build Prompt Generator route
 
@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Authentication helpers
+ * Issues and verifies the JWTs sent by the client as `Authorization: Bearer <token>`
+ * and decides who may read or change a pitch.
+ */
+
+const DEV_JWT_SECRET = 'pitchperfect-dev-secret';
+
+/**
+ * Secret used to sign tokens. A built-in secret is only allowed outside production.
+ * @returns {string} JWT secret
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET is not configured. Please check server configuration.');
+  }
+
+  return DEV_JWT_SECRET;
+}
+
+/**
+ * Issue a token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), email: user.email },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+}
+
+/**
+ * Verify a token and return the user it identifies
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} { id, email }
+ */
+function verifyToken(token) {
+  const payload = jwt.verify(token, getJwtSecret());
+  return { id: payload.sub, email: payload.email };
+}
+
+/**
+ * Check whether a user may open a pitch.
+ * Pitches created before accounts existed, or by anonymous visitors, have no
+ * owner and stay reachable by id; owned pitches are private to their owner.
+ * @param {Object} pitch - Pitch document
+ * @param {Object} [user] - Authenticated user from req.user
+ * @returns {boolean} True when access is allowed
+ */
+function canReadPitch(pitch, user) {
+  if (!pitch.owner) {
+    return true;
+  }
+
+  return Boolean(user) && String(pitch.owner) === String(user.id);
+}
+
+/**
+ * Check whether a request may change, share or delete a pitch.
+ * Owned pitches can only be changed by their owner. A pitch without an owner
+ * can only be changed from the address it was created from, so knowing its id
+ * is enough to open it but not to change it.
+ * @param {Object} pitch - Pitch document, with owner and ipAddress
+ * @param {Object} [user] - Authenticated user from req.user
+ * @param {string} [ipAddress] - Address of the request, req.ip
+ * @returns {boolean} True when changes are allowed
+ */
+function canEditPitch(pitch, user, ipAddress) {
+  if (pitch.owner) {
+    return canReadPitch(pitch, user);
+  }
+
+  return Boolean(ipAddress) && Boolean(pitch.ipAddress) && pitch.ipAddress !== 'unknown' && pitch.ipAddress === ipAddress;
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  canReadPitch,
+  canEditPitch
+};
@@ -1,9 +1,11 @@
-const axios = require('axios');
+const { getProvider } = require('./llm');
+
+async function generateBuildPrompt(idea, pitchData, options = {}) {
+  const provider = getProvider(options.provider);
 
-async function generateBuildPrompt(idea, pitchData) {
   // Environment validation
-  if (!process.env.DEEPSEEK_API_KEY || process.env.DEEPSEEK_API_KEY === 'your-deepseek-api-key-here') {
-    console.warn('⚠️ DeepSeek API key not configured, using template fallback');
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️ ${provider.label} API key not configured, using template fallback`);
     return generateTemplatePrompt(idea, pitchData);
   }
 
@@ -22,29 +24,24 @@ Keep it actionable and focused. Return only the prompt text.`;
   const userPrompt = `Startup idea: ${idea}${pitchData?.name ? `\nCompany: ${pitchData.name}` : ''}${pitchData?.elevator ? `\nPitch: ${pitchData.elevator}` : ''}`;
 
   try {
-    console.log('🚀 Calling DeepSeek API for build prompt generation...');
-    const response = await axios.post('https://api.deepseek.com/v1/chat/completions', {
-      model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+    console.log(`🚀 Calling ${provider.label} API for build prompt generation...`);
+    const content = await provider.complete({
+      task: 'build-prompt',
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ],
       temperature: 0.7,
-      max_tokens: 1200
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
+      maxTokens: 1200,
       timeout: 45000
     });
 
-    console.log('✅ DeepSeek API response received successfully');
-    return response.data.choices[0].message.content;
+    console.log(`✅ ${provider.label} API response received successfully`);
+    return content;
   } catch (error) {
-    console.warn('⚠️ DeepSeek API error, using template fallback:', error.message);
+    console.warn(`⚠️ ${provider.label} API error, using template fallback:`, error.message);
     if (error.code === 'ECONNABORTED') {
-      console.warn('📡 Request timeout - DeepSeek API took too long to respond');
+      console.warn(`📡 Request timeout - ${provider.label} API took too long to respond`);
     }
     return generateTemplatePrompt(idea, pitchData);
   }
@@ -1,4 +1,5 @@
-const axios = require('axios');
+const { getProvider } = require('./llm');
+const { slideToText } = require('../utils/slides');
 
 /**
  * Enhanced AI Code Prompt Generation Service
@@ -11,17 +12,18 @@ const axios = require('axios');
  * @param {Object} params - Generation parameters
  * @param {string} params.idea - The startup idea description
  * @param {Object} [params.pitchData] - Optional pitch data
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
  * @returns {Promise<Object>} Enhanced prompt data
  */
-async function generateEnhancedCodePrompt({ idea, pitchData }) {
+async function generateEnhancedCodePrompt({ idea, pitchData, provider }) {
   try {
     console.log('🚀 Generating enhanced code prompt...');
     
-    // Option A: Use DeepSeek API for dynamic generation
-    const enhancedData = await generateDynamicPrompt(idea, pitchData);
+    // Option A: Use the configured LLM provider for dynamic generation
+    const enhancedData = await generateDynamicPrompt(idea, pitchData, provider);
     return enhancedData;
   } catch (error) {
-    console.warn('⚠️  DeepSeek API unavailable, using template generation:', error.message);
+    console.warn('⚠️  LLM provider unavailable, using template generation:', error.message);
     
     // Option B: Fallback to intelligent template generation
     return generateIntelligentTemplate(idea, pitchData);
@@ -29,36 +31,32 @@ async function generateEnhancedCodePrompt({ idea, pitchData }) {
 }
 
 /**
- * Generate dynamic prompt using DeepSeek API with structured output
+ * Generate dynamic prompt using the LLM provider with structured output
  * @param {string} idea - Startup idea description
  * @param {Object} pitchData - Pitch data including name, elevator, slides
+ * @param {string} [providerName] - LLM provider name
  * @returns {Promise<Object>} Structured prompt data
  */
-async function generateDynamicPrompt(idea, pitchData) {
-  if (!process.env.DEEPSEEK_API_KEY) {
-    throw new Error('DeepSeek API key not configured');
+async function generateDynamicPrompt(idea, pitchData, providerName) {
+  const provider = getProvider(providerName);
+
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} API key not configured`);
   }
 
   const systemPrompt = createAdvancedSystemPrompt(pitchData);
   const userPrompt = createUserPrompt(idea, pitchData);
 
-  const response = await axios.post('https://api.deepseek.com/v1/chat/completions', {
-    model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+  const generatedContent = await provider.complete({
+    task: 'code-prompt',
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ],
     temperature: 0.7,
-    max_tokens: 4000
-  }, {
-    headers: {
-      'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
+    maxTokens: 4000,
     timeout: 90000 // Extended timeout for comprehensive generation
   });
-
-  const generatedContent = response.data.choices[0].message.content;
   
   // Parse and structure the response
   return parseStructuredResponse(generatedContent, idea, pitchData);
@@ -137,13 +135,10 @@ function createUserPrompt(idea, pitchData) {
 
 **Business Context:**`;
       pitchData.slides.forEach((slide, index) => {
-        if (slide.content) {
-          // Extract text content from HTML slides
-          const textContent = slide.content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-          if (textContent) {
-            prompt += `
+        const textContent = slideToText(slide);
+        if (textContent) {
+          prompt += `
 - Slide ${index + 1}: ${textContent.substring(0, 200)}...`;
-          }
         }
       });
     }
@@ -157,7 +152,7 @@ Create a detailed development prompt that covers all technical and business requ
 }
 
 /**
- * Parse structured response from DeepSeek API
+ * Parse structured response from the LLM provider
  * @param {string} content - Raw response content
  * @param {string} idea - Original idea for fallback
  * @param {Object} pitchData - Pitch data for fallback
@@ -0,0 +1,95 @@
+const { getProvider } = require('./llm');
+const { slideToText, SLIDE_TYPE_LABELS } = require('../utils/slides');
+const { CRITIQUE_CRITERIA, CRITIQUE_CRITERIA_KEYS, scorePitchWithRubric, normalizeCritique } = require('../utils/critique');
+
+/**
+ * Investor critique
+ * Scores a deck on clarity, problem severity, market evidence, differentiation
+ * and the ask, with suggestions per slide. The model writes the critique when
+ * the provider is configured; otherwise, or when the model fails, the offline
+ * rubric in utils/critique.js scores the deck so a critique is always available.
+ */
+
+const CRITIQUE_SYSTEM_PROMPT = `You are a seed-stage investor reviewing a startup pitch deck. Be direct and specific.
+Score the deck from 0 (missing) to 10 (investor-ready) on:
+${CRITIQUE_CRITERIA_KEYS.map(key => `- "${key}": ${CRITIQUE_CRITERIA[key]}`).join('\n')}
+
+For every slide, give 0-3 concrete suggestions (one sentence each) that would make an investor more
+likely to take the meeting: missing numbers, vague claims, jargon, a weak headline. Give no suggestions
+for a slide that is already strong. Do not praise.
+
+Return ONLY valid JSON with exactly one "slides" entry per slide, in slide order:
+{
+  "scores": { ${CRITIQUE_CRITERIA_KEYS.map(key => `"${key}": 0`).join(', ')} },
+  "summary": "Two sentences: the biggest strength and the biggest gap.",
+  "slides": [
+    { "suggestions": ["..."] }
+  ]
+}`;
+
+/**
+ * Build the chat completion request for an investor critique
+ * @param {Object} params - Parameters, see critiquePitch
+ * @returns {Object} Completion parameters
+ */
+function buildCritiqueRequest({ idea, pitch }) {
+  const slides = pitch.slides
+    .map((slide, index) => {
+      const label = SLIDE_TYPE_LABELS[slide && slide.type] || 'Slide';
+      return `Slide ${index + 1} (${label}): ${slideToText(slide).substring(0, 500)}`;
+    })
+    .join('\n');
+
+  return {
+    task: 'critique',
+    messages: [
+      { role: 'system', content: CRITIQUE_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Startup idea: ${idea}
+Company name: ${pitch.name}
+Elevator pitch: ${pitch.elevator}
+
+Critique these ${pitch.slides.length} slides:
+${slides}`
+      }
+    ],
+    temperature: 0.3,
+    maxTokens: Math.max(1500, pitch.slides.length * 200),
+    json: true,
+    timeout: 60000
+  };
+}
+
+/**
+ * Score a deck the way an investor would and suggest improvements per slide
+ * @param {Object} params - Critique parameters
+ * @param {string} params.idea - Original startup idea
+ * @param {Object} params.pitch - Pitch with name, elevator and slides
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @returns {Promise<Object>} { scores, overall, summary, suggestions, source } where source is ai or rubric
+ */
+async function critiquePitch({ idea, pitch, provider: providerName }) {
+  const provider = getProvider(providerName);
+
+  if (!provider.isConfigured()) {
+    console.log(`📏 ${provider.label} is not configured, scoring the deck with the rubric`);
+    return { ...scorePitchWithRubric(pitch), source: 'rubric' };
+  }
+
+  try {
+    const content = await provider.complete(buildCritiqueRequest({ idea, pitch }));
+    const critique = normalizeCritique(JSON.parse(content), pitch.slides.length);
+
+    if (!critique) {
+      throw new Error(`Invalid response structure from ${provider.label}`);
+    }
+
+    return { ...critique, source: 'ai' };
+  } catch (error) {
+    console.warn(`⚠️  ${provider.label} critique failed, scoring the deck with the rubric:`, error.message);
+    return { ...scorePitchWithRubric(pitch), source: 'rubric' };
+  }
+}
+
+module.exports = { critiquePitch };
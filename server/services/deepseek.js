@@ -1,124 +1,564 @@
-const axios = require('axios');
+const { getProvider } = require('./llm');
+const { createPitchStreamParser } = require('../utils/pitch-stream');
+const {
+  SLIDE_TYPE_LABELS,
+  SLIDE_THEMES,
+  resolveSlidePlan,
+  getSlideTypeDefaults,
+  normalizeSlide,
+  slideToText
+} = require('../utils/slides');
+const { validateDeckAgainstPlan } = require('../utils/validators');
+const { DEFAULT_SCRIPT_DURATION, getWordBudget, countWords } = require('../utils/script');
+const { normalizeNameCandidates } = require('../utils/names');
+const { ELEVATOR_VARIANTS, ELEVATOR_VARIANT_TYPES, normalizeElevatorVariants } = require('../utils/elevator');
 
-let deepseekClient;
-try {
-  if (!process.env.DEEPSEEK_API_KEY || process.env.DEEPSEEK_API_KEY === 'your-deepseek-api-key-here') {
-    console.warn('⚠️  DeepSeek API key not configured properly. Please set DEEPSEEK_API_KEY in your .env file.');
-    deepseekClient = null;
-  } else {
-    deepseekClient = axios.create({
-      baseURL: 'https://api.deepseek.com/v1',
-      headers: {
-        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 60000, // 60 seconds timeout
-    });
-    console.log('✅ DeepSeek client initialized successfully');
-  }
-} catch (error) {
-  console.error('❌ Failed to initialize DeepSeek client:', error.message);
-  deepseekClient = null;
-}
+/**
+ * Build the pitch system prompt for a slide plan
+ * @param {string[]} plan - Slide types to generate, in order
+ * @param {number} [nameCandidates] - Number of alternative names to suggest
+ * @returns {string} System prompt
+ */
+function buildSystemPrompt(plan, nameCandidates) {
+  const outline = plan
+    .map((type, index) => `${index + 1}. ${SLIDE_TYPE_LABELS[type]}: "type": "${type}", "theme": "${getSlideTypeDefaults(type).theme}"`)
+    .join('\n');
 
-async function generatePitch(idea) {
-  if (!deepseekClient) {
-    throw new Error('DeepSeek is not configured. Please set a valid DEEPSEEK_API_KEY in your .env file.');
-  }
+  const example = plan
+    .map(type => {
+      const { theme, icon } = getSlideTypeDefaults(type);
+      return `    { "type": "${type}", "title": "${SLIDE_TYPE_LABELS[type].toUpperCase()}", "subtitle": "${SLIDE_TYPE_LABELS[type]} in one sentence", "bullets": [], "icon": "${icon}", "metrics": [], "theme": "${theme}" }`;
+    })
+    .join(',\n');
 
-  const SYSTEM_PROMPT = `You are a professional pitch deck designer and startup advisor. 
+  return `You are a professional pitch deck designer and startup advisor. 
 Given a startup idea, create a compelling pitch with:
 1. A catchy, memorable company name (2-3 words max)
 2. A clear, compelling one-sentence elevator pitch
-3. Exactly 4 HTML slides for a pitch deck with modern, professional design
+3. Exactly ${plan.length} pitch deck slides as structured JSON${nameCandidates ? `
+4. Exactly ${nameCandidates} name candidates: the chosen name first, then distinct alternatives in different styles
+   (descriptive, invented, metaphor), each with a one-sentence rationale` : ''}
 
-Each slide must be valid HTML with Tailwind CSS classes. Use cutting-edge design:
-- Professional gradient backgrounds with modern color palettes
-- Bold typography with proper hierarchy
-- Icons and visual elements (use Unicode icons: 🚀, 💡, 📈, 🎯, 💰, 🌟, ⚡, 🔥, 💎, 🏆)
-- Proper spacing and layout
-- High contrast for readability
-- Professional shadows and effects
+The slides must follow this plan, in this order, with exactly these types:
+${outline}
 
-Slides should cover: Problem, Solution, Market/Business Model, and Call to Action.
+Each slide is an object with these fields:
+- "type": the type given in the plan
+- "title": a short, bold headline (max 6 words)
+- "subtitle": one persuasive sentence of supporting copy
+- "bullets": 0-4 short supporting points
+- "icon": one Unicode icon (🚀, 💡, 📈, 🎯, 💰, 🌟, ⚡, 🔥, 💎, 🏆)
+- "metrics": 0-3 key numbers as { "value": "$4.2B", "label": "Market size" }
+- "theme": the theme given in the plan, or one of ${Object.keys(SLIDE_THEMES).map(theme => `"${theme}"`).join(', ')}
 
-Use these modern gradient combinations:
-- Slide 1 (Problem): from-slate-900 via-purple-900 to-slate-900
-- Slide 2 (Solution): from-blue-900 via-indigo-900 to-purple-900  
-- Slide 3 (Market/Business): from-emerald-900 via-teal-900 to-cyan-900
-- Slide 4 (Call to Action): from-rose-900 via-pink-900 to-purple-900
-
-Return ONLY valid JSON in this exact format:
+Do not return HTML. Return ONLY valid JSON in this exact format:
 {
   "name": "Company Name",
   "elevator": "One sentence elevator pitch that clearly explains the value proposition.",
   "slides": [
-    "<section class='min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white p-12 flex flex-col justify-center items-center relative overflow-hidden'><div class='absolute inset-0 bg-black/20'></div><div class='relative z-10 text-center max-w-6xl mx-auto'><div class='text-6xl mb-6'>🔥</div><h1 class='text-7xl md:text-8xl font-black mb-8 bg-gradient-to-r from-white to-purple-200 bg-clip-text text-transparent leading-tight'>THE PROBLEM</h1><p class='text-2xl md:text-3xl text-purple-100 font-light leading-relaxed mb-8'>Problem description here</p><div class='w-24 h-1 bg-gradient-to-r from-purple-400 to-pink-400 mx-auto rounded-full'></div></div></section>",
-    "<section class='min-h-screen bg-gradient-to-br from-blue-900 via-indigo-900 to-purple-900 text-white p-12 flex flex-col justify-center items-center relative overflow-hidden'><div class='absolute inset-0 bg-black/20'></div><div class='relative z-10 text-center max-w-6xl mx-auto'><div class='text-6xl mb-6'>💡</div><h1 class='text-7xl md:text-8xl font-black mb-8 bg-gradient-to-r from-white to-blue-200 bg-clip-text text-transparent leading-tight'>OUR SOLUTION</h1><p class='text-2xl md:text-3xl text-blue-100 font-light leading-relaxed mb-8'>Solution description here</p><div class='w-24 h-1 bg-gradient-to-r from-blue-400 to-indigo-400 mx-auto rounded-full'></div></div></section>",
-    "<section class='min-h-screen bg-gradient-to-br from-emerald-900 via-teal-900 to-cyan-900 text-white p-12 flex flex-col justify-center items-center relative overflow-hidden'><div class='absolute inset-0 bg-black/20'></div><div class='relative z-10 text-center max-w-6xl mx-auto'><div class='text-6xl mb-6'>📈</div><h1 class='text-7xl md:text-8xl font-black mb-8 bg-gradient-to-r from-white to-emerald-200 bg-clip-text text-transparent leading-tight'>MARKET</h1><p class='text-2xl md:text-3xl text-emerald-100 font-light leading-relaxed mb-8'>Market and business model here</p><div class='w-24 h-1 bg-gradient-to-r from-emerald-400 to-teal-400 mx-auto rounded-full'></div></div></section>",
-    "<section class='min-h-screen bg-gradient-to-br from-rose-900 via-pink-900 to-purple-900 text-white p-12 flex flex-col justify-center items-center relative overflow-hidden'><div class='absolute inset-0 bg-black/20'></div><div class='relative z-10 text-center max-w-6xl mx-auto'><div class='text-6xl mb-6'>🚀</div><h1 class='text-7xl md:text-8xl font-black mb-8 bg-gradient-to-r from-white to-rose-200 bg-clip-text text-transparent leading-tight'>LET'S BUILD</h1><p class='text-2xl md:text-3xl text-rose-100 font-light leading-relaxed mb-8'>Call to action here</p><div class='w-24 h-1 bg-gradient-to-r from-rose-400 to-pink-400 mx-auto rounded-full'></div></div></section>"
-  ]
+${example}
+  ]${nameCandidates ? `,
+  "nameCandidates": [
+    { "name": "Company Name", "rationale": "Why this name fits the idea" }
+  ]` : ''}
+}`;
 }
 
-Make each slide visually stunning, professional, and persuasive. Use bold typography, appropriate icons, and ensure perfect readability with high contrast.`;
+const SLIDE_SYSTEM_PROMPT = `You are a professional pitch deck designer and startup advisor.
+You rewrite ONE slide of an existing pitch deck while keeping it consistent with the rest of the deck.
+
+The slide is structured JSON. Keep its "type" and "theme" unless the instruction asks otherwise, and write:
+- "title": a short, bold headline (max 6 words)
+- "subtitle": one persuasive sentence of supporting copy
+- "bullets": 0-4 short supporting points
+- "icon": one Unicode icon
+- "metrics": 0-3 key numbers as { "value": "...", "label": "..." }
+
+Do not return HTML. Return ONLY valid JSON in this exact format:
+{
+  "slide": { "type": "...", "title": "...", "subtitle": "...", "bullets": [], "icon": "...", "metrics": [], "theme": "..." }
+}`;
+
+/**
+ * Describe an existing pitch for a remix of it
+ * @param {Object} remix - Remix options, see generatePitch
+ * @returns {string} Prompt lines with the original pitch and the change to make
+ */
+function buildRemixContext({ pitch, instruction }) {
+  const outline = pitch.slides
+    .map((slide, index) => `Slide ${index + 1}: ${slideToText(slide).substring(0, 300)}`)
+    .join('\n');
+
+  return `This is a remix of an existing pitch for the same idea.
+Original company name: ${pitch.name}
+Original elevator pitch: ${pitch.elevator}
+Original deck outline:
+${outline}
+
+Remix instruction: ${instruction}
+Rework the whole pitch to follow the instruction. Keep what still fits; change the company name only if it no longer fits.
+`;
+}
+
+/**
+ * Build the chat completion request for a pitch
+ * @param {string} idea - Startup idea description
+ * @param {string[]} plan - Slide types to generate, in order
+ * @param {number} [nameCandidates] - Number of alternative names to suggest
+ * @param {Object} [remix] - Existing pitch to rework, see generatePitch
+ * @returns {Object} Completion parameters shared by generatePitch and streamPitch
+ */
+function buildPitchRequest(idea, plan, nameCandidates, remix) {
+  return {
+    task: 'pitch',
+    messages: [
+      {
+        role: 'system',
+        content: buildSystemPrompt(plan, nameCandidates)
+      },
+      {
+        role: 'user',
+        content: `Slide plan: ${plan.join(', ')}\n${nameCandidates ? `Name candidates: ${nameCandidates}\n` : ''}${remix ? buildRemixContext(remix) : ''}Create a pitch for this startup idea: ${idea}`
+      }
+    ],
+    temperature: 0.7,
+    // Roughly 400 tokens per structured slide on top of the name and elevator pitch, and 60 per name candidate
+    maxTokens: Math.max(4000, 1000 + plan.length * 400) + (nameCandidates || 0) * 60,
+    json: true,
+    timeout: 60000 + plan.length * 5000
+  };
+}
+
+/**
+ * Parse and validate the model output
+ * @param {string} content - Raw JSON content returned by the model
+ * @param {Object} provider - Provider adapter, used in error messages
+ * @param {string[]} plan - Slide types that were requested, in order
+ * @param {number} [nameCandidates] - Number of name candidates that were requested
+ * @returns {Object} Pitch with name, elevator, slides and, when requested, nameCandidates
+ */
+function parsePitchContent(content, provider, plan, nameCandidates) {
+  const result = JSON.parse(content);
+
+  if (!result.name || !result.elevator || !result.slides || !Array.isArray(result.slides)) {
+    throw new Error(`Invalid response structure from ${provider.label}`);
+  }
+
+  result.slides = result.slides.map(normalizeSlide);
+
+  const deckCheck = validateDeckAgainstPlan(result.slides, plan);
+  if (!deckCheck.isValid) {
+    throw new Error(`The generated deck does not match the requested slide plan. ${deckCheck.error}`);
+  }
+
+  if (nameCandidates) {
+    result.nameCandidates = normalizeNameCandidates(result.nameCandidates, result.name, nameCandidates);
+  } else {
+    delete result.nameCandidates;
+  }
+
+  return result;
+}
+
+/**
+ * Translate provider and parsing failures into user-facing errors
+ * @param {Error} error - Original error
+ * @param {Object} provider - Provider adapter
+ * @param {string} [action='generate pitch'] - What was being attempted, for the generic message
+ * @returns {Error} Error with a readable message
+ */
+function toPitchError(error, provider, action = 'generate pitch') {
+  console.error(`${provider.label} API Error:`, error);
+  
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    const status = error.response.status;
+    const message = error.response.data?.error?.message || error.response.statusText;
+    
+    if (status === 401) {
+      return new Error(`Invalid ${provider.label} API key. Please check your configuration.`);
+    } else if (status === 429) {
+      return new Error(`${provider.label} API rate limit exceeded. Please try again later.`);
+    } else if (status === 402) {
+      return new Error(`${provider.label} API quota exceeded. Please check your billing.`);
+    } else {
+      return new Error(`${provider.label} API error (${status}): ${message}`);
+    }
+  } else if (error.request) {
+    // The request was made but no response was received
+    return new Error(`No response from ${provider.label} API. Please check your internet connection.`);
+  } else if (error.name === 'SyntaxError') {
+    return new Error(`Failed to parse ${provider.label} response. The AI may have returned invalid JSON.`);
+  } else {
+    return new Error(`Failed to ${action}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the provider and make sure it can be called
+ * @param {string} [name] - Provider name
+ * @returns {Object} Provider adapter
+ */
+function getConfiguredProvider(name) {
+  const provider = getProvider(name);
+
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} is not configured. Please set a valid ${provider.apiKeyEnv} in your .env file.`);
+  }
+
+  return provider;
+}
+
+/**
+ * Generate a company name, elevator pitch and structured slides for an idea
+ * @param {string} idea - Startup idea description
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @param {string|string[]} [options.slidePlan] - Preset name or slide types, defaults to the 4-slide deck
+ * @param {number} [options.nameCandidates] - Also suggest this many company names, see NAME_CANDIDATE_LIMITS
+ * @param {Object} [options.remix] - Rework an existing pitch instead of starting from scratch
+ * @param {Object} options.remix.pitch - The existing pitch, with name, elevator and slides
+ * @param {string} options.remix.instruction - What to change, e.g. "pivot to healthcare"
+ * @returns {Promise<Object>} Pitch with name, elevator, slides and, when requested, nameCandidates
+ */
+async function generatePitch(idea, options = {}) {
+  const provider = getConfiguredProvider(options.provider);
+  const plan = resolveSlidePlan(options.slidePlan);
+
+  try {
+    const content = await provider.complete(buildPitchRequest(idea, plan, options.nameCandidates, options.remix));
+    return parsePitchContent(content, provider, plan, options.nameCandidates);
+  } catch (error) {
+    throw toPitchError(error, provider);
+  }
+}
+
+/**
+ * Generate a pitch while streaming its parts as soon as the model produces them
+ * @param {string} idea - Startup idea description
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @param {string|string[]} [options.slidePlan] - Preset name or slide types, defaults to the 4-slide deck
+ * @param {number} [options.nameCandidates] - Also suggest this many company names, see NAME_CANDIDATE_LIMITS
+ * @param {Function} [options.onEvent] - Called with (event, data) for `name`, `elevator` and `slide`
+ * @param {AbortSignal} [options.signal] - Stops the request to the model when aborted
+ * @returns {Promise<Object>} The complete pitch once the stream ends
+ */
+async function streamPitch(idea, options = {}) {
+  const provider = getConfiguredProvider(options.provider);
+  const plan = resolveSlidePlan(options.slidePlan);
+  const onEvent = options.onEvent || (() => {});
+  // Streamed slides reach the browser before the final parse, so normalize them on the way out too
+  const parser = createPitchStreamParser((event, data) => {
+    onEvent(event, event === 'slide' ? { ...data, slide: normalizeSlide(data.slide) } : data);
+  });
 
   try {
-    const response = await deepseekClient.post('/chat/completions', {
-      model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
-      messages: [
-        {
-          role: 'system',
-          content: SYSTEM_PROMPT
-        },
-        {
-          role: 'user',
-          content: `Create a pitch for this startup idea: ${idea}`
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 4000,
-      response_format: { type: "json_object" }
+    const content = await provider.stream({
+      ...buildPitchRequest(idea, plan, options.nameCandidates),
+      signal: options.signal,
+      onToken: (token, contentSoFar) => parser.push(contentSoFar)
     });
+    return parsePitchContent(content, provider, plan, options.nameCandidates);
+  } catch (error) {
+    throw toPitchError(error, provider);
+  }
+}
+
+/**
+ * Build the chat completion request for rewriting one slide
+ * @param {Object} params - Regeneration parameters, see regenerateSlide
+ * @returns {Object} Completion parameters
+ */
+function buildSlideRequest({ idea, pitch, index, instruction }) {
+  const outline = pitch.slides
+    .map((slide, slideIndex) => `Slide ${slideIndex + 1}: ${slideToText(slide).substring(0, 300)}`)
+    .join('\n');
+
+  const userPrompt = `Startup idea: ${idea}
+Company name: ${pitch.name}
+Elevator pitch: ${pitch.elevator}
+
+Deck outline:
+${outline}
+
+Rewrite slide ${index + 1} of ${pitch.slides.length}. The other slides stay unchanged.
+
+Current slide ${index + 1}:
+${JSON.stringify(normalizeSlide(pitch.slides[index]))}
+
+Instruction: ${instruction || 'Make it more compelling and persuasive.'}`;
+
+  return {
+    task: 'slide',
+    messages: [
+      { role: 'system', content: SLIDE_SYSTEM_PROMPT },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true,
+    timeout: 60000
+  };
+}
 
-    const content = response.data.choices[0].message.content;
+/**
+ * Rewrite a single slide using the rest of the pitch as context
+ * @param {Object} params - Regeneration parameters
+ * @param {string} params.idea - Original startup idea
+ * @param {Object} params.pitch - Pitch with name, elevator and slides
+ * @param {number} params.index - Zero-based index of the slide to rewrite
+ * @param {string} [params.instruction] - Optional user instruction, e.g. "make it more data-driven"
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @returns {Promise<Object>} The new slide
+ */
+async function regenerateSlide({ idea, pitch, index, instruction, provider: providerName }) {
+  const provider = getConfiguredProvider(providerName);
+
+  try {
+    const content = await provider.complete(buildSlideRequest({ idea, pitch, index, instruction }));
+    const result = JSON.parse(content);
+
+    const slide = result.slide && typeof result.slide === 'object' ? normalizeSlide(result.slide) : null;
+    if (!slide || !slide.title) {
+      throw new Error(`Invalid response structure from ${provider.label}`);
+    }
+
+    return slide;
+  } catch (error) {
+    throw toPitchError(error, provider, 'regenerate slide');
+  }
+}
+
+const NOTES_SYSTEM_PROMPT = `You are a pitch coach who writes speaker notes for startup founders.
+For every slide of the deck, write what the presenter should SAY while the slide is on screen:
+- 2-4 short sentences in the first person plural ("we"), conversational and confident
+- expand on the slide instead of reading it aloud; mention its numbers in context
+- end with a natural transition to the next slide, except on the last slide
+
+Return ONLY valid JSON with exactly one notes string per slide, in slide order:
+{
+  "notes": ["Notes for slide 1", "Notes for slide 2"]
+}`;
+
+/**
+ * Build the chat completion request for speaker notes
+ * @param {Object} params - Parameters, see generateSpeakerNotes
+ * @returns {Object} Completion parameters
+ */
+function buildNotesRequest({ idea, pitch }) {
+  const slides = pitch.slides
+    .map((slide, index) => `Slide ${index + 1}: ${slideToText(slide).substring(0, 500)}`)
+    .join('\n');
+
+  return {
+    task: 'notes',
+    messages: [
+      { role: 'system', content: NOTES_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Startup idea: ${idea}
+Company name: ${pitch.name}
+Elevator pitch: ${pitch.elevator}
+
+Write speaker notes for these ${pitch.slides.length} slides:
+${slides}`
+      }
+    ],
+    temperature: 0.7,
+    maxTokens: Math.max(1500, pitch.slides.length * 250),
+    json: true,
+    timeout: 60000
+  };
+}
+
+/**
+ * Write speaker notes for every slide of a pitch
+ * @param {Object} params - Generation parameters
+ * @param {string} params.idea - Original startup idea
+ * @param {Object} params.pitch - Pitch with name, elevator and slides
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @returns {Promise<string[]>} One notes string per slide, in slide order
+ */
+async function generateSpeakerNotes({ idea, pitch, provider: providerName }) {
+  const provider = getConfiguredProvider(providerName);
+
+  try {
+    const content = await provider.complete(buildNotesRequest({ idea, pitch }));
     const result = JSON.parse(content);
 
-    if (!result.name || !result.elevator || !result.slides || !Array.isArray(result.slides)) {
-      throw new Error('Invalid response structure from DeepSeek');
+    if (!Array.isArray(result.notes) || result.notes.length !== pitch.slides.length
+      || result.notes.some(notes => typeof notes !== 'string')) {
+      throw new Error(`Invalid response structure from ${provider.label}`);
     }
 
-    if (result.slides.length < 3 || result.slides.length > 5) {
-      throw new Error('Invalid number of slides (should be 3-5)');
+    return result.notes.map(notes => notes.trim());
+  } catch (error) {
+    throw toPitchError(error, provider, 'generate speaker notes');
+  }
+}
+
+const SCRIPT_SYSTEM_PROMPT = `You are a pitch coach who writes what startup founders say on stage.
+For every slide of the deck, write:
+- "talkingPoints": 2-4 short reminders of what to cover (max 12 words each)
+- "script": the exact words to say while the slide is on screen, in the first person plural ("we")
+
+The script must sound natural when read aloud: short sentences, no lists, no stage directions.
+Spend more words on the problem, solution and ask than on the title and closing slides, and
+keep the whole script within the word budget so it fits the time slot.
+
+Return ONLY valid JSON with exactly one entry per slide, in slide order:
+{
+  "slides": [
+    { "talkingPoints": ["..."], "script": "..." }
+  ]
+}`;
+
+/**
+ * Build the chat completion request for a pitch script
+ * @param {Object} params - Parameters, see generatePitchScript
+ * @returns {Object} Completion parameters
+ */
+function buildScriptRequest({ idea, pitch, duration }) {
+  const slides = pitch.slides
+    .map((slide, index) => `Slide ${index + 1}: ${slideToText(slide).substring(0, 500)}`)
+    .join('\n');
+  const wordBudget = getWordBudget(duration);
+
+  return {
+    task: 'script',
+    messages: [
+      { role: 'system', content: SCRIPT_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Startup idea: ${idea}
+Company name: ${pitch.name}
+Elevator pitch: ${pitch.elevator}
+
+Time slot: ${duration} seconds
+Word budget: ${wordBudget} words in total
+
+Write talking points and the script for these ${pitch.slides.length} slides:
+${slides}`
+      }
+    ],
+    temperature: 0.7,
+    // Roughly two tokens per scripted word plus the talking points and JSON
+    maxTokens: Math.max(2000, wordBudget * 2 + pitch.slides.length * 150),
+    json: true,
+    timeout: 90000
+  };
+}
+
+/**
+ * Write talking points per slide and a spoken script timed to a target length
+ * @param {Object} params - Generation parameters
+ * @param {string} params.idea - Original startup idea
+ * @param {Object} params.pitch - Pitch with name, elevator and slides
+ * @param {number} [params.duration] - Target length in seconds, see SCRIPT_DURATIONS
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @param {AbortSignal} [params.signal] - Stops the request to the model when aborted
+ * @returns {Promise<Object>} { talkingPoints, sections, wordCount }: points and script text per slide
+ */
+async function generatePitchScript({ idea, pitch, duration = DEFAULT_SCRIPT_DURATION, provider: providerName, signal }) {
+  const provider = getConfiguredProvider(providerName);
+
+  try {
+    const content = await provider.complete({ ...buildScriptRequest({ idea, pitch, duration }), signal });
+    const result = JSON.parse(content);
+
+    const entries = Array.isArray(result.slides) ? result.slides : [];
+    const isValidEntry = entry => entry && typeof entry.script === 'string'
+      && Array.isArray(entry.talkingPoints) && entry.talkingPoints.every(point => typeof point === 'string');
+
+    if (entries.length !== pitch.slides.length || !entries.every(isValidEntry)) {
+      throw new Error(`Invalid response structure from ${provider.label}`);
     }
 
-    return result;
+    const sections = entries.map(entry => entry.script.replace(/\s+/g, ' ').trim());
 
+    return {
+      talkingPoints: entries.map(entry => entry.talkingPoints.map(point => point.trim()).filter(Boolean)),
+      sections,
+      wordCount: sections.reduce((total, section) => total + countWords(section), 0)
+    };
   } catch (error) {
-    console.error('DeepSeek API Error:', error);
-    
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      const status = error.response.status;
-      const message = error.response.data?.error?.message || error.response.statusText;
-      
-      if (status === 401) {
-        throw new Error('Invalid DeepSeek API key. Please check your configuration.');
-      } else if (status === 429) {
-        throw new Error('DeepSeek API rate limit exceeded. Please try again later.');
-      } else if (status === 402) {
-        throw new Error('DeepSeek API quota exceeded. Please check your billing.');
-      } else {
-        throw new Error(`DeepSeek API error (${status}): ${message}`);
+    throw toPitchError(error, provider, 'generate pitch script');
+  }
+}
+
+const ELEVATOR_SYSTEM_PROMPT = `You are a startup advisor who rewrites elevator pitches for different audiences.
+Keep every variant true to the deck: same company name, same product, same numbers. Write:
+${ELEVATOR_VARIANT_TYPES.map(type => `- "${type}": ${ELEVATOR_VARIANTS[type].guidance}`).join('\n')}
+
+Return ONLY valid JSON in this exact format:
+{
+${ELEVATOR_VARIANT_TYPES.map(type => `  "${type}": "..."`).join(',\n')}
+}`;
+
+/**
+ * Build the chat completion request for elevator pitch variants
+ * @param {Object} params - Parameters, see generateElevatorVariants
+ * @returns {Object} Completion parameters
+ */
+function buildElevatorRequest({ idea, pitch }) {
+  const slides = pitch.slides
+    .map((slide, index) => `Slide ${index + 1}: ${slideToText(slide).substring(0, 300)}`)
+    .join('\n');
+
+  return {
+    task: 'elevator',
+    messages: [
+      { role: 'system', content: ELEVATOR_SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Startup idea: ${idea}
+Company name: ${pitch.name}
+Elevator pitch: ${pitch.elevator}
+
+Deck outline:
+${slides}
+
+Rewrite the elevator pitch for each audience.`
       }
-    } else if (error.request) {
-      // The request was made but no response was received
-      throw new Error('No response from DeepSeek API. Please check your internet connection.');
-    } else if (error.name === 'SyntaxError') {
-      throw new Error('Failed to parse DeepSeek response. The AI may have returned invalid JSON.');
-    } else {
-      throw new Error(`Failed to generate pitch: ${error.message}`);
+    ],
+    temperature: 0.7,
+    maxTokens: 1500,
+    json: true,
+    timeout: 60000
+  };
+}
+
+/**
+ * Retell the elevator pitch for investors, customers, recruiters, social media and a 30-second talk
+ * @param {Object} params - Generation parameters
+ * @param {string} params.idea - Original startup idea
+ * @param {Object} params.pitch - Pitch with name, elevator and slides
+ * @param {string} [params.provider] - LLM provider name, defaults to LLM_PROVIDER
+ * @returns {Promise<Object>} One text per variant, keyed by type (see ELEVATOR_VARIANTS)
+ */
+async function generateElevatorVariants({ idea, pitch, provider: providerName }) {
+  const provider = getConfiguredProvider(providerName);
+
+  try {
+    const content = await provider.complete(buildElevatorRequest({ idea, pitch }));
+    const variants = normalizeElevatorVariants(JSON.parse(content));
+
+    if (!variants) {
+      throw new Error(`Invalid response structure from ${provider.label}`);
     }
+
+    return variants;
+  } catch (error) {
+    throw toPitchError(error, provider, 'generate elevator pitch variants');
   }
 }
 
-module.exports = { generatePitch };
+module.exports = {
+  generatePitch,
+  streamPitch,
+  regenerateSlide,
+  generateSpeakerNotes,
+  generatePitchScript,
+  generateElevatorVariants
+};
@@ -0,0 +1,88 @@
+const rdapChecker = require('./rdap');
+const mockChecker = require('./mock');
+const { toDomainLabel } = require('../../utils/names');
+
+/**
+ * Domain availability checker registry
+ * Name checks look candidate domains up through the checker chosen with
+ * DOMAIN_CHECKER. `rdap` queries the public registries; `mock` answers offline
+ * and is the one to use without network access. A checker is any object with
+ * `name`, `label` and `check(domain)` resolving to available, taken or unknown.
+ */
+
+const DEFAULT_CHECKER = 'rdap';
+const DEFAULT_TLDS = ['com', 'io', 'ai'];
+
+const checkers = {
+  rdap: rdapChecker,
+  mock: mockChecker
+};
+
+/**
+ * List registered checker names
+ * @returns {string[]} Checker names
+ */
+function listDomainCheckers() {
+  return Object.keys(checkers);
+}
+
+/**
+ * Resolve a checker, falling back to the environment default
+ * @param {string} [name] - Checker name
+ * @returns {Object} Domain checker
+ */
+function getDomainChecker(name) {
+  const key = (name || process.env.DOMAIN_CHECKER || DEFAULT_CHECKER).trim().toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(checkers, key)) {
+    throw new Error(`Unknown domain checker "${key}". Available checkers: ${listDomainCheckers().join(', ')}`);
+  }
+
+  return checkers[key];
+}
+
+/**
+ * Top-level domains every name is checked under, from DOMAIN_TLDS (comma separated)
+ * @returns {string[]} TLDs without the leading dot
+ */
+function getDomainTlds() {
+  const configured = (process.env.DOMAIN_TLDS || '')
+    .split(',')
+    .map(tld => tld.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured : DEFAULT_TLDS;
+}
+
+/**
+ * Check the domains a company name would use
+ * @param {string} name - Company name
+ * @param {Object} [options] - Check options
+ * @param {string} [options.checker] - Checker name, defaults to DOMAIN_CHECKER
+ * @returns {Promise<Object[]>} One { domain, status } per TLD, in TLD order
+ */
+async function checkNameDomains(name, options = {}) {
+  const checker = getDomainChecker(options.checker);
+  const label = toDomainLabel(name);
+
+  if (!label) {
+    return [];
+  }
+
+  return Promise.all(getDomainTlds().map(async tld => {
+    const domain = `${label}.${tld}`;
+    try {
+      return { domain, status: await checker.check(domain) };
+    } catch (error) {
+      console.warn(`⚠️  Domain check failed for ${domain}:`, error.message);
+      return { domain, status: 'unknown' };
+    }
+  }));
+}
+
+module.exports = {
+  listDomainCheckers,
+  getDomainChecker,
+  getDomainTlds,
+  checkNameDomains
+};
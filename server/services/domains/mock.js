@@ -0,0 +1,42 @@
+/**
+ * Offline deterministic domain checker
+ * Pretends to look domains up so name checks work without network access
+ * (demos, CI, local development). Very short labels are always taken, the rest
+ * are decided by a stable hash, so the same domain always gets the same answer.
+ */
+
+const SHORT_LABEL_LENGTH = 5;
+
+/**
+ * Small stable string hash
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hash(text) {
+  let value = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 16777619);
+  }
+  return value >>> 0;
+}
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+
+  /**
+   * Answer a domain lookup from a hash of the domain
+   * @param {string} domain - Fully qualified domain such as greenlink.com
+   * @returns {Promise<string>} available or taken
+   */
+  async check(domain) {
+    const label = domain.split('.')[0];
+
+    if (label.length <= SHORT_LABEL_LENGTH) {
+      return 'taken';
+    }
+
+    return hash(domain) % 3 === 0 ? 'taken' : 'available';
+  }
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+/**
+ * RDAP domain checker
+ * Looks domains up through the rdap.org bootstrap service, which redirects to
+ * the registry for the TLD. A registered domain answers 200 and an unregistered
+ * one 404; anything else (rate limits, TLDs without RDAP, timeouts) is unknown.
+ */
+
+const RDAP_BASE_URL = 'https://rdap.org/domain';
+
+module.exports = {
+  name: 'rdap',
+  label: 'RDAP',
+
+  /**
+   * Look up whether a domain is registered
+   * @param {string} domain - Fully qualified domain such as greenlink.com
+   * @returns {Promise<string>} available, taken or unknown
+   */
+  async check(domain) {
+    try {
+      await axios.get(`${process.env.RDAP_BASE_URL || RDAP_BASE_URL}/${encodeURIComponent(domain)}`, {
+        headers: { Accept: 'application/rdap+json' },
+        timeout: 5000
+      });
+      return 'taken';
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return 'available';
+      }
+      return 'unknown';
+    }
+  }
+};
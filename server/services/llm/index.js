@@ -0,0 +1,106 @@
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const mockProvider = require('./mock');
+
+/**
+ * LLM provider registry
+ * All AI-backed services call the model through this module. The provider is
+ * chosen per environment with LLM_PROVIDER and can be overridden per request
+ * with a `provider` field in the request body.
+ */
+
+const DEFAULT_PROVIDER = 'deepseek';
+
+const providers = {
+  deepseek: createOpenAICompatibleProvider({
+    name: 'deepseek',
+    label: 'DeepSeek',
+    env: { apiKey: 'DEEPSEEK_API_KEY', model: 'DEEPSEEK_MODEL', baseURL: 'DEEPSEEK_BASE_URL' },
+    defaults: { model: 'deepseek-chat', baseURL: 'https://api.deepseek.com/v1' }
+  }),
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    env: { apiKey: 'OPENAI_API_KEY', model: 'OPENAI_MODEL', baseURL: 'OPENAI_BASE_URL' },
+    defaults: { model: 'gpt-3.5-turbo', baseURL: 'https://api.openai.com/v1' }
+  }),
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    label: 'Local model',
+    env: { apiKey: 'LOCAL_LLM_API_KEY', model: 'LOCAL_LLM_MODEL', baseURL: 'LOCAL_LLM_BASE_URL' },
+    defaults: { model: 'llama3', baseURL: 'http://localhost:11434/v1' },
+    requiresApiKey: false
+  }),
+  mock: mockProvider
+};
+
+/**
+ * Name of the provider used when a request does not choose one
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Check whether a provider name is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} True when the provider exists
+ */
+function isKnownProvider(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(providers, name.trim().toLowerCase());
+}
+
+/**
+ * Resolve a provider adapter, falling back to the environment default
+ * @param {string} [name] - Provider name chosen by the request
+ * @returns {Object} Provider adapter
+ */
+function getProvider(name) {
+  const key = name ? String(name).trim().toLowerCase() : getDefaultProviderName();
+
+  if (!isKnownProvider(key)) {
+    throw new Error(`Unknown LLM provider "${key}". Available providers: ${listProviders().join(', ')}`);
+  }
+
+  return providers[key];
+}
+
+/**
+ * Run a chat completion against the selected provider
+ * @param {Object} params - Completion parameters
+ * @param {string} [params.provider] - Provider name, defaults to LLM_PROVIDER
+ * @param {string} [params.task] - Task hint used by the mock provider
+ * @param {Array<Object>} params.messages - Chat messages
+ * @returns {Promise<string>} Generated message content
+ */
+async function createChatCompletion({ provider, ...options }) {
+  return getProvider(provider).complete(options);
+}
+
+/**
+ * Run a streaming chat completion against the selected provider
+ * @param {Object} params - Completion parameters
+ * @param {string} [params.provider] - Provider name, defaults to LLM_PROVIDER
+ * @param {Function} params.onToken - Called with (token, contentSoFar)
+ * @returns {Promise<string>} Full message content once the stream ends
+ */
+async function streamChatCompletion({ provider, ...options }) {
+  return getProvider(provider).stream(options);
+}
+
+module.exports = {
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+  isKnownProvider,
+  createChatCompletion,
+  streamChatCompletion
+};
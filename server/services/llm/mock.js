@@ -0,0 +1,272 @@
+/**
+ * Offline deterministic provider
+ * Answers every task from local fixtures derived from the user message, so the
+ * app runs without network access or an API key (demos, CI, staging smoke tests).
+ * The same input always produces the same output.
+ */
+
+const STREAM_CHUNK_SIZE = 48;
+
+const STOP_WORDS = new Set([
+  'that', 'this', 'with', 'from', 'their', 'there', 'which', 'about', 'helps',
+  'people', 'based', 'using', 'create', 'pitch', 'startup', 'idea', 'into', 'your'
+]);
+
+/**
+ * Pull the idea out of a prompt such as "Create a pitch for this startup idea: ..."
+ * @param {string} content - User message content
+ * @returns {string} Idea text
+ */
+function extractIdea(content) {
+  const match = content.match(/[\s\S]*idea:[ \t]*(.+)/i);
+  return (match ? match[1] : content).trim();
+}
+
+/**
+ * Derive a stable two-word company name from the idea keywords
+ * @param {string} idea - Startup idea
+ * @returns {string} Company name
+ */
+function deriveName(idea) {
+  const keywords = idea
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word));
+
+  const picked = keywords.slice(0, 2);
+  if (picked.length === 0) {
+    return 'Nova Labs';
+  }
+
+  return picked.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Alternative names built from the first idea keyword, in the styles the prompt asks for
+const MOCK_NAME_STYLES = [
+  word => ({ name: `${word}ly`, rationale: `A friendly, brandable twist on "${word.toLowerCase()}".` }),
+  word => ({ name: `${word} Labs`, rationale: 'Sounds like a team that experiments and ships.' }),
+  word => ({ name: `${word}ify`, rationale: 'Verb-like, so it is easy to use in a sentence.' }),
+  word => ({ name: `Get ${word}`, rationale: 'A call to action that doubles as a domain.' }),
+  word => ({ name: `${word}wise`, rationale: 'Hints at expertise and good judgement.' }),
+  word => ({ name: `${word} Hub`, rationale: 'Positions the product as the place where it all happens.' }),
+  word => ({ name: `Zen${word.toLowerCase()}`, rationale: 'Promises calm in a stressful workflow.' }),
+  word => ({ name: `${word}base`, rationale: 'Suggests a solid foundation to build on.' }),
+  word => ({ name: `Nova ${word}`, rationale: 'A bright, new take on a familiar problem.' })
+];
+
+/**
+ * Derive name candidates: the chosen name first, then variations on the idea keyword
+ * @param {string} name - Chosen company name
+ * @param {number} count - Number of candidates
+ * @returns {Object[]} Candidates as { name, rationale }
+ */
+function deriveNameCandidates(name, count) {
+  const word = name.split(' ')[0];
+  const alternatives = MOCK_NAME_STYLES.map(style => style(word));
+
+  return [{ name, rationale: 'Says what the product does in plain words.' }, ...alternatives].slice(0, count);
+}
+
+const MOCK_SLIDES = {
+  title: (idea, name) => ({ title: name.toUpperCase(), subtitle: `${name} is ${idea.charAt(0).toLowerCase()}${idea.slice(1)}.`, icon: '🌟', theme: 'purple' }),
+  problem: idea => ({ title: 'THE PROBLEM', subtitle: `Today, ${idea} is still slow, manual and expensive.`, bullets: ['Hours lost to manual work', 'Fragmented tools'], icon: '🔥', theme: 'purple' }),
+  solution: (idea, name) => ({ title: 'OUR SOLUTION', subtitle: `${name} makes it effortless with one simple product.`, bullets: ['One place for the whole workflow', 'Set up in minutes'], icon: '💡', theme: 'blue' }),
+  'why-now': () => ({ title: 'WHY NOW', subtitle: 'New tools and changing habits make this the right moment.', bullets: ['Customers expect software-first service'], icon: '⚡', theme: 'amber' }),
+  market: () => ({ title: 'MARKET', subtitle: 'A growing market with a subscription business model.', metrics: [{ value: '$4.2B', label: 'Market size' }, { value: '18%', label: 'Yearly growth' }], icon: '📈', theme: 'emerald' }),
+  product: (idea, name) => ({ title: 'THE PRODUCT', subtitle: `How ${name} works, end to end.`, bullets: ['Sign up', 'Connect', 'Get results'], icon: '🎯', theme: 'blue' }),
+  'business-model': () => ({ title: 'BUSINESS MODEL', subtitle: 'Monthly subscriptions with a free starter tier.', metrics: [{ value: '$29', label: 'Per seat / month' }], icon: '💰', theme: 'emerald' }),
+  traction: () => ({ title: 'TRACTION', subtitle: 'Early users are already paying.', metrics: [{ value: '1,200', label: 'Waitlist' }, { value: '40', label: 'Pilot customers' }], icon: '📊', theme: 'amber' }),
+  competition: () => ({ title: 'COMPETITION', subtitle: 'Incumbents are slow; point tools do not connect.', bullets: ['Spreadsheets', 'Legacy suites'], icon: '🏆', theme: 'slate' }),
+  team: () => ({ title: 'THE TEAM', subtitle: 'Founders who have lived the problem.', bullets: ['CEO: domain expert', 'CTO: built products at scale'], icon: '👥', theme: 'blue' }),
+  ask: () => ({ title: 'THE ASK', subtitle: 'Raising a seed round to reach product-market fit.', metrics: [{ value: '$1.5M', label: 'Seed round' }, { value: '18 mo', label: 'Runway' }], icon: '💎', theme: 'rose' }),
+  cta: (idea, name) => ({ title: "LET'S BUILD", subtitle: `Join ${name} and shape what comes next.`, icon: '🚀', theme: 'rose' })
+};
+
+function mockPitch(content) {
+  const idea = extractIdea(content);
+  const name = deriveName(idea);
+  const planLine = (content.match(/Slide plan: (.*)/) || [])[1];
+  const plan = planLine ? planLine.split(',').map(type => type.trim()) : ['problem', 'solution', 'market', 'cta'];
+  const nameCandidates = Number((content.match(/Name candidates: (\d+)/) || [])[1]);
+  // A remix keeps the name and works the instruction into the copy
+  const remixInstruction = (content.match(/Remix instruction: (.*)/) || [])[1];
+  const cleanIdea = remixInstruction
+    ? `${idea.replace(/\.$/, '')} (${remixInstruction.trim().replace(/\.$/, '')})`
+    : idea.replace(/\.$/, '');
+
+  return JSON.stringify({
+    name,
+    elevator: `${name} is ${cleanIdea.charAt(0).toLowerCase()}${cleanIdea.slice(1)}.`,
+    slides: plan.map(type => ({
+      type,
+      bullets: [],
+      metrics: [],
+      ...(MOCK_SLIDES[type] || MOCK_SLIDES.solution)(cleanIdea, name)
+    })),
+    ...(nameCandidates ? { nameCandidates: deriveNameCandidates(name, nameCandidates) } : {})
+  });
+}
+
+function mockBuildPrompt(content) {
+  const idea = extractIdea(content);
+
+  return `# MERN Development Prompt
+
+## Project Overview
+Build a web application for: ${idea}
+
+## Tech Stack
+React + Vite, Node.js + Express, MongoDB + Mongoose, JWT auth.
+
+## Key Features
+- User authentication
+- Core workflow for the idea
+- Dashboard
+
+## API Endpoints
+- POST /api/auth/register
+- POST /api/auth/login
+- GET /api/items
+- POST /api/items`;
+}
+
+function mockCodePrompt(content) {
+  const idea = extractIdea(content.replace(/\*\*/g, ''));
+
+  return JSON.stringify({
+    prompt: `Build a complete MERN stack application for: ${idea}`,
+    techStack: ['MongoDB', 'Express.js', 'React', 'Node.js', 'Tailwind CSS'],
+    summary: idea,
+    features: ['User Authentication', 'Core Application Logic', 'Dashboard']
+  });
+}
+
+function mockSlide(content) {
+  const currentJson = (content.match(/Current slide \d+:\n(.*)/) || [])[1];
+  const instruction = (content.match(/Instruction: (.*)/) || [])[1] || 'Make it more compelling.';
+  const current = currentJson ? JSON.parse(currentJson) : {};
+  const title = current.title || 'UPDATED';
+
+  return JSON.stringify({
+    slide: {
+      ...current,
+      title,
+      subtitle: `${title.charAt(0)}${title.slice(1).toLowerCase()}, revised: ${instruction.replace(/\.$/, '')}.`
+    }
+  });
+}
+
+function mockNotes(content) {
+  const name = (content.match(/Company name: (.*)/) || [])[1] || 'We';
+  const titles = [...content.matchAll(/^Slide \d+: (.*)$/gm)].map(match => match[1].split('\n')[0].substring(0, 60));
+
+  return JSON.stringify({
+    notes: titles.map((title, index) => (index < titles.length - 1
+      ? `Here ${name} covers ${title}. Let's keep it short and move on.`
+      : `Here ${name} covers ${title}. Thank you, happy to take questions.`))
+  });
+}
+
+function mockScript(content) {
+  const name = (content.match(/Company name: (.*)/) || [])[1] || 'We';
+  const budget = Number((content.match(/Word budget: (\d+)/) || [])[1]) || 420;
+  const slideCount = (content.match(/^Slide \d+: /gm) || []).length;
+  const sentence = `At ${name} we keep this part simple and clear.`;
+  // Fill each slide's share of the word budget with whole sentences
+  const perSlide = Math.max(1, Math.round(budget / Math.max(slideCount, 1) / sentence.split(' ').length));
+
+  return JSON.stringify({
+    slides: Array.from({ length: slideCount }, (value, index) => ({
+      talkingPoints: [`Introduce slide ${index + 1}`, 'Give one concrete example'],
+      script: Array(perSlide).fill(sentence).join(' ')
+    }))
+  });
+}
+
+function mockElevator(content) {
+  const name = (content.match(/Company name: (.*)/) || [])[1] || 'We';
+  const elevator = (content.match(/Elevator pitch: (.*)/) || [])[1] || `${name} makes it simple.`;
+  const idea = extractIdea(content.split('\nCompany name:')[0]).replace(/\.$/, '');
+
+  return JSON.stringify({
+    investor: `${elevator} We are raising a seed round to win a $4.2B market growing 18% a year.`,
+    customer: `Tired of doing ${idea} by hand? ${name} does it for you in minutes.`,
+    recruiter: `Join ${name} and help build the easiest way to get ${idea} done, used by early customers from day one.`,
+    tweet: `${name}: ${idea}, without the busywork. Join the waitlist today.`,
+    spoken: `Hi, we are ${name}. ${elevator} Today that work is slow and manual. We fix it with one simple product. Early customers are already paying, and we would love to show you how it works.`
+  });
+}
+
+function mockCritique(content) {
+  const slides = [...content.matchAll(/^Slide \d+ \(([^)]*)\): (.*)$/gm)];
+  const hasAsk = slides.some(([, label]) => label === 'The Ask');
+
+  return JSON.stringify({
+    scores: { clarity: 7, problemSeverity: 6, marketEvidence: 5, differentiation: 5, ask: hasAsk ? 7 : 3 },
+    summary: 'The story is easy to follow. The numbers behind the market and the ask need more support.',
+    slides: slides.map(([, label, text]) => ({
+      suggestions: /\d/.test(text) ? [] : [`Add one concrete number to the ${label.toLowerCase()} slide.`]
+    }))
+  });
+}
+
+const fixtures = {
+  pitch: mockPitch,
+  slide: mockSlide,
+  notes: mockNotes,
+  script: mockScript,
+  elevator: mockElevator,
+  critique: mockCritique,
+  'build-prompt': mockBuildPrompt,
+  'code-prompt': mockCodePrompt
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+  apiKeyEnv: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Answer a chat completion from local fixtures
+   * @param {Object} params - Completion parameters
+   * @param {Array<Object>} params.messages - Chat messages
+   * @param {string} [params.task] - Task hint selecting the fixture
+   * @param {AbortSignal} [params.signal] - Fails the call when already aborted
+   * @returns {Promise<string>} Fixture content
+   */
+  async complete({ messages, task, signal }) {
+    signal?.throwIfAborted();
+    const userMessage = [...messages].reverse().find(message => message.role === 'user');
+    const content = userMessage ? userMessage.content : '';
+    const fixture = fixtures[task] || mockBuildPrompt;
+
+    return fixture(content);
+  },
+
+  /**
+   * Stream a fixture in small chunks, yielding between chunks like a real model
+   * @param {Object} params - Same parameters as complete()
+   * @param {Function} params.onToken - Called with (token, contentSoFar)
+   * @param {AbortSignal} [params.signal] - Stops the stream when aborted
+   * @returns {Promise<string>} Full fixture content
+   */
+  async stream({ onToken, signal, ...params }) {
+    const fullContent = await this.complete(params);
+    let content = '';
+
+    for (let i = 0; i < fullContent.length; i += STREAM_CHUNK_SIZE) {
+      signal?.throwIfAborted();
+      const token = fullContent.slice(i, i + STREAM_CHUNK_SIZE);
+      content += token;
+      onToken(token, content);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return content;
+  }
+};
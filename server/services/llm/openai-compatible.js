@@ -0,0 +1,143 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-compatible chat completions adapter
+ * DeepSeek, OpenAI, Ollama and the llama.cpp server all expose the same
+ * `/chat/completions` contract, so one adapter covers them; each provider only
+ * differs in the environment variables it reads its configuration from.
+ */
+
+// Values shipped in the .env.example files that must not be sent as real keys
+const PLACEHOLDER_KEY_PATTERN = /^(sk-)?your-.*-here$/i;
+
+/**
+ * Create an adapter for an OpenAI-compatible endpoint
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Registry name of the provider
+ * @param {string} options.label - Human readable name used in error messages
+ * @param {Object} options.env - Environment variable names for apiKey, model and baseURL
+ * @param {Object} options.defaults - Default model and baseURL
+ * @param {boolean} [options.requiresApiKey=true] - Whether the endpoint needs a bearer token
+ * @returns {Object} Provider adapter
+ */
+function createOpenAICompatibleProvider({ name, label, env, defaults, requiresApiKey = true }) {
+  const getConfig = () => ({
+    apiKey: process.env[env.apiKey],
+    model: process.env[env.model] || defaults.model,
+    baseURL: (process.env[env.baseURL] || defaults.baseURL).replace(/\/+$/, '')
+  });
+
+  const buildRequest = ({ messages, temperature = 0.7, maxTokens, json = false, timeout = 60000, signal }) => {
+    const { apiKey, model, baseURL } = getConfig();
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return { url: `${baseURL}/chat/completions`, body, config: { headers, timeout, signal } };
+  };
+
+  return {
+    name,
+    label,
+    apiKeyEnv: env.apiKey,
+
+    /**
+     * Check whether the provider has everything it needs to be called
+     * @returns {boolean} True when the provider can be used
+     */
+    isConfigured() {
+      if (!requiresApiKey) {
+        return true;
+      }
+
+      const { apiKey } = getConfig();
+      return Boolean(apiKey) && !PLACEHOLDER_KEY_PATTERN.test(apiKey);
+    },
+
+    /**
+     * Run a chat completion and return the message content
+     * @param {Object} params - Completion parameters
+     * @param {Array<Object>} params.messages - Chat messages
+     * @param {number} [params.temperature=0.7] - Sampling temperature
+     * @param {number} [params.maxTokens] - Maximum tokens to generate
+     * @param {boolean} [params.json=false] - Request a JSON object response
+     * @param {number} [params.timeout=60000] - Request timeout in milliseconds
+     * @param {AbortSignal} [params.signal] - Cancels the request when aborted
+     * @returns {Promise<string>} Generated message content
+     */
+    async complete(params) {
+      const { url, body, config } = buildRequest(params);
+
+      const response = await axios.post(url, body, config);
+      return response.data.choices[0].message.content;
+    },
+
+    /**
+     * Run a streaming chat completion, reporting each token as it arrives
+     * @param {Object} params - Same parameters as complete()
+     * @param {Function} params.onToken - Called with (token, contentSoFar)
+     * @returns {Promise<string>} Full message content once the stream ends
+     */
+    async stream({ onToken, ...params }) {
+      const { url, body, config } = buildRequest(params);
+
+      const response = await axios.post(url, { ...body, stream: true }, { ...config, responseType: 'stream' });
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let content = '';
+
+      for await (const chunk of response.data) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) {
+            continue;
+          }
+
+          const data = trimmed.slice(5).trim();
+          if (data === '[DONE]') {
+            continue;
+          }
+
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (error) {
+            // Keep-alive comments and other noise some providers send between chunks
+            continue;
+          }
+
+          if (event.error) {
+            throw new Error(`${label} stream error: ${event.error.message || JSON.stringify(event.error)}`);
+          }
+
+          const token = event.choices?.[0]?.delta?.content;
+          if (token) {
+            content += token;
+            onToken(token, content);
+          }
+        }
+      }
+
+      return content;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,23 @@
+const { checkNameLength, checkPronounceability, findBrandCollisions } = require('../utils/names');
+const { checkNameDomains } = require('./domains');
+
+/**
+ * Run every name check on a list of company names
+ * Length, pronounceability and brand collisions are computed locally; domains
+ * go through the configured domain checker.
+ * @param {string[]} names - Company names
+ * @param {Object} [options] - Check options
+ * @param {string} [options.checker] - Domain checker name, defaults to DOMAIN_CHECKER
+ * @returns {Promise<Object[]>} One { name, length, pronounceability, brands, domains } per name, in order
+ */
+async function checkNames(names, options = {}) {
+  return Promise.all(names.map(async name => ({
+    name,
+    length: checkNameLength(name),
+    pronounceability: checkPronounceability(name),
+    brands: findBrandCollisions(name),
+    domains: await checkNameDomains(name, options)
+  })));
+}
+
+module.exports = { checkNames };
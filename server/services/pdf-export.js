@@ -0,0 +1,311 @@
+const PDFDocument = require('pdfkit');
+const { normalizeSlide, slideToText } = require('../utils/slides');
+const { DEFAULT_DECK_THEME, isKnownDeckTheme, getSlideColors, parseLogoDataUrl } = require('../utils/themes');
+const { countWords, estimateSpeakingTime } = require('../utils/script');
+
+/**
+ * Vector PDF export
+ * Draws each slide with PDFKit instead of screenshotting the HTML, so the text
+ * stays selectable and the fonts are embedded as subsets.
+ */
+
+const PAGE = { width: 960, height: 540, margin: 60 };
+
+const fontFile = (family, weight) => require.resolve(`@fontsource/${family}/files/${family}-latin-${weight}-normal.woff`);
+
+// The theme default is Poppins headings with Inter body text, like the web app
+const PDF_FONTS = {
+  default: { heading: fontFile('poppins', 800), body: fontFile('inter', 400) },
+  modern: { heading: fontFile('poppins', 800), body: fontFile('inter', 400) },
+  classic: { heading: fontFile('playfair-display', 800), body: fontFile('source-sans-3', 400) },
+  technical: { heading: fontFile('space-grotesk', 700), body: fontFile('ibm-plex-sans', 400) },
+  friendly: { heading: fontFile('montserrat', 800), body: fontFile('open-sans', 400) }
+};
+
+/**
+ * Paint the slide background from top left to bottom right
+ * @param {PDFDocument} doc - Document
+ * @param {Object} colors - Slide colors
+ */
+function drawBackground(doc, colors) {
+  const [first, ...rest] = colors.background;
+
+  if (rest.length === 0) {
+    doc.rect(0, 0, PAGE.width, PAGE.height).fill(first);
+  } else {
+    const gradient = doc.linearGradient(0, 0, PAGE.width, PAGE.height);
+    colors.background.forEach((color, index) => gradient.stop(index / (colors.background.length - 1), color));
+    doc.rect(0, 0, PAGE.width, PAGE.height).fill(gradient);
+  }
+
+  if (colors.overlay) {
+    doc.save().fillOpacity(0.2).rect(0, 0, PAGE.width, PAGE.height).fill('#000000').restore();
+  }
+}
+
+/**
+ * Draw the brand logo in the top left corner
+ * WebP logos are skipped because PDFKit only embeds PNG and JPEG images.
+ * @param {PDFDocument} doc - Document
+ * @param {Object} [brand] - Brand kit
+ */
+function drawLogo(doc, brand) {
+  const logo = brand && parseLogoDataUrl(brand.logo);
+  if (!logo || logo.type === 'image/webp') {
+    return;
+  }
+
+  try {
+    doc.image(logo.data, 40, 30, { fit: [140, 48] });
+  } catch (error) {
+    console.warn('⚠️  Skipping unreadable logo in PDF export:', error.message);
+  }
+}
+
+/**
+ * Lay out and draw the text blocks of a slide, vertically centered
+ * Font sizes shrink step by step until the content fits on the page.
+ * @param {PDFDocument} doc - Document
+ * @param {Object} slide - Normalized slide
+ * @param {Object} colors - Slide colors
+ */
+function drawContent(doc, slide, colors) {
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const bulletWidth = contentWidth - 120;
+  const gap = 20;
+  const metrics = slide.metrics || [];
+  const bullets = slide.bullets || [];
+  const cardHeight = 80;
+
+  let sizes;
+  let blocks;
+  for (const scale of [1, 0.85, 0.7, 0.6]) {
+    sizes = { title: 48 * scale, subtitle: 20 * scale, bullet: 18 * scale };
+    blocks = [];
+
+    if (slide.title) {
+      doc.font('heading').fontSize(sizes.title);
+      blocks.push({ kind: 'title', height: doc.heightOfString(slide.title, { width: contentWidth, align: 'center' }) });
+    }
+    if (slide.subtitle) {
+      doc.font('body').fontSize(sizes.subtitle);
+      blocks.push({ kind: 'subtitle', height: doc.heightOfString(slide.subtitle, { width: contentWidth, align: 'center', lineGap: 4 }) });
+    }
+    if (bullets.length > 0) {
+      doc.font('body').fontSize(sizes.bullet);
+      const height = bullets.reduce((sum, bullet) => sum + doc.heightOfString(`•  ${bullet}`, { width: bulletWidth, lineGap: 2 }) + 6, 0);
+      blocks.push({ kind: 'bullets', height });
+    }
+    if (metrics.length > 0) {
+      blocks.push({ kind: 'metrics', height: cardHeight });
+    }
+    blocks.push({ kind: 'rule', height: 4 });
+
+    const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+    if (total <= PAGE.height - PAGE.margin * 2) {
+      break;
+    }
+  }
+
+  const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+  let y = Math.max(PAGE.margin, (PAGE.height - total) / 2);
+  const maxHeight = PAGE.height - PAGE.margin;
+
+  blocks.forEach(block => {
+    // Whatever still does not fit at the smallest size is cut off rather than spilling onto a new page
+    if (y >= maxHeight) {
+      return;
+    }
+    const height = Math.min(block.height, maxHeight - y);
+
+    if (block.kind === 'title') {
+      doc.font('heading').fontSize(sizes.title).fillColor(colors.title)
+        .text(slide.title, PAGE.margin, y, { width: contentWidth, height, align: 'center', ellipsis: true });
+    } else if (block.kind === 'subtitle') {
+      doc.font('body').fontSize(sizes.subtitle).fillColor(colors.text)
+        .text(slide.subtitle, PAGE.margin, y, { width: contentWidth, height, align: 'center', lineGap: 4, ellipsis: true });
+    } else if (block.kind === 'bullets') {
+      let bulletY = y;
+      doc.font('body').fontSize(sizes.bullet).fillColor(colors.text);
+      bullets.forEach(bullet => {
+        const options = { width: bulletWidth, lineGap: 2 };
+        const bulletHeight = doc.heightOfString(`•  ${bullet}`, options);
+        if (bulletY + bulletHeight <= maxHeight) {
+          doc.text(`•  ${bullet}`, (PAGE.width - bulletWidth) / 2, bulletY, options);
+        }
+        bulletY += bulletHeight + 6;
+      });
+    } else if (block.kind === 'metrics') {
+      drawMetrics(doc, metrics, y, cardHeight, colors);
+    } else {
+      doc.roundedRect((PAGE.width - 48) / 2, y, 48, 4, 2).fill(colors.rule);
+    }
+
+    y += block.height + gap;
+  });
+}
+
+/**
+ * Draw the key numbers of a slide as a centered row of cards
+ * @param {PDFDocument} doc - Document
+ * @param {Array<Object>} metrics - { value, label } pairs
+ * @param {number} y - Top of the row
+ * @param {number} height - Card height
+ * @param {Object} colors - Slide colors
+ */
+function drawMetrics(doc, metrics, y, height, colors) {
+  const gap = 20;
+  const width = Math.min(180, (PAGE.width - PAGE.margin * 2 - gap * (metrics.length - 1)) / metrics.length);
+  let x = (PAGE.width - (width * metrics.length + gap * (metrics.length - 1))) / 2;
+
+  metrics.forEach(({ value, label }) => {
+    doc.save();
+    if (colors.card.fill) {
+      doc.fillOpacity(colors.card.opacity === undefined ? 1 : colors.card.opacity).roundedRect(x, y, width, height, 12).fill(colors.card.fill);
+    }
+    if (colors.card.stroke) {
+      doc.lineWidth(colors.card.fill ? 1 : 2).roundedRect(x, y, width, height, 12).stroke(colors.card.stroke);
+    }
+    doc.restore();
+
+    doc.font('heading').fontSize(26).fillColor(colors.value)
+      .text(value, x + 8, y + 14, { width: width - 16, height: 34, align: 'center', ellipsis: true });
+    doc.font('body').fontSize(10).fillColor(colors.text)
+      .text(label.toUpperCase(), x + 8, y + 52, { width: width - 16, height: 20, align: 'center', characterSpacing: 1, ellipsis: true });
+
+    x += width + gap;
+  });
+}
+
+/**
+ * Add a page with the speaker notes of a slide
+ * @param {PDFDocument} doc - Document
+ * @param {Object} slide - Normalized slide
+ * @param {number} index - Zero-based slide index
+ * @param {string} notes - Speaker notes
+ */
+function drawNotesPage(doc, slide, index, notes) {
+  const width = PAGE.width - PAGE.margin * 2;
+
+  doc.addPage();
+  doc.rect(0, 0, PAGE.width, PAGE.height).fill('#ffffff');
+  doc.font('heading').fontSize(20).fillColor('#0f172a')
+    .text(`Slide ${index + 1}${slide.title ? ` · ${slide.title}` : ''}`, PAGE.margin, PAGE.margin, { width, height: 60, ellipsis: true });
+  doc.font('body').fontSize(10).fillColor('#64748b')
+    .text('SPEAKER NOTES', PAGE.margin, PAGE.margin + 40, { width, characterSpacing: 1 });
+  doc.font('body').fontSize(14).fillColor('#334155')
+    .text(notes, PAGE.margin, PAGE.margin + 70, { width, height: PAGE.height - PAGE.margin * 2 - 70, lineGap: 4, ellipsis: true });
+}
+
+/**
+ * Add the pitch script after the deck, one section per slide, starting a new
+ * page whenever the next section does not fit
+ * @param {PDFDocument} doc - Document
+ * @param {Object} pitch - Pitch with slides and script
+ */
+function drawScriptPages(doc, pitch) {
+  const width = PAGE.width - PAGE.margin * 2;
+  const bottom = PAGE.height - PAGE.margin;
+  const { duration, sections } = pitch.script;
+  const text = sections.join(' ');
+  let y = bottom;
+
+  const startPage = () => {
+    doc.addPage();
+    doc.rect(0, 0, PAGE.width, PAGE.height).fill('#ffffff');
+    y = PAGE.margin;
+  };
+
+  startPage();
+  doc.font('heading').fontSize(24).fillColor('#0f172a')
+    .text('Pitch script', PAGE.margin, y, { width });
+  const slot = duration < 120 ? `${duration}-SECOND` : `${duration / 60}-MINUTE`;
+  doc.font('body').fontSize(10).fillColor('#64748b')
+    .text(`${slot} SLOT · ${countWords(text)} WORDS · ABOUT ${estimateSpeakingTime(text)} SECONDS SPOKEN`,
+      PAGE.margin, y + 36, { width, characterSpacing: 1 });
+  y += 70;
+
+  sections.forEach((section, index) => {
+    if (!section) {
+      return;
+    }
+
+    const slide = normalizeSlide((pitch.slides || [])[index]);
+    const label = `SLIDE ${index + 1}${slide.title ? ` · ${slide.title.toUpperCase()}` : ''}`;
+    doc.font('body').fontSize(14);
+    const height = 22 + doc.heightOfString(section, { width, lineGap: 4 });
+
+    if (y + Math.min(height, 120) > bottom) {
+      startPage();
+    }
+
+    doc.font('body').fontSize(10).fillColor('#64748b')
+      .text(label, PAGE.margin, y, { width, height: 14, characterSpacing: 1, ellipsis: true });
+    doc.font('body').fontSize(14).fillColor('#334155')
+      .text(section, PAGE.margin, y + 20, { width, height: bottom - y - 20, lineGap: 4, ellipsis: true });
+    y += height + 18;
+  });
+}
+
+/**
+ * Render a pitch as a vector PDF with one 16:9 page per slide
+ * @param {Object} pitch - Pitch with name, slides, theme, brand and script
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.notes=true] - Add a notes page after each slide that has speaker notes
+ * @param {boolean} [options.script=true] - Add the pitch script after the deck when the pitch has one
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function renderPitchPdf(pitch, { notes = true, script = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const theme = isKnownDeckTheme(pitch.theme) ? pitch.theme : DEFAULT_DECK_THEME;
+    const fonts = PDF_FONTS[pitch.brand && pitch.brand.fontPairing] || PDF_FONTS.default;
+    const doc = new PDFDocument({
+      size: [PAGE.width, PAGE.height],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: pitch.name || 'Pitch Deck', Creator: 'PitchPerfect' }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      doc.registerFont('heading', fonts.heading);
+      doc.registerFont('body', fonts.body);
+
+      (pitch.slides || []).forEach((rawSlide, index) => {
+        const normalized = normalizeSlide(rawSlide);
+        // Legacy HTML slides are exported as their plain text
+        const slide = normalized.html !== undefined
+          ? normalizeSlide({ type: 'custom', subtitle: slideToText(normalized) })
+          : normalized;
+
+        const colors = getSlideColors(slide, theme, pitch.brand);
+
+        doc.addPage();
+        drawBackground(doc, colors);
+        drawLogo(doc, pitch.brand);
+        drawContent(doc, slide, colors);
+
+        const slideNotes = rawSlide && typeof rawSlide.notes === 'string' ? rawSlide.notes.trim() : '';
+        if (notes && slideNotes) {
+          drawNotesPage(doc, slide, index, slideNotes);
+        }
+      });
+
+      if (script && pitch.script && Array.isArray(pitch.script.sections) && pitch.script.sections.some(Boolean)) {
+        drawScriptPages(doc, pitch);
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderPitchPdf
+};
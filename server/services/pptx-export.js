@@ -0,0 +1,438 @@
+const JSZip = require('jszip');
+const { normalizeSlide, slideToText } = require('../utils/slides');
+const {
+  DEFAULT_DECK_THEME,
+  FONT_PAIRINGS,
+  isKnownDeckTheme,
+  getSlideColors,
+  parseLogoDataUrl
+} = require('../utils/themes');
+
+/**
+ * PowerPoint (PPTX) export
+ * Writes the Office Open XML parts by hand so every slide element becomes a
+ * native, editable shape: text boxes for the icon, title, subtitle and
+ * bullets, rounded rectangles for metrics, and a gradient slide background.
+ * The result opens in PowerPoint, Keynote and Google Slides.
+ */
+
+const NS = {
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+  rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  officeRel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// Slides are laid out in points on a 16:9 page, like the PDF export
+const PAGE = { width: 960, height: 540, margin: 60 };
+const EMU_PER_POINT = 12700;
+
+const DEFAULT_FONTS = { heading: 'Poppins', body: 'Inter' };
+
+const emu = points => Math.round(points * EMU_PER_POINT);
+const hexValue = hex => hex.replace('#', '').toUpperCase();
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Resolve the typefaces of the brand kit's font pairing
+ * @param {Object} [brand] - Brand kit
+ * @returns {Object} { heading, body } font family names
+ */
+function getTypefaces(brand) {
+  const pairing = brand && FONT_PAIRINGS[brand.fontPairing];
+  if (!pairing) {
+    return DEFAULT_FONTS;
+  }
+
+  const family = css => css.match(/'([^']+)'/)[1];
+  return { heading: family(pairing.heading), body: family(pairing.body) };
+}
+
+/**
+ * Darken a color the way the dark theme's black/20 overlay does in the browser
+ * @param {string} hex - Color as #rrggbb
+ * @returns {string} Darkened color as #rrggbb
+ */
+function applyOverlay(hex) {
+  const channels = [1, 3, 5].map(offset => Math.round(parseInt(hex.slice(offset, offset + 2), 16) * 0.8));
+  return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Read the pixel size of a PNG or JPEG image
+ * @param {Buffer} data - Image bytes
+ * @param {string} type - MIME type
+ * @returns {Object|null} { width, height }, or null when the header cannot be read
+ */
+function getImageSize(data, type) {
+  if (type === 'image/png' && data.length >= 24) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  if (type === 'image/jpeg') {
+    let offset = 2;
+    while (offset + 9 < data.length && data[offset] === 0xff) {
+      const marker = data[offset + 1];
+      // Start-of-frame markers carry the dimensions; C4, C8 and CC are other segments
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate the height of wrapped text, since PPTX has no layout engine to ask
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {number} width - Box width in points
+ * @returns {number} Height in points
+ */
+function estimateTextHeight(text, size, width) {
+  const charsPerLine = Math.max(1, Math.floor(width / (size * 0.55)));
+  const lines = Math.max(1, Math.ceil(text.length / charsPerLine));
+  return lines * size * 1.2;
+}
+
+function solidFill(hex, opacity = 1) {
+  const alpha = opacity < 1 ? `<a:alpha val="${Math.round(opacity * 100000)}"/>` : '';
+  return `<a:solidFill><a:srgbClr val="${hexValue(hex)}">${alpha}</a:srgbClr></a:solidFill>`;
+}
+
+function backgroundFill(stops) {
+  if (stops.length === 1) {
+    return solidFill(stops[0]);
+  }
+
+  const gradientStops = stops
+    .map((color, index) => `<a:gs pos="${Math.round((index / (stops.length - 1)) * 100000)}"><a:srgbClr val="${hexValue(color)}"/></a:gs>`)
+    .join('');
+  // 45 degrees, top left to bottom right like bg-gradient-to-br
+  return `<a:gradFill rotWithShape="1"><a:gsLst>${gradientStops}</a:gsLst><a:lin ang="2700000" scaled="0"/></a:gradFill>`;
+}
+
+function run(text, { size, color, font, bold = false, spacing }) {
+  const attributes = [`lang="en-US"`, `sz="${Math.round(size * 100)}"`, bold ? 'b="1"' : '', spacing ? `spc="${spacing}"` : '']
+    .filter(Boolean)
+    .join(' ');
+  const typeface = font ? `<a:latin typeface="${escapeXml(font)}"/><a:cs typeface="${escapeXml(font)}"/>` : '';
+  return `<a:r><a:rPr ${attributes}>${solidFill(color)}${typeface}</a:rPr><a:t>${escapeXml(text)}</a:t></a:r>`;
+}
+
+function paragraph(runs, { align = 'ctr', bullet = false } = {}) {
+  const properties = bullet
+    ? `<a:pPr marL="285750" indent="-285750" algn="l"><a:buFont typeface="Arial"/><a:buChar char="•"/></a:pPr>`
+    : `<a:pPr algn="${align}"><a:buNone/></a:pPr>`;
+  return `<a:p>${properties}${runs}</a:p>`;
+}
+
+function shape({ id, name, box, paragraphs = [], geometry = 'rect', fill, line, anchor = 't', textBox = false }) {
+  const xfrm = `<a:xfrm><a:off x="${emu(box.x)}" y="${emu(box.y)}"/><a:ext cx="${emu(box.width)}" cy="${emu(box.height)}"/></a:xfrm>`;
+  const fillXml = fill || '<a:noFill/>';
+  const lineXml = line || '<a:ln><a:noFill/></a:ln>';
+  const body = paragraphs.length > 0 ? paragraphs.join('') : '<a:p><a:endParaRPr lang="en-US"/></a:p>';
+
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${escapeXml(name)}"/><p:cNvSpPr${textBox ? ' txBox="1"' : ''}/><p:nvPr/></p:nvSpPr>`
+    + `<p:spPr>${xfrm}<a:prstGeom prst="${geometry}"><a:avLst/></a:prstGeom>${fillXml}${lineXml}</p:spPr>`
+    + `<p:txBody><a:bodyPr wrap="square" lIns="0" tIns="0" rIns="0" bIns="0" anchor="${anchor}"><a:normAutofit/></a:bodyPr><a:lstStyle/>${body}</p:txBody></p:sp>`;
+}
+
+function picture({ id, name, relationshipId, box }) {
+  return `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="${escapeXml(name)}"/><p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>`
+    + `<p:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>`
+    + `<p:spPr><a:xfrm><a:off x="${emu(box.x)}" y="${emu(box.y)}"/><a:ext cx="${emu(box.width)}" cy="${emu(box.height)}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`;
+}
+
+/**
+ * Build the shapes of one slide, stacked and vertically centered like the HTML slide
+ * @param {Object} slide - Normalized slide
+ * @param {Object} colors - Slide colors from getSlideColors
+ * @param {Object} fonts - { heading, body } typefaces
+ * @returns {string[]} Shape XML
+ */
+function buildSlideShapes(slide, colors, fonts) {
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const bulletWidth = contentWidth - 120;
+  const gap = 16;
+  const cardHeight = 80;
+  const bullets = slide.bullets || [];
+  const metrics = slide.metrics || [];
+
+  let sizes;
+  let blocks;
+  for (const scale of [1, 0.85, 0.7, 0.6]) {
+    sizes = { icon: 44 * scale, title: 48 * scale, subtitle: 20 * scale, bullet: 18 * scale };
+    blocks = [];
+
+    if (slide.icon) {
+      blocks.push({ kind: 'icon', height: sizes.icon * 1.2 });
+    }
+    if (slide.title) {
+      blocks.push({ kind: 'title', height: estimateTextHeight(slide.title, sizes.title, contentWidth) });
+    }
+    if (slide.subtitle) {
+      blocks.push({ kind: 'subtitle', height: estimateTextHeight(slide.subtitle, sizes.subtitle, contentWidth) });
+    }
+    if (bullets.length > 0) {
+      const height = bullets.reduce((sum, bullet) => sum + estimateTextHeight(bullet, sizes.bullet, bulletWidth - 22), 0);
+      blocks.push({ kind: 'bullets', height });
+    }
+    if (metrics.length > 0) {
+      blocks.push({ kind: 'metrics', height: cardHeight });
+    }
+    blocks.push({ kind: 'rule', height: 4 });
+
+    const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+    if (total <= PAGE.height - PAGE.margin * 2) {
+      break;
+    }
+  }
+
+  const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+  let y = Math.max(PAGE.margin / 2, (PAGE.height - total) / 2);
+  let id = 2;
+  const shapes = [];
+
+  blocks.forEach(block => {
+    const box = { x: PAGE.margin, y, width: contentWidth, height: block.height };
+
+    if (block.kind === 'icon') {
+      shapes.push(shape({
+        id: id++, name: 'Icon', box, textBox: true,
+        paragraphs: [paragraph(run(slide.icon, { size: sizes.icon, color: colors.title }))]
+      }));
+    } else if (block.kind === 'title') {
+      shapes.push(shape({
+        id: id++, name: 'Title', box, textBox: true,
+        paragraphs: [paragraph(run(slide.title, { size: sizes.title, color: colors.title, font: fonts.heading, bold: true }))]
+      }));
+    } else if (block.kind === 'subtitle') {
+      shapes.push(shape({
+        id: id++, name: 'Subtitle', box, textBox: true,
+        paragraphs: [paragraph(run(slide.subtitle, { size: sizes.subtitle, color: colors.text, font: fonts.body }))]
+      }));
+    } else if (block.kind === 'bullets') {
+      shapes.push(shape({
+        id: id++, name: 'Bullets', textBox: true,
+        box: { ...box, x: (PAGE.width - bulletWidth) / 2, width: bulletWidth },
+        paragraphs: bullets.map(bullet => paragraph(run(bullet, { size: sizes.bullet, color: colors.text, font: fonts.body }), { bullet: true }))
+      }));
+    } else if (block.kind === 'metrics') {
+      const cardGap = 20;
+      const width = Math.min(180, (contentWidth - cardGap * (metrics.length - 1)) / metrics.length);
+      let x = (PAGE.width - (width * metrics.length + cardGap * (metrics.length - 1))) / 2;
+
+      metrics.forEach(({ value, label }, index) => {
+        const fill = colors.card.fill ? solidFill(colors.card.fill, colors.card.opacity === undefined ? 1 : colors.card.opacity) : null;
+        const line = colors.card.stroke ? `<a:ln w="${colors.card.fill ? 12700 : 25400}">${solidFill(colors.card.stroke)}</a:ln>` : null;
+
+        shapes.push(shape({
+          id: id++, name: `Metric ${index + 1}`, geometry: 'roundRect', anchor: 'ctr', fill, line,
+          box: { x, y, width, height: cardHeight },
+          paragraphs: [
+            paragraph(run(value, { size: 26, color: colors.value, font: fonts.heading, bold: true })),
+            paragraph(run(label.toUpperCase(), { size: 10, color: colors.text, font: fonts.body, spacing: 100 }))
+          ]
+        }));
+        x += width + cardGap;
+      });
+    } else {
+      shapes.push(shape({
+        id: id++, name: 'Accent', geometry: 'roundRect', fill: solidFill(colors.rule),
+        box: { x: (PAGE.width - 48) / 2, y, width: 48, height: 4 }
+      }));
+    }
+
+    y += block.height + gap;
+  });
+
+  return shapes;
+}
+
+/**
+ * Build the XML of one slide and its relationships
+ * @param {Object} slide - Normalized slide
+ * @param {Object} deck - { theme, brand, fonts, logo }
+ * @returns {Object} { xml, rels }
+ */
+function buildSlide(slide, deck) {
+  const colors = getSlideColors(slide, deck.theme, deck.brand);
+  // The browser darkens dark-theme slides with a translucent overlay; bake it into the gradient
+  const background = colors.overlay ? colors.background.map(applyOverlay) : colors.background;
+  const shapes = buildSlideShapes(slide, colors, deck.fonts);
+  const rels = [`<Relationship Id="rId1" Type="${NS.officeRel}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>`];
+
+  if (deck.logo) {
+    const { width, height } = deck.logo.size;
+    const scale = Math.min(140 / width, 48 / height);
+    shapes.push(picture({
+      id: shapes.length + 2,
+      name: 'Logo',
+      relationshipId: 'rId2',
+      box: { x: 40, y: 30, width: width * scale, height: height * scale }
+    }));
+    rels.push(`<Relationship Id="rId2" Type="${NS.officeRel}/image" Target="../media/${deck.logo.filename}"/>`);
+  }
+
+  const xml = `${XML_HEADER}<p:sld xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"><p:cSld>`
+    + `<p:bg><p:bgPr>${backgroundFill(background)}<a:effectLst/></p:bgPr></p:bg>`
+    + `<p:spTree>${GROUP_HEADER}${shapes.join('')}</p:spTree></p:cSld>`
+    + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+
+  return { xml, rels: relationships(rels) };
+}
+
+const GROUP_HEADER = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+  + '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+const relationships = entries => `${XML_HEADER}<Relationships xmlns="${NS.rel}">${entries.join('')}</Relationships>`;
+
+function themeXml(fonts) {
+  const scheme = [
+    ['dk1', '000000'], ['lt1', 'FFFFFF'], ['dk2', '0F172A'], ['lt2', 'F1F5F9'],
+    ['accent1', '7C3AED'], ['accent2', '2563EB'], ['accent3', '059669'], ['accent4', 'E11D48'],
+    ['accent5', 'D97706'], ['accent6', '475569'], ['hlink', '2563EB'], ['folHlink', '7C3AED']
+  ].map(([name, value]) => `<a:${name}><a:srgbClr val="${value}"/></a:${name}>`).join('');
+  const fill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+  const font = typeface => `<a:latin typeface="${escapeXml(typeface)}"/><a:ea typeface=""/><a:cs typeface=""/>`;
+
+  return `${XML_HEADER}<a:theme xmlns:a="${NS.a}" name="PitchPerfect"><a:themeElements>`
+    + `<a:clrScheme name="PitchPerfect">${scheme}</a:clrScheme>`
+    + `<a:fontScheme name="PitchPerfect"><a:majorFont>${font(fonts.heading)}</a:majorFont><a:minorFont>${font(fonts.body)}</a:minorFont></a:fontScheme>`
+    + '<a:fmtScheme name="PitchPerfect">'
+    + `<a:fillStyleLst>${fill}${fill}${fill}</a:fillStyleLst>`
+    + `<a:lnStyleLst>${[6350, 12700, 19050].map(width => `<a:ln w="${width}">${fill}</a:ln>`).join('')}</a:lnStyleLst>`
+    + '<a:effectStyleLst><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle><a:effectStyle><a:effectLst/></a:effectStyle></a:effectStyleLst>'
+    + `<a:bgFillStyleLst>${fill}${fill}${fill}</a:bgFillStyleLst>`
+    + '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+}
+
+const SLIDE_MASTER_XML = `${XML_HEADER}<p:sldMaster xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}">`
+  + `<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${GROUP_HEADER}</p:spTree></p:cSld>`
+  + '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>'
+  + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>'
+  + '<p:txStyles><p:titleStyle/><p:bodyStyle/><p:otherStyle/></p:txStyles></p:sldMaster>';
+
+const SLIDE_LAYOUT_XML = `${XML_HEADER}<p:sldLayout xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}" type="blank" preserve="1">`
+  + `<p:cSld name="Blank"><p:spTree>${GROUP_HEADER}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`;
+
+/**
+ * Render a pitch as a PowerPoint file with one editable slide per pitch slide
+ * @param {Object} pitch - Pitch with name, slides, theme and brand
+ * @returns {Promise<Buffer>} PPTX file contents
+ */
+async function renderPitchPptx(pitch) {
+  const zip = new JSZip();
+  // Office packages hold only file entries, without the folder entries JSZip adds by default
+  const addPart = (path, content) => zip.file(path, content, { createFolders: false });
+  const slides = (pitch.slides || []).map(rawSlide => {
+    const normalized = normalizeSlide(rawSlide);
+    // Legacy HTML slides are exported as their plain text
+    return normalized.html !== undefined
+      ? { ...normalizeSlide({ type: 'custom', subtitle: slideToText(normalized) }), icon: '' }
+      : normalized;
+  });
+
+  const fonts = getTypefaces(pitch.brand);
+  const parsedLogo = pitch.brand && parseLogoDataUrl(pitch.brand.logo);
+  const logoSize = parsedLogo && getImageSize(parsedLogo.data, parsedLogo.type);
+  // WebP is left out because older PowerPoint versions cannot display it
+  const logo = logoSize
+    ? { ...parsedLogo, size: logoSize, filename: parsedLogo.type === 'image/png' ? 'logo.png' : 'logo.jpeg' }
+    : null;
+  const deck = {
+    theme: isKnownDeckTheme(pitch.theme) ? pitch.theme : DEFAULT_DECK_THEME,
+    brand: pitch.brand,
+    fonts,
+    logo
+  };
+
+  const slideOverrides = slides
+    .map((_, index) => `<Override PartName="/ppt/slides/slide${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>`)
+    .join('');
+
+  addPart('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Default Extension="png" ContentType="image/png"/>'
+    + '<Default Extension="jpeg" ContentType="image/jpeg"/>'
+    + '<Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>'
+    + '<Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml"/>'
+    + '<Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml"/>'
+    + '<Override PartName="/ppt/theme/theme1.xml" ContentType="application/vnd.openxmlformats-officedocument.theme+xml"/>'
+    + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+    + '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>'
+    + `${slideOverrides}</Types>`);
+
+  addPart('_rels/.rels', relationships([
+    `<Relationship Id="rId1" Type="${NS.officeRel}/officeDocument" Target="ppt/presentation.xml"/>`,
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>',
+    `<Relationship Id="rId3" Type="${NS.officeRel}/extended-properties" Target="docProps/app.xml"/>`
+  ]));
+
+  addPart('docProps/core.xml', `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`
+    + `<dc:title>${escapeXml(pitch.name || 'Pitch Deck')}</dc:title><dc:creator>PitchPerfect</dc:creator>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created></cp:coreProperties>`);
+
+  addPart('docProps/app.xml', `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">`
+    + `<Application>PitchPerfect</Application><Slides>${slides.length}</Slides></Properties>`);
+
+  addPart('ppt/presentation.xml', `${XML_HEADER}<p:presentation xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}">`
+    + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+    + `<p:sldIdLst>${slides.map((_, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 3}"/>`).join('')}</p:sldIdLst>`
+    + `<p:sldSz cx="${emu(PAGE.width)}" cy="${emu(PAGE.height)}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`);
+
+  addPart('ppt/_rels/presentation.xml.rels', relationships([
+    `<Relationship Id="rId1" Type="${NS.officeRel}/slideMaster" Target="slideMasters/slideMaster1.xml"/>`,
+    `<Relationship Id="rId2" Type="${NS.officeRel}/theme" Target="theme/theme1.xml"/>`,
+    ...slides.map((_, index) => `<Relationship Id="rId${index + 3}" Type="${NS.officeRel}/slide" Target="slides/slide${index + 1}.xml"/>`)
+  ]));
+
+  addPart('ppt/slideMasters/slideMaster1.xml', SLIDE_MASTER_XML);
+  addPart('ppt/slideMasters/_rels/slideMaster1.xml.rels', relationships([
+    `<Relationship Id="rId1" Type="${NS.officeRel}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>`,
+    `<Relationship Id="rId2" Type="${NS.officeRel}/theme" Target="../theme/theme1.xml"/>`
+  ]));
+  addPart('ppt/slideLayouts/slideLayout1.xml', SLIDE_LAYOUT_XML);
+  addPart('ppt/slideLayouts/_rels/slideLayout1.xml.rels', relationships([
+    `<Relationship Id="rId1" Type="${NS.officeRel}/slideMaster" Target="../slideMasters/slideMaster1.xml"/>`
+  ]));
+  addPart('ppt/theme/theme1.xml', themeXml(fonts));
+
+  if (logo) {
+    addPart(`ppt/media/${logo.filename}`, logo.data);
+  }
+
+  slides.forEach((slide, index) => {
+    const { xml, rels } = buildSlide(slide, deck);
+    addPart(`ppt/slides/slide${index + 1}.xml`, xml);
+    addPart(`ppt/slides/_rels/slide${index + 1}.xml.rels`, rels);
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: PPTX_MIME_TYPE });
+}
+
+module.exports = {
+  PPTX_MIME_TYPE,
+  renderPitchPptx
+};
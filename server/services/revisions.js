@@ -0,0 +1,138 @@
+const Pitch = require('../models/Pitch');
+const PitchRevision = require('../models/PitchRevision');
+const { REVISION_LIMIT, snapshotPitch, isSameSnapshot } = require('../utils/revisions');
+
+/**
+ * Pitch revisions
+ * Every change to the content of a saved pitch stores a revision with the
+ * content after the change. Pitches saved before revisions existed get their
+ * pre-change content stored as an "original" revision on their first change,
+ * so that state can be restored too.
+ */
+
+/**
+ * Remember the content of a pitch before changing it
+ * @param {Object} pitch - Pitch document, before the change
+ * @returns {Object} { snapshot, savedAt } to pass to recordRevision
+ */
+function beginRevision(pitch) {
+  return {
+    snapshot: snapshotPitch(pitch),
+    savedAt: pitch.updatedAt || pitch.createdAt || new Date()
+  };
+}
+
+/**
+ * Reserve the numbers for the revision of a change
+ * The counter lives on the pitch and is bumped atomically, so overlapping
+ * changes never get the same number. The first change of a pitch takes two
+ * numbers in one update, 1 for the original content and 2 for the change, so
+ * only one request can store the original.
+ * @param {string} pitchId - Pitch id
+ * @returns {Promise<Object>} { original, number }, where original is 1 or null
+ */
+async function reserveRevisionNumbers(pitchId) {
+  const projection = { revisionCount: 1 };
+
+  // A missing counter, on pitches saved before revisions existed, counts as 0
+  const first = await Pitch.findOneAndUpdate(
+    { _id: pitchId, revisionCount: { $in: [0, null] } },
+    { $inc: { revisionCount: 2 } },
+    { new: true, projection }
+  ).lean();
+
+  if (first) {
+    return { original: 1, number: 2 };
+  }
+
+  const counter = await Pitch.findOneAndUpdate(
+    { _id: pitchId },
+    { $inc: { revisionCount: 1 } },
+    { new: true, projection }
+  ).lean();
+
+  if (!counter) {
+    throw new Error('Pitch no longer exists');
+  }
+
+  return { original: null, number: counter.revisionCount };
+}
+
+/**
+ * Store a revision after a pitch was changed and saved
+ * Revisions are bookkeeping: a failure is logged and never fails the change itself.
+ * @param {Object} pitch - Saved pitch document, after the change
+ * @param {Object} before - Result of beginRevision
+ * @param {Object} details - Revision details
+ * @param {string} details.reason - One of REVISION_REASONS
+ * @param {string} [details.summary] - What changed, e.g. "Regenerated slide 3"
+ * @param {string} [details.author] - Id of the signed-in user who made the change
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed or it could not be stored
+ */
+async function recordRevision(pitch, before, { reason, summary, author = null }) {
+  const snapshot = snapshotPitch(pitch);
+  if (isSameSnapshot(before.snapshot, snapshot)) {
+    return null;
+  }
+
+  try {
+    const { original, number } = await reserveRevisionNumbers(pitch._id);
+    if (original) {
+      await PitchRevision.create({
+        pitch: pitch._id,
+        number: original,
+        reason: 'original',
+        snapshot: before.snapshot,
+        createdAt: before.savedAt
+      });
+    }
+
+    const revision = await PitchRevision.create({
+      pitch: pitch._id,
+      number,
+      reason,
+      summary,
+      snapshot,
+      author
+    });
+
+    if (revision.number > REVISION_LIMIT) {
+      await PitchRevision.deleteMany({ pitch: pitch._id, number: { $lte: revision.number - REVISION_LIMIT } });
+    }
+
+    return revision;
+  } catch (error) {
+    console.warn(`⚠️  Could not store a revision for pitch ${pitch._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Revision as returned by the API
+ * @param {Object} revision - Revision document or lean object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.snapshot=false] - Include the stored content
+ * @returns {Object} { number, reason, summary, author, createdAt, slideCount[, snapshot] }
+ */
+function serializeRevision(revision, { snapshot = false } = {}) {
+  const serialized = {
+    number: revision.number,
+    reason: revision.reason,
+    summary: revision.summary || '',
+    author: revision.author || null,
+    createdAt: revision.createdAt,
+    slideCount: revision.snapshot && revision.snapshot.slides ? revision.snapshot.slides.length : 0
+  };
+
+  if (snapshot) {
+    serialized.snapshot = revision.snapshot;
+  }
+
+  return serialized;
+}
+
+module.exports = {
+  beginRevision,
+  recordRevision,
+  serializeRevision
+};
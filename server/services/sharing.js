@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { normalizeSlide } = require('../utils/slides');
+
+/**
+ * Share link helpers
+ * Tokens are random and unguessable, so a link grants read-only access to one
+ * pitch without an account. Links can carry a password and an expiry date and
+ * are revoked rather than deleted so their view counts stay visible.
+ */
+
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+const SHARE_PASSWORD_SALT_ROUNDS = 10;
+
+/**
+ * Create a share token: 18 random bytes (144 bits) as 24 URL-safe characters
+ * @returns {string} Token
+ */
+function generateShareToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * Hash a viewer password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashSharePassword(password) {
+  return bcrypt.hash(password, SHARE_PASSWORD_SALT_ROUNDS);
+}
+
+/**
+ * Check the password a viewer sent against a link
+ * @param {Object} link - Share link
+ * @param {string} [password] - Password from the viewer
+ * @returns {Promise<boolean>} True when the link has no password or it matches
+ */
+async function verifySharePassword(link, password) {
+  if (!link.passwordHash) {
+    return true;
+  }
+
+  return typeof password === 'string' && bcrypt.compare(password, link.passwordHash);
+}
+
+/**
+ * Decide whether a link can still be opened
+ * @param {Object} link - Share link
+ * @param {Date} [now] - Current time
+ * @returns {string} 'active', 'expired' or 'revoked'
+ */
+function getShareLinkStatus(link, now = new Date()) {
+  if (link.revokedAt) {
+    return 'revoked';
+  }
+
+  if (link.expiresAt && new Date(link.expiresAt) <= now) {
+    return 'expired';
+  }
+
+  return 'active';
+}
+
+/**
+ * Shape a link for its owner, without the password hash
+ * @param {Object} link - Share link
+ * @returns {Object} Link as returned by the API
+ */
+function serializeShareLink(link) {
+  return {
+    _id: link._id,
+    token: link.token,
+    path: `/p/${link.token}`,
+    hasPassword: Boolean(link.passwordHash),
+    expiresAt: link.expiresAt || null,
+    revokedAt: link.revokedAt || null,
+    views: link.views || 0,
+    lastViewedAt: link.lastViewedAt || null,
+    createdAt: link.createdAt,
+    status: getShareLinkStatus(link)
+  };
+}
+
+/**
+ * Reduce a pitch to what a share link shows: the deck, but not the original
+ * idea, the speaker notes, the owner or the creator's IP address
+ * @param {Object} pitch - Pitch from a lean query
+ * @returns {Object} Read-only pitch
+ */
+function toSharedPitch(pitch) {
+  return {
+    name: pitch.name,
+    elevator: pitch.elevator,
+    slides: (pitch.slides || []).map(slide => {
+      const { notes, ...shared } = normalizeSlide(slide);
+      return shared;
+    }),
+    theme: pitch.theme,
+    brand: pitch.brand,
+    createdAt: pitch.createdAt
+  };
+}
+
+module.exports = {
+  SHARE_TOKEN_PATTERN,
+  generateShareToken,
+  hashSharePassword,
+  verifySharePassword,
+  getShareLinkStatus,
+  serializeShareLink,
+  toSharedPitch
+};
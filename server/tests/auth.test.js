@@ -0,0 +1,203 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/User', () => {
+  const User = jest.fn(function (fields) {
+    Object.assign(this, fields);
+    this._id = '64b7f0c2a1b2c3d4e5f60001';
+    this.setPassword = jest.fn(async (password) => { this.passwordHash = `hashed:${password}`; });
+    this.save = jest.fn().mockResolvedValue(this);
+    this.toJSON = () => ({ _id: this._id, email: this.email, name: this.name });
+  });
+  User.findOne = jest.fn();
+  User.findById = jest.fn();
+  return User;
+});
+
+const User = require('../models/User');
+const authRouter = require('../routes/auth');
+const { verifyToken, signToken, canReadPitch, canEditPitch } = require('../services/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+
+const existingUser = (password) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60001',
+  email: 'founder@example.com',
+  name: 'Founder',
+  verifyPassword: jest.fn(async (candidate) => candidate === password),
+  toJSON() {
+    return { _id: this._id, email: this.email, name: this.name };
+  }
+});
+
+describe('Auth API', () => {
+  const originalUri = process.env.MONGODB_URI;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+  });
+
+  afterAll(() => {
+    process.env.MONGODB_URI = originalUri;
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create a user with a hashed password and return a token', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: ' Founder@Example.com ', password: 'correct-horse', name: 'Founder' })
+        .expect(201);
+
+      const created = User.mock.instances[0];
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'founder@example.com' });
+      expect(created.setPassword).toHaveBeenCalledWith('correct-horse');
+      expect(created.save).toHaveBeenCalled();
+      expect(response.body.data.user).toEqual({ _id: created._id, email: 'founder@example.com', name: 'Founder' });
+      expect(response.body.data.user.passwordHash).toBeUndefined();
+      expect(verifyToken(response.body.data.token).id).toBe(created._id);
+    });
+
+    it('should reject short passwords', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'founder@example.com', password: 'short' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Password must be at least 8 characters long');
+    });
+
+    it('should reject an invalid email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'not-an-email', password: 'correct-horse' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Please provide a valid email address');
+    });
+
+    it('should reject an email that is already registered', async () => {
+      User.findOne.mockResolvedValue(existingUser('correct-horse'));
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'founder@example.com', password: 'correct-horse' })
+        .expect(409);
+    });
+
+    it('should reject an email registered by a request racing this one', async () => {
+      User.findOne.mockResolvedValue(null);
+      User.mockImplementationOnce(function (fields) {
+        Object.assign(this, fields);
+        this.setPassword = jest.fn().mockResolvedValue();
+        this.save = jest.fn().mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+      });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'founder@example.com', password: 'correct-horse' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Email already registered');
+    });
+
+    it('should require a database', async () => {
+      delete process.env.MONGODB_URI;
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'founder@example.com', password: 'correct-horse' })
+        .expect(503);
+
+      expect(response.body.error).toBe('Database not configured');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return a token for valid credentials', async () => {
+      User.findOne.mockResolvedValue(existingUser('correct-horse'));
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'founder@example.com', password: 'correct-horse' })
+        .expect(200);
+
+      expect(verifyToken(response.body.data.token).email).toBe('founder@example.com');
+    });
+
+    it('should reject a wrong password', async () => {
+      User.findOne.mockResolvedValue(existingUser('correct-horse'));
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'founder@example.com', password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Incorrect email or password.');
+    });
+
+    it('should give the same answer for unknown emails', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'correct-horse' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Incorrect email or password.');
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should return the signed-in user', async () => {
+      const user = existingUser('correct-horse');
+      User.findById.mockResolvedValue(user);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${signToken(user)}`)
+        .expect(200);
+
+      expect(User.findById).toHaveBeenCalledWith(user._id);
+      expect(response.body.data.email).toBe('founder@example.com');
+    });
+
+    it('should require a token', async () => {
+      await request(app)
+        .get('/api/auth/me')
+        .expect(401);
+    });
+  });
+
+  describe('pitch access', () => {
+    const owner = { id: '64b7f0c2a1b2c3d4e5f60001' };
+    const otherUser = { id: '64b7f0c2a1b2c3d4e5f60002' };
+    const ownedPitch = { owner: owner.id, ipAddress: '203.0.113.7' };
+    const anonymousPitch = { owner: null, ipAddress: '203.0.113.7' };
+
+    it('should let anyone open an anonymous pitch but only its owner open an owned one', () => {
+      expect(canReadPitch(anonymousPitch, undefined)).toBe(true);
+      expect(canReadPitch(ownedPitch, owner)).toBe(true);
+      expect(canReadPitch(ownedPitch, otherUser)).toBe(false);
+      expect(canReadPitch(ownedPitch, undefined)).toBe(false);
+    });
+
+    it('should only let an anonymous pitch be changed from the address that created it', () => {
+      expect(canEditPitch(anonymousPitch, undefined, '203.0.113.7')).toBe(true);
+      expect(canEditPitch(anonymousPitch, otherUser, '203.0.113.7')).toBe(true);
+      expect(canEditPitch(anonymousPitch, undefined, '198.51.100.4')).toBe(false);
+      expect(canEditPitch({ owner: null, ipAddress: 'unknown' }, undefined, 'unknown')).toBe(false);
+      expect(canEditPitch({ owner: null }, undefined, '203.0.113.7')).toBe(false);
+    });
+
+    it('should only let the owner change an owned pitch, from anywhere', () => {
+      expect(canEditPitch(ownedPitch, owner, '198.51.100.4')).toBe(true);
+      expect(canEditPitch(ownedPitch, otherUser, '203.0.113.7')).toBe(false);
+    });
+  });
+});
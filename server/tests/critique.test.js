@@ -0,0 +1,120 @@
+const { scorePitchWithRubric, normalizeCritique, findJargon } = require('../utils/critique');
+const { critiquePitch } = require('../services/critique');
+const { getProvider } = require('../services/llm');
+
+const idea = 'A marketplace connecting urban gardeners with local restaurants';
+
+const STRONG_PITCH = {
+  name: 'Green Link',
+  elevator: 'Green Link connects restaurants with urban gardeners for produce picked the same morning.',
+  slides: [
+    { type: 'problem', title: 'THE PROBLEM', subtitle: 'Restaurants waste 12 hours a week sourcing local produce by hand.', bullets: ['Produce costs 30% more through distributors'], metrics: [] },
+    { type: 'solution', title: 'OUR SOLUTION', subtitle: 'Unlike distributors, we deliver the same day at 50% of the cost.', bullets: [], metrics: [] },
+    { type: 'market', title: 'MARKET', subtitle: 'Local food sales according to the USDA report.', bullets: [], metrics: [{ value: '$12B', label: 'TAM' }] },
+    { type: 'traction', title: 'TRACTION', subtitle: 'Pilots in two cities.', bullets: [], metrics: [{ value: '40', label: 'Paying restaurants' }] },
+    { type: 'competition', title: 'COMPETITION', subtitle: 'Distributors and farmers markets.', bullets: [], metrics: [] },
+    { type: 'ask', title: 'THE ASK', subtitle: 'Raising $1.5M for 18 months of runway.', bullets: [], metrics: [] }
+  ]
+};
+
+const WEAK_PITCH = {
+  name: 'Synergia',
+  elevator: 'Synergia is a revolutionary, seamless, next-generation ecosystem that will disrupt and empower the holistic food paradigm.',
+  slides: [
+    { type: 'solution', title: 'A REVOLUTIONARY GAME-CHANGING FOOD PLATFORM FOR EVERYONE', subtitle: 'We leverage synergy to empower a seamless, robust ecosystem.', bullets: [], metrics: [] },
+    { type: 'cta', title: "LET'S TALK", subtitle: 'Join us.', bullets: [], metrics: [] }
+  ]
+};
+
+describe('Investor critique', () => {
+  describe('scorePitchWithRubric', () => {
+    it('should score a complete deck with numbers higher than a vague one', () => {
+      const strong = scorePitchWithRubric(STRONG_PITCH);
+      const weak = scorePitchWithRubric(WEAK_PITCH);
+
+      expect(strong.scores).toEqual({ clarity: 10, problemSeverity: 10, marketEvidence: 10, differentiation: 10, ask: 10 });
+      expect(strong.overall).toBe(10);
+      expect(weak.overall).toBeLessThan(5);
+      expect(weak.scores.clarity).toBeLessThan(strong.scores.clarity);
+      expect(weak.scores.ask).toBe(3);
+    });
+
+    it('should always give the same score for the same deck', () => {
+      expect(scorePitchWithRubric(WEAK_PITCH)).toEqual(scorePitchWithRubric(WEAK_PITCH));
+    });
+
+    it('should suggest concrete fixes per slide', () => {
+      const { suggestions, summary } = scorePitchWithRubric(WEAK_PITCH);
+
+      expect(suggestions).toHaveLength(2);
+      expect(suggestions[0]).toContain('Shorten the headline to 6 words or fewer.');
+      expect(suggestions[0].join(' ')).toMatch(/Replace jargon \(.*synergy.*\)/);
+      expect(suggestions[1]).toEqual([]);
+      expect(summary).toContain('Investors will look for a problem slide, a market slide, a competition slide, an ask.');
+    });
+
+    it('should find jargon once per word', () => {
+      expect(findJargon('Seamless, SEAMLESS and best-in-class.')).toEqual(['seamless', 'best-in-class']);
+    });
+  });
+
+  describe('normalizeCritique', () => {
+    it('should clamp scores and clean suggestions', () => {
+      const critique = normalizeCritique({
+        scores: { clarity: 12, problemSeverity: '7', marketEvidence: 4.6, differentiation: -1, ask: 5 },
+        summary: '  Good  story. ',
+        slides: [{ suggestions: [' Add a number. ', 42, ''] }, {}]
+      }, 2);
+
+      expect(critique).toEqual({
+        scores: { clarity: 10, problemSeverity: 7, marketEvidence: 5, differentiation: 0, ask: 5 },
+        overall: 5.4,
+        summary: 'Good story.',
+        suggestions: [['Add a number.'], []]
+      });
+    });
+
+    it('should reject a critique with a missing score or the wrong number of slides', () => {
+      expect(normalizeCritique({ scores: { clarity: 5 }, slides: [{}] }, 1)).toBeNull();
+      expect(normalizeCritique({ scores: { clarity: 5, problemSeverity: 5, marketEvidence: 5, differentiation: 5, ask: 5 }, slides: [] }, 1)).toBeNull();
+    });
+  });
+
+  describe('critiquePitch', () => {
+    const originalKey = process.env.OPENAI_API_KEY;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      if (originalKey === undefined) {
+        delete process.env.OPENAI_API_KEY;
+      } else {
+        process.env.OPENAI_API_KEY = originalKey;
+      }
+    });
+
+    it('should let the model write the critique when the provider is configured', async () => {
+      const critique = await critiquePitch({ idea, pitch: STRONG_PITCH, provider: 'mock' });
+
+      expect(critique.source).toBe('ai');
+      expect(critique.scores.ask).toBe(7);
+      expect(critique.suggestions).toHaveLength(STRONG_PITCH.slides.length);
+    });
+
+    it('should fall back to the rubric without an API key', async () => {
+      delete process.env.OPENAI_API_KEY;
+
+      const critique = await critiquePitch({ idea, pitch: STRONG_PITCH, provider: 'openai' });
+
+      expect(critique).toEqual({ ...scorePitchWithRubric(STRONG_PITCH), source: 'rubric' });
+    });
+
+    it('should fall back to the rubric when the model returns an invalid critique', async () => {
+      jest.spyOn(getProvider('mock'), 'complete').mockResolvedValueOnce('{"scores": {}}');
+
+      const critique = await critiquePitch({ idea, pitch: WEAK_PITCH, provider: 'mock' });
+
+      expect(critique.source).toBe('rubric');
+      expect(critique.scores).toEqual(scorePitchWithRubric(WEAK_PITCH).scores);
+    });
+  });
+});
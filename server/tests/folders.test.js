@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Folder', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../models/Pitch', () => ({
+  aggregate: jest.fn(),
+  countDocuments: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const Folder = require('../models/Folder');
+const Pitch = require('../models/Pitch');
+const foldersRouter = require('../routes/folders');
+const { signToken } = require('../services/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/folders', foldersRouter);
+
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const FOLDER_ID = '64b7f0c2a1b2c3d4e5f60500';
+const OTHER_FOLDER_ID = '64b7f0c2a1b2c3d4e5f60501';
+const CREATED_AT = '2026-09-01T00:00:00.000Z';
+
+const authHeader = (id) => `Bearer ${signToken({ _id: id, email: `${id}@example.com` })}`;
+
+function createFolderDocument(name = 'Cohort 12') {
+  return {
+    _id: FOLDER_ID,
+    name,
+    owner: OWNER_ID,
+    createdAt: CREATED_AT,
+    save: jest.fn().mockResolvedValue(true)
+  };
+}
+
+describe('Folders API', () => {
+  const originalUri = process.env.MONGODB_URI;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+  });
+
+  afterAll(() => {
+    process.env.MONGODB_URI = originalUri;
+  });
+
+  describe('GET /api/folders', () => {
+    it('should list your folders with their pitch counts and the unfiled count', async () => {
+      Folder.find.mockReturnValue({
+        sort: () => ({
+          lean: () => Promise.resolve([
+            { _id: FOLDER_ID, name: 'Cohort 12', createdAt: CREATED_AT },
+            { _id: OTHER_FOLDER_ID, name: 'Demo Day', createdAt: CREATED_AT }
+          ])
+        })
+      });
+      Pitch.aggregate.mockResolvedValue([{ _id: FOLDER_ID, count: 4 }, { _id: null, count: 7 }]);
+
+      const response = await request(app)
+        .get('/api/folders')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Folder.find).toHaveBeenCalledWith({ owner: OWNER_ID });
+      expect(response.body.data).toEqual([
+        { _id: FOLDER_ID, name: 'Cohort 12', createdAt: CREATED_AT, pitchCount: 4 },
+        { _id: OTHER_FOLDER_ID, name: 'Demo Day', createdAt: CREATED_AT, pitchCount: 0 }
+      ]);
+      expect(response.body.unfiledCount).toBe(7);
+    });
+
+    it('should return no folders without a database', async () => {
+      delete process.env.MONGODB_URI;
+
+      const response = await request(app)
+        .get('/api/folders')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+      expect(Folder.find).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/folders')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/folders', () => {
+    it('should create a folder with a trimmed name', async () => {
+      Folder.findOne.mockResolvedValue(null);
+      Folder.create.mockResolvedValue(createFolderDocument());
+
+      const response = await request(app)
+        .post('/api/folders')
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ name: '  Cohort 12 ' })
+        .expect(201);
+
+      expect(Folder.create).toHaveBeenCalledWith({ name: 'Cohort 12', owner: OWNER_ID });
+      expect(response.body.data).toEqual({ _id: FOLDER_ID, name: 'Cohort 12', createdAt: CREATED_AT, pitchCount: 0 });
+    });
+
+    it('should refuse a second folder with the same name', async () => {
+      Folder.findOne.mockResolvedValue(createFolderDocument());
+
+      const response = await request(app)
+        .post('/api/folders')
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ name: 'Cohort 12' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Folder already exists');
+      expect(Folder.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, 'Folder name is required'],
+      [{ name: '   ' }, 'Folder name is required'],
+      [{ name: 'x'.repeat(61) }, 'Folder name must be less than 60 characters']
+    ])('should reject %j', async (body, message) => {
+      const response = await request(app)
+        .post('/api/folders')
+        .set('Authorization', authHeader(OWNER_ID))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.message).toBe(message);
+    });
+  });
+
+  describe('PATCH /api/folders/:id', () => {
+    it('should rename one of your folders', async () => {
+      const folder = createFolderDocument();
+      Folder.findOne
+        .mockResolvedValueOnce(folder)
+        .mockResolvedValueOnce(null);
+      Pitch.countDocuments.mockResolvedValue(4);
+
+      const response = await request(app)
+        .patch(`/api/folders/${FOLDER_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ name: 'Winter Cohort' })
+        .expect(200);
+
+      expect(Folder.findOne).toHaveBeenNthCalledWith(1, { _id: FOLDER_ID, owner: OWNER_ID });
+      expect(folder.save).toHaveBeenCalled();
+      expect(response.body.data).toEqual({ _id: FOLDER_ID, name: 'Winter Cohort', createdAt: CREATED_AT, pitchCount: 4 });
+    });
+
+    it('should refuse a name another folder already has', async () => {
+      Folder.findOne
+        .mockResolvedValueOnce(createFolderDocument())
+        .mockResolvedValueOnce({ _id: OTHER_FOLDER_ID, name: 'Demo Day' });
+
+      await request(app)
+        .patch(`/api/folders/${FOLDER_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ name: 'Demo Day' })
+        .expect(409);
+    });
+
+    it('should hide folders of other users', async () => {
+      Folder.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/folders/${FOLDER_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ name: 'Mine now' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Folder not found');
+    });
+  });
+
+  describe('DELETE /api/folders/:id', () => {
+    it('should delete the folder and keep its pitches', async () => {
+      Folder.findOne.mockResolvedValue(createFolderDocument());
+      Pitch.updateMany.mockResolvedValue({ modifiedCount: 4 });
+      Folder.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      const response = await request(app)
+        .delete(`/api/folders/${FOLDER_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.updateMany).toHaveBeenCalledWith({ owner: OWNER_ID, folder: FOLDER_ID }, { $set: { folder: null } });
+      expect(Folder.deleteOne).toHaveBeenCalledWith({ _id: FOLDER_ID });
+      expect(response.body.data._id).toBe(FOLDER_ID);
+    });
+
+    it('should return 404 for an invalid id', async () => {
+      await request(app)
+        .delete('/api/folders/not-an-id')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(404);
+
+      expect(Folder.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
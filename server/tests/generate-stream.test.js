@@ -0,0 +1,350 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Pitch', () => jest.fn());
+
+const Pitch = require('../models/Pitch');
+const generateRouter = require('../routes/generate');
+const { getProvider } = require('../services/llm');
+const { extractPartialPitch, createPitchStreamParser } = require('../utils/pitch-stream');
+
+const app = express();
+app.use(express.json());
+app.use('/api/generate', generateRouter);
+
+/**
+ * Split a raw SSE body into { event, data } records
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const lines = block.split('\n');
+      const event = lines.find(line => line.startsWith('event:')).slice(6).trim();
+      const data = JSON.parse(lines.find(line => line.startsWith('data:')).slice(5).trim());
+      return { event, data };
+    });
+}
+
+describe('Pitch streaming', () => {
+  const idea = 'A marketplace connecting urban gardeners with local restaurants';
+
+  describe('extractPartialPitch', () => {
+    it('should return only completed fields', () => {
+      const partial = extractPartialPitch('{"name": "Green Link", "elevator": "Fresh produce fr');
+
+      expect(partial.name).toBe('Green Link');
+      expect(partial.elevator).toBeNull();
+      expect(partial.slides).toEqual([]);
+    });
+
+    it('should return completed slides and ignore the one still streaming', () => {
+      const partial = extractPartialPitch('{"name": "A", "elevator": "B", "slides": ["<p>one</p>", "<p>say \\"hi\\"</p>", "<p>thr');
+
+      expect(partial.slides).toEqual(['<p>one</p>', '<p>say "hi"</p>']);
+    });
+
+    it('should return completed slide objects, including braces inside strings', () => {
+      const partial = extractPartialPitch('{"name": "A", "elevator": "B", "slides": [{"title": "Curly } \\"quote\\"", "metrics": [{"value": "1", "label": "x"}]}, {"title": "Sec');
+
+      expect(partial.slides).toEqual([{ title: 'Curly } "quote"', metrics: [{ value: '1', label: 'x' }] }]);
+    });
+
+    it('should only read the name of the pitch itself, not of a name candidate', () => {
+      const text = '{"nameCandidates": [{"name": "Sprout", "rationale": "Short"}], "slides": [{"title": "Say \\"name\\": \\"x\\""}], "name": "Green';
+
+      expect(extractPartialPitch(text).name).toBeNull();
+      expect(extractPartialPitch(`${text} Link"`).name).toBe('Green Link');
+    });
+  });
+
+  describe('createPitchStreamParser', () => {
+    const pitch = {
+      name: 'Green Link',
+      elevator: 'Fresh produce from the block next door.',
+      slides: Array.from({ length: 10 }, (_, index) => ({ type: 'custom', title: `Slide {${index + 1}}`, bullets: ['One', 'Two'] })),
+      nameCandidates: [{ name: 'Sprout', rationale: 'Short' }]
+    };
+    const content = JSON.stringify(pitch, null, 2);
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should emit every part once when the pitch arrives a character at a time', () => {
+      const onEvent = jest.fn();
+      const parser = createPitchStreamParser(onEvent);
+
+      for (let i = 1; i <= content.length; i++) {
+        parser.push(content.slice(0, i));
+      }
+
+      expect(onEvent.mock.calls).toEqual([
+        ['name', { name: 'Green Link' }],
+        ['elevator', { elevator: pitch.elevator }],
+        ...pitch.slides.map((slide, index) => ['slide', { index, slide }])
+      ]);
+    });
+
+    it('should parse each completed part once instead of the whole buffer on every token', () => {
+      const parser = createPitchStreamParser(() => {});
+      const parse = jest.spyOn(JSON, 'parse');
+
+      for (let i = 1; i <= content.length; i++) {
+        parser.push(content.slice(0, i));
+      }
+
+      // One parse per top-level key, the name, the elevator pitch and each slide
+      expect(parse).toHaveBeenCalledTimes(4 + 2 + pitch.slides.length);
+    });
+  });
+
+  describe('POST /api/generate/stream', () => {
+    it('should emit name, elevator, each slide and done in order', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock' })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = parseEvents(response.text);
+      const names = events.map(({ event }) => event);
+
+      expect(names).toEqual(['name', 'elevator', 'slide', 'slide', 'slide', 'slide', 'done']);
+      expect(events[2].data.index).toBe(0);
+      expect(events[2].data.slide).toEqual(expect.objectContaining({ type: 'problem', title: 'THE PROBLEM' }));
+
+      const done = events[events.length - 1].data;
+      expect(done.success).toBe(true);
+      expect(done.data.name).toBe(events[0].data.name);
+      expect(done.data.slides).toEqual(events.filter(({ event }) => event === 'slide').map(({ data }) => data.slide));
+    });
+
+    it('should reject invalid input before opening the stream', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea: 'Short', provider: 'mock' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Idea too short');
+    });
+
+    it('should follow a requested slide plan', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', slidePlan: 'yc' })
+        .expect(200);
+
+      const slides = parseEvents(response.text)
+        .filter(({ event }) => event === 'slide')
+        .map(({ data }) => data.slide.type);
+
+      expect(slides).toEqual(['problem', 'solution', 'why-now', 'market', 'product', 'business-model', 'traction', 'competition', 'team', 'ask']);
+    });
+
+    it('should reject an invalid slide plan', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', slidePlan: ['problem', 'vibes', 'cta'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid slide plan');
+    });
+
+    it('should add talking points and a timed script when asked', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', scriptDuration: 60 })
+        .expect(200);
+
+      const done = parseEvents(response.text).pop().data.data;
+      expect(done.script.duration).toBe(60);
+      expect(done.script.sections).toHaveLength(done.slides.length);
+      done.slides.forEach(slide => expect(slide.notes).toMatch(/^- /));
+    });
+
+    it('should reject script lengths other than 60, 180 and 300 seconds', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', scriptDuration: 90 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid script length');
+    });
+
+    it('should suggest name candidates with the chosen name first when asked', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', nameCandidates: 6 })
+        .expect(200);
+
+      const done = parseEvents(response.text).pop().data.data;
+      expect(done.nameCandidates).toHaveLength(6);
+      expect(done.nameCandidates[0].name).toBe(done.name);
+      done.nameCandidates.forEach(candidate => expect(candidate.rationale).toEqual(expect.any(String)));
+    });
+
+    it('should not return name candidates unless asked', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock' })
+        .expect(200);
+
+      expect(parseEvents(response.text).pop().data.data.nameCandidates).toBeUndefined();
+    });
+
+    it('should reject name candidate counts outside 5 to 10', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'mock', nameCandidates: 12 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid name candidates');
+    });
+
+    it('should reject unknown providers', async () => {
+      const response = await request(app)
+        .post('/api/generate/stream')
+        .send({ idea, provider: 'skynet' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid provider');
+    });
+
+    describe('when the client goes away', () => {
+      const originalUri = process.env.MONGODB_URI;
+      let server;
+
+      beforeEach((done) => {
+        process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+        server = app.listen(0, done);
+      });
+
+      afterEach((done) => {
+        jest.restoreAllMocks();
+        if (originalUri === undefined) {
+          delete process.env.MONGODB_URI;
+        } else {
+          process.env.MONGODB_URI = originalUri;
+        }
+        server.close(done);
+      });
+
+      // Start a streamed generation over a real connection, which the test can cut
+      const openStream = (body) => {
+        const clientRequest = http.request({
+          port: server.address().port,
+          method: 'POST',
+          path: '/api/generate/stream',
+          headers: { 'Content-Type': 'application/json' }
+        });
+        clientRequest.on('error', () => {});
+        clientRequest.end(JSON.stringify(body));
+        return clientRequest;
+      };
+
+      it('should stop the model request and not save the pitch', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const mockProvider = getProvider('mock');
+        const originalStream = mockProvider.stream.bind(mockProvider);
+        let clientRequest;
+        let reportResult;
+        const streamResult = new Promise(resolve => { reportResult = resolve; });
+
+        // Hang up as soon as the first tokens arrive
+        jest.spyOn(mockProvider, 'stream').mockImplementation((params) => {
+          const streaming = originalStream({
+            ...params,
+            onToken: (token, content) => {
+              params.onToken(token, content);
+              clientRequest.destroy();
+            }
+          });
+          streaming.then(reportResult, reportResult);
+          return streaming;
+        });
+
+        clientRequest = openStream({ idea, provider: 'mock' });
+
+        expect(await streamResult).toEqual(expect.objectContaining({ name: 'AbortError' }));
+        expect(Pitch).not.toHaveBeenCalled();
+      });
+
+      it('should stop writing the script and not save the pitch', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const mockProvider = getProvider('mock');
+        const originalComplete = mockProvider.complete.bind(mockProvider);
+        let clientRequest;
+        let reportSignal;
+        const scriptSignal = new Promise(resolve => { reportSignal = resolve; });
+
+        // Hang up once the pitch is done and the script is being written
+        jest.spyOn(mockProvider, 'complete').mockImplementation(async (params) => {
+          if (params.task !== 'script') {
+            return originalComplete(params);
+          }
+
+          clientRequest.destroy();
+          await new Promise(resolve => params.signal.addEventListener('abort', resolve));
+          try {
+            return await originalComplete(params);
+          } finally {
+            // Give the route a turn to finish before the test checks what it did
+            setImmediate(() => reportSignal(params.signal));
+          }
+        });
+
+        clientRequest = openStream({ idea, provider: 'mock', scriptDuration: 60 });
+
+        expect((await scriptSignal).aborted).toBe(true);
+        expect(Pitch).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('GET /api/generate/stream', () => {
+    it('should read the idea from the query string', async () => {
+      const response = await request(app)
+        .get('/api/generate/stream')
+        .query({ idea, provider: 'mock' })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events[events.length - 1].event).toBe('done');
+    });
+
+    it('should read comma separated slide types from the query string', async () => {
+      const response = await request(app)
+        .get('/api/generate/stream')
+        .query({ idea, provider: 'mock', slidePlan: 'problem,traction,ask' })
+        .expect(200);
+
+      const done = parseEvents(response.text).pop();
+      expect(done.data.data.slides.map(slide => slide.type)).toEqual(['problem', 'traction', 'ask']);
+    });
+
+    it('should read the script length from the query string', async () => {
+      const response = await request(app)
+        .get('/api/generate/stream')
+        .query({ idea, provider: 'mock', scriptDuration: '300' })
+        .expect(200);
+
+      const done = parseEvents(response.text).pop();
+      expect(done.data.data.script.duration).toBe(300);
+    });
+
+    it('should read the number of name candidates from the query string', async () => {
+      const response = await request(app)
+        .get('/api/generate/stream')
+        .query({ idea, provider: 'mock', nameCandidates: '5' })
+        .expect(200);
+
+      const done = parseEvents(response.text).pop();
+      expect(done.data.data.nameCandidates).toHaveLength(5);
+    });
+  });
+});
@@ -0,0 +1,1296 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Pitch', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  countDocuments: jest.fn(),
+  aggregate: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../models/Folder', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/PitchRevision', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../models/ShareLink', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+const Pitch = require('../models/Pitch');
+const ShareLink = require('../models/ShareLink');
+const Folder = require('../models/Folder');
+const PitchRevision = require('../models/PitchRevision');
+const historyRouter = require('../routes/history');
+const { signToken } = require('../services/auth');
+const { pitchToMarkdown } = require('../utils/markdown');
+const { encodeCursor, decodeCursor } = require('../utils/history');
+
+const app = express();
+app.use(express.json());
+app.use('/api/history', historyRouter);
+
+const PITCH_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const OTHER_USER_ID = '64b7f0c2a1b2c3d4e5f60002';
+const FOLDER_ID = '64b7f0c2a1b2c3d4e5f60500';
+// The address supertest requests come from; anonymous pitches created from it can be changed by the tests
+const CLIENT_IP = '::ffff:127.0.0.1';
+
+const authHeader = (id) => `Bearer ${signToken({ _id: id, email: `${id}@example.com` })}`;
+
+function mockQuery(result) {
+  const query = {
+    select: () => query,
+    slice: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => Promise.resolve(result)
+  };
+  return query;
+}
+
+// Hands out revision numbers after `latest`, like the counter on a stored pitch
+function mockRevisionCounter(latest = 0) {
+  let count = latest;
+  Pitch.findOneAndUpdate.mockImplementation((filter, update) => ({
+    lean: () => {
+      // The update reserving the first numbers only matches a pitch without revisions
+      if (filter.revisionCount && count !== 0) {
+        return Promise.resolve(null);
+      }
+      count += update.$inc.revisionCount;
+      return Promise.resolve({ revisionCount: count });
+    }
+  }));
+}
+
+function createPitchDocument() {
+  const slides = [
+    { type: 'problem', title: 'THE PROBLME', subtitle: 'Restaurants cannot source locally.', bullets: [], icon: '🔥', metrics: [], theme: 'purple' },
+    { type: 'solution', title: 'OUR SOLUTION', subtitle: 'A marketplace for the block.', bullets: [], icon: '💡', metrics: [], theme: 'blue' },
+    { type: 'market', title: 'MARKET', subtitle: 'Subscription revenue.', bullets: [], icon: '📈', metrics: [], theme: 'emerald' }
+  ];
+  slides.set = jest.fn((index, value) => { slides[index] = value; });
+
+  const doc = {
+    _id: PITCH_ID,
+    idea: 'A marketplace connecting urban gardeners with local restaurants',
+    name: 'Green Link',
+    elevator: 'Fresh produce from the block next door.',
+    slides,
+    ipAddress: CLIENT_IP,
+    theme: 'dark-gradient',
+    save: jest.fn().mockResolvedValue(true)
+  };
+  doc.toObject = () => ({
+    _id: doc._id,
+    name: doc.name,
+    elevator: doc.elevator,
+    slides: [...doc.slides],
+    theme: doc.theme,
+    brand: doc.brand,
+    updatedAt: doc.updatedAt
+  });
+  return doc;
+}
+
+describe('History API', () => {
+  const originalUri = process.env.MONGODB_URI;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+    mockRevisionCounter();
+    PitchRevision.create.mockImplementation(async (data) => data);
+  });
+
+  afterAll(() => {
+    process.env.MONGODB_URI = originalUri;
+  });
+
+  describe('GET /api/history', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .expect(401);
+
+      expect(response.body.error).toBe('Authentication required');
+      expect(Pitch.find).not.toHaveBeenCalled();
+    });
+
+    it('should only list pitches owned by the signed-in user', async () => {
+      Pitch.find.mockReturnValue(mockQuery([{ _id: PITCH_ID, name: 'Green Link' }]));
+      Pitch.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/history')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({ owner: OWNER_ID });
+      expect(Pitch.countDocuments).toHaveBeenCalledWith({ owner: OWNER_ID });
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should return only the first slide of each pitch, normalized for the thumbnail', async () => {
+      const query = mockQuery([{ _id: PITCH_ID, name: 'Green Link', slides: ['<h1>Legacy slide</h1>'] }]);
+      query.select = jest.fn(() => query);
+      query.slice = jest.fn(() => query);
+      Pitch.find.mockReturnValue(query);
+      Pitch.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/history')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(query.select).toHaveBeenCalledWith(expect.stringContaining('slides'));
+      expect(query.select).toHaveBeenCalledWith(expect.not.stringMatching(/\bbrand(\.logo)?(\s|$)/));
+      expect(query.slice).toHaveBeenCalledWith('slides', 1);
+      expect(response.body.data[0].slides).toHaveLength(1);
+      expect(response.body.data[0].slides[0]).toEqual({ type: 'custom', html: '<h1>Legacy slide</h1>' });
+    });
+
+    it('should search the text index and sort by relevance by default', async () => {
+      const query = mockQuery([]);
+      query.select = jest.fn(() => query);
+      query.sort = jest.fn(() => query);
+      Pitch.find.mockReturnValue(query);
+      Pitch.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/history')
+        .query({ q: ' urban gardeners ' })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      const filter = Pitch.find.mock.calls[0][0];
+      expect(filter).toEqual({ owner: OWNER_ID, $text: { $search: 'urban gardeners' } });
+      expect(query.select).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+      expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, createdAt: -1 });
+      expect(Pitch.countDocuments).toHaveBeenCalledWith(filter);
+    });
+
+    it('should filter by creation date, including the whole last day, and by all tags', async () => {
+      Pitch.find.mockReturnValue(mockQuery([]));
+      Pitch.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/history')
+        .query({ from: '2026-09-01', to: '2026-09-30', tags: 'Demo Day,fintech' })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({
+        owner: OWNER_ID,
+        createdAt: { $gte: new Date('2026-09-01'), $lt: new Date('2026-10-01') },
+        tags: { $all: ['demo day', 'fintech'] }
+      });
+    });
+
+    it('should filter by folder and star', async () => {
+      Pitch.find.mockReturnValue(mockQuery([]));
+      Pitch.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/history')
+        .query({ folder: FOLDER_ID, starred: 'true' })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({ owner: OWNER_ID, folder: FOLDER_ID, starred: true });
+    });
+
+    it('should list pitches in no folder', async () => {
+      Pitch.find.mockReturnValue(mockQuery([]));
+      Pitch.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/history')
+        .query({ folder: 'none', starred: 'false' })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({ owner: OWNER_ID, folder: null });
+    });
+
+    it('should sort by the chosen field with _id as a tie breaker', async () => {
+      const query = mockQuery([]);
+      query.sort = jest.fn(() => query);
+      Pitch.find.mockReturnValue(query);
+      Pitch.countDocuments.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/history')
+        .query({ sort: 'name' })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(query.sort).toHaveBeenCalledWith({ name: 1, _id: 1 });
+    });
+
+    it('should cap the page size and hand out a cursor to the next page', async () => {
+      const createdAt = new Date('2026-09-15T10:00:00.000Z');
+      Pitch.find.mockReturnValue(mockQuery([{ _id: PITCH_ID, name: 'Green Link', createdAt }]));
+      Pitch.countDocuments.mockResolvedValue(120);
+
+      const response = await request(app)
+        .get('/api/history')
+        .query({ page: 2, limit: 1000 })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      const { nextCursor, ...pagination } = response.body.pagination;
+      expect(pagination).toEqual({ page: 2, limit: 50, total: 120, pages: 3 });
+      expect(decodeCursor(nextCursor, 'newest')).toEqual({ value: createdAt, id: PITCH_ID });
+    });
+
+    it('should resume after a cursor without skipping or counting', async () => {
+      const createdAt = new Date('2026-09-15T10:00:00.000Z');
+      const cursor = encodeCursor({ _id: PITCH_ID, createdAt }, 'newest');
+      const query = mockQuery([
+        { _id: '64b7f0c2a1b2c3d4e5f60717', createdAt: new Date('2026-09-14T10:00:00.000Z') },
+        { _id: '64b7f0c2a1b2c3d4e5f60716', createdAt: new Date('2026-09-13T10:00:00.000Z') },
+        { _id: '64b7f0c2a1b2c3d4e5f60715', createdAt: new Date('2026-09-12T10:00:00.000Z') }
+      ]);
+      query.skip = jest.fn(() => query);
+      query.limit = jest.fn(() => query);
+      Pitch.find.mockReturnValue(query);
+
+      const response = await request(app)
+        .get('/api/history')
+        .query({ cursor, limit: 2 })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({
+        owner: OWNER_ID,
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: PITCH_ID } }
+        ]
+      });
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(3);
+      expect(Pitch.countDocuments).not.toHaveBeenCalled();
+      expect(response.body.data).toHaveLength(2);
+      expect(decodeCursor(response.body.pagination.nextCursor, 'newest').id).toBe('64b7f0c2a1b2c3d4e5f60716');
+    });
+
+    it('should end cursor paging on the last page', async () => {
+      const cursor = encodeCursor({ _id: PITCH_ID, createdAt: new Date() }, 'newest');
+      Pitch.find.mockReturnValue(mockQuery([{ _id: '64b7f0c2a1b2c3d4e5f60717', createdAt: new Date() }]));
+
+      const response = await request(app)
+        .get('/api/history')
+        .query({ cursor, limit: 2 })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(response.body.pagination).toEqual({ limit: 2, nextCursor: null });
+    });
+
+    it.each([
+      [{ from: 'last tuesday' }, 'from must be an ISO date'],
+      [{ from: '2026-10-01', to: '2026-09-01' }, 'from must not be after to'],
+      [{ sort: 'popular' }, 'Sort must be one of: newest, oldest, updated, name, relevance'],
+      [{ sort: 'relevance' }, 'Sorting by relevance needs a search'],
+      [{ tags: 'demo day!' }, 'Invalid tag "demo day!": use letters, digits, spaces, dashes and underscores, up to 30 characters'],
+      [{ cursor: 'not-a-cursor' }, 'Invalid cursor'],
+      [{ folder: 'cohort 12' }, 'folder must be a folder id or "none"'],
+      [{ starred: 'yes' }, 'starred must be true or false'],
+      [{ q: 'garden', cursor: 'abc' }, 'Relevance results are paged by page number, not by cursor']
+    ])('should reject %j', async (query, message) => {
+      const response = await request(app)
+        .get('/api/history')
+        .query(query)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(400);
+
+      expect(response.body.message).toBe(message);
+      expect(Pitch.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cursor made for another sort order', async () => {
+      const cursor = encodeCursor({ _id: PITCH_ID, name: 'Green Link' }, 'name');
+
+      const response = await request(app)
+        .get('/api/history')
+        .query({ cursor })
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid cursor');
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+
+  describe('GET /api/history/tags', () => {
+    it('should count the tags on your own pitches, most used first', async () => {
+      Pitch.aggregate.mockResolvedValue([{ _id: 'fintech', count: 3 }, { _id: 'demo day', count: 1 }]);
+
+      const response = await request(app)
+        .get('/api/history/tags')
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      const [match] = Pitch.aggregate.mock.calls[0][0];
+      expect(String(match.$match.owner)).toBe(OWNER_ID);
+      expect(response.body.data).toEqual([{ tag: 'fintech', count: 3 }, { tag: 'demo day', count: 1 }]);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/history/tags')
+        .expect(401);
+
+      expect(Pitch.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/history/:id/organize', () => {
+    const createOwnedPitch = () => {
+      const doc = createPitchDocument();
+      doc.owner = OWNER_ID;
+      doc.tags = [];
+      doc.folder = null;
+      doc.starred = false;
+      doc.updatedAt = new Date('2026-09-01T00:00:00.000Z');
+      return doc;
+    };
+
+    it('should replace the tags, file the pitch and star it without touching updatedAt', async () => {
+      const doc = createOwnedPitch();
+      Pitch.findById.mockResolvedValue(doc);
+      Folder.findOne.mockResolvedValue({ _id: FOLDER_ID, owner: OWNER_ID });
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ tags: [' Demo  Day ', 'fintech', 'FinTech', ''], folder: FOLDER_ID, starred: true })
+        .expect(200);
+
+      expect(Folder.findOne).toHaveBeenCalledWith({ _id: FOLDER_ID, owner: OWNER_ID });
+      expect(response.body.data).toEqual({ _id: PITCH_ID, tags: ['demo day', 'fintech'], folder: FOLDER_ID, starred: true });
+      expect(doc.updatedAt).toEqual(new Date('2026-09-01T00:00:00.000Z'));
+      expect(doc.save).toHaveBeenCalled();
+    });
+
+    it('should take a pitch out of its folder', async () => {
+      const doc = createOwnedPitch();
+      doc.folder = FOLDER_ID;
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ folder: null })
+        .expect(200);
+
+      expect(Folder.findOne).not.toHaveBeenCalled();
+      expect(response.body.data.folder).toBeNull();
+    });
+
+    it('should not file a pitch into someone else\'s folder', async () => {
+      const doc = createOwnedPitch();
+      Pitch.findById.mockResolvedValue(doc);
+      Folder.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ folder: FOLDER_ID })
+        .expect(404);
+
+      expect(response.body.error).toBe('Folder not found');
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ id: OTHER_USER_ID }, 'owned by another user'],
+      [{ id: null }, 'without an owner']
+    ])('should hide a pitch %s', async ({ id }) => {
+      const doc = createOwnedPitch();
+      doc.owner = id;
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ starred: true })
+        .expect(404);
+
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{}, 'Nothing to change: send tags, folder or starred'],
+      [{ tags: 'fintech' }, 'Tags must be an array of strings'],
+      [{ tags: ['#fintech'] }, 'Invalid tag "#fintech": use letters, digits, spaces, dashes and underscores, up to 30 characters'],
+      [{ tags: Array.from({ length: 21 }, (_, i) => `tag ${i}`) }, 'A pitch can have at most 20 tags'],
+      [{ folder: 'cohort 12' }, 'Folder must be a folder id or null'],
+      [{ starred: 'yes' }, 'Starred must be true or false']
+    ])('should reject %j', async (body, message) => {
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.message).toBe(message);
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}/organize`)
+        .send({ starred: true })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/history/:id', () => {
+    it('should hide pitches owned by another user', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: OWNER_ID }) });
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+    });
+
+    it('should return an owned pitch to its owner', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: OWNER_ID }) });
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(response.body.data._id).toBe(PITCH_ID);
+    });
+  });
+
+  describe('PATCH /api/history/:id', () => {
+    it('should update name, elevator and an individual slide', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({
+          name: '  GreenLink  ',
+          elevator: 'Hyper-local produce for restaurants.',
+          slides: { 0: { type: 'problem', title: ' THE PROBLEM ', subtitle: 'Restaurants cannot source locally.', bullets: ['Long supply chains'] } }
+        })
+        .expect(200);
+
+      expect(doc.save).toHaveBeenCalled();
+      expect(doc.updatedAt).toBeInstanceOf(Date);
+      expect(response.body.data.name).toBe('GreenLink');
+      expect(response.body.data.elevator).toBe('Hyper-local produce for restaurants.');
+      expect(response.body.data.slides[0]).toEqual({
+        type: 'problem',
+        title: 'THE PROBLEM',
+        subtitle: 'Restaurants cannot source locally.',
+        bullets: ['Long supply chains'],
+        icon: '🔥',
+        metrics: [],
+        theme: 'purple'
+      });
+      expect(response.body.data.slides[1].title).toBe('OUR SOLUTION');
+    });
+
+    it('should record the first edit as a revision after the original', async () => {
+      const doc = createPitchDocument();
+      doc.updatedAt = new Date('2026-09-01T00:00:00.000Z');
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'GreenLink', slides: { 2: { type: 'market', title: 'MARKET SIZE', subtitle: 'Subscription revenue.' } } })
+        .expect(200);
+
+      expect(PitchRevision.create).toHaveBeenCalledTimes(2);
+      expect(PitchRevision.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        number: 1,
+        reason: 'original',
+        snapshot: expect.objectContaining({ name: 'Green Link' }),
+        createdAt: new Date('2026-09-01T00:00:00.000Z')
+      }));
+      expect(PitchRevision.create).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        number: 2,
+        reason: 'edit',
+        summary: 'Changed name, slide 3',
+        snapshot: expect.objectContaining({ name: 'GreenLink' }),
+        author: null
+      }));
+    });
+
+    it('should number later revisions after the latest one', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+      mockRevisionCounter(7);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ theme: 'light-corporate' })
+        .expect(200);
+
+      expect(PitchRevision.create).toHaveBeenCalledTimes(1);
+      expect(PitchRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+        number: 8,
+        reason: 'theme',
+        summary: 'Changed theme'
+      }));
+    });
+
+    it('should not record a revision when nothing changed', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'Green Link' })
+        .expect(200);
+
+      expect(PitchRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should save the edit even when its revision cannot be stored', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      PitchRevision.create.mockRejectedValue(new Error('Revision store unavailable'));
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'GreenLink' })
+        .expect(200);
+
+      expect(doc.save).toHaveBeenCalled();
+      expect(response.body.data.name).toBe('GreenLink');
+    });
+
+    it('should reject slides that do not match the schema', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ slides: { 1: { type: 'hype', title: '', theme: 'neon' } } })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        expect.stringContaining('Slide 2: Type must be one of'),
+        'Slide 2: Title is required',
+        expect.stringContaining('Slide 2: Theme must be one of')
+      ]);
+    });
+
+    it('should reject an empty update', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Provide at least one of name, elevator, slides, theme or brand to update');
+    });
+
+    it('should re-skin a deck without touching its slides', async () => {
+      const doc = createPitchDocument();
+      const slidesBefore = JSON.parse(JSON.stringify(doc.slides));
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ theme: 'brand', brand: { primaryColor: '#0f766e' } })
+        .expect(200);
+
+      expect(response.body.data.theme).toBe('brand');
+      expect(response.body.data.brand).toEqual({ primaryColor: '#0f766e' });
+      expect(response.body.data.slides).toEqual(slidesBefore);
+      expect(doc.slides.set).not.toHaveBeenCalled();
+    });
+
+    it('should store a brand kit logo and font pairing', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      const logo = `data:image/jpeg;base64,${Buffer.from([0xff, 0xd8, 0xff, 0xe0]).toString('base64')}`;
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ brand: { logo, fontPairing: 'technical' } })
+        .expect(200);
+
+      expect(response.body.data.brand).toEqual({ logo, fontPairing: 'technical' });
+    });
+
+    it('should reject logos that are not images', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ brand: { logo: `data:image/png;base64,${Buffer.from('<svg onload=alert(1)>').toString('base64')}` } })
+        .expect(400);
+
+      expect(response.body.message).toBe('Logo: File contents are not a valid PNG image');
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown themes and malformed brand colors', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ theme: 'neon', brand: { secondaryColor: 'red' } })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        expect.stringContaining('Theme must be one of: dark-gradient, light-corporate, minimal-mono, brand'),
+        'secondaryColor must be a hex color like #1e3a8a'
+      ]);
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject out-of-range slide indexes', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ slides: { 5: '<section>Extra</section>' } })
+        .expect(400);
+
+      expect(response.body.message).toBe('Slide index 5 is out of range');
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should sanitize legacy HTML slides before saving them', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ slides: { 1: '<section class="p-12" onclick="steal()">Solution<script>alert(1)</script></section>' } })
+        .expect(200);
+
+      expect(doc.slides.set).toHaveBeenCalledWith(1, { type: 'custom', html: '<section class="p-12">Solution</section>' });
+    });
+
+    it('should reject a slides array with a different length', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ slides: [{ title: 'Only one' }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Slides array must contain exactly 3 slides');
+    });
+
+    it('should return 404 for an unknown pitch', async () => {
+      Pitch.findById.mockResolvedValue(null);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'New name' })
+        .expect(404);
+    });
+
+    it('should not let another anonymous caller edit an anonymous pitch', async () => {
+      const doc = createPitchDocument();
+      doc.ipAddress = '203.0.113.7';
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'Hijacked' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Not allowed');
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should not let anonymous users edit an owned pitch', async () => {
+      const doc = createPitchDocument();
+      doc.owner = OWNER_ID;
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .patch(`/api/history/${PITCH_ID}`)
+        .send({ name: 'Hijacked' })
+        .expect(404);
+
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revisions', () => {
+    const revision = {
+      number: 2,
+      reason: 'edit',
+      summary: 'Changed name',
+      author: null,
+      createdAt: '2026-09-02T00:00:00.000Z',
+      snapshot: {
+        name: 'GreenLink',
+        elevator: 'Fresh produce from the block next door.',
+        slides: [{ type: 'problem', title: 'THE PROBLEM', subtitle: 'Restaurants cannot source locally.' }],
+        theme: 'light-corporate',
+        brand: {}
+      }
+    };
+
+    it('should list the revisions of a pitch newest first without their content', async () => {
+      Pitch.findById.mockReturnValue(mockQuery({ _id: PITCH_ID, owner: OWNER_ID }));
+      const sort = jest.fn();
+      const query = mockQuery([revision, { ...revision, number: 1, reason: 'original', summary: undefined }]);
+      PitchRevision.find.mockReturnValue({ ...query, sort: (order) => { sort(order); return query; } });
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/revisions`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(PitchRevision.find).toHaveBeenCalledWith({ pitch: PITCH_ID });
+      expect(sort).toHaveBeenCalledWith({ number: -1 });
+      expect(response.body.data).toEqual([
+        { number: 2, reason: 'edit', summary: 'Changed name', author: null, createdAt: '2026-09-02T00:00:00.000Z', slideCount: 1 },
+        { number: 1, reason: 'original', summary: '', author: null, createdAt: '2026-09-02T00:00:00.000Z', slideCount: 1 }
+      ]);
+    });
+
+    it('should hide the revisions of a pitch owned by another user', async () => {
+      Pitch.findById.mockReturnValue(mockQuery({ _id: PITCH_ID, owner: OWNER_ID }));
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/revisions`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+
+      expect(PitchRevision.find).not.toHaveBeenCalled();
+    });
+
+    it('should get one revision with its content', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+      PitchRevision.findOne.mockReturnValue(mockQuery(revision));
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/revisions/2`)
+        .expect(200);
+
+      expect(PitchRevision.findOne).toHaveBeenCalledWith({ pitch: PITCH_ID, number: 2 });
+      expect(response.body.data.snapshot).toEqual(revision.snapshot);
+    });
+
+    it.each(['0', '1.5', 'latest'])('should return 404 for revision number %s', async (number) => {
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/revisions/${number}`)
+        .expect(404);
+
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown revision', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+      PitchRevision.findOne.mockReturnValue(mockQuery(null));
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/revisions/9`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Revision not found');
+    });
+
+    it('should restore a revision and record the restore as a new revision', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      PitchRevision.findOne.mockReturnValue(mockQuery(revision));
+      mockRevisionCounter(4);
+
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/revisions/2/restore`)
+        .expect(200);
+
+      expect(doc.save).toHaveBeenCalled();
+      expect(doc.updatedAt).toBeInstanceOf(Date);
+      expect(response.body.data.name).toBe('GreenLink');
+      expect(response.body.data.theme).toBe('light-corporate');
+      expect(response.body.data.slides).toHaveLength(1);
+      expect(response.body.data.slides[0]).toEqual(expect.objectContaining({ type: 'problem', title: 'THE PROBLEM' }));
+      expect(PitchRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+        number: 5,
+        reason: 'restore',
+        summary: 'Restored revision 2'
+      }));
+    });
+
+    it('should not let another anonymous caller restore an anonymous pitch', async () => {
+      const doc = createPitchDocument();
+      doc.ipAddress = '203.0.113.7';
+      Pitch.findById.mockResolvedValue(doc);
+      PitchRevision.findOne.mockReturnValue(mockQuery(revision));
+
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/revisions/2/restore`)
+        .expect(403);
+
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should not let anonymous users restore an owned pitch', async () => {
+      const doc = createPitchDocument();
+      doc.owner = OWNER_ID;
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/revisions/2/restore`)
+        .expect(404);
+
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/history/:id/export.pdf', () => {
+    it('should download the pitch as a PDF attachment', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...doc, slides: [...doc.slides] }) });
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/export.pdf`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="green_link_pitch_deck.pdf"');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should not export an owned pitch to other users', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...createPitchDocument(), owner: OWNER_ID }) });
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/export.pdf`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/history/:id/export.pptx', () => {
+    it('should download the pitch as a PowerPoint attachment', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...doc, slides: [...doc.slides] }) });
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/export.pptx`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="green_link_pitch_deck.pptx"');
+      expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should not export an owned pitch to other users', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...createPitchDocument(), owner: OWNER_ID }) });
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/export.pptx`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/history/:id/export.md', () => {
+    it('should download the pitch as Markdown', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...doc, slides: [...doc.slides] }) });
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/export.md`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="green_link_pitch_deck.md"');
+      expect(response.text).toContain('# Green Link');
+      expect(response.text).toContain('# OUR SOLUTION');
+    });
+
+    it('should not export an owned pitch to other users', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ ...createPitchDocument(), owner: OWNER_ID }) });
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/export.md`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/history/:id/remix', () => {
+    const PARENT_ID = '64b7f0c2a1b2c3d4e5f60700';
+
+    beforeEach(() => {
+      Pitch.create.mockImplementation(async (data) => ({ toObject: () => ({ _id: PITCH_ID, ...data }) }));
+    });
+
+    it('should save a remix linked to the pitch it came from', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockReturnValue(mockQuery({ ...doc, slides: [...doc.slides], owner: OWNER_ID, ancestors: [PARENT_ID] }));
+
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/remix`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ instruction: '  pivot to healthcare ', provider: 'mock' })
+        .expect(201);
+
+      expect(Pitch.create).toHaveBeenCalledWith(expect.objectContaining({
+        idea: doc.idea,
+        theme: 'dark-gradient',
+        parent: PITCH_ID,
+        ancestors: [PARENT_ID, PITCH_ID],
+        remixInstruction: 'pivot to healthcare',
+        owner: OWNER_ID
+      }));
+      // The remix keeps the slide types of the original
+      expect(response.body.data.slides.map(slide => slide.type)).toEqual(['problem', 'solution', 'market']);
+      expect(response.body.data.elevator).toContain('pivot to healthcare');
+    });
+
+    it('should follow a requested slide plan', async () => {
+      Pitch.findById.mockReturnValue(mockQuery(createPitchDocument()));
+
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/remix`)
+        .send({ instruction: 'For B2B', provider: 'mock', slidePlan: 'yc' })
+        .expect(201);
+
+      expect(response.body.data.slides).toHaveLength(10);
+    });
+
+    it.each([
+      [{}, 'Remix instruction is required'],
+      [{ instruction: '   ' }, 'Remix instruction is required'],
+      [{ instruction: 'x'.repeat(501) }, 'Remix instruction must be less than 500 characters'],
+      [{ instruction: 'For B2B', provider: 'unknown' }, expect.stringContaining('Unknown provider')]
+    ])('should reject %j', async (body, message) => {
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/remix`)
+        .send(body)
+        .expect(400);
+
+      expect(response.body.message).toEqual(message);
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should not remix with a provider that has no API key', async () => {
+      const originalKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        const response = await request(app)
+          .post(`/api/history/${PITCH_ID}/remix`)
+          .send({ instruction: 'For B2B', provider: 'openai' })
+          .expect(500);
+
+        expect(response.body).toEqual({
+          error: 'Configuration error',
+          message: 'OpenAI-compatible API key is not configured. Please check server configuration.'
+        });
+        expect(Pitch.findById).not.toHaveBeenCalled();
+      } finally {
+        if (originalKey !== undefined) {
+          process.env.OPENAI_API_KEY = originalKey;
+        }
+      }
+    });
+
+    it('should not remix a pitch owned by another user', async () => {
+      Pitch.findById.mockReturnValue(mockQuery({ ...createPitchDocument(), owner: OWNER_ID }));
+
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/remix`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .send({ instruction: 'For B2B', provider: 'mock' })
+        .expect(404);
+
+      expect(Pitch.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/history/:id/lineage', () => {
+    const ROOT_ID = '64b7f0c2a1b2c3d4e5f60700';
+    const SIBLING_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+    it('should return the whole family of remixes as a tree', async () => {
+      Pitch.findById.mockReturnValue(mockQuery({ _id: PITCH_ID, ancestors: [ROOT_ID] }));
+      Pitch.find.mockReturnValue(mockQuery([
+        { _id: ROOT_ID, name: 'Green Link', parent: null, createdAt: '2026-09-01T00:00:00.000Z' },
+        { _id: PITCH_ID, name: 'Green Link B2B', parent: ROOT_ID, remixInstruction: 'For B2B', createdAt: '2026-09-02T00:00:00.000Z' },
+        { _id: SIBLING_ID, name: 'Green Clinic', parent: ROOT_ID, remixInstruction: 'Pivot to healthcare', owner: OTHER_USER_ID, createdAt: '2026-09-03T00:00:00.000Z' }
+      ]));
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/lineage`)
+        .expect(200);
+
+      expect(Pitch.find).toHaveBeenCalledWith({ $or: [{ _id: ROOT_ID }, { ancestors: ROOT_ID }] });
+      // The sibling belongs to someone else, so it is left out
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          _id: ROOT_ID,
+          children: [expect.objectContaining({ _id: PITCH_ID, remixInstruction: 'For B2B', children: [] })]
+        })
+      ]);
+    });
+
+    it('should return 404 for a pitch owned by another user', async () => {
+      Pitch.findById.mockReturnValue(mockQuery({ _id: PITCH_ID, owner: OWNER_ID }));
+
+      await request(app)
+        .get(`/api/history/${PITCH_ID}/lineage`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+
+      expect(Pitch.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/history/import', () => {
+    beforeEach(() => {
+      Pitch.create.mockImplementation(async (data) => ({ toObject: () => ({ _id: PITCH_ID, ...data }) }));
+    });
+
+    it('should save a pitch exported as Markdown for the signed-in user', async () => {
+      const doc = createPitchDocument();
+      const markdown = pitchToMarkdown({ ...doc, slides: [...doc.slides] });
+
+      const response = await request(app)
+        .post('/api/history/import')
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ markdown })
+        .expect(201);
+
+      const saved = Pitch.create.mock.calls[0][0];
+      expect(saved.idea).toBe(doc.idea);
+      expect(saved.name).toBe('Green Link');
+      expect(saved.elevator).toBe(doc.elevator);
+      expect(saved.slides).toEqual([...doc.slides]);
+      expect(saved.owner).toBe(OWNER_ID);
+      expect(response.body.data._id).toBe(PITCH_ID);
+    });
+
+    it('should reject Markdown without slides', async () => {
+      const response = await request(app)
+        .post('/api/history/import')
+        .send({ markdown: '# Green Link\n\nFresh produce from the block next door.' })
+        .expect(400);
+
+      expect(response.body.message).toBe('No slides found; separate slides with a line containing only ---');
+      expect(Pitch.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a missing body', async () => {
+      await request(app)
+        .post('/api/history/import')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('share links', () => {
+    const LINK_ID = '64b7f0c2a1b2c3d4e5f60999';
+    const ownedPitch = () => ({ lean: () => Promise.resolve({ ...createPitchDocument(), owner: OWNER_ID }) });
+
+    it('should require sign-in to manage share links', async () => {
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/share`)
+        .send({})
+        .expect(401);
+    });
+
+    it('should create a link with a hashed password and an expiry date', async () => {
+      const expiresAt = new Date(Date.now() + 86400000).toISOString();
+      Pitch.findById.mockReturnValue(ownedPitch());
+      ShareLink.create.mockImplementation(async (data) => ({ _id: LINK_ID, views: 0, createdAt: new Date(), ...data }));
+
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/share`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ expiresAt, password: 'open sesame' })
+        .expect(201);
+
+      const saved = ShareLink.create.mock.calls[0][0];
+      expect(saved.token).toMatch(/^[A-Za-z0-9_-]{24}$/);
+      expect(saved.owner).toBe(OWNER_ID);
+      expect(saved.passwordHash).not.toBe('open sesame');
+      expect(saved.expiresAt.toISOString()).toBe(expiresAt);
+      expect(response.body.data).toMatchObject({ path: `/p/${saved.token}`, hasPassword: true, status: 'active', views: 0 });
+      expect(response.body.data.passwordHash).toBeUndefined();
+    });
+
+    it('should reject past expiry dates and short passwords', async () => {
+      const response = await request(app)
+        .post(`/api/history/${PITCH_ID}/share`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .send({ expiresAt: '2000-01-01T00:00:00.000Z', password: 'abc' })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        'expiresAt must be in the future',
+        'Password must be at least 8 characters long'
+      ]);
+      expect(ShareLink.create).not.toHaveBeenCalled();
+    });
+
+    it('should not share a pitch owned by someone else', async () => {
+      Pitch.findById.mockReturnValue(ownedPitch());
+
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/share`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .send({})
+        .expect(404);
+    });
+
+    it('should list your links with their view counts', async () => {
+      Pitch.findById.mockReturnValue(ownedPitch());
+      ShareLink.find.mockReturnValue(mockQuery([
+        { _id: LINK_ID, token: 'a'.repeat(24), views: 7, revokedAt: new Date(), passwordHash: null, createdAt: new Date() }
+      ]));
+
+      const response = await request(app)
+        .get(`/api/history/${PITCH_ID}/share`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(ShareLink.find).toHaveBeenCalledWith({ pitch: PITCH_ID, owner: OWNER_ID });
+      expect(response.body.data[0]).toMatchObject({ views: 7, status: 'revoked', hasPassword: false });
+    });
+
+    it('should revoke a link', async () => {
+      const link = { _id: LINK_ID, token: 'a'.repeat(24), views: 3, revokedAt: null, save: jest.fn().mockResolvedValue(true) };
+      Pitch.findById.mockReturnValue(ownedPitch());
+      ShareLink.findOne.mockResolvedValue(link);
+
+      const response = await request(app)
+        .delete(`/api/history/${PITCH_ID}/share/${LINK_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(ShareLink.findOne).toHaveBeenCalledWith({ _id: LINK_ID, pitch: PITCH_ID, owner: OWNER_ID });
+      expect(link.save).toHaveBeenCalled();
+      expect(response.body.data.status).toBe('revoked');
+    });
+
+    it('should return 404 when revoking an unknown link', async () => {
+      Pitch.findById.mockReturnValue(ownedPitch());
+      ShareLink.findOne.mockResolvedValue(null);
+
+      await request(app)
+        .delete(`/api/history/${PITCH_ID}/share/${LINK_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/history/:id', () => {
+    it('should delete a pitch', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: OWNER_ID }) });
+      Pitch.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      const response = await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .set('Authorization', authHeader(OWNER_ID))
+        .expect(200);
+
+      expect(Pitch.deleteOne).toHaveBeenCalledWith({ _id: PITCH_ID });
+      expect(ShareLink.deleteMany).toHaveBeenCalledWith({ pitch: PITCH_ID });
+      expect(PitchRevision.deleteMany).toHaveBeenCalledWith({ pitch: PITCH_ID });
+      expect(response.body.data._id).toBe(PITCH_ID);
+    });
+
+    it('should not let another anonymous caller delete an anonymous pitch', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: null, ipAddress: '203.0.113.7' }) });
+
+      const response = await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Not allowed');
+      expect(Pitch.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should let the creator of an anonymous pitch delete it', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: null, ipAddress: CLIENT_IP }) });
+      Pitch.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .expect(200);
+
+      expect(Pitch.deleteOne).toHaveBeenCalledWith({ _id: PITCH_ID });
+    });
+
+    it('should return 404 when the pitch does not exist', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve(null) });
+
+      await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .expect(404);
+
+      expect(Pitch.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should not delete a pitch owned by another user', async () => {
+      Pitch.findById.mockReturnValue({ lean: () => Promise.resolve({ _id: PITCH_ID, owner: OWNER_ID }) });
+
+      await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .set('Authorization', authHeader(OTHER_USER_ID))
+        .expect(404);
+
+      expect(Pitch.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the database is not configured', async () => {
+      delete process.env.MONGODB_URI;
+
+      const response = await request(app)
+        .delete(`/api/history/${PITCH_ID}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Database not configured');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const {
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+  isKnownProvider,
+  createChatCompletion
+} = require('../services/llm');
+const { generatePitch, regenerateSlide, generateSpeakerNotes, generatePitchScript, generateElevatorVariants } = require('../services/deepseek');
+const { generateEnhancedCodePrompt } = require('../services/code-prompt-generator');
+const { validateProvider } = require('../utils/validators');
+
+jest.mock('axios');
+
+describe('LLM provider layer', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('registry', () => {
+    it('should register deepseek, openai, local and mock providers', () => {
+      expect(listProviders()).toEqual(['deepseek', 'openai', 'local', 'mock']);
+    });
+
+    it('should default to deepseek when LLM_PROVIDER is not set', () => {
+      delete process.env.LLM_PROVIDER;
+
+      expect(getDefaultProviderName()).toBe('deepseek');
+      expect(getProvider().name).toBe('deepseek');
+    });
+
+    it('should use LLM_PROVIDER as the environment default', () => {
+      process.env.LLM_PROVIDER = 'Local';
+
+      expect(getProvider().name).toBe('local');
+    });
+
+    it('should let a request override the environment default', () => {
+      process.env.LLM_PROVIDER = 'deepseek';
+
+      expect(getProvider('mock').name).toBe('mock');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(isKnownProvider('skynet')).toBe(false);
+      expect(() => getProvider('skynet')).toThrow('Unknown LLM provider "skynet"');
+    });
+  });
+
+  describe('configuration', () => {
+    it('should treat placeholder API keys as not configured', () => {
+      process.env.DEEPSEEK_API_KEY = 'your-deepseek-api-key-here';
+      expect(getProvider('deepseek').isConfigured()).toBe(false);
+
+      process.env.OPENAI_API_KEY = 'sk-your-openai-api-key-here';
+      expect(getProvider('openai').isConfigured()).toBe(false);
+    });
+
+    it('should not require an API key for local and mock providers', () => {
+      delete process.env.LOCAL_LLM_API_KEY;
+
+      expect(getProvider('local').isConfigured()).toBe(true);
+      expect(getProvider('mock').isConfigured()).toBe(true);
+    });
+  });
+
+  describe('OpenAI-compatible adapter', () => {
+    it('should post to the configured base URL with the provider model', async () => {
+      process.env.OPENAI_API_KEY = 'sk-real-key';
+      process.env.OPENAI_BASE_URL = 'https://llm.example.com/v1/';
+      process.env.OPENAI_MODEL = 'gpt-4o-mini';
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'hello' } }] } });
+
+      const content = await createChatCompletion({
+        provider: 'openai',
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 10,
+        json: true
+      });
+
+      expect(content).toBe('hello');
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://llm.example.com/v1/chat/completions',
+        expect.objectContaining({
+          model: 'gpt-4o-mini',
+          max_tokens: 10,
+          response_format: { type: 'json_object' }
+        }),
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer sk-real-key' })
+        })
+      );
+    });
+
+    it('should call a local endpoint without an Authorization header', async () => {
+      delete process.env.LOCAL_LLM_API_KEY;
+      delete process.env.LOCAL_LLM_BASE_URL;
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: 'local' } }] } });
+
+      await createChatCompletion({ provider: 'local', messages: [{ role: 'user', content: 'Hi' }] });
+
+      const [url, , config] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(config.headers.Authorization).toBeUndefined();
+    });
+
+    describe('stream', () => {
+      // Server-Sent Events as the provider sends them, one chunk per string
+      const mockStreamResponse = (...chunks) => {
+        axios.post.mockResolvedValueOnce({ data: chunks.map(chunk => Buffer.from(chunk)) });
+      };
+      const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n`;
+
+      beforeEach(() => {
+        process.env.OPENAI_API_KEY = 'sk-real-key';
+      });
+
+      it('should skip lines that are not JSON', async () => {
+        mockStreamResponse(delta('Hel'), 'data: : keep-alive\n', delta('lo'), 'data: [DONE]\n');
+        const onToken = jest.fn();
+
+        const content = await getProvider('openai').stream({ messages: [], onToken });
+
+        expect(content).toBe('Hello');
+        expect(onToken).toHaveBeenCalledTimes(2);
+      });
+
+      it('should fail when the provider sends an error', async () => {
+        mockStreamResponse(delta('Hel'), `data: ${JSON.stringify({ error: { message: 'Model overloaded' } })}\n`);
+
+        await expect(getProvider('openai').stream({ messages: [], onToken: () => {} }))
+          .rejects.toThrow('OpenAI-compatible stream error: Model overloaded');
+      });
+
+      it('should pass the abort signal to the request', async () => {
+        mockStreamResponse('data: [DONE]\n');
+        const controller = new AbortController();
+
+        await getProvider('openai').stream({ messages: [], onToken: () => {}, signal: controller.signal });
+
+        expect(axios.post.mock.calls[0][2]).toEqual(expect.objectContaining({ signal: controller.signal, responseType: 'stream' }));
+      });
+    });
+  });
+
+  describe('mock provider', () => {
+    it('should generate the same pitch for the same idea without network access', async () => {
+      const idea = 'A marketplace connecting urban gardeners with local restaurants';
+
+      const first = await generatePitch(idea, { provider: 'mock' });
+      const second = await generatePitch(idea, { provider: 'mock' });
+
+      expect(first).toEqual(second);
+      expect(first.name).toBe('Marketplace Connecting');
+      expect(first.slides).toHaveLength(4);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should rewrite a single slide following the instruction', async () => {
+      const idea = 'A marketplace connecting urban gardeners with local restaurants';
+      const pitch = await generatePitch(idea, { provider: 'mock' });
+
+      const slide = await regenerateSlide({
+        idea,
+        pitch,
+        index: 1,
+        instruction: 'Make it more data-driven',
+        provider: 'mock'
+      });
+
+      expect(slide.type).toBe('solution');
+      expect(slide.title).toBe('OUR SOLUTION');
+      expect(slide.subtitle).toContain('Make it more data-driven');
+      expect(slide).not.toEqual(pitch.slides[1]);
+    });
+
+    it('should write speaker notes for every slide', async () => {
+      const idea = 'A marketplace connecting urban gardeners with local restaurants';
+      const pitch = await generatePitch(idea, { provider: 'mock' });
+
+      const notes = await generateSpeakerNotes({ idea, pitch, provider: 'mock' });
+
+      expect(notes).toHaveLength(pitch.slides.length);
+      notes.forEach(slideNotes => expect(slideNotes).toContain(pitch.name));
+    });
+
+    it('should write a script close to the word budget of the time slot', async () => {
+      const idea = 'A marketplace connecting urban gardeners with local restaurants';
+      const pitch = await generatePitch(idea, { provider: 'mock' });
+
+      const script = await generatePitchScript({ idea, pitch, duration: 180, provider: 'mock' });
+
+      expect(script.sections).toHaveLength(pitch.slides.length);
+      expect(script.talkingPoints[0]).toEqual(['Introduce slide 1', 'Give one concrete example']);
+      expect(script.wordCount).toBeGreaterThan(420 * 0.8);
+      expect(script.wordCount).toBeLessThan(420 * 1.2);
+    });
+
+    it('should retell the elevator pitch for every audience', async () => {
+      const idea = 'A marketplace connecting urban gardeners with local restaurants';
+      const pitch = await generatePitch(idea, { provider: 'mock' });
+
+      const variants = await generateElevatorVariants({ idea, pitch, provider: 'mock' });
+
+      expect(Object.keys(variants)).toEqual(['investor', 'customer', 'recruiter', 'tweet', 'spoken']);
+      expect(variants.tweet.length).toBeLessThanOrEqual(280);
+      expect(variants.spoken).toContain(pitch.name);
+    });
+  });
+
+  describe('code prompt context', () => {
+    it('should pass the text of structured slides to the model', async () => {
+      process.env.OPENAI_API_KEY = 'sk-real-key';
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: '{"prompt": "Build it"}' } }] } });
+
+      await generateEnhancedCodePrompt({
+        idea: 'A marketplace connecting urban gardeners with local restaurants',
+        pitchData: {
+          name: 'Green Link',
+          slides: [{ type: 'market', title: 'MARKET', subtitle: 'Restaurants spend $4.2B on produce.', bullets: [], metrics: [] }]
+        },
+        provider: 'openai'
+      });
+
+      const userMessage = axios.post.mock.calls[0][1].messages.find(message => message.role === 'user');
+      expect(userMessage.content).toContain('Slide 1: MARKET Restaurants spend $4.2B on produce.');
+    });
+  });
+
+  describe('validateProvider', () => {
+    it('should accept a missing provider', () => {
+      expect(validateProvider(undefined).isValid).toBe(true);
+    });
+
+    it('should reject unknown provider names', () => {
+      const result = validateProvider('skynet');
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Unknown provider');
+    });
+  });
+});
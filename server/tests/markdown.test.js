@@ -0,0 +1,103 @@
+const { pitchToMarkdown, markdownToPitch } = require('../utils/markdown');
+const { normalizeSlide } = require('../utils/slides');
+
+const PITCH = {
+  idea: 'A marketplace connecting urban gardeners with local restaurants',
+  name: 'Green Link',
+  elevator: 'Fresh produce from the block next door.',
+  theme: 'light-corporate',
+  slides: [
+    {
+      type: 'market',
+      title: 'MARKET',
+      subtitle: '- not a bullet, just a dash',
+      bullets: ['Restaurants', 'Urban farms'],
+      icon: '📈',
+      metrics: [{ value: '$4.2B', label: 'Market size' }, { value: '3 | 5', label: 'Pipes | in cells' }],
+      theme: 'emerald'
+    },
+    { type: 'cta', title: '#1 in produce', subtitle: 'Join us.', bullets: [], icon: '🚀', metrics: [], theme: 'rose' }
+  ]
+};
+
+describe('Markdown export', () => {
+  it('should write front matter, a cover slide and one section per slide', () => {
+    const markdown = pitchToMarkdown(PITCH);
+
+    expect(markdown.startsWith('---\nmarp: true\ntitle: "Green Link"\n')).toBe(true);
+    expect(markdown).toContain('deckTheme: light-corporate');
+    expect(markdown).toContain('# Green Link\n\nFresh produce from the block next door.');
+    expect(markdown).toContain('<!-- pitchperfect: {"type":"market","theme":"emerald","icon":"📈"} -->');
+    expect(markdown).toContain('- Restaurants\n- Urban farms');
+    expect(markdown).toContain('| $4.2B | Market size |');
+    // Front matter fences plus one separator between each of the three sections
+    expect(markdown.match(/^---$/gm)).toHaveLength(4);
+  });
+
+  it('should escape text that would read as Markdown block syntax', () => {
+    const markdown = pitchToMarkdown(PITCH);
+
+    expect(markdown).toContain('\\- not a bullet, just a dash');
+    expect(markdown).toContain('# \\#1 in produce');
+    expect(markdown).toContain('| 3 \\| 5 | Pipes \\| in cells |');
+  });
+
+  it('should keep legacy HTML slides as inline HTML', () => {
+    const markdown = pitchToMarkdown({ ...PITCH, slides: [{ type: 'custom', html: '<section><h1>Old</h1></section>' }] });
+
+    expect(markdown).toContain('<!-- pitchperfect: {"html":true} -->\n\n<section><h1>Old</h1></section>');
+  });
+});
+
+describe('Markdown import', () => {
+  it('should round-trip an exported pitch', () => {
+    const imported = markdownToPitch(pitchToMarkdown(PITCH));
+
+    expect(imported.idea).toBe(PITCH.idea);
+    expect(imported.name).toBe(PITCH.name);
+    expect(imported.elevator).toBe(PITCH.elevator);
+    expect(imported.theme).toBe('light-corporate');
+    expect(imported.slides.map(normalizeSlide)).toEqual(PITCH.slides.map(normalizeSlide));
+  });
+
+  it('should round-trip legacy HTML slides', () => {
+    const slides = [{ type: 'custom', html: '<section><h1>Old</h1><p>deck</p></section>' }];
+    const imported = markdownToPitch(pitchToMarkdown({ ...PITCH, slides }));
+
+    expect(imported.slides).toEqual(['<section><h1>Old</h1><p>deck</p></section>']);
+  });
+
+  it('should read hand-written Markdown without metadata', () => {
+    const imported = markdownToPitch([
+      '# Green Link',
+      '',
+      'Fresh produce from the block next door.',
+      '',
+      '---',
+      '',
+      '## The problem',
+      '',
+      'Restaurants cannot source locally.',
+      '',
+      '* Long supply chains',
+      '* Wilted greens',
+      '',
+      '---',
+      '# Traction'
+    ].join('\r\n'));
+
+    expect(imported.name).toBe('Green Link');
+    expect(imported.idea).toBe('Fresh produce from the block next door.');
+    expect(imported.theme).toBe('dark-gradient');
+    expect(imported.slides).toEqual([
+      { title: 'The problem', subtitle: 'Restaurants cannot source locally.', bullets: ['Long supply chains', 'Wilted greens'], metrics: [] },
+      { title: 'Traction', bullets: [], metrics: [] }
+    ]);
+  });
+
+  it('should ignore malformed metadata comments', () => {
+    const imported = markdownToPitch('# Name\n\nPitch\n\n---\n\n<!-- pitchperfect: {not json} -->\n# Slide');
+
+    expect(imported.slides).toEqual([{ title: 'Slide', bullets: [], metrics: [] }]);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('axios');
+
+const axios = require('axios');
+const {
+  toDomainLabel,
+  checkNameLength,
+  checkPronounceability,
+  findBrandCollisions,
+  normalizeNameCandidates,
+  replaceName
+} = require('../utils/names');
+const { getDomainChecker, getDomainTlds, checkNameDomains } = require('../services/domains');
+const namesRouter = require('../routes/names');
+
+const app = express();
+app.use(express.json());
+app.use('/api/names', namesRouter);
+
+describe('Company names', () => {
+  const originalChecker = process.env.DOMAIN_CHECKER;
+  const originalTlds = process.env.DOMAIN_TLDS;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.DOMAIN_CHECKER = 'mock';
+    delete process.env.DOMAIN_TLDS;
+  });
+
+  afterAll(() => {
+    // Assigning undefined to process.env would store the string "undefined"
+    Object.entries({ DOMAIN_CHECKER: originalChecker, DOMAIN_TLDS: originalTlds }).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+  });
+
+  describe('name checks', () => {
+    it('should reduce a name to its domain label', () => {
+      expect(toDomainLabel('Green Link')).toBe('greenlink');
+      expect(toDomainLabel('Café-Bot 9')).toBe('cafebot9');
+    });
+
+    it('should flag names that are too short or too long', () => {
+      expect(checkNameLength('Green Link').ok).toBe(true);
+      expect(checkNameLength('Qx').ok).toBe(false);
+      expect(checkNameLength('Intercontinental Gardening Collective').message).toBe('Too long to remember');
+      expect(checkNameLength('One Two Three Four').message).toBe('More than 3 words');
+    });
+
+    it('should score pronounceable names higher than consonant clusters', () => {
+      expect(checkPronounceability('Harvest Hub').level).toBe('easy');
+      expect(checkPronounceability('Xkcdtrv').level).toBe('hard');
+      expect(checkPronounceability('Xkcdtrv').issues).toContain('Long consonant cluster');
+      expect(checkPronounceability('Grow4U').issues).toContain('Digits are hard to spell out');
+    });
+
+    it('should find exact, contained and near-miss brand collisions', () => {
+      expect(findBrandCollisions('Spotify')).toEqual([{ brand: 'Spotify', match: 'exact' }]);
+      expect(findBrandCollisions('Uber Gardens')).toEqual([{ brand: 'Uber', match: 'contains' }]);
+      expect(findBrandCollisions('Spotifi')).toEqual([{ brand: 'Spotify', match: 'similar' }]);
+      expect(findBrandCollisions('Harvest Hub')).toEqual([]);
+    });
+  });
+
+  describe('normalizeNameCandidates', () => {
+    it('should put the chosen name first, drop duplicates and clip to the count', () => {
+      const candidates = normalizeNameCandidates([
+        { name: 'Sprout', rationale: 'Short' },
+        { name: 'Green Link', rationale: 'Descriptive' },
+        { name: 'sprout' },
+        'Harvest Hub',
+        { rationale: 'No name' }
+      ], 'Green Link', 3);
+
+      expect(candidates).toEqual([
+        { name: 'Green Link', rationale: 'Descriptive' },
+        { name: 'Sprout', rationale: 'Short' },
+        { name: 'Harvest Hub', rationale: '' }
+      ]);
+    });
+
+    it('should fall back to the chosen name when the model sent no candidates', () => {
+      expect(normalizeNameCandidates(undefined, 'Green Link', 5)).toEqual([{ name: 'Green Link', rationale: '' }]);
+    });
+  });
+
+  describe('replaceName', () => {
+    it('should replace whole-name mentions and keep capitalized mentions capitalized', () => {
+      expect(replaceName('GREEN LINK: Green Link, green link and Green Linked', 'Green Link', 'Sprout'))
+        .toBe('SPROUT: Sprout, Sprout and Green Linked');
+    });
+
+    it('should treat regular expression characters in names literally', () => {
+      expect(replaceName('Try A+ Tutors (A+)', 'A+', 'Ace')).toBe('Try Ace Tutors (Ace)');
+    });
+  });
+
+  describe('domain checkers', () => {
+    it('should check every configured TLD with the mock checker', async () => {
+      const domains = await checkNameDomains('Harvest Hub');
+
+      expect(domains.map(({ domain }) => domain)).toEqual(['harvesthub.com', 'harvesthub.io', 'harvesthub.ai']);
+      domains.forEach(({ status }) => expect(['available', 'taken']).toContain(status));
+      expect(await checkNameDomains('Harvest Hub')).toEqual(domains);
+    });
+
+    it('should read TLDs from DOMAIN_TLDS', () => {
+      process.env.DOMAIN_TLDS = '.com, app';
+      expect(getDomainTlds()).toEqual(['com', 'app']);
+    });
+
+    it('should reject unknown checkers', () => {
+      expect(() => getDomainChecker('whois')).toThrow('Unknown domain checker "whois"');
+    });
+
+    it('should map RDAP responses to availability', async () => {
+      const rdap = getDomainChecker('rdap');
+
+      axios.get.mockResolvedValueOnce({ status: 200, data: {} });
+      expect(await rdap.check('google.com')).toBe('taken');
+
+      axios.get.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+      expect(await rdap.check('harvesthub.com')).toBe('available');
+
+      axios.get.mockRejectedValueOnce(new Error('timeout of 5000ms exceeded'));
+      expect(await rdap.check('harvesthub.ai')).toBe('unknown');
+    });
+  });
+
+  describe('POST /api/names/check', () => {
+    it('should run every check on each name, in order', async () => {
+      const response = await request(app)
+        .post('/api/names/check')
+        .send({ names: ['Harvest Hub', ' Spotify '] })
+        .expect(200);
+
+      const [harvest, spotify] = response.body.data;
+      expect(harvest.name).toBe('Harvest Hub');
+      expect(harvest.length.ok).toBe(true);
+      expect(harvest.pronounceability.level).toBe('easy');
+      expect(harvest.brands).toEqual([]);
+      expect(harvest.domains).toHaveLength(3);
+      expect(spotify.name).toBe('Spotify');
+      expect(spotify.brands).toEqual([{ brand: 'Spotify', match: 'exact' }]);
+    });
+
+    it('should reject an empty list', async () => {
+      const response = await request(app)
+        .post('/api/names/check')
+        .send({ names: [] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid names');
+    });
+
+    it('should reject more than 10 names', async () => {
+      const response = await request(app)
+        .post('/api/names/check')
+        .send({ names: Array.from({ length: 11 }, (value, index) => `Name ${index}`) })
+        .expect(400);
+
+      expect(response.body.message).toBe('Check at most 10 names at a time');
+    });
+  });
+});
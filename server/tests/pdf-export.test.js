@@ -0,0 +1,77 @@
+const { renderPitchPdf } = require('../services/pdf-export');
+
+const PITCH = {
+  name: 'Green Link',
+  theme: 'dark-gradient',
+  slides: [
+    {
+      type: 'market',
+      title: 'MARKET',
+      subtitle: 'A growing market with a subscription business model.',
+      bullets: ['Restaurants', 'Urban farms'],
+      icon: '📈',
+      metrics: [{ value: '$4.2B', label: 'Market size' }],
+      theme: 'emerald',
+      notes: 'Lead with the market size.'
+    },
+    { type: 'cta', title: 'JOIN US', subtitle: 'Fresh produce from the block next door.', bullets: [], metrics: [], theme: 'rose' }
+  ]
+};
+
+const countPages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('PDF export', () => {
+  it('should render one page per slide plus a notes page for slides with notes', async () => {
+    const pdf = await renderPitchPdf(PITCH);
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdf)).toBe(3);
+  });
+
+  it('should leave out notes pages when asked to', async () => {
+    const pdf = await renderPitchPdf(PITCH, { notes: false });
+
+    expect(countPages(pdf)).toBe(2);
+  });
+
+  it('should add the pitch script after the deck, breaking long scripts across pages', async () => {
+    const sentence = 'We help restaurants buy produce grown on the next block, every single week. ';
+    const short = await renderPitchPdf({ ...PITCH, script: { duration: 60, sections: ['Hello.', 'Join us.'] } });
+    const long = await renderPitchPdf({ ...PITCH, script: { duration: 300, sections: [sentence.repeat(40), sentence.repeat(40)] } });
+    const skipped = await renderPitchPdf({ ...PITCH, script: { duration: 60, sections: ['Hello.', 'Join us.'] } }, { script: false });
+
+    expect(countPages(short)).toBe(4);
+    expect(countPages(long)).toBe(5);
+    expect(countPages(skipped)).toBe(3);
+  });
+
+  it('should embed fonts with a text mapping so the text stays selectable', async () => {
+    const pdf = (await renderPitchPdf(PITCH)).toString('latin1');
+
+    expect(pdf).toMatch(/\/FontFile[23]?/);
+    expect(pdf).toContain('/ToUnicode');
+    expect(pdf).not.toContain('/Subtype /Image');
+  });
+
+  it('should export every deck theme and legacy HTML slides', async () => {
+    const legacy = { type: 'custom', html: '<section><h1>Old</h1><p>deck</p></section>' };
+
+    for (const theme of ['light-corporate', 'minimal-mono', 'brand']) {
+      const pdf = await renderPitchPdf({ ...PITCH, theme, slides: [...PITCH.slides, legacy] }, { notes: false });
+      expect(countPages(pdf)).toBe(3);
+    }
+  });
+
+  it('should embed a PNG brand logo', async () => {
+    const png = Buffer.from(
+      'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+      'base64'
+    );
+    const pdf = await renderPitchPdf({
+      ...PITCH,
+      brand: { logo: `data:image/png;base64,${png.toString('base64')}`, fontPairing: 'technical' }
+    });
+
+    expect(pdf.toString('latin1')).toContain('/Subtype /Image');
+  });
+});
@@ -0,0 +1,473 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Pitch', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../services/deepseek', () => ({
+  regenerateSlide: jest.fn(),
+  generateSpeakerNotes: jest.fn(),
+  generatePitchScript: jest.fn(),
+  generateElevatorVariants: jest.fn()
+}));
+jest.mock('../services/critique', () => ({
+  critiquePitch: jest.fn()
+}));
+jest.mock('../services/revisions', () => ({
+  beginRevision: jest.fn(() => ({ snapshot: { name: 'Green Link' } })),
+  recordRevision: jest.fn().mockResolvedValue(null)
+}));
+
+const Pitch = require('../models/Pitch');
+const { regenerateSlide, generateSpeakerNotes, generatePitchScript, generateElevatorVariants } = require('../services/deepseek');
+const { critiquePitch } = require('../services/critique');
+const { recordRevision } = require('../services/revisions');
+const pitchesRouter = require('../routes/pitches');
+
+const app = express();
+app.use(express.json());
+app.use('/api/pitches', pitchesRouter);
+
+const PITCH_ID = '64b7f0c2a1b2c3d4e5f60718';
+// The address supertest requests come from; anonymous pitches created from it can be changed by the tests
+const CLIENT_IP = '::ffff:127.0.0.1';
+
+function createPitchDocument() {
+  const slides = ['<section>Problem</section>', '<section>Solution</section>', '<section>Market</section>'];
+  slides.set = jest.fn((index, value) => { slides[index] = value; });
+
+  const doc = {
+    _id: PITCH_ID,
+    idea: 'A marketplace connecting urban gardeners with local restaurants',
+    name: 'Green Link',
+    elevator: 'Fresh produce from the block next door.',
+    ipAddress: CLIENT_IP,
+    slides,
+    save: jest.fn().mockResolvedValue(true)
+  };
+  doc.toObject = () => ({ _id: doc._id, name: doc.name, elevator: doc.elevator, slides: [...doc.slides], script: doc.script, elevatorVariants: doc.elevatorVariants, critique: doc.critique });
+  return doc;
+}
+
+describe('Pitches API', () => {
+  const originalUri = process.env.MONGODB_URI;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+  });
+
+  afterAll(() => {
+    process.env.MONGODB_URI = originalUri;
+  });
+
+  describe('POST /api/pitches/:id/slides/:index/regenerate', () => {
+    it('should rewrite only the requested slide and save the pitch', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      regenerateSlide.mockResolvedValue('<section>Data-driven solution</section>');
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/1/regenerate`)
+        .send({ instruction: '  make it more data-driven  ' })
+        .expect(200);
+
+      expect(regenerateSlide).toHaveBeenCalledWith(expect.objectContaining({
+        idea: doc.idea,
+        index: 1,
+        instruction: 'make it more data-driven',
+        pitch: expect.objectContaining({ name: 'Green Link' })
+      }));
+      expect(doc.slides.set).toHaveBeenCalledWith(1, '<section>Data-driven solution</section>');
+      expect(doc.save).toHaveBeenCalled();
+      expect(recordRevision).toHaveBeenCalledWith(doc, expect.any(Object), {
+        reason: 'regenerate',
+        summary: 'Regenerated slide 2: make it more data-driven',
+        author: null
+      });
+      expect(response.body.data.slide).toBe('<section>Data-driven solution</section>');
+      expect(response.body.data.pitch.slides).toEqual([
+        '<section>Problem</section>',
+        '<section>Data-driven solution</section>',
+        '<section>Market</section>'
+      ]);
+    });
+
+    it('should not let another anonymous caller regenerate a slide', async () => {
+      const doc = createPitchDocument();
+      doc.ipAddress = '203.0.113.7';
+      Pitch.findById.mockResolvedValue(doc);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/1/regenerate`)
+        .send({})
+        .expect(403);
+
+      expect(regenerateSlide).not.toHaveBeenCalled();
+    });
+
+    it('should reject an out-of-range slide index', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/7/regenerate`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid slide index');
+      expect(regenerateSlide).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown pitch', async () => {
+      Pitch.findById.mockResolvedValue(null);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/0/regenerate`)
+        .send({})
+        .expect(404);
+    });
+
+    it('should return 404 for a malformed id without querying the database', async () => {
+      await request(app)
+        .post('/api/pitches/not-an-id/slides/0/regenerate')
+        .send({})
+        .expect(404);
+
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject instructions that are too long', async () => {
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/0/regenerate`)
+        .send({ instruction: 'a'.repeat(501) })
+        .expect(400);
+
+      expect(response.body.error).toBe('Instruction too long');
+    });
+
+    it('should report generation failures', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+      regenerateSlide.mockRejectedValue(new Error('DeepSeek API rate limit exceeded. Please try again later.'));
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/slides/0/regenerate`)
+        .send({})
+        .expect(500);
+
+      expect(response.body.message).toContain('rate limit');
+    });
+  });
+
+  describe('POST /api/pitches/:id/notes', () => {
+    function createStructuredPitchDocument() {
+      const doc = createPitchDocument();
+      doc.slides.splice(0, 3, { type: 'problem', title: 'THE PROBLEM' }, { type: 'solution', title: 'OUR SOLUTION' });
+      return doc;
+    }
+
+    it('should store one set of notes per slide and save the pitch', async () => {
+      const doc = createStructuredPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      generateSpeakerNotes.mockResolvedValue(['Open with the pain.', 'Show how we fix it.']);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/notes`)
+        .send({ provider: 'mock' })
+        .expect(200);
+
+      expect(generateSpeakerNotes).toHaveBeenCalledWith(expect.objectContaining({
+        idea: doc.idea,
+        provider: 'mock',
+        pitch: expect.objectContaining({ name: 'Green Link' })
+      }));
+      expect(doc.slides[0].notes).toBe('Open with the pain.');
+      expect(doc.slides[1].notes).toBe('Show how we fix it.');
+      expect(doc.save).toHaveBeenCalled();
+      expect(recordRevision).toHaveBeenCalledWith(doc, expect.any(Object), expect.objectContaining({ reason: 'notes' }));
+      expect(response.body.data.notes).toEqual(['Open with the pain.', 'Show how we fix it.']);
+    });
+
+    it('should reject a pitch without slides', async () => {
+      const doc = createPitchDocument();
+      doc.slides.splice(0);
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/notes`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('No slides');
+      expect(generateSpeakerNotes).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown providers', async () => {
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/notes`)
+        .send({ provider: 'nope' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid provider');
+    });
+
+    it('should return 404 for an unknown pitch', async () => {
+      Pitch.findById.mockResolvedValue(null);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/notes`)
+        .send({})
+        .expect(404);
+    });
+
+    it('should report generation failures', async () => {
+      Pitch.findById.mockResolvedValue(createStructuredPitchDocument());
+      generateSpeakerNotes.mockRejectedValue(new Error('Failed to generate speaker notes: timeout'));
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/notes`)
+        .send({})
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to generate speaker notes');
+    });
+  });
+
+  describe('POST /api/pitches/:id/script', () => {
+    const SCRIPT = {
+      talkingPoints: [['Restaurants cannot buy local', 'Farmers lack buyers'], ['One marketplace']],
+      sections: ['Every week restaurants throw away money.', 'Green Link fixes that.'],
+      wordCount: 10
+    };
+
+    function createStructuredPitchDocument() {
+      const doc = createPitchDocument();
+      doc.slides.splice(0, 3, { type: 'problem', title: 'THE PROBLEM' }, { type: 'solution', title: 'OUR SOLUTION' });
+      return doc;
+    }
+
+    it('should store talking points as notes and the script on the pitch', async () => {
+      const doc = createStructuredPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      generatePitchScript.mockResolvedValue(SCRIPT);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/script`)
+        .send({ duration: 60 })
+        .expect(200);
+
+      expect(generatePitchScript).toHaveBeenCalledWith(expect.objectContaining({ idea: doc.idea, duration: 60 }));
+      expect(doc.slides[0].notes).toBe('- Restaurants cannot buy local\n- Farmers lack buyers');
+      expect(doc.script).toEqual({ duration: 60, sections: SCRIPT.sections, generatedAt: expect.any(Date) });
+      expect(doc.save).toHaveBeenCalled();
+      expect(recordRevision).toHaveBeenCalledWith(doc, expect.any(Object), expect.objectContaining({ reason: 'script' }));
+      expect(response.body.data.script.sections).toEqual(SCRIPT.sections);
+      expect(response.body.data.wordCount).toBe(10);
+    });
+
+    it('should default to a 3-minute script', async () => {
+      Pitch.findById.mockResolvedValue(createStructuredPitchDocument());
+      generatePitchScript.mockResolvedValue(SCRIPT);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/script`)
+        .send({})
+        .expect(200);
+
+      expect(generatePitchScript).toHaveBeenCalledWith(expect.objectContaining({ duration: 180 }));
+    });
+
+    it('should reject unsupported lengths', async () => {
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/script`)
+        .send({ duration: 45 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid script length');
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should report generation failures', async () => {
+      Pitch.findById.mockResolvedValue(createStructuredPitchDocument());
+      generatePitchScript.mockRejectedValue(new Error('Failed to generate pitch script: timeout'));
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/script`)
+        .send({ duration: 300 })
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to generate pitch script');
+    });
+  });
+
+  describe('POST /api/pitches/:id/elevator', () => {
+    const VARIANTS = {
+      investor: 'Green Link is raising $1.5M to connect 10,000 restaurants with urban farms.',
+      customer: 'Fresh produce from the block next door, delivered tomorrow.',
+      recruiter: 'Help us rebuild how cities eat.',
+      tweet: 'Green Link: fresh produce from the block next door.',
+      spoken: 'Hi, we are Green Link. Restaurants want local produce and cannot get it.'
+    };
+
+    it('should store the variants on the pitch', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      generateElevatorVariants.mockResolvedValue(VARIANTS);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/elevator`)
+        .send({ provider: 'mock' })
+        .expect(200);
+
+      expect(generateElevatorVariants).toHaveBeenCalledWith(expect.objectContaining({
+        idea: doc.idea,
+        pitch: expect.objectContaining({ name: 'Green Link', elevator: doc.elevator }),
+        provider: 'mock'
+      }));
+      expect(doc.elevatorVariants).toEqual({ ...VARIANTS, generatedAt: expect.any(Date) });
+      expect(doc.elevator).toBe('Fresh produce from the block next door.');
+      expect(doc.save).toHaveBeenCalled();
+      expect(response.body.data.variants.tweet).toBe(VARIANTS.tweet);
+    });
+
+    it('should return 404 for a missing pitch', async () => {
+      Pitch.findById.mockResolvedValue(null);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/elevator`)
+        .send({})
+        .expect(404);
+
+      expect(generateElevatorVariants).not.toHaveBeenCalled();
+    });
+
+    it('should report generation failures', async () => {
+      Pitch.findById.mockResolvedValue(createPitchDocument());
+      generateElevatorVariants.mockRejectedValue(new Error('Invalid response structure from Mock'));
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/elevator`)
+        .send({})
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to generate elevator pitch variants');
+    });
+  });
+
+  describe('POST /api/pitches/:id/critique', () => {
+    const CRITIQUE = {
+      scores: { clarity: 8, problemSeverity: 6, marketEvidence: 4, differentiation: 5, ask: 3 },
+      overall: 5.2,
+      summary: 'Clear story, thin evidence.',
+      suggestions: [['Quantify the pain.'], [], ['Name the source of the market size.']],
+      source: 'rubric'
+    };
+
+    it('should store the critique on the pitch', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      critiquePitch.mockResolvedValue(CRITIQUE);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/critique`)
+        .send({})
+        .expect(200);
+
+      expect(critiquePitch).toHaveBeenCalledWith(expect.objectContaining({ idea: doc.idea }));
+      expect(doc.critique).toEqual({ ...CRITIQUE, generatedAt: expect.any(Date) });
+      expect(doc.save).toHaveBeenCalled();
+      expect(response.body.data.critique.scores).toEqual(CRITIQUE.scores);
+    });
+
+    it('should reject a pitch without slides', async () => {
+      const doc = createPitchDocument();
+      doc.slides.splice(0, 3);
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/critique`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('No slides');
+      expect(critiquePitch).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown providers', async () => {
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/critique`)
+        .send({ provider: 'skynet' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid provider');
+    });
+  });
+
+  describe('POST /api/pitches/:id/name', () => {
+    function createNamedPitchDocument() {
+      const doc = createPitchDocument();
+      doc.elevator = 'Green Link brings fresh produce from the block next door.';
+      doc.slides.splice(0, 3,
+        { type: 'title', title: 'GREEN LINK', subtitle: 'Green Link connects gardeners and chefs.', notes: 'Welcome to Green Link.' },
+        { type: 'solution', title: 'OUR SOLUTION', subtitle: 'A greener link to the kitchen.', bullets: ['Green Link app'] }
+      );
+      doc.script = { duration: 60, sections: ['Hi, we are Green Link.', 'That is it.'] };
+      doc.elevatorVariants = {
+        investor: 'Green Link is raising.',
+        customer: 'Fresh produce.',
+        recruiter: 'Join Green Link.',
+        tweet: 'Green Link: fresh produce.',
+        spoken: 'Hi, we are Green Link.'
+      };
+      return doc;
+    }
+
+    it('should rewrite every mention of the old name and save the pitch', async () => {
+      const doc = createNamedPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/name`)
+        .send({ name: '  Harvest Hub ' })
+        .expect(200);
+
+      expect(doc.name).toBe('Harvest Hub');
+      expect(doc.elevator).toBe('Harvest Hub brings fresh produce from the block next door.');
+      expect(doc.slides[0]).toEqual(expect.objectContaining({
+        title: 'HARVEST HUB',
+        subtitle: 'Harvest Hub connects gardeners and chefs.',
+        notes: 'Welcome to Harvest Hub.'
+      }));
+      // Only whole-name mentions change
+      expect(doc.slides[1].subtitle).toBe('A greener link to the kitchen.');
+      expect(doc.slides[1].bullets).toEqual(['Harvest Hub app']);
+      expect(doc.script.sections[0]).toBe('Hi, we are Harvest Hub.');
+      expect(doc.elevatorVariants.tweet).toBe('Harvest Hub: fresh produce.');
+      expect(doc.save).toHaveBeenCalled();
+      expect(recordRevision).toHaveBeenCalledWith(doc, expect.any(Object), expect.objectContaining({
+        reason: 'rename',
+        summary: 'Renamed from Green Link to Harvest Hub'
+      }));
+      expect(response.body.data.pitch.name).toBe('Harvest Hub');
+    });
+
+    it('should reject a missing name', async () => {
+      const response = await request(app)
+        .post(`/api/pitches/${PITCH_ID}/name`)
+        .send({ name: '   ' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid name');
+      expect(Pitch.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing pitch', async () => {
+      Pitch.findById.mockResolvedValue(null);
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/name`)
+        .send({ name: 'Harvest Hub' })
+        .expect(404);
+    });
+  });
+});
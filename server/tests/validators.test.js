@@ -1,4 +1,18 @@
-const { validateCodePromptInput, sanitizeInput } = require('../utils/validators');
+const {
+  validateCodePromptInput,
+  sanitizeInput,
+  validateSlidePlan,
+  validateDeckAgainstPlan,
+  validateFileUpload,
+  validateBrand,
+  validateMarkdownImport,
+  validateImportedPitch,
+  validateShareLink,
+  validateScriptDuration,
+  validateNameCandidates,
+  validateRemixRequest
+} = require('../utils/validators');
+const { getRemixSlidePlan } = require('../utils/lineage');
 
 describe('Validators', () => {
   describe('validateCodePromptInput', () => {
@@ -129,4 +143,242 @@ describe('Validators', () => {
       expect(sanitized).toBe('');
     });
   });
+
+  describe('validateSlidePlan', () => {
+    it('should accept a missing plan and known presets', () => {
+      expect(validateSlidePlan(undefined).isValid).toBe(true);
+      expect(validateSlidePlan('yc').isValid).toBe(true);
+    });
+
+    it('should accept a list of slide types', () => {
+      expect(validateSlidePlan(['problem', 'solution', 'traction', 'ask']).isValid).toBe(true);
+    });
+
+    it('should reject unknown presets', () => {
+      expect(validateSlidePlan('epic').error).toContain('Unknown slide plan "epic"');
+    });
+
+    it('should reject plans that are too short or too long', () => {
+      expect(validateSlidePlan(['problem', 'solution']).error).toBe('Slide plan must contain between 3 and 12 slides');
+      expect(validateSlidePlan(new Array(13).fill('problem')).isValid).toBe(false);
+    });
+
+    it('should reject unknown slide types', () => {
+      const result = validateSlidePlan(['problem', 'vibes', 'cta']);
+
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Slide 2 has an unknown type "vibes"');
+    });
+  });
+
+  describe('validateDeckAgainstPlan', () => {
+    const plan = ['problem', 'solution', 'ask'];
+
+    it('should accept a deck that follows the plan', () => {
+      const slides = plan.map(type => ({ type, title: type.toUpperCase() }));
+
+      expect(validateDeckAgainstPlan(slides, plan).isValid).toBe(true);
+    });
+
+    it('should reject a deck with the wrong number of slides', () => {
+      const result = validateDeckAgainstPlan([{ type: 'problem', title: 'P' }], plan);
+
+      expect(result.error).toBe('Expected 3 slides but received 1');
+    });
+
+    it('should reject slides out of order', () => {
+      const slides = [{ type: 'problem', title: 'P' }, { type: 'ask', title: 'A' }, { type: 'solution', title: 'S' }];
+
+      expect(validateDeckAgainstPlan(slides, plan).details).toEqual([
+        'Slide 2 should be "solution" but is "ask"',
+        'Slide 3 should be "ask" but is "solution"'
+      ]);
+    });
+  });
+
+  describe('validateFileUpload', () => {
+    const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+    const IMAGE_OPTIONS = { allowedTypes: ['image/png', 'image/jpeg', 'image/webp'], maxSize: 1024 * 1024 };
+
+    it('should keep accepting only text and JSON files by default', () => {
+      expect(validateFileUpload({ filename: 'notes.txt', size: 10, type: 'text/plain' }).isValid).toBe(true);
+      expect(validateFileUpload({ filename: 'logo.png', size: 10, type: 'image/png' }).error)
+        .toBe('File type not allowed. Only text and JSON files are accepted.');
+    });
+
+    it('should accept images whose contents match their type', () => {
+      const result = validateFileUpload({ filename: 'logo.png', size: PNG_BYTES.length, type: 'image/png', data: PNG_BYTES }, IMAGE_OPTIONS);
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject images whose contents do not match their type', () => {
+      const result = validateFileUpload({ filename: 'logo.jpg', size: PNG_BYTES.length, type: 'image/jpeg', data: PNG_BYTES }, IMAGE_OPTIONS);
+
+      expect(result.error).toBe('File contents are not a valid JPEG image');
+    });
+
+    it('should reject SVG and oversized images', () => {
+      const result = validateFileUpload({ filename: 'logo.svg', size: 2 * 1024 * 1024, type: 'image/svg+xml' }, IMAGE_OPTIONS);
+
+      expect(result.details).toEqual([
+        'File size must be less than 1MB',
+        'File type not allowed. Only PNG, JPEG and WebP images are accepted.'
+      ]);
+    });
+  });
+
+  describe('validateBrand', () => {
+    it('should accept a complete brand kit', () => {
+      const result = validateBrand({
+        primaryColor: '#0f766e',
+        secondaryColor: '#f59e0b',
+        fontPairing: 'classic',
+        logo: `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64')}`
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should allow removing the logo and font pairing', () => {
+      expect(validateBrand({ logo: null, fontPairing: null }).isValid).toBe(true);
+    });
+
+    it('should reject unknown font pairings and non-image logos', () => {
+      const result = validateBrand({
+        fontPairing: 'comic',
+        logo: 'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4='
+      });
+
+      expect(result.details).toEqual([
+        'fontPairing must be one of: modern, classic, technical, friendly',
+        'Logo must be a base64 data URL of a PNG, JPEG or WebP image'
+      ]);
+    });
+
+    it('should reject logos whose bytes are not the declared image type', () => {
+      const result = validateBrand({ logo: `data:image/png;base64,${Buffer.from('<script>').toString('base64')}` });
+
+      expect(result.error).toBe('Logo: File contents are not a valid PNG image');
+    });
+  });
+
+  describe('validateMarkdownImport', () => {
+    it('should accept a Markdown string', () => {
+      expect(validateMarkdownImport('# Green Link\n\nPitch').isValid).toBe(true);
+    });
+
+    it('should reject empty and oversized input', () => {
+      expect(validateMarkdownImport('  ').error).toBe('Markdown is required');
+      expect(validateMarkdownImport({}).error).toBe('Markdown is required');
+      expect(validateMarkdownImport('a'.repeat(200001)).error).toBe('Markdown must be less than 200000 characters');
+    });
+  });
+
+  describe('validateImportedPitch', () => {
+    const imported = {
+      idea: 'A marketplace connecting urban gardeners with local restaurants',
+      name: 'Green Link',
+      elevator: 'Fresh produce from the block next door.',
+      theme: 'dark-gradient',
+      slides: [{ title: 'Problem', bullets: [], metrics: [] }, '<section><h1>Old</h1></section>']
+    };
+
+    it('should accept a parsed pitch with structured and legacy slides', () => {
+      expect(validateImportedPitch(imported).isValid).toBe(true);
+    });
+
+    it('should require a name, an elevator pitch and at least one slide', () => {
+      const result = validateImportedPitch({ ...imported, name: '', elevator: '', slides: [] });
+
+      expect(result.details).toEqual([
+        'Start the Markdown with a # heading that names the pitch',
+        'Add the elevator pitch under the pitch name',
+        'No slides found; separate slides with a line containing only ---'
+      ]);
+    });
+
+    it('should report slides without a title and unknown deck themes', () => {
+      const result = validateImportedPitch({ ...imported, theme: 'neon', slides: [{ title: '', bullets: [] }] });
+
+      expect(result.details).toContain('Slide 1: Title is required');
+      expect(result.details[0]).toMatch(/^Theme must be one of/);
+    });
+
+    it('should reject speaker notes that are not text or too long', () => {
+      const withNotes = notes => validateImportedPitch({ ...imported, slides: [{ title: 'Problem', notes }] });
+
+      expect(withNotes('Lead with the pain.').isValid).toBe(true);
+      expect(withNotes(42).details).toContain('Slide 1: Notes must be a string of less than 2000 characters');
+      expect(withNotes('a'.repeat(2001)).isValid).toBe(false);
+    });
+  });
+
+  describe('validateShareLink', () => {
+    it('should accept links without options, with a future expiry or with a password', () => {
+      expect(validateShareLink({}).isValid).toBe(true);
+      expect(validateShareLink({ expiresAt: null, password: '' }).isValid).toBe(true);
+      expect(validateShareLink({ expiresAt: new Date(Date.now() + 60000).toISOString(), password: 'open sesame' }).isValid).toBe(true);
+    });
+
+    it('should reject invalid expiry dates and passwords', () => {
+      expect(validateShareLink({ expiresAt: 'tomorrow' }).error).toBe('expiresAt must be an ISO date');
+      expect(validateShareLink({ expiresAt: 1893456000000 }).error).toBe('expiresAt must be an ISO date');
+      expect(validateShareLink({ password: 1234 }).error).toBe('Password must be a string');
+      expect(validateShareLink({ password: 'x'.repeat(129) }).error).toBe('Password must be less than 128 characters');
+    });
+  });
+
+  describe('validateScriptDuration', () => {
+    it('should accept the supported lengths and no length at all', () => {
+      [undefined, null, 60, 180, 300].forEach(duration => {
+        expect(validateScriptDuration(duration).isValid).toBe(true);
+      });
+    });
+
+    it('should reject other lengths', () => {
+      expect(validateScriptDuration(90).error).toBe('Script length must be one of: 60, 180, 300 seconds');
+      expect(validateScriptDuration('180').isValid).toBe(false);
+    });
+  });
+
+  describe('validateNameCandidates', () => {
+    it('should accept 5 to 10 candidates and no candidates at all', () => {
+      [undefined, null, 5, 8, 10].forEach(count => {
+        expect(validateNameCandidates(count).isValid).toBe(true);
+      });
+    });
+
+    it('should reject other counts', () => {
+      expect(validateNameCandidates(4).error).toBe('Name candidates must be a whole number between 5 and 10');
+      expect(validateNameCandidates(6.5).isValid).toBe(false);
+      expect(validateNameCandidates('6').isValid).toBe(false);
+    });
+  });
+
+  describe('validateRemixRequest', () => {
+    it('should accept an instruction with an optional slide plan', () => {
+      expect(validateRemixRequest({ instruction: 'The same idea but for B2B' }).isValid).toBe(true);
+      expect(validateRemixRequest({ instruction: 'Pivot to healthcare', slidePlan: 'short' }).isValid).toBe(true);
+    });
+
+    it('should report every problem', () => {
+      const result = validateRemixRequest({ slidePlan: 'huge' });
+
+      expect(result.error).toBe('Remix instruction is required');
+      expect(result.details[1]).toContain('Unknown slide plan "huge"');
+    });
+  });
+
+  describe('getRemixSlidePlan', () => {
+    it('should keep the slide types of a structured deck', () => {
+      expect(getRemixSlidePlan([{ type: 'problem' }, { type: 'solution' }, { type: 'cta' }])).toEqual(['problem', 'solution', 'cta']);
+    });
+
+    it('should fall back to the default plan for legacy or custom slides', () => {
+      expect(getRemixSlidePlan(['<section>One</section>', { type: 'problem' }, { type: 'cta' }])).toBeUndefined();
+      expect(getRemixSlidePlan([{ type: 'custom', html: '<section></section>' }, { type: 'problem' }, { type: 'cta' }])).toBeUndefined();
+      expect(getRemixSlidePlan([{ type: 'problem' }])).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,27 @@
+/**
+ * Well-known brands that name candidates are checked against
+ * A short, hand-kept list of names most people would recognize: big tech,
+ * consumer apps and the startup tools founders pitch next to. It backs an
+ * offline smell test, not a trademark search.
+ */
+
+const WELL_KNOWN_BRANDS = [
+  // Big tech
+  'Google', 'Alphabet', 'Apple', 'Microsoft', 'Amazon', 'Meta', 'Facebook', 'Instagram', 'WhatsApp',
+  'Netflix', 'Tesla', 'Nvidia', 'Intel', 'Samsung', 'Sony', 'IBM', 'Oracle', 'Adobe', 'Salesforce',
+  'Cisco', 'Dell', 'Lenovo', 'Huawei', 'Xiaomi', 'OpenAI', 'Anthropic',
+  // Consumer apps and marketplaces
+  'YouTube', 'TikTok', 'Snapchat', 'Twitter', 'LinkedIn', 'Pinterest', 'Reddit', 'Discord', 'Spotify',
+  'Uber', 'Lyft', 'Airbnb', 'DoorDash', 'Instacart', 'Deliveroo', 'Etsy', 'eBay', 'Shopify', 'Alibaba',
+  'PayPal', 'Venmo', 'Stripe', 'Square', 'Revolut', 'Klarna', 'Coinbase', 'Robinhood', 'Duolingo',
+  'Tinder', 'Bumble', 'Zillow', 'Expedia', 'Booking', 'Tripadvisor', 'Peloton', 'Strava', 'Fitbit',
+  // Work and developer tools
+  'Slack', 'Zoom', 'Notion', 'Figma', 'Canva', 'Dropbox', 'Atlassian', 'Trello', 'Asana', 'Airtable',
+  'HubSpot', 'Zendesk', 'Mailchimp', 'Twilio', 'GitHub', 'GitLab', 'Vercel', 'Netlify', 'Heroku',
+  'Cloudflare', 'Datadog', 'Snowflake', 'MongoDB', 'Docker', 'Intercom', 'Calendly', 'Grammarly',
+  // Household names
+  'Coca-Cola', 'Pepsi', 'Nike', 'Adidas', 'Starbucks', 'McDonalds', 'IKEA', 'Lego', 'Disney', 'Visa',
+  'Mastercard', 'Walmart', 'Target', 'Costco', 'Toyota', 'BMW', 'Mercedes', 'Ferrari', 'Rolex', 'Gucci'
+];
+
+module.exports = { WELL_KNOWN_BRANDS };
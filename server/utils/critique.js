@@ -0,0 +1,259 @@
+/**
+ * Investor critique helpers
+ * A critique scores a deck from 0 to 10 on the questions investors ask first
+ * and lists concrete suggestions per slide. The rubric here needs no model: it
+ * reads word counts, numbers and jargon, so a deck can be scored offline and
+ * always gets the same score.
+ */
+
+const { slideToText } = require('./slides');
+const { countWords } = require('./script');
+
+const CRITIQUE_CRITERIA = {
+  clarity: 'Clarity',
+  problemSeverity: 'Problem severity',
+  marketEvidence: 'Market evidence',
+  differentiation: 'Differentiation',
+  ask: 'Ask'
+};
+
+const CRITIQUE_CRITERIA_KEYS = Object.keys(CRITIQUE_CRITERIA);
+const MAX_SCORE = 10;
+const MAX_SUGGESTIONS_PER_SLIDE = 4;
+
+// Investors skim: past these lengths a slide or an elevator pitch stops being read
+const SLIDE_WORD_LIMIT = 60;
+const ELEVATOR_WORD_LIMIT = 35;
+const TITLE_WORD_LIMIT = 6;
+
+const JARGON = [
+  'synergy', 'synergies', 'leverage', 'leveraging', 'disrupt', 'disruptive', 'disrupting', 'revolutionary',
+  'revolutionize', 'paradigm', 'cutting-edge', 'best-in-class', 'game-changing', 'game-changer', 'world-class',
+  'seamless', 'seamlessly', 'next-generation', 'next-gen', 'innovative', 'robust', 'holistic', 'empower',
+  'empowering', 'ecosystem', 'frictionless', 'state-of-the-art', 'turnkey', 'mission-critical', 'bleeding-edge'
+];
+
+const NUMBER_PATTERN = /\d/;
+const MONEY_PATTERN = /[$€£]\s?\d|\d+(\.\d+)?\s?(k|m|mm|bn|b|million|billion)\b/i;
+const MARKET_SIZE_PATTERN = /[$€£]\s?\d|\d+\s?%|\b(tam|sam|som)\b/i;
+const PAIN_PATTERN = /\b(cost|costs|lose|loses|lost|waste|wasted|hours|expensive|slow|manual|risk|fail|fails|churn|frustrat\w*)\b/i;
+const SOURCE_PATTERN = /\b(according|report|survey|study|gartner|statista|census|source)\b/i;
+const CONTRAST_PATTERN = /\b(unlike|only|first|instead of|without|faster|cheaper|10x|patent\w*|proprietary|exclusive)\b/i;
+const USE_OF_FUNDS_PATTERN = /\b(runway|hire|hiring|milestone\w*|launch|use of funds|months|mo)\b/i;
+
+/**
+ * Keep a score a whole number between 0 and 10
+ * @param {number} score - Raw score
+ * @returns {number} Clamped score
+ */
+function clampScore(score) {
+  return Math.max(0, Math.min(MAX_SCORE, Math.round(score)));
+}
+
+/**
+ * Average of the criterion scores, to one decimal
+ * @param {Object} scores - Scores keyed by criterion
+ * @returns {number} Overall score
+ */
+function getOverallScore(scores) {
+  const total = CRITIQUE_CRITERIA_KEYS.reduce((sum, key) => sum + scores[key], 0);
+  return Math.round((total / CRITIQUE_CRITERIA_KEYS.length) * 10) / 10;
+}
+
+/**
+ * Jargon words used in a text
+ * @param {string} text - Text
+ * @returns {string[]} Jargon found, lowercased, without duplicates
+ */
+function findJargon(text) {
+  const words = text.toLowerCase().match(/[a-z]+(-[a-z]+)*/g) || [];
+  return [...new Set(words.filter(word => JARGON.includes(word)))];
+}
+
+/**
+ * Score a deck with the offline rubric
+ * @param {Object} pitch - Pitch with name, elevator and slides
+ * @returns {Object} Critique: { scores, overall, summary, suggestions } with one suggestion list per slide
+ */
+function scorePitchWithRubric(pitch) {
+  const slides = (pitch.slides || []).map(slide => {
+    const text = slideToText(slide);
+    return {
+      type: slide && typeof slide === 'object' ? slide.type : 'custom',
+      title: slide && typeof slide === 'object' ? slide.title || '' : '',
+      text,
+      words: countWords(text),
+      hasNumber: NUMBER_PATTERN.test(text),
+      jargon: findJargon(text)
+    };
+  });
+  const findSlide = type => slides.find(slide => slide.type === type);
+  const deckText = [pitch.elevator, ...slides.map(slide => slide.text)].join(' ');
+  const deckWords = Math.max(1, countWords(deckText));
+  const jargonDensity = findJargon(deckText).length / deckWords;
+
+  // Clarity: short slides, a short elevator pitch, short headlines and plain words
+  let clarity = MAX_SCORE;
+  if (countWords(pitch.elevator) > ELEVATOR_WORD_LIMIT) {
+    clarity -= 2;
+  }
+  clarity -= Math.min(3, slides.filter(slide => slide.words > SLIDE_WORD_LIMIT).length);
+  clarity -= Math.min(2, slides.filter(slide => countWords(slide.title) > TITLE_WORD_LIMIT).length);
+  if (jargonDensity > 0.05) {
+    clarity -= 4;
+  } else if (jargonDensity > 0.02) {
+    clarity -= 2;
+  }
+
+  // Problem severity: a problem slide that quantifies real pain
+  const problem = findSlide('problem');
+  let problemSeverity = 2;
+  if (problem) {
+    problemSeverity = 5;
+    if (problem.hasNumber) {
+      problemSeverity += 2;
+    }
+    if (PAIN_PATTERN.test(problem.text)) {
+      problemSeverity += 2;
+    }
+    if (problem.words >= 12) {
+      problemSeverity += 1;
+    }
+  }
+
+  // Market evidence: a sized market, ideally with a source, and traction numbers
+  const market = findSlide('market');
+  const traction = findSlide('traction');
+  let marketEvidence = market ? 4 : 2;
+  if (market && MARKET_SIZE_PATTERN.test(market.text)) {
+    marketEvidence += 3;
+  }
+  if (SOURCE_PATTERN.test(deckText)) {
+    marketEvidence += 1;
+  }
+  if (traction && traction.hasNumber) {
+    marketEvidence += 2;
+  }
+
+  // Differentiation: a competition slide and a solution that says why it is different
+  const solution = findSlide('solution') || findSlide('product');
+  let differentiation = 3;
+  if (findSlide('competition')) {
+    differentiation += 3;
+  }
+  if (solution && CONTRAST_PATTERN.test(solution.text)) {
+    differentiation += 3;
+  }
+  if (solution && solution.hasNumber) {
+    differentiation += 1;
+  }
+
+  // Ask: an amount and what it buys
+  const askSlide = findSlide('ask');
+  let ask = findSlide('cta') ? 3 : 1;
+  if (askSlide) {
+    ask = 5;
+    if (MONEY_PATTERN.test(askSlide.text)) {
+      ask += 3;
+    }
+    if (USE_OF_FUNDS_PATTERN.test(askSlide.text)) {
+      ask += 2;
+    }
+  }
+
+  const scores = {
+    clarity: clampScore(clarity),
+    problemSeverity: clampScore(problemSeverity),
+    marketEvidence: clampScore(marketEvidence),
+    differentiation: clampScore(differentiation),
+    ask: clampScore(ask)
+  };
+
+  const suggestions = slides.map(slide => {
+    const tips = [];
+    if (slide.words > SLIDE_WORD_LIMIT) {
+      tips.push(`Cut this slide to under ${SLIDE_WORD_LIMIT} words; investors skim.`);
+    }
+    if (countWords(slide.title) > TITLE_WORD_LIMIT) {
+      tips.push(`Shorten the headline to ${TITLE_WORD_LIMIT} words or fewer.`);
+    }
+    if (slide.jargon.length > 0) {
+      tips.push(`Replace jargon (${slide.jargon.join(', ')}) with concrete outcomes.`);
+    }
+    if (slide.type === 'problem' && !slide.hasNumber) {
+      tips.push('Quantify the pain: how much time or money does it cost today?');
+    }
+    if (slide.type === 'market' && !MARKET_SIZE_PATTERN.test(slide.text)) {
+      tips.push('Size the market (TAM, SAM, SOM) and name the source.');
+    }
+    if (slide.type === 'traction' && !slide.hasNumber) {
+      tips.push('Show a number: users, revenue, growth or pilots.');
+    }
+    if ((slide.type === 'solution' || slide.type === 'product') && !CONTRAST_PATTERN.test(slide.text)) {
+      tips.push('Say what makes this different from the way people solve it today.');
+    }
+    if (slide.type === 'ask' && !MONEY_PATTERN.test(slide.text)) {
+      tips.push('State how much you are raising.');
+    }
+    if (slide.type === 'ask' && !USE_OF_FUNDS_PATTERN.test(slide.text)) {
+      tips.push('Say what the money buys: runway, hires or milestones.');
+    }
+    return tips.slice(0, MAX_SUGGESTIONS_PER_SLIDE);
+  });
+
+  const ranked = [...CRITIQUE_CRITERIA_KEYS].sort((a, b) => scores[b] - scores[a]);
+  const missing = ['problem', 'market', 'competition', 'ask']
+    .filter(type => !findSlide(type))
+    .map(type => (type === 'ask' ? 'an ask' : `a ${type} slide`));
+
+  const summary = [
+    `Strongest on ${CRITIQUE_CRITERIA[ranked[0]].toLowerCase()}, weakest on ${CRITIQUE_CRITERIA[ranked[ranked.length - 1]].toLowerCase()}.`,
+    missing.length > 0 ? `Investors will look for ${missing.join(', ')}.` : ''
+  ].filter(Boolean).join(' ');
+
+  return { scores, overall: getOverallScore(scores), summary, suggestions };
+}
+
+/**
+ * Coerce a critique from the model into the critique shape
+ * @param {Object} critique - Raw critique with scores, summary and slides[].suggestions
+ * @param {number} slideCount - Number of slides in the deck
+ * @returns {Object|null} Critique, or null when scores or slides are missing
+ */
+function normalizeCritique(critique, slideCount) {
+  if (!critique || typeof critique !== 'object' || !critique.scores || !Array.isArray(critique.slides)
+    || critique.slides.length !== slideCount) {
+    return null;
+  }
+
+  const scores = {};
+  for (const key of CRITIQUE_CRITERIA_KEYS) {
+    const score = Number(critique.scores[key]);
+    if (!Number.isFinite(score)) {
+      return null;
+    }
+    scores[key] = clampScore(score);
+  }
+
+  const suggestions = critique.slides.map(slide => (Array.isArray(slide && slide.suggestions) ? slide.suggestions : [])
+    .filter(suggestion => typeof suggestion === 'string')
+    .map(suggestion => suggestion.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .slice(0, MAX_SUGGESTIONS_PER_SLIDE));
+
+  return {
+    scores,
+    overall: getOverallScore(scores),
+    summary: typeof critique.summary === 'string' ? critique.summary.replace(/\s+/g, ' ').trim() : '',
+    suggestions
+  };
+}
+
+module.exports = {
+  CRITIQUE_CRITERIA,
+  CRITIQUE_CRITERIA_KEYS,
+  MAX_SCORE,
+  findJargon,
+  scorePitchWithRubric,
+  normalizeCritique
+};
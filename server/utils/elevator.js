@@ -0,0 +1,93 @@
+/**
+ * Elevator pitch variants
+ * The same pitch retold for different audiences. Each variant has a label for
+ * the UI and the guidance the model writes it from; the tweet and the spoken
+ * version also have hard length limits.
+ */
+
+const { getWordBudget, countWords } = require('./script');
+
+const TWEET_MAX_LENGTH = 280;
+const SPOKEN_DURATION = 30;
+const VARIANT_MAX_LENGTH = 1000;
+
+const ELEVATOR_VARIANTS = {
+  investor: {
+    label: 'Investor',
+    guidance: 'For an investor: the problem, the size of the opportunity, why this team wins and what you are raising. Two or three sentences.'
+  },
+  customer: {
+    label: 'Customer',
+    guidance: 'For a potential customer: their pain in their own words and the outcome they get. No jargon, no funding talk. Two sentences.'
+  },
+  recruiter: {
+    label: 'Recruiter',
+    guidance: 'For a candidate you want to hire: the mission, why it matters now and what they would build. Two or three sentences.'
+  },
+  tweet: {
+    label: 'Tweet',
+    guidance: `A one-liner for social media: at most ${TWEET_MAX_LENGTH} characters including any hashtags.`
+  },
+  spoken: {
+    label: '30-second spoken',
+    guidance: `What to say out loud in ${SPOKEN_DURATION} seconds: about ${getWordBudget(SPOKEN_DURATION)} words, short sentences, no lists or hashtags.`
+  }
+};
+
+const ELEVATOR_VARIANT_TYPES = Object.keys(ELEVATOR_VARIANTS);
+
+/**
+ * Shorten text to a maximum length at a word boundary
+ * @param {string} text - Text
+ * @param {number} max - Maximum length, including the ellipsis
+ * @returns {string} Text of at most `max` characters
+ */
+function clipText(text, max) {
+  if (text.length <= max) {
+    return text;
+  }
+
+  const clipped = text.slice(0, max - 1);
+  const lastSpace = clipped.lastIndexOf(' ');
+  return `${(lastSpace > max / 2 ? clipped.slice(0, lastSpace) : clipped).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Coerce model output into one trimmed text per variant
+ * The tweet is clipped to 280 characters and the spoken version to twice its
+ * word budget, so a chatty model cannot break either limit.
+ * @param {Object} variants - Raw variants keyed by type
+ * @returns {Object|null} Variants keyed by type, or null when any is missing
+ */
+function normalizeElevatorVariants(variants) {
+  if (!variants || typeof variants !== 'object') {
+    return null;
+  }
+
+  const normalized = {};
+
+  for (const type of ELEVATOR_VARIANT_TYPES) {
+    const text = typeof variants[type] === 'string' ? variants[type].replace(/\s+/g, ' ').trim() : '';
+    if (!text) {
+      return null;
+    }
+    normalized[type] = clipText(text, VARIANT_MAX_LENGTH);
+  }
+
+  normalized.tweet = clipText(normalized.tweet, TWEET_MAX_LENGTH);
+
+  const spokenLimit = getWordBudget(SPOKEN_DURATION) * 2;
+  if (countWords(normalized.spoken) > spokenLimit) {
+    normalized.spoken = `${normalized.spoken.split(' ').slice(0, spokenLimit).join(' ').replace(/[\s.,;:!?-]+$/, '')}…`;
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  ELEVATOR_VARIANTS,
+  ELEVATOR_VARIANT_TYPES,
+  TWEET_MAX_LENGTH,
+  SPOKEN_DURATION,
+  normalizeElevatorVariants
+};
@@ -0,0 +1,199 @@
+/**
+ * History list helpers
+ * GET /api/history filters a user's pitches by text, creation date, tags, folder
+ * and star and sorts them. Next to page numbers it hands out an opaque cursor:
+ * the sort value and _id of the last pitch on the page. Resuming from a cursor is
+ * an index range scan, so deep pages of a large collection cost the same as the
+ * first one.
+ */
+
+const HISTORY_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  updated: { field: 'updatedAt', direction: -1 },
+  name: { field: 'name', direction: 1 },
+  // Best text match first; needs q, and pages by number since a text score cannot be resumed from
+  relevance: null
+};
+
+const HISTORY_SORT_OPTIONS = Object.keys(HISTORY_SORTS);
+const DEFAULT_HISTORY_SORT = 'newest';
+const HISTORY_PAGE_LIMIT = 50;
+const HISTORY_SEARCH_MAX_LENGTH = 200;
+
+const TAG_MAX_LENGTH = 30;
+const TAG_FILTER_LIMIT = 10;
+const MAX_TAGS_PER_PITCH = 20;
+// Letters and digits, with spaces, dashes and underscores inside: "demo day", "cohort-12", "fintech"
+const TAG_PATTERN = /^[\p{L}\p{N}]([\p{L}\p{N} _-]*[\p{L}\p{N}])?$/u;
+
+const FOLDER_NAME_MAX_LENGTH = 60;
+// The folder filter value for pitches that are in no folder
+const UNFILED_FOLDER = 'none';
+
+// A bare date as the end of a range means the whole of that day
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+/**
+ * Bring a tag to the form it is stored and matched in
+ * @param {string} tag - Tag as typed
+ * @returns {string} Trimmed, lowercased tag with single spaces, or '' when not a string
+ */
+function normalizeTag(tag) {
+  return typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+}
+
+/**
+ * Read tags from a query value, either repeated (?tags=a&tags=b) or comma separated (?tags=a,b)
+ * @param {string|string[]} value - Query value
+ * @returns {string[]} Normalized tags without duplicates
+ */
+function parseTagList(value) {
+  const values = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+  return [...new Set(values.flatMap(item => item.split(',')).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Turn the end of a date range into a filter bound
+ * @param {string} value - ISO date or date-time
+ * @returns {Object} { $lt } the next midnight for a bare date, otherwise { $lte } the instant given
+ */
+function getDateRangeEnd(value) {
+  const date = new Date(value);
+  return DATE_ONLY_PATTERN.test(value) ? { $lt: new Date(date.getTime() + DAY) } : { $lte: date };
+}
+
+/**
+ * Cursor pointing after a pitch in a sort order
+ * @param {Object} pitch - Last pitch of a page
+ * @param {string} sort - Sort option
+ * @returns {string|null} Opaque cursor, or null for relevance which cannot be resumed
+ */
+function encodeCursor(pitch, sort) {
+  const order = HISTORY_SORTS[sort];
+  if (!order) {
+    return null;
+  }
+
+  return Buffer.from(JSON.stringify({ sort, value: pitch[order.field], id: String(pitch._id) })).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort option the cursor must have been made for
+ * @returns {Object|null} { value, id }, or null when the cursor is malformed or for another sort
+ */
+function decodeCursor(cursor, sort) {
+  const order = HISTORY_SORTS[sort];
+  if (!order || typeof cursor !== 'string') {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded || decoded.sort !== sort || typeof decoded.id !== 'string' || !OBJECT_ID_PATTERN.test(decoded.id)
+    || typeof decoded.value !== 'string') {
+    return null;
+  }
+
+  if (order.field === 'name') {
+    return { value: decoded.value, id: decoded.id };
+  }
+
+  const date = new Date(decoded.value);
+  return Number.isNaN(date.getTime()) ? null : { value: date, id: decoded.id };
+}
+
+/**
+ * Build the MongoDB filter and sort for a history query
+ * Expects a query that passed validateHistoryQuery.
+ * @param {Object} query - Request query
+ * @param {string} [query.q] - Full-text search over the name, idea, elevator pitch and slide text
+ * @param {string} [query.from] - Earliest creation date, inclusive
+ * @param {string} [query.to] - Latest creation date, inclusive
+ * @param {string|string[]} [query.tags] - Tags a pitch must all have
+ * @param {string} [query.folder] - Folder id, or "none" for pitches in no folder
+ * @param {string} [query.starred] - "true" for starred pitches only
+ * @param {string} [query.sort] - Sort option, relevance by default with q and newest otherwise
+ * @param {string} [query.cursor] - Cursor from a previous page
+ * @param {string} ownerId - Signed-in user's id
+ * @returns {Object} { filter, sort, sortKey, isCursorPage }
+ */
+function buildHistoryQuery(query, ownerId) {
+  const filter = { owner: ownerId };
+
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {
+      ...(query.from ? { $gte: new Date(query.from) } : {}),
+      ...(query.to ? getDateRangeEnd(query.to) : {})
+    };
+  }
+
+  const tags = parseTagList(query.tags);
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (query.folder) {
+    filter.folder = query.folder === UNFILED_FOLDER ? null : query.folder;
+  }
+
+  if (query.starred === 'true') {
+    filter.starred = true;
+  }
+
+  const sortKey = query.sort || (search ? 'relevance' : DEFAULT_HISTORY_SORT);
+  const order = HISTORY_SORTS[sortKey];
+
+  if (!order) {
+    return { filter, sort: { score: { $meta: 'textScore' }, createdAt: -1 }, sortKey, isCursorPage: false };
+  }
+
+  // _id breaks ties, so pitches created in the same millisecond are neither skipped nor repeated
+  const sort = { [order.field]: order.direction, _id: order.direction };
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortKey) : null;
+
+  if (cursor) {
+    const operator = order.direction === 1 ? '$gt' : '$lt';
+    filter.$or = [
+      { [order.field]: { [operator]: cursor.value } },
+      { [order.field]: cursor.value, _id: { [operator]: cursor.id } }
+    ];
+  }
+
+  return { filter, sort, sortKey, isCursorPage: Boolean(cursor) };
+}
+
+module.exports = {
+  HISTORY_SORTS,
+  HISTORY_SORT_OPTIONS,
+  DEFAULT_HISTORY_SORT,
+  HISTORY_PAGE_LIMIT,
+  HISTORY_SEARCH_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  TAG_FILTER_LIMIT,
+  TAG_PATTERN,
+  MAX_TAGS_PER_PITCH,
+  FOLDER_NAME_MAX_LENGTH,
+  UNFILED_FOLDER,
+  DATE_ONLY_PATTERN,
+  OBJECT_ID_PATTERN,
+  normalizeTag,
+  parseTagList,
+  encodeCursor,
+  decodeCursor,
+  buildHistoryQuery
+};
@@ -0,0 +1,74 @@
+/**
+ * Remix lineage helpers
+ * A remix is a new pitch generated from an existing one plus an instruction
+ * such as "pivot to healthcare". It keeps a link to its parent and the ids of
+ * all its ancestors, root first, so one query finds a whole family of remixes.
+ */
+
+const { SLIDE_PLAN_LIMITS } = require('./slides');
+
+const REMIX_INSTRUCTION_MAX_LENGTH = 500;
+// Largest family of remixes returned by the lineage tree
+const LINEAGE_LIMIT = 200;
+
+/**
+ * Slide plan a remix follows unless another one is requested
+ * @param {Array<Object>} slides - Slides of the parent pitch
+ * @returns {string[]|undefined} The parent's slide types, or undefined for the default plan when
+ *   the parent has legacy HTML slides or a deck size a plan cannot have
+ */
+function getRemixSlidePlan(slides) {
+  const types = (slides || []).map(slide => (slide && typeof slide === 'object' ? slide.type : 'custom'));
+
+  if (types.length < SLIDE_PLAN_LIMITS.min || types.length > SLIDE_PLAN_LIMITS.max || types.some(type => !type || type === 'custom')) {
+    return undefined;
+  }
+
+  return types;
+}
+
+/**
+ * Ancestors to store on a remix of a pitch
+ * @param {Object} parent - Pitch that is being remixed
+ * @returns {Array} The parent's ancestors followed by the parent
+ */
+function getRemixAncestors(parent) {
+  return [...(parent.ancestors || []), parent._id];
+}
+
+/**
+ * Arrange a family of pitches as a tree
+ * Pitches whose parent is not in the list (deleted, or not visible to the
+ * viewer) become roots, so a gap in the family never hides the pitches below it.
+ * @param {Array<Object>} pitches - Lean pitches with _id, parent, name, elevator, remixInstruction, createdAt
+ * @returns {Array<Object>} Root nodes, oldest first, each with children oldest first
+ */
+function buildLineageTree(pitches) {
+  const nodes = new Map(pitches.map(pitch => [String(pitch._id), {
+    _id: pitch._id,
+    name: pitch.name,
+    elevator: pitch.elevator,
+    remixInstruction: pitch.remixInstruction || null,
+    createdAt: pitch.createdAt,
+    children: []
+  }]));
+
+  const roots = [];
+  pitches.forEach(pitch => {
+    const node = nodes.get(String(pitch._id));
+    const parent = pitch.parent ? nodes.get(String(pitch.parent)) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  nodes.forEach(node => node.children.sort(byDate));
+  return roots.sort(byDate);
+}
+
+module.exports = {
+  REMIX_INSTRUCTION_MAX_LENGTH,
+  LINEAGE_LIMIT,
+  getRemixSlidePlan,
+  getRemixAncestors,
+  buildLineageTree
+};
@@ -0,0 +1,260 @@
+const { normalizeSlide } = require('./slides');
+const { DEFAULT_DECK_THEME } = require('./themes');
+
+/**
+ * Markdown export and import
+ * Decks are written as Markdown that Marp and reveal-md present as is: YAML
+ * front matter, a cover slide with the name and elevator pitch, and one
+ * section per slide separated by `---` lines. Slide type, palette and icon
+ * ride along in a `<!-- pitchperfect: {...} -->` comment and metrics in a
+ * table, so a file edited in git imports back into the same structured deck.
+ * The brand kit is left out; its logo alone can be a megabyte of base64.
+ */
+
+const SLIDE_SEPARATOR = /^---[ \t]*$/m;
+const FRONT_MATTER_PATTERN = /^---[ \t]*\n([\s\S]*?)\n---[ \t]*(?:\n|$)/;
+const META_PATTERN = /<!--\s*pitchperfect:\s*(\{[\s\S]*?\})\s*-->/;
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+
+// Lines starting like a heading, list, quote, table, rule or comment would change meaning
+const BLOCK_SYNTAX_PATTERN = /^(?:[#>|*+\-=`<\\]|\d+[.)](?:\s|$))/;
+
+/**
+ * Backslash-escape a line of text that Markdown would otherwise read as block syntax
+ * @param {string} text - Plain text line
+ * @returns {string} Markdown-safe line
+ */
+function escapeLine(text) {
+  return BLOCK_SYNTAX_PATTERN.test(text) ? `\\${text}` : text;
+}
+
+/**
+ * Undo escapeLine
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text line
+ */
+function unescapeLine(line) {
+  return line.startsWith('\\') && BLOCK_SYNTAX_PATTERN.test(line.slice(1)) ? line.slice(1) : line;
+}
+
+const escapeCell = text => text.replace(/\|/g, '\\|');
+
+/**
+ * Serialize slide metadata for the comment; `-->` would end the comment early
+ * @param {Object} meta - Metadata object
+ * @returns {string} HTML comment
+ */
+function metaComment(meta) {
+  return `<!-- pitchperfect: ${JSON.stringify(meta).replace(/-->/g, '--\\u003e')} -->`;
+}
+
+/**
+ * Write one slide as a Markdown section
+ * @param {Object|string} rawSlide - Stored slide
+ * @returns {string} Markdown section
+ */
+function slideToMarkdown(rawSlide) {
+  const slide = normalizeSlide(rawSlide);
+
+  // Legacy slides only have markup; both Marp and Reveal render inline HTML
+  if (slide.html !== undefined) {
+    return `${metaComment({ html: true })}\n\n${slide.html}`;
+  }
+
+  const blocks = [
+    metaComment({ type: slide.type, theme: slide.theme, icon: slide.icon }),
+    `# ${escapeLine(slide.title)}`
+  ];
+
+  if (slide.subtitle) {
+    blocks.push(escapeLine(slide.subtitle));
+  }
+
+  if (slide.bullets.length > 0) {
+    blocks.push(slide.bullets.map(bullet => `- ${bullet}`).join('\n'));
+  }
+
+  if (slide.metrics.length > 0) {
+    const rows = slide.metrics.map(({ value, label }) => `| ${escapeCell(value)} | ${escapeCell(label)} |`);
+    blocks.push(['| Value | Label |', '| --- | --- |', ...rows].join('\n'));
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Convert a pitch to Marp / Reveal.js compatible Markdown
+ * @param {Object} pitch - Pitch with idea, name, elevator, slides and theme
+ * @returns {string} Markdown document
+ */
+function pitchToMarkdown(pitch) {
+  const frontMatter = [
+    '---',
+    'marp: true',
+    `title: ${JSON.stringify(pitch.name || '')}`,
+    `idea: ${JSON.stringify(pitch.idea || '')}`,
+    `deckTheme: ${pitch.theme || DEFAULT_DECK_THEME}`,
+    '---'
+  ].join('\n');
+
+  const elevator = (pitch.elevator || '').split('\n').map(line => escapeLine(line.trim())).join('\n');
+  const cover = `# ${escapeLine(pitch.name || '')}\n\n${elevator}`;
+  const sections = [cover, ...(pitch.slides || []).map(slideToMarkdown)];
+
+  return `${frontMatter}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * Read `key: value` pairs from YAML front matter
+ * Only flat scalars are supported; double-quoted values are read as JSON strings.
+ * @param {string} block - Front matter without the --- fences
+ * @returns {Object} Values by key
+ */
+function parseFrontMatter(block) {
+  const data = {};
+
+  block.split('\n').forEach(line => {
+    const match = line.match(/^([A-Za-z][\w-]*):[ \t]*(.*)$/);
+    if (!match) {
+      return;
+    }
+
+    const value = match[2].trim();
+    try {
+      data[match[1]] = value.startsWith('"') ? JSON.parse(value) : value;
+    } catch (error) {
+      data[match[1]] = value;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Read the pitchperfect metadata comment of a section
+ * @param {string} section - Markdown section
+ * @returns {Object} Metadata, empty when missing or malformed
+ */
+function parseMeta(section) {
+  const match = section.match(META_PATTERN);
+  if (!match) {
+    return {};
+  }
+
+  try {
+    const meta = JSON.parse(match[1]);
+    return meta && typeof meta === 'object' && !Array.isArray(meta) ? meta : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Split a Markdown table row into cell values
+ * @param {string} row - Row such as `| $4.2B | Market size |`
+ * @returns {string[]} Cells
+ */
+function parseTableRow(row) {
+  return row
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.replace(/\\\|/g, '|').trim());
+}
+
+/**
+ * Turn a Markdown section back into a slide
+ * The first heading is the title, list items are bullets, table rows (after
+ * the header) are metrics and any other text is the subtitle.
+ * @param {string} section - Markdown section
+ * @returns {Object|string} Slide, or the HTML of a legacy slide
+ */
+function markdownToSlide(section) {
+  const meta = parseMeta(section);
+  const content = section.replace(COMMENT_PATTERN, '').trim();
+
+  if (meta.html === true) {
+    return content;
+  }
+
+  const slide = { title: '', bullets: [], metrics: [] };
+  const text = [];
+  let tableRows = 0;
+
+  content.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const bullet = line.match(/^[-*+]\s+(.*)$/);
+
+    if (heading && !slide.title) {
+      slide.title = unescapeLine(heading[1].trim());
+    } else if (bullet) {
+      slide.bullets.push(bullet[1].trim());
+    } else if (line.startsWith('|')) {
+      tableRows += 1;
+      const [value, label] = parseTableRow(line);
+      // Skip the header row and the --- alignment row
+      if (tableRows > 1 && !/^:?-{3,}:?$/.test(value) && value && label) {
+        slide.metrics.push({ value, label });
+      }
+    } else {
+      text.push(unescapeLine(heading ? heading[1].trim() : line));
+    }
+  });
+
+  if (text.length > 0) {
+    slide.subtitle = text.join(' ');
+  }
+
+  ['type', 'theme', 'icon'].forEach(key => {
+    if (typeof meta[key] === 'string') {
+      slide[key] = meta[key];
+    }
+  });
+
+  return slide;
+}
+
+/**
+ * Parse Markdown written by pitchToMarkdown (or by hand in the same shape) into a pitch
+ * The first section is the cover: a heading with the name followed by the
+ * elevator pitch. The result is not validated; see validateImportedPitch.
+ * @param {string} markdown - Markdown document
+ * @returns {Object} { idea, name, elevator, theme, slides }
+ */
+function markdownToPitch(markdown) {
+  let body = markdown.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+  let frontMatter = {};
+
+  const frontMatterMatch = body.match(FRONT_MATTER_PATTERN);
+  if (frontMatterMatch) {
+    frontMatter = parseFrontMatter(frontMatterMatch[1]);
+    body = body.slice(frontMatterMatch[0].length);
+  }
+
+  const [cover = '', ...sections] = body
+    .split(SLIDE_SEPARATOR)
+    .map(section => section.trim())
+    .filter(Boolean);
+
+  const coverLines = cover.replace(COMMENT_PATTERN, '').trim().split('\n');
+  const heading = coverLines[0] ? coverLines[0].match(/^#{1,6}\s+(.*)$/) : null;
+  const name = heading ? unescapeLine(heading[1].trim()) : (frontMatter.title || '');
+  const elevator = (heading ? coverLines.slice(1) : coverLines)
+    .map(line => unescapeLine(line.trim()))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    idea: frontMatter.idea || elevator,
+    name,
+    elevator,
+    theme: frontMatter.deckTheme || DEFAULT_DECK_THEME,
+    slides: sections.map(markdownToSlide)
+  };
+}
+
+module.exports = {
+  pitchToMarkdown,
+  markdownToPitch
+};
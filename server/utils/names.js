@@ -0,0 +1,286 @@
+/**
+ * Company name helpers
+ * Offline checks for name candidates (length, pronounceability and collisions
+ * with well-known brands) and the rewrite that swaps a pitch over to a new name.
+ * Domain availability needs the network and lives in services/domains.
+ */
+
+const { WELL_KNOWN_BRANDS } = require('./brands');
+const { ELEVATOR_VARIANT_TYPES, normalizeElevatorVariants } = require('./elevator');
+
+const NAME_CANDIDATE_LIMITS = { min: 5, max: 10 };
+const NAME_MAX_LENGTH = 100;
+const RATIONALE_MAX_LENGTH = 300;
+
+// Letters of a name, ignoring spaces and punctuation; 4-12 reads well on a slide and in a URL
+const NAME_LENGTH = { min: 4, ideal: 12, max: 18 };
+const NAME_MAX_WORDS = 3;
+
+const VOWELS = /[aeiouy]/;
+const LETTER_OR_DIGIT = '\\p{L}\\p{N}';
+
+// Slide fields that hold free text
+const TEXT_FIELDS = ['title', 'subtitle', 'html', 'notes'];
+
+/**
+ * Lowercase letters and digits of a name, e.g. "Green Link" -> "greenlink"
+ * @param {string} name - Company name
+ * @returns {string} Compact name, also used as the domain label
+ */
+function toDomainLabel(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check that a name is short enough to say, type and fit on a title slide
+ * @param {string} name - Company name
+ * @returns {Object} { ok, letters, words, message }
+ */
+function checkNameLength(name) {
+  const letters = toDomainLabel(name).length;
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean).length;
+
+  let message = 'Good length';
+  if (letters < NAME_LENGTH.min) {
+    message = 'Very short, likely taken everywhere';
+  } else if (words > NAME_MAX_WORDS) {
+    message = `More than ${NAME_MAX_WORDS} words`;
+  } else if (letters > NAME_LENGTH.max) {
+    message = 'Too long to remember';
+  } else if (letters > NAME_LENGTH.ideal) {
+    message = 'On the long side';
+  }
+
+  return {
+    ok: letters >= NAME_LENGTH.min && letters <= NAME_LENGTH.ideal && words <= NAME_MAX_WORDS,
+    letters,
+    words,
+    message
+  };
+}
+
+/**
+ * Estimate how easy a name is to say from its letter patterns
+ * Long consonant clusters, too few or too many vowels, tripled letters and
+ * digits all make a name harder to say and to spell after hearing it.
+ * @param {string} name - Company name
+ * @returns {Object} { score, level, issues } with score from 0 to 100 and level easy, ok or hard
+ */
+function checkPronounceability(name) {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const letters = words.join('');
+  const issues = [];
+  let score = 100;
+
+  if (!letters) {
+    return { score: 0, level: 'hard', issues: ['No letters'] };
+  }
+
+  const longestCluster = Math.max(0, ...words.map(word => Math.max(0, ...word.split(VOWELS).map(run => run.replace(/[0-9]/g, '').length))));
+  if (longestCluster >= 4) {
+    score -= 40;
+    issues.push('Long consonant cluster');
+  } else if (longestCluster === 3) {
+    score -= 15;
+  }
+
+  const vowelRatio = letters.replace(/[^aeiouy]/g, '').length / letters.replace(/[0-9]/g, '').length || 0;
+  if (vowelRatio < 0.2) {
+    score -= 35;
+    issues.push('Too few vowels');
+  } else if (vowelRatio > 0.7) {
+    score -= 20;
+    issues.push('Mostly vowels');
+  }
+
+  if (/(.)\1\1/.test(letters)) {
+    score -= 20;
+    issues.push('Tripled letter');
+  }
+
+  if (/[0-9]/.test(letters)) {
+    score -= 15;
+    issues.push('Digits are hard to spell out');
+  }
+
+  score = Math.max(0, score);
+
+  return {
+    score,
+    level: score >= 75 ? 'easy' : score >= 50 ? 'ok' : 'hard',
+    issues
+  };
+}
+
+/**
+ * Levenshtein distance between two short strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find well-known brands a name is identical to, contains or is one typo away from
+ * This is a trademark-style smell test against a local list, not a legal search.
+ * @param {string} name - Company name
+ * @returns {Object[]} Collisions as { brand, match } with match exact, contains or similar
+ */
+function findBrandCollisions(name) {
+  const label = toDomainLabel(name);
+  const words = String(name || '').normalize('NFKD').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+  if (!label) {
+    return [];
+  }
+
+  return WELL_KNOWN_BRANDS.reduce((collisions, brand) => {
+    const brandLabel = toDomainLabel(brand);
+
+    if (brandLabel === label) {
+      collisions.push({ brand, match: 'exact' });
+    } else if (brandLabel.length >= 4 && (words.includes(brandLabel) || label.startsWith(brandLabel))) {
+      collisions.push({ brand, match: 'contains' });
+    } else if (brandLabel.length >= 5 && Math.abs(brandLabel.length - label.length) <= 2
+      && editDistance(brandLabel, label) <= (brandLabel.length >= 8 ? 2 : 1)) {
+      collisions.push({ brand, match: 'similar' });
+    }
+
+    return collisions;
+  }, []);
+}
+
+/**
+ * Coerce name candidates from the model into { name, rationale } pairs
+ * The chosen company name always comes first, duplicates are dropped and the
+ * list is clipped to the requested count.
+ * @param {*} candidates - Raw `nameCandidates` value
+ * @param {string} chosenName - Name the pitch was written with
+ * @param {number} count - Requested number of candidates
+ * @returns {Object[]} Candidates
+ */
+function normalizeNameCandidates(candidates, chosenName, count) {
+  const clean = (value, max) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '');
+  const seen = new Set();
+
+  const entries = (Array.isArray(candidates) ? candidates : [])
+    .map(candidate => (typeof candidate === 'string' ? { name: candidate } : candidate || {}))
+    .map(candidate => ({ name: clean(candidate.name, NAME_MAX_LENGTH), rationale: clean(candidate.rationale, RATIONALE_MAX_LENGTH) }))
+    .filter(candidate => candidate.name);
+
+  const chosen = entries.find(candidate => candidate.name.toLowerCase() === chosenName.toLowerCase())
+    || { name: chosenName, rationale: '' };
+
+  return [chosen, ...entries]
+    .filter(candidate => {
+      const key = candidate.name.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, count);
+}
+
+/**
+ * Replace whole-word mentions of one name with another
+ * Mentions written in capitals, like slide titles, stay in capitals.
+ * @param {string} text - Text to rewrite
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ * @returns {string} Rewritten text
+ */
+function replaceName(text, from, to) {
+  if (typeof text !== 'string' || !from) {
+    return text;
+  }
+
+  const escaped = from.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const pattern = new RegExp(`(?<![${LETTER_OR_DIGIT}])${escaped}(?![${LETTER_OR_DIGIT}])`, 'giu');
+  const isCapitalized = mention => mention === mention.toUpperCase() && mention !== from && mention !== mention.toLowerCase();
+
+  return text.replace(pattern, mention => (isCapitalized(mention) ? to.toUpperCase() : to));
+}
+
+/**
+ * Rename a pitch, rewriting every slide, speaker note, script section and elevator pitch variant that mentions the old name
+ * @param {Object} pitch - Pitch with name, elevator, slides and optional script and elevatorVariants
+ * @param {string} newName - Name to switch to
+ * @returns {Object} { name, elevator, slides, script, elevatorVariants } with the new name applied
+ */
+function renamePitch(pitch, newName) {
+  const from = pitch.name;
+  const to = newName.trim();
+  const rename = text => replaceName(text, from, to);
+
+  const slides = (pitch.slides || []).map(slide => {
+    if (typeof slide === 'string') {
+      return rename(slide);
+    }
+
+    const renamed = { ...slide };
+    TEXT_FIELDS.forEach(field => {
+      if (typeof slide[field] === 'string') {
+        renamed[field] = rename(slide[field]);
+      }
+    });
+    if (Array.isArray(slide.bullets)) {
+      renamed.bullets = slide.bullets.map(rename);
+    }
+    if (Array.isArray(slide.metrics)) {
+      renamed.metrics = slide.metrics.map(metric => ({ ...metric, value: rename(metric.value), label: rename(metric.label) }));
+    }
+    return renamed;
+  });
+
+  let elevatorVariants = pitch.elevatorVariants;
+  if (elevatorVariants) {
+    const renamed = Object.fromEntries(ELEVATOR_VARIANT_TYPES.map(type => [type, rename(elevatorVariants[type])]));
+    // A longer name can push the tweet past its limit
+    elevatorVariants = { ...elevatorVariants, ...(normalizeElevatorVariants(renamed) || renamed) };
+  }
+
+  return {
+    name: to,
+    elevator: rename(pitch.elevator),
+    slides,
+    script: pitch.script ? { ...pitch.script, sections: (pitch.script.sections || []).map(rename) } : pitch.script,
+    elevatorVariants
+  };
+}
+
+module.exports = {
+  NAME_CANDIDATE_LIMITS,
+  NAME_MAX_LENGTH,
+  toDomainLabel,
+  checkNameLength,
+  checkPronounceability,
+  findBrandCollisions,
+  normalizeNameCandidates,
+  replaceName,
+  renamePitch
+};
@@ -0,0 +1,252 @@
+/**
+ * Incremental pitch parsing for streamed model output
+ * The model streams one JSON object ({ name, elevator, slides }) token by token.
+ * These helpers pull out every field that is already complete so it can be sent
+ * to the client before the whole document has arrived.
+ */
+
+/**
+ * Read a JSON string literal starting at an opening quote
+ * @param {string} text - Partial JSON text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object|null} Parsed value and end index, or null when not closed yet
+ */
+function readStringLiteral(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text[i] === '"') {
+      try {
+        return { value: JSON.parse(text.slice(start, i + 1)), end: i + 1 };
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a JSON object literal starting at an opening brace
+ * @param {string} text - Partial JSON text
+ * @param {number} start - Index of the opening brace
+ * @returns {Object|null} Parsed value and end index, or null when not closed yet
+ */
+function readObjectLiteral(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return { value: JSON.parse(text.slice(start, i + 1)), end: i + 1 };
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Index of the first character at or after `index` that is not whitespace
+ * @param {string} text - Partial JSON text
+ * @param {number} index - Where to start looking
+ * @returns {number} Index, or text.length when only whitespace follows
+ */
+function skipWhitespace(text, index) {
+  while (index < text.length && /\s/.test(text[index])) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Create a reader for a pitch that grows one token at a time
+ * The reader remembers how far it got: top-level keys are found by scanning
+ * each character once, and slides are read from the end of the last completed
+ * one, so every finished part is parsed only once. Only keys of the root object
+ * count, which keeps `nameCandidates[].name` from being taken for the name.
+ * @returns {Object} Reader with a read(contentSoFar) method
+ */
+function createPartialPitchReader() {
+  const partial = { name: null, elevator: null, slides: [] };
+  // Index of the value of each top-level key
+  const keys = {};
+  const scan = { index: 0, depth: 0, inString: false, escaped: false, stringStart: -1, lastString: null };
+  // Where the next slide starts, once the slides array has opened
+  let slideOffset = -1;
+  let slidesDone = false;
+
+  const scanKeys = (text) => {
+    for (; scan.index < text.length; scan.index++) {
+      const char = text[scan.index];
+
+      if (scan.inString) {
+        if (scan.escaped) {
+          scan.escaped = false;
+        } else if (char === '\\') {
+          scan.escaped = true;
+        } else if (char === '"') {
+          scan.inString = false;
+          if (scan.depth === 1) {
+            scan.lastString = text.slice(scan.stringStart, scan.index + 1);
+          }
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        continue;
+      }
+
+      if (char === ':' && scan.depth === 1 && scan.lastString !== null) {
+        try {
+          const key = JSON.parse(scan.lastString);
+          if (!(key in keys)) {
+            keys[key] = scan.index + 1;
+          }
+        } catch (error) {
+          // Not a key we read
+        }
+      } else if (char === '"') {
+        scan.inString = true;
+        scan.stringStart = scan.index;
+      } else if (char === '{' || char === '[') {
+        scan.depth++;
+      } else if (char === '}' || char === ']') {
+        scan.depth--;
+      }
+      scan.lastString = null;
+    }
+  };
+
+  const readStringField = (text, key) => {
+    if (partial[key] !== null || keys[key] === undefined) {
+      return;
+    }
+
+    const start = skipWhitespace(text, keys[key]);
+    if (text[start] === '"') {
+      const literal = readStringLiteral(text, start);
+      if (literal) {
+        partial[key] = literal.value;
+      }
+    }
+  };
+
+  // Slides are objects; plain strings are still accepted from models that
+  // answer with the legacy HTML format
+  const readSlides = (text) => {
+    if (slidesDone || keys.slides === undefined) {
+      return;
+    }
+
+    if (slideOffset === -1) {
+      const start = skipWhitespace(text, keys.slides);
+      if (text[start] !== '[') {
+        return;
+      }
+      slideOffset = start + 1;
+    }
+
+    while (slideOffset < text.length) {
+      const char = text[slideOffset];
+      if (char === ']') {
+        slidesDone = true;
+        return;
+      }
+      if (char !== '"' && char !== '{') {
+        slideOffset++;
+        continue;
+      }
+
+      const literal = char === '{' ? readObjectLiteral(text, slideOffset) : readStringLiteral(text, slideOffset);
+      if (!literal) {
+        return;
+      }
+      partial.slides.push(literal.value);
+      slideOffset = literal.end;
+    }
+  };
+
+  return {
+    /**
+     * Read what has been completed since the last call
+     * @param {string} text - Partial JSON text, the previous text plus new tokens
+     * @returns {Object} name, elevator (null until complete) and completed slides
+     */
+    read(text) {
+      scanKeys(text);
+      readStringField(text, 'name');
+      readStringField(text, 'elevator');
+      readSlides(text);
+      return partial;
+    }
+  };
+}
+
+/**
+ * Extract the completed parts of a partially streamed pitch
+ * @param {string} text - Partial JSON text
+ * @returns {Object} name, elevator (null until complete) and completed slides
+ */
+function extractPartialPitch(text) {
+  return createPartialPitchReader().read(text);
+}
+
+/**
+ * Create a parser that emits each pitch part exactly once
+ * @param {Function} onEvent - Called with (event, data) for `name`, `elevator` and `slide`
+ * @returns {Object} Parser with a push(contentSoFar) method
+ */
+function createPitchStreamParser(onEvent) {
+  const reader = createPartialPitchReader();
+  const emitted = { name: false, elevator: false, slides: 0 };
+
+  return {
+    push(contentSoFar) {
+      const partial = reader.read(contentSoFar);
+
+      if (!emitted.name && partial.name) {
+        emitted.name = true;
+        onEvent('name', { name: partial.name });
+      }
+
+      if (!emitted.elevator && partial.elevator) {
+        emitted.elevator = true;
+        onEvent('elevator', { elevator: partial.elevator });
+      }
+
+      while (emitted.slides < partial.slides.length) {
+        onEvent('slide', { index: emitted.slides, slide: partial.slides[emitted.slides] });
+        emitted.slides++;
+      }
+    }
+  };
+}
+
+module.exports = {
+  extractPartialPitch,
+  createPitchStreamParser
+};
@@ -0,0 +1,85 @@
+/**
+ * Pitch revision helpers
+ * A revision is a copy of the content of a pitch (name, elevator pitch, slides,
+ * deck theme and brand kit) as it was after one change. Scripts, variants and
+ * critiques are derived from that content, so they are not part of a revision.
+ */
+
+const REVISION_REASONS = {
+  original: 'Original',
+  edit: 'Edited',
+  theme: 'Theme changed',
+  regenerate: 'Slide regenerated',
+  notes: 'Speaker notes written',
+  script: 'Script written',
+  rename: 'Renamed',
+  restore: 'Restored'
+};
+
+// Older revisions of a pitch are dropped past this many
+const REVISION_LIMIT = 100;
+
+/**
+ * Copy the revisioned content of a pitch
+ * @param {Object} pitch - Pitch document or plain object
+ * @returns {Object} { name, elevator, slides, theme, brand } as plain data
+ */
+function snapshotPitch(pitch) {
+  const plain = typeof pitch.toObject === 'function' ? pitch.toObject() : pitch;
+  return JSON.parse(JSON.stringify({
+    name: plain.name,
+    elevator: plain.elevator,
+    slides: plain.slides || [],
+    theme: plain.theme,
+    brand: plain.brand || {}
+  }));
+}
+
+/**
+ * Whether two snapshots hold the same content
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} True when nothing changed
+ */
+function isSameSnapshot(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Describe a PATCH /api/history/:id body for the revision list
+ * @param {Object} updates - Validated request body
+ * @returns {Object} { reason, summary }: theme when only the look changed, edit otherwise
+ */
+function describePitchUpdate({ name, elevator, slides, theme, brand }) {
+  const parts = [];
+  if (name !== undefined) {
+    parts.push('name');
+  }
+  if (elevator !== undefined) {
+    parts.push('elevator pitch');
+  }
+  if (slides !== undefined) {
+    const numbers = Object.keys(slides).map(index => Number(index) + 1);
+    parts.push(`${numbers.length === 1 ? 'slide' : 'slides'} ${numbers.join(', ')}`);
+  }
+  if (theme !== undefined) {
+    parts.push('theme');
+  }
+  if (brand !== undefined) {
+    parts.push('brand kit');
+  }
+
+  const isLookOnly = name === undefined && elevator === undefined && slides === undefined;
+  return {
+    reason: isLookOnly ? 'theme' : 'edit',
+    summary: `Changed ${parts.join(', ')}`
+  };
+}
+
+module.exports = {
+  REVISION_REASONS,
+  REVISION_LIMIT,
+  snapshotPitch,
+  isSameSnapshot,
+  describePitchUpdate
+};
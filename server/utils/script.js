@@ -0,0 +1,74 @@
+/**
+ * Pitch script helpers
+ * A script is the spoken version of a deck: one section of text per slide,
+ * written for a target length. Lengths are turned into word budgets at a
+ * conversational speaking pace.
+ */
+
+// Target lengths in seconds: a 60-second elevator pitch, a 3-minute demo day slot and a 5-minute pitch
+const SCRIPT_DURATIONS = [60, 180, 300];
+const DEFAULT_SCRIPT_DURATION = 180;
+const WORDS_PER_MINUTE = 140;
+
+// Slides with talking points keep them in their speaker notes, one "- " line per point
+const TALKING_POINT_PREFIX = '- ';
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return typeof text === 'string' ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+/**
+ * Number of words that fit in a spoken length
+ * @param {number} duration - Length in seconds
+ * @returns {number} Word budget
+ */
+function getWordBudget(duration) {
+  return Math.round((duration / 60) * WORDS_PER_MINUTE);
+}
+
+/**
+ * Estimate how long a text takes to say
+ * @param {string} text - Spoken text
+ * @returns {number} Seconds, rounded
+ */
+function estimateSpeakingTime(text) {
+  return Math.round((countWords(text) / WORDS_PER_MINUTE) * 60);
+}
+
+/**
+ * Write talking points as speaker notes
+ * @param {string[]} points - Talking points
+ * @returns {string} Notes with one "- " line per point
+ */
+function talkingPointsToNotes(points) {
+  return points
+    .map(point => point.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(point => `${TALKING_POINT_PREFIX}${point}`)
+    .join('\n');
+}
+
+/**
+ * Join a script's sections into the full spoken text
+ * @param {Object} script - Script with sections
+ * @returns {string} Script text, one paragraph per slide
+ */
+function scriptToText(script) {
+  return script && Array.isArray(script.sections) ? script.sections.filter(Boolean).join('\n\n') : '';
+}
+
+module.exports = {
+  SCRIPT_DURATIONS,
+  DEFAULT_SCRIPT_DURATION,
+  WORDS_PER_MINUTE,
+  countWords,
+  getWordBudget,
+  estimateSpeakingTime,
+  talkingPointsToNotes,
+  scriptToText
+};
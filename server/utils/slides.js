@@ -0,0 +1,338 @@
+const sanitizeHtml = require('sanitize-html');
+const { SLIDE_THEMES, getSlideStyle, getBrandFonts, isLogoDataUrl } = require('./themes');
+
+/**
+ * Slide schema, rendering and text helpers
+ * Slides are stored as typed JSON ({ type, title, subtitle, bullets, icon,
+ * metrics, theme }) and turned into HTML only when they are displayed or
+ * exported. client/src/services/slides.js renders the same markup in the
+ * browser; keep the two in sync.
+ */
+
+const SLIDE_TYPES = [
+  'title',
+  'problem',
+  'solution',
+  'why-now',
+  'market',
+  'product',
+  'business-model',
+  'traction',
+  'competition',
+  'team',
+  'ask',
+  'cta',
+  'custom'
+];
+
+// Names used in prompts and in the deck builder
+const SLIDE_TYPE_LABELS = {
+  title: 'Title',
+  problem: 'Problem',
+  solution: 'Solution',
+  'why-now': 'Why Now',
+  market: 'Market Size',
+  product: 'Product',
+  'business-model': 'Business Model',
+  traction: 'Traction',
+  competition: 'Competition',
+  team: 'Team',
+  ask: 'The Ask',
+  cta: 'Call to Action',
+  custom: 'Custom'
+};
+
+// Named slide plans a request can ask for instead of listing slide types
+const SLIDE_PLANS = {
+  standard: ['problem', 'solution', 'market', 'cta'],
+  short: ['problem', 'solution', 'cta'],
+  yc: ['problem', 'solution', 'why-now', 'market', 'product', 'business-model', 'traction', 'competition', 'team', 'ask']
+};
+
+const DEFAULT_SLIDE_PLAN = 'standard';
+
+const SLIDE_PLAN_LIMITS = { min: 3, max: 12 };
+
+const SLIDE_TYPE_DEFAULTS = {
+  title: { theme: 'purple', icon: '🌟' },
+  problem: { theme: 'purple', icon: '🔥' },
+  solution: { theme: 'blue', icon: '💡' },
+  'why-now': { theme: 'amber', icon: '⚡' },
+  market: { theme: 'emerald', icon: '📈' },
+  product: { theme: 'blue', icon: '🎯' },
+  'business-model': { theme: 'emerald', icon: '💰' },
+  traction: { theme: 'amber', icon: '📊' },
+  competition: { theme: 'slate', icon: '🏆' },
+  team: { theme: 'blue', icon: '👥' },
+  ask: { theme: 'rose', icon: '💎' },
+  cta: { theme: 'rose', icon: '🚀' },
+  custom: { theme: 'slate', icon: '✨' }
+};
+
+const SLIDE_LIMITS = {
+  title: 120,
+  subtitle: 400,
+  bullets: 6,
+  bullet: 200,
+  icon: 16,
+  metrics: 4,
+  metricValue: 40,
+  metricLabel: 80,
+  html: 20000,
+  notes: 2000
+};
+
+// Legacy slides are raw model HTML, which is injected into the page with
+// dangerouslySetInnerHTML and into the PDF renderer with innerHTML, so it is
+// reduced to layout markup and Tailwind classes. No tag that loads a URL and no
+// attribute but `class` survives.
+const SLIDE_SANITIZE_OPTIONS = {
+  allowedTags: ['section', 'div', 'h1', 'h2', 'h3', 'p', 'ul', 'ol', 'li', 'span', 'strong', 'em', 'br'],
+  allowedAttributes: { '*': ['class'] },
+  allowedSchemes: [],
+  // Drop these together with their content instead of keeping it as text
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe', 'object', 'embed', 'template', 'svg', 'math'],
+  disallowedTagsMode: 'discard',
+  transformTags: {
+    '*': (tagName, attribs) => {
+      if (attribs.class === undefined) {
+        return { tagName, attribs };
+      }
+
+      // Keep Tailwind-style tokens only; no parentheses means no url(...) in arbitrary values
+      const safeClasses = attribs.class
+        .split(/\s+/)
+        .filter(token => /^[a-z0-9_:./%#\-[\]]+$/i.test(token))
+        .join(' ');
+
+      return { tagName, attribs: safeClasses ? { class: safeClasses } : {} };
+    }
+  }
+};
+
+/**
+ * Strip everything but allowlisted layout tags and class attributes from slide HTML
+ * @param {string} slide - Slide HTML, usually straight from the model
+ * @returns {string} Safe slide HTML
+ */
+function sanitizeSlideHtml(slide) {
+  if (typeof slide !== 'string') {
+    return '';
+  }
+
+  return sanitizeHtml(slide, SLIDE_SANITIZE_OPTIONS).trim();
+}
+
+/**
+ * Trim a value to a string of at most `max` characters
+ * @param {*} value - Raw value
+ * @param {number} max - Maximum length
+ * @returns {string} Clean string, empty for non-strings
+ */
+function cleanText(value, max) {
+  if (typeof value === 'number') {
+    value = String(value);
+  }
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '';
+}
+
+/**
+ * Trim speaker notes, keeping their line breaks
+ * @param {*} value - Raw notes
+ * @returns {string} Clean notes, empty for non-strings
+ */
+function cleanNotes(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+
+  return value
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, SLIDE_LIMITS.notes);
+}
+
+/**
+ * Coerce a slide from the model, the database or a client into the slide schema
+ * Unknown fields are dropped, text is trimmed and clipped, and missing type,
+ * theme and icon fall back to the defaults for the slide type. Legacy HTML
+ * strings become `custom` slides that keep their sanitized markup. Speaker
+ * notes are only present on slides that have them.
+ * @param {Object|string} slide - Raw slide
+ * @returns {Object} Slide matching the schema
+ */
+function normalizeSlide(slide) {
+  if (typeof slide === 'string') {
+    return { type: 'custom', html: sanitizeSlideHtml(slide.slice(0, SLIDE_LIMITS.html)) };
+  }
+
+  const raw = slide && typeof slide === 'object' ? slide : {};
+  const type = SLIDE_TYPES.includes(raw.type) ? raw.type : 'custom';
+  const defaults = SLIDE_TYPE_DEFAULTS[type];
+  const notes = cleanNotes(raw.notes);
+  const withNotes = normalized => (notes ? { ...normalized, notes } : normalized);
+
+  if (typeof raw.html === 'string' && raw.html.trim() && !raw.title) {
+    return withNotes({ type: 'custom', html: sanitizeSlideHtml(raw.html.slice(0, SLIDE_LIMITS.html)) });
+  }
+
+  const bullets = (Array.isArray(raw.bullets) ? raw.bullets : [])
+    .map(bullet => cleanText(bullet, SLIDE_LIMITS.bullet))
+    .filter(Boolean)
+    .slice(0, SLIDE_LIMITS.bullets);
+
+  const metrics = (Array.isArray(raw.metrics) ? raw.metrics : [])
+    .map(metric => ({
+      value: cleanText(metric && metric.value, SLIDE_LIMITS.metricValue),
+      label: cleanText(metric && metric.label, SLIDE_LIMITS.metricLabel)
+    }))
+    .filter(metric => metric.value && metric.label)
+    .slice(0, SLIDE_LIMITS.metrics);
+
+  return withNotes({
+    type,
+    title: cleanText(raw.title, SLIDE_LIMITS.title),
+    subtitle: cleanText(raw.subtitle, SLIDE_LIMITS.subtitle),
+    bullets,
+    icon: cleanText(raw.icon, SLIDE_LIMITS.icon) || defaults.icon,
+    metrics,
+    theme: Object.prototype.hasOwnProperty.call(SLIDE_THEMES, raw.theme) ? raw.theme : defaults.theme
+  });
+}
+
+/**
+ * Turn a requested slide plan into the list of slide types to generate
+ * @param {string|string[]} [plan] - Preset name (see SLIDE_PLANS) or slide types in order
+ * @returns {string[]} Slide types, defaulting to the standard 4-slide deck
+ */
+function resolveSlidePlan(plan) {
+  if (Array.isArray(plan)) {
+    return [...plan];
+  }
+
+  return SLIDE_PLANS[plan] ? [...SLIDE_PLANS[plan]] : [...SLIDE_PLANS[DEFAULT_SLIDE_PLAN]];
+}
+
+/**
+ * Default theme and icon for a slide type
+ * @param {string} type - Slide type
+ * @returns {Object} { theme, icon }
+ */
+function getSlideTypeDefaults(type) {
+  return SLIDE_TYPE_DEFAULTS[type] || SLIDE_TYPE_DEFAULTS.custom;
+}
+
+/**
+ * Escape text for safe interpolation into HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a slide as Tailwind-styled HTML
+ * @param {Object|string} slide - Slide object, or a legacy HTML string
+ * @param {Object} [options] - Deck options
+ * @param {string} [options.theme] - Deck theme name (see DECK_THEMES)
+ * @param {Object} [options.brand] - Brand kit: colors for the brand theme, plus a logo and fonts for every theme
+ * @returns {string} Slide HTML
+ */
+function renderSlideHtml(slide, options = {}) {
+  const normalized = normalizeSlide(slide);
+
+  // Legacy slides carry their own markup, so deck themes don't apply to them
+  if (normalized.html !== undefined) {
+    return normalized.html;
+  }
+
+  const { title, subtitle, bullets, icon, metrics } = normalized;
+  const style = getSlideStyle(normalized, options);
+  const fonts = getBrandFonts(options.brand);
+  const sectionCss = [style.sectionStyle, fonts && `font-family: ${fonts.body}`].filter(Boolean).join('; ');
+  const sectionStyle = sectionCss ? ` style="${escapeHtml(sectionCss)}"` : '';
+  const titleStyle = fonts ? ` style="${escapeHtml(`font-family: ${fonts.heading}`)}"` : '';
+  const overlay = style.overlay ? '<div class="absolute inset-0 bg-black/20"></div>' : '';
+  const logo = options.brand && isLogoDataUrl(options.brand.logo)
+    ? `<img src="${escapeHtml(options.brand.logo)}" alt="" class="absolute top-8 left-8 z-20 h-16 w-auto max-w-[12rem] object-contain">`
+    : '';
+
+  const parts = [
+    `<div class="text-6xl mb-6">${escapeHtml(icon)}</div>`,
+    `<h1 class="text-7xl md:text-8xl font-black mb-8 ${style.title} leading-tight"${titleStyle}>${escapeHtml(title)}</h1>`
+  ];
+
+  if (subtitle) {
+    parts.push(`<p class="text-2xl md:text-3xl ${style.text} font-light leading-relaxed mb-8">${escapeHtml(subtitle)}</p>`);
+  }
+
+  if (bullets.length > 0) {
+    const items = bullets
+      .map(bullet => `<li class="flex items-start"><span class="mr-3">•</span><span>${escapeHtml(bullet)}</span></li>`)
+      .join('');
+    parts.push(`<ul class="inline-block text-left text-xl md:text-2xl ${style.text} space-y-3 mb-8">${items}</ul>`);
+  }
+
+  if (metrics.length > 0) {
+    const cards = metrics
+      .map(({ value, label }) => `<div class="${style.card} rounded-2xl px-8 py-6"><div class="text-4xl md:text-5xl font-black ${style.value}">${escapeHtml(value)}</div><div class="text-sm uppercase tracking-wider ${style.text}">${escapeHtml(label)}</div></div>`)
+      .join('');
+    parts.push(`<div class="flex flex-wrap justify-center gap-6 mb-8">${cards}</div>`);
+  }
+
+  parts.push(`<div class="w-24 h-1 ${style.rule} mx-auto rounded-full"></div>`);
+
+  return `<section class="min-h-screen ${style.section} p-12 flex flex-col justify-center items-center relative overflow-hidden"${sectionStyle}>${overlay}${logo}<div class="relative z-10 text-center max-w-6xl mx-auto">${parts.join('')}</div></section>`;
+}
+
+/**
+ * Extract readable text from a slide
+ * @param {Object|string} slide - Slide object, or a legacy HTML string
+ * @returns {string} Plain text with collapsed whitespace
+ */
+function slideToText(slide) {
+  if (slide && typeof slide === 'object' && !slide.html) {
+    const metrics = (slide.metrics || []).map(({ value, label }) => `${value} ${label}`);
+    return [slide.title, slide.subtitle, ...(slide.bullets || []), ...metrics]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const html = slide && typeof slide === 'object' ? slide.html : slide;
+  if (typeof html !== 'string') {
+    return '';
+  }
+
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  SLIDE_TYPES,
+  SLIDE_TYPE_LABELS,
+  SLIDE_THEMES,
+  SLIDE_LIMITS,
+  SLIDE_PLANS,
+  SLIDE_PLAN_LIMITS,
+  resolveSlidePlan,
+  getSlideTypeDefaults,
+  normalizeSlide,
+  renderSlideHtml,
+  slideToText,
+  sanitizeSlideHtml
+};
@@ -0,0 +1,304 @@
+/**
+ * Deck theme registry and brand kit helpers
+ * A deck theme decides how every slide of a pitch is styled when it is
+ * rendered, so a deck can be re-skinned without asking the model to rewrite it.
+ * The default dark gradient theme colors each slide with its own palette (the
+ * slide's `theme` field); the other themes apply one look to the whole deck.
+ * A pitch's brand kit adds its logo and font pairing on top of any theme and
+ * supplies the colors of the brand theme.
+ * client/src/services/themes.js mirrors this registry; keep the two in sync.
+ */
+
+// Per-slide palettes used by the dark gradient theme.
+// Every class is spelled out in full so Tailwind's content scan picks them up.
+const SLIDE_THEMES = {
+  purple: {
+    background: 'from-slate-900 via-purple-900 to-slate-900',
+    title: 'from-white to-purple-200',
+    text: 'text-purple-100',
+    rule: 'from-purple-400 to-pink-400'
+  },
+  blue: {
+    background: 'from-blue-900 via-indigo-900 to-purple-900',
+    title: 'from-white to-blue-200',
+    text: 'text-blue-100',
+    rule: 'from-blue-400 to-indigo-400'
+  },
+  emerald: {
+    background: 'from-emerald-900 via-teal-900 to-cyan-900',
+    title: 'from-white to-emerald-200',
+    text: 'text-emerald-100',
+    rule: 'from-emerald-400 to-teal-400'
+  },
+  rose: {
+    background: 'from-rose-900 via-pink-900 to-purple-900',
+    title: 'from-white to-rose-200',
+    text: 'text-rose-100',
+    rule: 'from-rose-400 to-pink-400'
+  },
+  amber: {
+    background: 'from-amber-900 via-orange-900 to-red-900',
+    title: 'from-white to-amber-200',
+    text: 'text-amber-100',
+    rule: 'from-amber-400 to-orange-400'
+  },
+  slate: {
+    background: 'from-gray-900 via-slate-800 to-gray-900',
+    title: 'from-white to-slate-300',
+    text: 'text-slate-200',
+    rule: 'from-slate-400 to-gray-400'
+  }
+};
+
+const DECK_THEMES = {
+  'dark-gradient': {
+    label: 'Dark Gradient',
+    description: 'Bold gradients with a different accent on every slide'
+  },
+  'light-corporate': {
+    label: 'Light Corporate',
+    description: 'Clean white slides with navy headings',
+    classes: {
+      section: 'bg-gradient-to-br from-white to-slate-100 text-slate-900',
+      title: 'text-slate-900',
+      text: 'text-slate-600',
+      rule: 'bg-blue-700',
+      card: 'bg-white shadow-lg border border-slate-200',
+      value: 'text-blue-800'
+    }
+  },
+  'minimal-mono': {
+    label: 'Minimal Monochrome',
+    description: 'Black on white, no color',
+    classes: {
+      section: 'bg-white text-neutral-900',
+      title: 'text-neutral-900',
+      text: 'text-neutral-600',
+      rule: 'bg-neutral-900',
+      card: 'border-2 border-neutral-900',
+      value: 'text-neutral-900'
+    }
+  },
+  brand: {
+    label: 'Brand Colors',
+    description: 'A gradient of your primary and secondary colors'
+  }
+};
+
+// Hex values of the Tailwind classes above for exporters that cannot use CSS.
+// Gradient stops follow the bg-gradient-to-br classes of each palette.
+const SLIDE_THEME_COLORS = {
+  purple: { background: ['#0f172a', '#581c87', '#0f172a'], text: '#f3e8ff', rule: '#c084fc' },
+  blue: { background: ['#1e3a8a', '#312e81', '#581c87'], text: '#dbeafe', rule: '#60a5fa' },
+  emerald: { background: ['#064e3b', '#134e4a', '#164e63'], text: '#d1fae5', rule: '#34d399' },
+  rose: { background: ['#881337', '#831843', '#581c87'], text: '#ffe4e6', rule: '#fb7185' },
+  amber: { background: ['#78350f', '#7c2d12', '#7f1d1d'], text: '#fef3c7', rule: '#fbbf24' },
+  slate: { background: ['#111827', '#1e293b', '#111827'], text: '#e2e8f0', rule: '#94a3b8' }
+};
+
+const DECK_THEME_COLORS = {
+  'light-corporate': {
+    background: ['#ffffff', '#f1f5f9'],
+    title: '#0f172a',
+    text: '#475569',
+    rule: '#1d4ed8',
+    card: { fill: '#ffffff', stroke: '#e2e8f0' },
+    value: '#1e40af'
+  },
+  'minimal-mono': {
+    background: ['#ffffff'],
+    title: '#171717',
+    text: '#525252',
+    rule: '#171717',
+    card: { stroke: '#171717' },
+    value: '#171717'
+  }
+};
+
+const DEFAULT_DECK_THEME = 'dark-gradient';
+
+const DEFAULT_BRAND_COLORS = {
+  primaryColor: '#1e3a8a',
+  secondaryColor: '#7c3aed'
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Font pairings a brand kit can pick from; the client loads them from Google Fonts
+const FONT_PAIRINGS = {
+  modern: { label: 'Modern', heading: "'Poppins', sans-serif", body: "'Inter', sans-serif" },
+  classic: { label: 'Classic', heading: "'Playfair Display', serif", body: "'Source Sans 3', sans-serif" },
+  technical: { label: 'Technical', heading: "'Space Grotesk', sans-serif", body: "'IBM Plex Sans', sans-serif" },
+  friendly: { label: 'Friendly', heading: "'Montserrat', sans-serif", body: "'Open Sans', sans-serif" }
+};
+
+// Logos are stored inline on the pitch as base64 data URLs. SVG is left out
+// because it can carry scripts.
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const LOGO_MAX_SIZE = 1024 * 1024;
+const LOGO_DATA_URL_PATTERN = /^data:(image\/(?:png|jpeg|webp));base64,([a-z0-9+/]+={0,2})$/i;
+
+/**
+ * Check whether a deck theme name is registered
+ * @param {string} name - Theme name
+ * @returns {boolean} True when the theme exists
+ */
+function isKnownDeckTheme(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(DECK_THEMES, name);
+}
+
+/**
+ * Fill in missing or malformed brand colors with the defaults
+ * @param {Object} [brand] - Brand settings stored on the pitch
+ * @returns {Object} { primaryColor, secondaryColor } as #rrggbb
+ */
+function resolveBrandColors(brand) {
+  const pick = key => (brand && HEX_COLOR_PATTERN.test(brand[key]) ? brand[key] : DEFAULT_BRAND_COLORS[key]);
+  return { primaryColor: pick('primaryColor'), secondaryColor: pick('secondaryColor') };
+}
+
+/**
+ * Check whether a value is a logo data URL the renderer can embed
+ * @param {string} value - Candidate data URL
+ * @returns {boolean} True for base64 PNG, JPEG and WebP data URLs
+ */
+function isLogoDataUrl(value) {
+  return typeof value === 'string' && LOGO_DATA_URL_PATTERN.test(value);
+}
+
+/**
+ * Split a logo data URL into its MIME type and decoded bytes
+ * @param {string} dataUrl - data:image/...;base64,... string
+ * @returns {Object|null} { type, data } or null when it is not a base64 image data URL
+ */
+function parseLogoDataUrl(dataUrl) {
+  const match = isLogoDataUrl(dataUrl) ? dataUrl.match(LOGO_DATA_URL_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  return { type: match[1].toLowerCase(), data: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Resolve the font families of a brand kit's font pairing
+ * @param {Object} [brand] - Brand settings stored on the pitch
+ * @returns {Object|null} { heading, body } CSS font-family values, or null to keep the theme's fonts
+ */
+function getBrandFonts(brand) {
+  const pairing = brand && FONT_PAIRINGS[brand.fontPairing];
+  return pairing ? { heading: pairing.heading, body: pairing.body } : null;
+}
+
+/**
+ * Decide whether dark text reads better than white text on a color
+ * @param {string} hex - Color as #rrggbb
+ * @returns {boolean} True for light colors
+ */
+function isLightColor(hex) {
+  const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+  // Relative luminance approximation from ITU-R BT.709
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.6;
+}
+
+/**
+ * Resolve the classes (and inline styles for brand colors) used to render a slide
+ * @param {Object} slide - Normalized slide
+ * @param {Object} [options] - Deck options
+ * @param {string} [options.theme] - Deck theme name, defaults to dark gradient
+ * @param {Object} [options.brand] - Brand colors for the brand theme
+ * @returns {Object} Classes for section, title, text, rule, card and value, plus sectionStyle and overlay
+ */
+function getSlideStyle(slide, { theme, brand } = {}) {
+  const deckTheme = isKnownDeckTheme(theme) ? theme : DEFAULT_DECK_THEME;
+
+  if (deckTheme === 'brand') {
+    const { primaryColor, secondaryColor } = resolveBrandColors(brand);
+    const light = isLightColor(primaryColor) && isLightColor(secondaryColor);
+
+    return {
+      section: light ? 'text-slate-900' : 'text-white',
+      sectionStyle: `background: linear-gradient(135deg, ${primaryColor}, ${secondaryColor})`,
+      overlay: false,
+      title: light ? 'text-slate-900' : 'text-white',
+      text: light ? 'text-slate-700' : 'text-white/80',
+      rule: light ? 'bg-slate-900/60' : 'bg-white/70',
+      card: light ? 'bg-white/60' : 'bg-white/15',
+      value: light ? 'text-slate-900' : 'text-white'
+    };
+  }
+
+  if (deckTheme !== 'dark-gradient') {
+    return { ...DECK_THEMES[deckTheme].classes, sectionStyle: null, overlay: false };
+  }
+
+  const palette = SLIDE_THEMES[slide.theme] || SLIDE_THEMES.slate;
+  return {
+    section: `bg-gradient-to-br ${palette.background} text-white`,
+    sectionStyle: null,
+    overlay: true,
+    title: `bg-gradient-to-r ${palette.title} bg-clip-text text-transparent`,
+    text: palette.text,
+    rule: `bg-gradient-to-r ${palette.rule}`,
+    card: 'bg-white/10',
+    value: 'text-white'
+  };
+}
+
+/**
+ * Resolve the hex colors used to draw a slide in the PDF and PPTX exports, mirroring getSlideStyle
+ * @param {Object} slide - Normalized slide
+ * @param {string} theme - Deck theme name
+ * @param {Object} [brand] - Brand kit
+ * @returns {Object} Background stops, overlay flag, and title, text, rule, card and value colors
+ */
+function getSlideColors(slide, theme, brand) {
+  if (theme === 'brand') {
+    const { primaryColor, secondaryColor } = resolveBrandColors(brand);
+    const light = isLightColor(primaryColor) && isLightColor(secondaryColor);
+
+    return {
+      background: [primaryColor, secondaryColor],
+      overlay: false,
+      title: light ? '#0f172a' : '#ffffff',
+      text: light ? '#334155' : '#ffffff',
+      rule: light ? '#0f172a' : '#ffffff',
+      card: { fill: '#ffffff', opacity: light ? 0.6 : 0.15 },
+      value: light ? '#0f172a' : '#ffffff'
+    };
+  }
+
+  if (DECK_THEME_COLORS[theme]) {
+    return { ...DECK_THEME_COLORS[theme], overlay: false };
+  }
+
+  const palette = SLIDE_THEME_COLORS[slide.theme] || SLIDE_THEME_COLORS.slate;
+  return {
+    background: palette.background,
+    overlay: true,
+    title: '#ffffff',
+    text: palette.text,
+    rule: palette.rule,
+    card: { fill: '#ffffff', opacity: 0.1 },
+    value: '#ffffff'
+  };
+}
+
+module.exports = {
+  SLIDE_THEMES,
+  DECK_THEMES,
+  DEFAULT_DECK_THEME,
+  DEFAULT_BRAND_COLORS,
+  HEX_COLOR_PATTERN,
+  FONT_PAIRINGS,
+  LOGO_TYPES,
+  LOGO_MAX_SIZE,
+  isKnownDeckTheme,
+  resolveBrandColors,
+  isLightColor,
+  isLogoDataUrl,
+  parseLogoDataUrl,
+  getBrandFonts,
+  getSlideStyle,
+  getSlideColors
+};
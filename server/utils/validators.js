@@ -2,6 +2,38 @@
  * Input validation utilities for API endpoints
  */
 
+const { isKnownProvider, listProviders } = require('../services/llm');
+const { SLIDE_TYPES, SLIDE_THEMES, SLIDE_LIMITS, SLIDE_PLANS, SLIDE_PLAN_LIMITS } = require('./slides');
+const {
+  DECK_THEMES,
+  HEX_COLOR_PATTERN,
+  FONT_PAIRINGS,
+  LOGO_TYPES,
+  LOGO_MAX_SIZE,
+  isKnownDeckTheme,
+  parseLogoDataUrl
+} = require('./themes');
+const { SCRIPT_DURATIONS } = require('./script');
+const { NAME_CANDIDATE_LIMITS, NAME_MAX_LENGTH } = require('./names');
+const { REMIX_INSTRUCTION_MAX_LENGTH } = require('./lineage');
+const {
+  HISTORY_SORT_OPTIONS,
+  DEFAULT_HISTORY_SORT,
+  HISTORY_SEARCH_MAX_LENGTH,
+  TAG_MAX_LENGTH,
+  TAG_FILTER_LIMIT,
+  TAG_PATTERN,
+  MAX_TAGS_PER_PITCH,
+  FOLDER_NAME_MAX_LENGTH,
+  UNFILED_FOLDER,
+  OBJECT_ID_PATTERN,
+  normalizeTag,
+  parseTagList,
+  decodeCursor
+} = require('./history');
+
+const MARKDOWN_IMPORT_MAX_LENGTH = 200000;
+
 /**
  * Validate code prompt generation input
  * @param {Object} input - Input object to validate
@@ -95,14 +127,42 @@ function sanitizeInput(input) {
     .slice(0, 2000); // Limit length
 }
 
+// Leading bytes of the image formats accepted for uploads
+const IMAGE_SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  // RIFF....WEBP; the four size bytes in between are skipped with null
+  'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]]
+};
+
+/**
+ * Check that file contents start with the signature of their declared image type
+ * @param {Buffer} data - File contents
+ * @param {string} type - Declared MIME type
+ * @returns {boolean} True when the bytes match the type
+ */
+function matchesImageSignature(data, type) {
+  return (IMAGE_SIGNATURES[type] || []).some(signature =>
+    data.length >= signature.length && signature.every((byte, index) => byte === null || data[index] === byte)
+  );
+}
+
 /**
  * Validate file upload parameters
  * @param {Object} fileData - File data to validate
+ * @param {string} fileData.filename - Original file name
+ * @param {number} fileData.size - Size in bytes
+ * @param {string} fileData.type - MIME type
+ * @param {Buffer} [fileData.data] - Contents; images are checked against their declared type
+ * @param {Object} [options] - Upload rules, defaulting to text and JSON files up to 5MB
+ * @param {string[]} [options.allowedTypes] - Accepted MIME types
+ * @param {number} [options.maxSize] - Maximum size in bytes
  * @returns {Object} Validation result
  */
-function validateFileUpload(fileData) {
+function validateFileUpload(fileData, options = {}) {
   const errors = [];
-  const { filename, size, type } = fileData;
+  const { filename, size, type, data } = fileData;
+  const { allowedTypes = ['text/plain', 'application/json'], maxSize = 5 * 1024 * 1024 } = options;
   
   if (!filename || typeof filename !== 'string') {
     errors.push('Valid filename is required');
@@ -110,13 +170,17 @@ function validateFileUpload(fileData) {
   
   if (!size || typeof size !== 'number' || size <= 0) {
     errors.push('Valid file size is required');
-  } else if (size > 5 * 1024 * 1024) { // 5MB limit
-    errors.push('File size must be less than 5MB');
+  } else if (size > maxSize) {
+    errors.push(`File size must be less than ${formatFileSize(maxSize)}`);
   }
   
-  const allowedTypes = ['text/plain', 'application/json'];
   if (!type || !allowedTypes.includes(type)) {
-    errors.push('File type not allowed. Only text and JSON files are accepted.');
+    const accepted = allowedTypes.every(allowed => allowed.startsWith('image/'))
+      ? 'Only PNG, JPEG and WebP images are accepted.'
+      : 'Only text and JSON files are accepted.';
+    errors.push(`File type not allowed. ${accepted}`);
+  } else if (type.startsWith('image/') && Buffer.isBuffer(data) && !matchesImageSignature(data, type)) {
+    errors.push(`File contents are not a valid ${type.replace('image/', '').toUpperCase()} image`);
   }
   
   return {
@@ -126,9 +190,677 @@ function validateFileUpload(fileData) {
   };
 }
 
+/**
+ * Format a byte count for error messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "5MB" or "512KB"
+ */
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+/**
+ * Validate an optional per-request LLM provider override
+ * @param {string} [provider] - Provider name from the request body
+ * @returns {Object} Validation result
+ */
+function validateProvider(provider) {
+  const errors = [];
+
+  if (provider !== undefined && provider !== null) {
+    if (typeof provider !== 'string') {
+      errors.push('Provider must be a string');
+    } else if (!isKnownProvider(provider)) {
+      errors.push(`Unknown provider. Available providers: ${listProviders().join(', ')}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the target length of a pitch script
+ * @param {number} [duration] - Length in seconds; omitted uses the default
+ * @returns {Object} Validation result
+ */
+function validateScriptDuration(duration) {
+  const errors = [];
+
+  if (duration !== undefined && duration !== null && !SCRIPT_DURATIONS.includes(duration)) {
+    errors.push(`Script length must be one of: ${SCRIPT_DURATIONS.join(', ')} seconds`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the number of company name candidates requested with a pitch
+ * @param {number} [count] - Number of candidates, or undefined for a single name
+ * @returns {Object} Validation result
+ */
+function validateNameCandidates(count) {
+  const errors = [];
+  const { min, max } = NAME_CANDIDATE_LIMITS;
+
+  if (count !== undefined && count !== null && (!Number.isInteger(count) || count < min || count > max)) {
+    errors.push(`Name candidates must be a whole number between ${min} and ${max}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a list of company names to check
+ * @param {string[]} names - Company names
+ * @returns {Object} Validation result
+ */
+function validateNameList(names) {
+  const errors = [];
+  const { max } = NAME_CANDIDATE_LIMITS;
+
+  if (!Array.isArray(names) || names.length === 0) {
+    errors.push('Names must be a non-empty array');
+  } else if (names.length > max) {
+    errors.push(`Check at most ${max} names at a time`);
+  } else {
+    names.forEach((name, index) => {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        errors.push(`Name ${index + 1} must be a non-empty string`);
+      } else if (name.trim().length > NAME_MAX_LENGTH) {
+        errors.push(`Name ${index + 1} must be less than ${NAME_MAX_LENGTH} characters`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate edits to a saved pitch
+ * @param {Object} updates - Request body with optional name, elevator, slides, theme and brand
+ * @param {number} slideCount - Number of slides in the stored pitch
+ * @returns {Object} Validation result
+ */
+function validatePitchUpdate(updates, slideCount) {
+  const errors = [];
+  const { name, elevator, slides, theme, brand } = updates || {};
+
+  if ([name, elevator, slides, theme, brand].every(value => value === undefined)) {
+    errors.push('Provide at least one of name, elevator, slides, theme or brand to update');
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      errors.push('Name must be a non-empty string');
+    } else if (name.trim().length > 100) {
+      errors.push('Name must be less than 100 characters');
+    }
+  }
+
+  if (elevator !== undefined) {
+    if (typeof elevator !== 'string' || elevator.trim().length === 0) {
+      errors.push('Elevator pitch must be a non-empty string');
+    } else if (elevator.trim().length > 1000) {
+      errors.push('Elevator pitch must be less than 1000 characters');
+    }
+  }
+
+  if (slides !== undefined) {
+    // Either the full array, or an object keyed by the index of each edited slide
+    if (!slides || typeof slides !== 'object') {
+      errors.push('Slides must be an array or an object keyed by slide index');
+    } else if (Array.isArray(slides) && slides.length !== slideCount) {
+      errors.push(`Slides array must contain exactly ${slideCount} slides`);
+    } else {
+      Object.entries(slides).forEach(([key, value]) => {
+        const index = Number(key);
+
+        if (!Number.isInteger(index) || index < 0 || index >= slideCount) {
+          errors.push(`Slide index ${key} is out of range`);
+        } else {
+          errors.push(...validateSlide(value).details.map(error => `Slide ${index + 1}: ${error}`));
+        }
+      });
+    }
+  }
+
+  if (theme !== undefined && !isKnownDeckTheme(theme)) {
+    errors.push(`Theme must be one of: ${Object.keys(DECK_THEMES).join(', ')}`);
+  }
+
+  if (brand !== undefined) {
+    errors.push(...validateBrand(brand).details);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a brand kit: colors, font pairing and logo
+ * @param {Object} brand - Brand settings with optional primaryColor, secondaryColor, fontPairing and logo
+ * @param {string|null} [brand.logo] - Logo as a base64 image data URL, or null to remove it
+ * @returns {Object} Validation result
+ */
+function validateBrand(brand) {
+  const errors = [];
+
+  if (!brand || typeof brand !== 'object' || Array.isArray(brand)) {
+    errors.push('Brand must be an object');
+  } else {
+    ['primaryColor', 'secondaryColor'].forEach(key => {
+      if (brand[key] !== undefined && !HEX_COLOR_PATTERN.test(brand[key])) {
+        errors.push(`${key} must be a hex color like #1e3a8a`);
+      }
+    });
+
+    if (brand.fontPairing !== undefined && brand.fontPairing !== null
+      && !Object.prototype.hasOwnProperty.call(FONT_PAIRINGS, brand.fontPairing)) {
+      errors.push(`fontPairing must be one of: ${Object.keys(FONT_PAIRINGS).join(', ')}`);
+    }
+
+    if (brand.logo !== undefined && brand.logo !== null) {
+      const logo = parseLogoDataUrl(brand.logo);
+
+      if (!logo) {
+        errors.push('Logo must be a base64 data URL of a PNG, JPEG or WebP image');
+      } else {
+        const upload = validateFileUpload(
+          { filename: 'logo', size: logo.data.length, type: logo.type, data: logo.data },
+          { allowedTypes: LOGO_TYPES, maxSize: LOGO_MAX_SIZE }
+        );
+        errors.push(...upload.details.map(error => `Logo: ${error}`));
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a structured slide sent by a client
+ * Legacy HTML strings are still accepted for pitches created before slides were structured.
+ * @param {Object|string} slide - Slide object or HTML string
+ * @returns {Object} Validation result
+ */
+function validateSlide(slide) {
+  const errors = [];
+
+  if (typeof slide === 'string') {
+    if (slide.trim().length === 0) {
+      errors.push('Slide must not be empty');
+    } else if (slide.length > SLIDE_LIMITS.html) {
+      errors.push(`Slide must be less than ${SLIDE_LIMITS.html} characters`);
+    }
+  } else if (!slide || typeof slide !== 'object' || Array.isArray(slide)) {
+    errors.push('Slide must be an object');
+  } else {
+    const { type, title, subtitle, bullets, icon, metrics, theme, notes } = slide;
+
+    if (type !== undefined && !SLIDE_TYPES.includes(type)) {
+      errors.push(`Type must be one of: ${SLIDE_TYPES.join(', ')}`);
+    }
+
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      errors.push('Title is required');
+    } else if (title.trim().length > SLIDE_LIMITS.title) {
+      errors.push(`Title must be less than ${SLIDE_LIMITS.title} characters`);
+    }
+
+    if (subtitle !== undefined && (typeof subtitle !== 'string' || subtitle.length > SLIDE_LIMITS.subtitle)) {
+      errors.push(`Subtitle must be a string of less than ${SLIDE_LIMITS.subtitle} characters`);
+    }
+
+    if (bullets !== undefined) {
+      if (!Array.isArray(bullets) || bullets.length > SLIDE_LIMITS.bullets) {
+        errors.push(`Bullets must be an array of at most ${SLIDE_LIMITS.bullets} items`);
+      } else if (bullets.some(bullet => typeof bullet !== 'string' || bullet.length > SLIDE_LIMITS.bullet)) {
+        errors.push(`Each bullet must be a string of less than ${SLIDE_LIMITS.bullet} characters`);
+      }
+    }
+
+    if (icon !== undefined && (typeof icon !== 'string' || icon.length > SLIDE_LIMITS.icon)) {
+      errors.push('Icon must be a single emoji or short symbol');
+    }
+
+    if (metrics !== undefined) {
+      if (!Array.isArray(metrics) || metrics.length > SLIDE_LIMITS.metrics) {
+        errors.push(`Metrics must be an array of at most ${SLIDE_LIMITS.metrics} items`);
+      } else if (metrics.some(metric => !metric || typeof metric.value !== 'string' || typeof metric.label !== 'string'
+        || metric.value.length > SLIDE_LIMITS.metricValue || metric.label.length > SLIDE_LIMITS.metricLabel)) {
+        errors.push('Each metric needs a short value and label');
+      }
+    }
+
+    if (theme !== undefined && !Object.prototype.hasOwnProperty.call(SLIDE_THEMES, theme)) {
+      errors.push(`Theme must be one of: ${Object.keys(SLIDE_THEMES).join(', ')}`);
+    }
+
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > SLIDE_LIMITS.notes)) {
+      errors.push(`Notes must be a string of less than ${SLIDE_LIMITS.notes} characters`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the slide plan requested for a new pitch
+ * @param {string|string[]} [plan] - Preset name or slide types in order
+ * @returns {Object} Validation result
+ */
+function validateSlidePlan(plan) {
+  const errors = [];
+
+  if (plan === undefined || plan === null) {
+    return { isValid: true, error: null, details: [] };
+  }
+
+  if (typeof plan === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(SLIDE_PLANS, plan)) {
+      errors.push(`Unknown slide plan "${plan}". Use one of: ${Object.keys(SLIDE_PLANS).join(', ')}, or a list of slide types`);
+    }
+  } else if (!Array.isArray(plan)) {
+    errors.push('Slide plan must be a preset name or an array of slide types');
+  } else if (plan.length < SLIDE_PLAN_LIMITS.min || plan.length > SLIDE_PLAN_LIMITS.max) {
+    errors.push(`Slide plan must contain between ${SLIDE_PLAN_LIMITS.min} and ${SLIDE_PLAN_LIMITS.max} slides`);
+  } else {
+    const planTypes = SLIDE_TYPES.filter(type => type !== 'custom');
+    plan.forEach((type, index) => {
+      if (!planTypes.includes(type)) {
+        errors.push(`Slide ${index + 1} has an unknown type "${type}". Use one of: ${planTypes.join(', ')}`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Check that a generated deck follows the slide plan it was asked for
+ * @param {Array<Object>} slides - Normalized slides returned by the model
+ * @param {string[]} plan - Slide types that were requested, in order
+ * @returns {Object} Validation result
+ */
+function validateDeckAgainstPlan(slides, plan) {
+  const errors = [];
+
+  if (!Array.isArray(slides) || slides.length !== plan.length) {
+    errors.push(`Expected ${plan.length} slides but received ${Array.isArray(slides) ? slides.length : 0}`);
+  } else {
+    slides.forEach((slide, index) => {
+      if (slide.type !== plan[index]) {
+        errors.push(`Slide ${index + 1} should be "${plan[index]}" but is "${slide.type}"`);
+      } else if (!slide.title) {
+        errors.push(`Slide ${index + 1} is missing a title`);
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the body of a Markdown deck import
+ * @param {string} markdown - Markdown document
+ * @returns {Object} Validation result
+ */
+function validateMarkdownImport(markdown) {
+  const errors = [];
+
+  if (typeof markdown !== 'string' || markdown.trim().length === 0) {
+    errors.push('Markdown is required');
+  } else if (markdown.length > MARKDOWN_IMPORT_MAX_LENGTH) {
+    errors.push(`Markdown must be less than ${MARKDOWN_IMPORT_MAX_LENGTH} characters`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a pitch parsed from an imported Markdown deck before it is saved
+ * @param {Object} pitch - Parsed pitch with idea, name, elevator, theme and slides
+ * @returns {Object} Validation result
+ */
+function validateImportedPitch({ idea, name, elevator, theme, slides } = {}) {
+  const errors = [];
+
+  if (!name) {
+    errors.push('Start the Markdown with a # heading that names the pitch');
+  }
+
+  if (!elevator) {
+    errors.push('Add the elevator pitch under the pitch name');
+  }
+
+  errors.push(...validatePitchUpdate({ name: name || undefined, elevator: elevator || undefined, theme }, 0).details);
+
+  if (typeof idea === 'string' && idea.length > 2000) {
+    errors.push('Idea must be less than 2000 characters');
+  }
+
+  if (!Array.isArray(slides) || slides.length === 0) {
+    errors.push('No slides found; separate slides with a line containing only ---');
+  } else if (slides.length > SLIDE_PLAN_LIMITS.max) {
+    errors.push(`Decks can have at most ${SLIDE_PLAN_LIMITS.max} slides`);
+  } else {
+    slides.forEach((slide, index) => {
+      errors.push(...validateSlide(slide).details.map(error => `Slide ${index + 1}: ${error}`));
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the options of a new share link
+ * @param {Object} options - Request body
+ * @param {string} [options.expiresAt] - ISO date after which the link stops working
+ * @param {string} [options.password] - Password viewers must enter
+ * @returns {Object} Validation result
+ */
+function validateShareLink({ expiresAt, password } = {}) {
+  const errors = [];
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push('expiresAt must be an ISO date');
+    } else if (date <= new Date()) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+
+  if (password !== undefined && password !== null && password !== '') {
+    if (typeof password !== 'string') {
+      errors.push('Password must be a string');
+    } else if (password.length < 8) {
+      errors.push('Password must be at least 8 characters long');
+    } else if (password.length > 128) {
+      errors.push('Password must be less than 128 characters');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate the filters, sort and cursor of a history list request
+ * @param {Object} query - Request query, see buildHistoryQuery
+ * @returns {Object} Validation result
+ */
+function validateHistoryQuery({ q, from, to, tags, folder, starred, sort, cursor } = {}) {
+  const errors = [];
+
+  if (q !== undefined) {
+    if (typeof q !== 'string') {
+      errors.push('Search must be text');
+    } else if (q.length > HISTORY_SEARCH_MAX_LENGTH) {
+      errors.push(`Search must be less than ${HISTORY_SEARCH_MAX_LENGTH} characters`);
+    }
+  }
+
+  const dates = {};
+  [['from', from], ['to', to]].forEach(([key, value]) => {
+    if (value === undefined || value === '') {
+      return;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push(`${key} must be an ISO date`);
+    } else {
+      dates[key] = date;
+    }
+  });
+  if (dates.from && dates.to && dates.from > dates.to) {
+    errors.push('from must not be after to');
+  }
+
+  if (tags !== undefined) {
+    const tagList = parseTagList(tags);
+    if (tagList.length > TAG_FILTER_LIMIT) {
+      errors.push(`Filter by at most ${TAG_FILTER_LIMIT} tags`);
+    }
+    const invalid = tagList.find(tag => tag.length > TAG_MAX_LENGTH || !TAG_PATTERN.test(tag));
+    if (invalid) {
+      errors.push(`Invalid tag "${invalid.substring(0, TAG_MAX_LENGTH)}": use letters, digits, spaces, dashes and underscores, up to ${TAG_MAX_LENGTH} characters`);
+    }
+  }
+
+  if (folder !== undefined && folder !== '' && (typeof folder !== 'string'
+    || (folder !== UNFILED_FOLDER && !OBJECT_ID_PATTERN.test(folder)))) {
+    errors.push(`folder must be a folder id or "${UNFILED_FOLDER}"`);
+  }
+
+  if (starred !== undefined && starred !== 'true' && starred !== 'false') {
+    errors.push('starred must be true or false');
+  }
+
+  const hasSearch = typeof q === 'string' && q.trim() !== '';
+  if (sort !== undefined) {
+    if (!HISTORY_SORT_OPTIONS.includes(sort)) {
+      errors.push(`Sort must be one of: ${HISTORY_SORT_OPTIONS.join(', ')}`);
+    } else if (sort === 'relevance' && !hasSearch) {
+      errors.push('Sorting by relevance needs a search');
+    }
+  }
+
+  if (cursor !== undefined && cursor !== '') {
+    const sortKey = sort || (hasSearch ? 'relevance' : DEFAULT_HISTORY_SORT);
+    if (sortKey === 'relevance') {
+      errors.push('Relevance results are paged by page number, not by cursor');
+    } else if (HISTORY_SORT_OPTIONS.includes(sortKey) && !decodeCursor(cursor, sortKey)) {
+      errors.push('Invalid cursor');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a change to the tags, folder or star of a pitch
+ * @param {Object} changes - Request body
+ * @param {string[]} [changes.tags] - Replaces all tags of the pitch
+ * @param {string|null} [changes.folder] - Folder id, or null to take the pitch out of its folder
+ * @param {boolean} [changes.starred] - Star or unstar the pitch
+ * @returns {Object} Validation result
+ */
+function validatePitchOrganization({ tags, folder, starred } = {}) {
+  const errors = [];
+
+  if (tags === undefined && folder === undefined && starred === undefined) {
+    errors.push('Nothing to change: send tags, folder or starred');
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      errors.push('Tags must be an array of strings');
+    } else {
+      const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+      if (normalized.length > MAX_TAGS_PER_PITCH) {
+        errors.push(`A pitch can have at most ${MAX_TAGS_PER_PITCH} tags`);
+      }
+      const invalid = normalized.find(tag => tag.length > TAG_MAX_LENGTH || !TAG_PATTERN.test(tag));
+      if (invalid) {
+        errors.push(`Invalid tag "${invalid.substring(0, TAG_MAX_LENGTH)}": use letters, digits, spaces, dashes and underscores, up to ${TAG_MAX_LENGTH} characters`);
+      }
+    }
+  }
+
+  if (folder !== undefined && folder !== null && (typeof folder !== 'string' || !OBJECT_ID_PATTERN.test(folder))) {
+    errors.push('Folder must be a folder id or null');
+  }
+
+  if (starred !== undefined && typeof starred !== 'boolean') {
+    errors.push('Starred must be true or false');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a folder name
+ * @param {string} name - Folder name
+ * @returns {Object} Validation result
+ */
+function validateFolderName(name) {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('Folder name is required');
+  } else if (name.trim().length > FOLDER_NAME_MAX_LENGTH) {
+    errors.push(`Folder name must be less than ${FOLDER_NAME_MAX_LENGTH} characters`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate a request to remix a pitch
+ * @param {Object} body - Request body
+ * @param {string} body.instruction - What to change, e.g. "the same idea but for B2B"
+ * @param {string} [body.provider] - LLM provider override
+ * @param {string|string[]} [body.slidePlan] - Slide plan; omitted keeps the parent's slides
+ * @returns {Object} Validation result
+ */
+function validateRemixRequest({ instruction, provider, slidePlan } = {}) {
+  const errors = [];
+
+  if (typeof instruction !== 'string' || instruction.trim() === '') {
+    errors.push('Remix instruction is required');
+  } else if (instruction.trim().length > REMIX_INSTRUCTION_MAX_LENGTH) {
+    errors.push(`Remix instruction must be less than ${REMIX_INSTRUCTION_MAX_LENGTH} characters`);
+  }
+
+  errors.push(...validateProvider(provider).details, ...validateSlidePlan(slidePlan).details);
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
+/**
+ * Validate registration and login credentials
+ * @param {Object} credentials - Request body
+ * @param {string} credentials.email - Email address
+ * @param {string} credentials.password - Plain-text password
+ * @param {string} [credentials.name] - Display name, registration only
+ * @returns {Object} Validation result
+ */
+function validateCredentials({ email, password, name } = {}) {
+  const errors = [];
+
+  if (!email || typeof email !== 'string') {
+    errors.push('Email is required');
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.push('Please provide a valid email address');
+  }
+
+  if (!password || typeof password !== 'string') {
+    errors.push('Password is required');
+  } else if (password.length < 8) {
+    errors.push('Password must be at least 8 characters long');
+  } else if (password.length > 128) {
+    errors.push('Password must be less than 128 characters');
+  }
+
+  if (name !== undefined && name !== null) {
+    if (typeof name !== 'string') {
+      errors.push('Name must be a string');
+    } else if (name.trim().length > 100) {
+      errors.push('Name must be less than 100 characters');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    error: errors.length > 0 ? errors[0] : null,
+    details: errors
+  };
+}
+
 module.exports = {
   validateCodePromptInput,
   validateIdeaInput,
   sanitizeInput,
-  validateFileUpload
+  validateFileUpload,
+  validateProvider,
+  validateScriptDuration,
+  validateNameCandidates,
+  validateNameList,
+  validatePitchUpdate,
+  validateSlide,
+  validateBrand,
+  validateSlidePlan,
+  validateDeckAgainstPlan,
+  validateMarkdownImport,
+  validateImportedPitch,
+  validateShareLink,
+  validateHistoryQuery,
+  validatePitchOrganization,
+  validateFolderName,
+  validateRemixRequest,
+  validateCredentials
 };